@@ -35,7 +35,22 @@ import stockRegisterRoutes from './src/routes/stockRegisterRoutes.js';
 import editRequestRoutes from './src/routes/editRequestRoutes.js';
 import searchRoutes from './src/routes/searchRoutes.js';
 import dashboardRoutes from './src/routes/dashboardRoutes.js'; // <<<--- ADD THIS IMPORT
+import roleRoutes from './src/routes/roleRoutes.js';
+import serviceAccountRoutes from './src/routes/serviceAccountRoutes.js';
+import departmentRoutes from './src/routes/departmentRoutes.js';
+import shareRoutes from './src/routes/shareRoutes.js';
+import warrantyRoutes from './src/routes/warrantyRoutes.js';
+import assetRoutes from './src/routes/assetRoutes.js';
+import matchRoutes from './src/routes/matchRoutes.js';
+import creditNoteRoutes from './src/routes/creditNoteRoutes.js';
+import importRoutes from './src/routes/importRoutes.js';
+import settingsRoutes from './src/routes/settingsRoutes.js';
 import createAdminUser from './src/seeds/createAdminUser.js';
+import syncPurchaseOrderSupplyTypes from './src/seeds/syncPurchaseOrderSupplyTypes.js';
+import { socketAuth, onAuthenticatedConnection } from './src/middleware/socketAuth.js';
+import { EDIT_REQUEST_REVIEWERS_ROOM } from './src/utils/socketRooms.js';
+import { startWarrantyReminderScheduler } from './src/jobs/warrantyReminderJob.js';
+import { startImportJobExpiryScheduler } from './src/jobs/importJobExpiryJob.js';
 
 // --- Initialization ---
 const prisma = new PrismaClient({
@@ -53,44 +68,28 @@ const io = new SocketIOServer(httpServer, {
 
 // --- Socket.IO Setup ---
 global.io = io; // Make io globally accessible (consider dependency injection for larger apps)
-const connectedUsers = new Map();
+
+// Every connection must present a valid access token (same checks as the `auth` middleware).
+// Rooms are assigned from the verified user; sockets are closed on token expiry or session revocation.
+io.use(socketAuth);
 
 io.on('connection', (socket) => {
-  console.log(`🔌 Socket connected: ${socket.id}`);
-  let userIdForSocket = null;
-
-  socket.on('identify-user', (authUserId) => {
-      if (authUserId && typeof authUserId === 'string') {
-          userIdForSocket = authUserId;
-          connectedUsers.set(userIdForSocket, socket.id);
-          socket.join(`user-${userIdForSocket}`);
-          console.log(`   👤 User ${userIdForSocket} identified for socket ${socket.id}, joined room user-${userIdForSocket}`);
-      } else {
-          console.warn(`Socket ${socket.id} sent invalid userId for identification:`, authUserId);
-      }
-  });
+  const { user } = socket.data;
+  console.log(`🔌 Socket connected: ${socket.id} (user ${user.username})`);
+  onAuthenticatedConnection(socket);
 
+  // Legacy events from older clients: rooms are already assigned, so only acknowledge the server-side state
+  socket.on('identify-user', () => {
+    socket.emit('identified-user-ack', { success: true, userId: user.id });
+  });
   socket.on('join-admin-room', () => {
-    // TODO: Add backend verification here based on socket auth or session if needed
-    // For now, assuming client is trusted (only admins should emit this)
-    socket.join('admin-room');
-    console.log(`   👑 Socket ID ${socket.id} joined admin-room`);
-    socket.emit('joined-admin-room-ack', { success: true });
+    socket.emit('joined-admin-room-ack', { success: socket.rooms.has(EDIT_REQUEST_REVIEWERS_ROOM) });
   });
 
-  // Separate logic for leaving rooms can be added if needed
-
   socket.on('error', (error) => console.error(`❌ Socket error (${socket.id}):`, error));
 
   socket.on('disconnect', (reason) => {
     console.log(`🔌 Socket disconnected: ${socket.id}, Reason: ${reason}`);
-    if (userIdForSocket) {
-      if (connectedUsers.get(userIdForSocket) === socket.id) { // Only delete if it's the current socket for that user
-          connectedUsers.delete(userIdForSocket);
-          console.log(`   👤 User ${userIdForSocket} mapping removed.`);
-      }
-    }
-     userIdForSocket = null; // Clear associated userId
   });
 });
 
@@ -107,6 +106,7 @@ const connectDbAndSeed = async () => {
         console.log('✅ Connected to database successfully');
         // Run seeder (creates default admin if none exists)
         await createAdminUser();
+        await syncPurchaseOrderSupplyTypes(); // Stored supply types follow GST_HOME_STATE_CODE
     } catch (error) {
         console.error('❌ DB connection or seeding failed:', error);
         // Ensure disconnect is attempted even on failure
@@ -117,7 +117,16 @@ const connectDbAndSeed = async () => {
 // Initiate DB connection and seeding on startup
 connectDbAndSeed();
 
+// --- Background Jobs ---
+const stopWarrantyReminders = startWarrantyReminderScheduler();
+const stopImportJobExpiry = startImportJobExpiryScheduler();
+
 // --- Core Express Middleware ---
+// Behind a reverse proxy, req.ip must come from X-Forwarded-For (login throttling is keyed on it)
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', trustProxy === 'true' ? true : (/^\d+$/.test(trustProxy) ? parseInt(trustProxy, 10) : trustProxy));
+}
 app.use(cors({ // Configure CORS strictly based on .env
   origin: process.env.FRONTEND_URL,
   credentials: true // Allow cookies if needed later
@@ -156,6 +165,16 @@ app.use('/api/stock-register', stockRegisterRoutes);
 app.use('/api/edit-requests', editRequestRoutes);
 app.use('/api/search', searchRoutes);
 app.use('/api/dashboard', dashboardRoutes); // <<<--- MOUNT DASHBOARD ROUTES HERE
+app.use('/api/roles', roleRoutes);
+app.use('/api/service-accounts', serviceAccountRoutes);
+app.use('/api/departments', departmentRoutes);
+app.use('/api/shares', shareRoutes);
+app.use('/api/warranties', warrantyRoutes);
+app.use('/api/assets', assetRoutes);
+app.use('/api/matching', matchRoutes);
+app.use('/api/credit-notes', creditNoteRoutes);
+app.use('/api/imports', importRoutes);
+app.use('/api/settings', settingsRoutes);
 
 // --- Root Health Check ---
 app.get('/', (req, res) => res.status(200).json({ status: 'UP', message: 'CNCC Backend API Operational', timestamp: new Date().toISOString() }));
@@ -209,6 +228,8 @@ httpServer.listen(PORT, '0.0.0.0', () => { // Listen on 0.0.0.0 to be accessible
 const cleanup = async (signal) => {
   console.log(`\n🚨 Received ${signal}. Initiating graceful shutdown...`);
   try {
+      stopWarrantyReminders();
+      stopImportJobExpiry();
       io.close((err) => { // Close Socket.IO connections
            if (err) { console.error('Error closing Socket.IO:', err); }
            else { console.log('⚪ Socket.IO server closed.'); }
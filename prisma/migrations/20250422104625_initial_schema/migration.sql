@@ -1,150 +0,0 @@
--- CreateTable
-CREATE TABLE `User` (
-    `id` VARCHAR(191) NOT NULL,
-    `username` VARCHAR(191) NOT NULL,
-    `password` VARCHAR(191) NOT NULL,
-    `role` ENUM('ADMIN', 'USER') NOT NULL DEFAULT 'USER',
-    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
-    `updatedAt` DATETIME(3) NOT NULL,
-
-    UNIQUE INDEX `User_username_key`(`username`),
-    PRIMARY KEY (`id`)
-) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
-
--- CreateTable
-CREATE TABLE `Product` (
-    `id` VARCHAR(191) NOT NULL,
-    `productName` VARCHAR(191) NOT NULL,
-    `serialNumber` VARCHAR(191) NULL,
-    `warrantyYears` INTEGER NOT NULL DEFAULT 0,
-    `quantity` INTEGER NOT NULL,
-    `price` DOUBLE NOT NULL,
-    `invoiceId` VARCHAR(191) NOT NULL,
-
-    PRIMARY KEY (`id`)
-) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
-
--- CreateTable
-CREATE TABLE `Invoice` (
-    `id` VARCHAR(191) NOT NULL,
-    `purchaseDate` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
-    `companyName` VARCHAR(191) NOT NULL,
-    `orderOrSerialNumber` VARCHAR(191) NULL,
-    `vendorName` VARCHAR(191) NOT NULL,
-    `contactNumber` VARCHAR(191) NULL,
-    `address` VARCHAR(191) NOT NULL,
-    `invoiceFileUrl` VARCHAR(191) NULL,
-    `additionalDetails` VARCHAR(191) NULL,
-    `allowEditing` BOOLEAN NOT NULL DEFAULT false,
-    `editableUntil` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
-    `totalAmount` DOUBLE NOT NULL,
-    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
-    `updatedAt` DATETIME(3) NOT NULL,
-    `userId` VARCHAR(191) NOT NULL,
-
-    PRIMARY KEY (`id`)
-) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
-
--- CreateTable
-CREATE TABLE `Item` (
-    `id` VARCHAR(191) NOT NULL,
-    `description` VARCHAR(191) NOT NULL,
-    `quantity` INTEGER NOT NULL,
-    `rate` DOUBLE NOT NULL,
-    `purchaseOrderId` VARCHAR(191) NOT NULL,
-
-    PRIMARY KEY (`id`)
-) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
-
--- CreateTable
-CREATE TABLE `PurchaseOrder` (
-    `id` VARCHAR(191) NOT NULL,
-    `orderDate` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
-    `fromAddress` VARCHAR(191) NOT NULL,
-    `vendorName` VARCHAR(191) NOT NULL,
-    `contactNumber` VARCHAR(191) NULL,
-    `gstNumber` VARCHAR(191) NULL,
-    `purchaseOrderNumber` VARCHAR(191) NOT NULL,
-    `totalAmount` DOUBLE NOT NULL,
-    `purchaseOrderFileUrl` VARCHAR(191) NULL,
-    `allowEditing` BOOLEAN NOT NULL DEFAULT false,
-    `editableUntil` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
-    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
-    `updatedAt` DATETIME(3) NOT NULL,
-    `userId` VARCHAR(191) NOT NULL,
-
-    PRIMARY KEY (`id`)
-) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
-
--- CreateTable
-CREATE TABLE `StockRegister` (
-    `id` VARCHAR(191) NOT NULL,
-    `articleName` VARCHAR(191) NOT NULL,
-    `entryDate` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
-    `companyName` VARCHAR(191) NULL,
-    `address` VARCHAR(191) NULL,
-    `productDetails` VARCHAR(191) NULL,
-    `voucherOrBillNumber` VARCHAR(191) NOT NULL,
-    `costRate` DOUBLE NOT NULL,
-    `cgst` DOUBLE NOT NULL DEFAULT 0,
-    `sgst` DOUBLE NOT NULL DEFAULT 0,
-    `totalRate` DOUBLE NOT NULL,
-    `receiptNumber` VARCHAR(191) NULL,
-    `pageNumber` INTEGER NULL,
-    `billingDate` DATETIME(3) NOT NULL,
-    `photoUrl` VARCHAR(191) NULL,
-    `allowEditing` BOOLEAN NOT NULL DEFAULT false,
-    `editableUntil` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
-    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
-    `updatedAt` DATETIME(3) NOT NULL,
-    `userId` VARCHAR(191) NOT NULL,
-
-    PRIMARY KEY (`id`)
-) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
-
--- CreateTable
-CREATE TABLE `EditRequest` (
-    `id` VARCHAR(191) NOT NULL,
-    `status` VARCHAR(191) NOT NULL DEFAULT 'PENDING',
-    `requestMessage` VARCHAR(191) NULL,
-    `responseMessage` VARCHAR(191) NULL,
-    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
-    `updatedAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
-    `invoiceId` VARCHAR(191) NULL,
-    `purchaseOrderId` VARCHAR(191) NULL,
-    `stockRegisterId` VARCHAR(191) NULL,
-    `requestedById` VARCHAR(191) NOT NULL,
-    `adminUserId` VARCHAR(191) NULL,
-
-    PRIMARY KEY (`id`)
-) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
-
--- AddForeignKey
-ALTER TABLE `Product` ADD CONSTRAINT `Product_invoiceId_fkey` FOREIGN KEY (`invoiceId`) REFERENCES `Invoice`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
-
--- AddForeignKey
-ALTER TABLE `Invoice` ADD CONSTRAINT `Invoice_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `User`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
-
--- AddForeignKey
-ALTER TABLE `Item` ADD CONSTRAINT `Item_purchaseOrderId_fkey` FOREIGN KEY (`purchaseOrderId`) REFERENCES `PurchaseOrder`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
-
--- AddForeignKey
-ALTER TABLE `PurchaseOrder` ADD CONSTRAINT `PurchaseOrder_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `User`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
-
--- AddForeignKey
-ALTER TABLE `StockRegister` ADD CONSTRAINT `StockRegister_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `User`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
-
--- AddForeignKey
-ALTER TABLE `EditRequest` ADD CONSTRAINT `EditRequest_requestedById_fkey` FOREIGN KEY (`requestedById`) REFERENCES `User`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
-
--- AddForeignKey
-ALTER TABLE `EditRequest` ADD CONSTRAINT `EditRequest_adminUserId_fkey` FOREIGN KEY (`adminUserId`) REFERENCES `User`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
-
--- AddForeignKey
-ALTER TABLE `EditRequest` ADD CONSTRAINT `EditRequest_invoiceId_fkey` FOREIGN KEY (`invoiceId`) REFERENCES `Invoice`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
-
--- AddForeignKey
-ALTER TABLE `EditRequest` ADD CONSTRAINT `EditRequest_purchaseOrderId_fkey` FOREIGN KEY (`purchaseOrderId`) REFERENCES `PurchaseOrder`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
-
--- AddForeignKey
-ALTER TABLE `EditRequest` ADD CONSTRAINT `EditRequest_stockRegisterId_fkey` FOREIGN KEY (`stockRegisterId`) REFERENCES `StockRegister`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
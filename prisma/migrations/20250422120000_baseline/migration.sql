@@ -0,0 +1,196 @@
+-- The schema as deployed before migrations were kept up to date (created with `prisma db push`).
+--
+-- Databases created that way already have these tables: mark this migration as applied instead of running it,
+-- `npx prisma migrate resolve --applied 20250422120000_baseline`, then run `npm run prisma:migrate:deploy`.
+
+-- CreateTable
+CREATE TABLE `users` (
+    `id` VARCHAR(191) NOT NULL,
+    `username` VARCHAR(191) NOT NULL,
+    `password` VARCHAR(191) NOT NULL,
+    `role` ENUM('ADMIN', 'USER') NOT NULL DEFAULT 'USER',
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `users_username_key`(`username`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `products` (
+    `id` VARCHAR(191) NOT NULL,
+    `productName` VARCHAR(191) NOT NULL,
+    `serialNumber` VARCHAR(191) NULL,
+    `warrantyYears` INTEGER NOT NULL DEFAULT 0,
+    `quantity` INTEGER NOT NULL,
+    `price` DOUBLE NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+    `invoice_id` VARCHAR(191) NOT NULL,
+
+    INDEX `products_invoice_id_idx`(`invoice_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `invoices` (
+    `id` VARCHAR(191) NOT NULL,
+    `purchaseDate` DATETIME(3) NOT NULL,
+    `companyName` VARCHAR(191) NOT NULL,
+    `order_or_serial_number` VARCHAR(191) NULL,
+    `vendorName` VARCHAR(191) NOT NULL,
+    `contactNumber` VARCHAR(191) NULL,
+    `address` TEXT NOT NULL,
+    `invoice_file_url` VARCHAR(191) NULL,
+    `additionalDetails` TEXT NULL,
+    `allow_editing` BOOLEAN NOT NULL DEFAULT false,
+    `editableUntil` DATETIME(3) NULL,
+    `total_amount` DOUBLE NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+    `user_id` VARCHAR(191) NOT NULL,
+
+    INDEX `invoices_user_id_idx`(`user_id`),
+    INDEX `invoices_purchaseDate_idx`(`purchaseDate`),
+    INDEX `invoices_vendorName_idx`(`vendorName`),
+    INDEX `invoices_companyName_idx`(`companyName`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `items` (
+    `id` VARCHAR(191) NOT NULL,
+    `description` TEXT NOT NULL,
+    `quantity` INTEGER NOT NULL,
+    `rate` DOUBLE NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+    `purchase_order_id` VARCHAR(191) NOT NULL,
+
+    INDEX `items_purchase_order_id_idx`(`purchase_order_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `purchase_orders` (
+    `id` VARCHAR(191) NOT NULL,
+    `orderDate` DATETIME(3) NOT NULL,
+    `from_address` TEXT NOT NULL,
+    `vendorName` VARCHAR(191) NOT NULL,
+    `contactNumber` VARCHAR(191) NULL,
+    `gst_number` VARCHAR(191) NULL,
+    `purchase_order_number` VARCHAR(191) NOT NULL,
+    `total_amount` DOUBLE NOT NULL,
+    `purchase_order_file_url` VARCHAR(191) NULL,
+    `allow_editing` BOOLEAN NOT NULL DEFAULT false,
+    `editableUntil` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+    `user_id` VARCHAR(191) NOT NULL,
+
+    UNIQUE INDEX `purchase_orders_purchase_order_number_key`(`purchase_order_number`),
+    INDEX `purchase_orders_user_id_idx`(`user_id`),
+    INDEX `purchase_orders_orderDate_idx`(`orderDate`),
+    INDEX `purchase_orders_vendorName_idx`(`vendorName`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `stock_register_entries` (
+    `id` VARCHAR(191) NOT NULL,
+    `articleName` VARCHAR(191) NOT NULL,
+    `entryDate` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `companyName` VARCHAR(191) NULL,
+    `address` TEXT NULL,
+    `productDetails` TEXT NULL,
+    `voucherOrBillNumber` VARCHAR(191) NOT NULL,
+    `costRate` DOUBLE NOT NULL,
+    `cgst` DOUBLE NOT NULL DEFAULT 0,
+    `sgst` DOUBLE NOT NULL DEFAULT 0,
+    `totalRate` DOUBLE NOT NULL,
+    `receiptNumber` VARCHAR(191) NULL,
+    `pageNumber` INTEGER NULL,
+    `billingDate` DATETIME(3) NOT NULL,
+    `photo_url` VARCHAR(191) NULL,
+    `allow_editing` BOOLEAN NOT NULL DEFAULT false,
+    `editableUntil` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+    `user_id` VARCHAR(191) NOT NULL,
+
+    INDEX `stock_register_entries_user_id_idx`(`user_id`),
+    INDEX `stock_register_entries_entryDate_idx`(`entryDate`),
+    INDEX `stock_register_entries_articleName_idx`(`articleName`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `edit_requests` (
+    `id` VARCHAR(191) NOT NULL,
+    `status` ENUM('PENDING', 'APPROVED', 'REJECTED') NOT NULL DEFAULT 'PENDING',
+    `requestMessage` TEXT NULL,
+    `responseMessage` TEXT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+    `invoice_id` VARCHAR(191) NULL,
+    `purchase_order_id` VARCHAR(191) NULL,
+    `stock_register_id` VARCHAR(191) NULL,
+    `requested_by_id` VARCHAR(191) NOT NULL,
+    `admin_user_id` VARCHAR(191) NULL,
+
+    UNIQUE INDEX `edit_requests_invoice_id_key`(`invoice_id`),
+    UNIQUE INDEX `edit_requests_purchase_order_id_key`(`purchase_order_id`),
+    UNIQUE INDEX `edit_requests_stock_register_id_key`(`stock_register_id`),
+    INDEX `edit_requests_status_idx`(`status`),
+    INDEX `edit_requests_requested_by_id_idx`(`requested_by_id`),
+    INDEX `edit_requests_admin_user_id_idx`(`admin_user_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `saved_searches` (
+    `id` VARCHAR(191) NOT NULL,
+    `name` VARCHAR(191) NOT NULL,
+    `documentType` ENUM('INVOICE', 'PURCHASE_ORDER', 'STOCK_REGISTER') NOT NULL,
+    `searchParams` JSON NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+    `user_id` VARCHAR(191) NOT NULL,
+
+    INDEX `saved_searches_user_id_idx`(`user_id`),
+    UNIQUE INDEX `saved_searches_user_id_name_key`(`user_id`, `name`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `products` ADD CONSTRAINT `products_invoice_id_fkey` FOREIGN KEY (`invoice_id`) REFERENCES `invoices`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `invoices` ADD CONSTRAINT `invoices_user_id_fkey` FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `items` ADD CONSTRAINT `items_purchase_order_id_fkey` FOREIGN KEY (`purchase_order_id`) REFERENCES `purchase_orders`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `purchase_orders` ADD CONSTRAINT `purchase_orders_user_id_fkey` FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `stock_register_entries` ADD CONSTRAINT `stock_register_entries_user_id_fkey` FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `edit_requests` ADD CONSTRAINT `edit_requests_requested_by_id_fkey` FOREIGN KEY (`requested_by_id`) REFERENCES `users`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `edit_requests` ADD CONSTRAINT `edit_requests_admin_user_id_fkey` FOREIGN KEY (`admin_user_id`) REFERENCES `users`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `edit_requests` ADD CONSTRAINT `edit_requests_invoice_id_fkey` FOREIGN KEY (`invoice_id`) REFERENCES `invoices`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `edit_requests` ADD CONSTRAINT `edit_requests_purchase_order_id_fkey` FOREIGN KEY (`purchase_order_id`) REFERENCES `purchase_orders`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `edit_requests` ADD CONSTRAINT `edit_requests_stock_register_id_fkey` FOREIGN KEY (`stock_register_id`) REFERENCES `stock_register_entries`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `saved_searches` ADD CONSTRAINT `saved_searches_user_id_fkey` FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
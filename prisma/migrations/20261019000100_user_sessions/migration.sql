@@ -0,0 +1,24 @@
+-- Refresh token sessions, one row per login.
+
+-- CreateTable
+CREATE TABLE `user_sessions` (
+    `id` VARCHAR(191) NOT NULL,
+    `refresh_token_hash` VARCHAR(191) NOT NULL,
+    `expiresAt` DATETIME(3) NOT NULL,
+    `lastUsedAt` DATETIME(3) NULL,
+    `revokedAt` DATETIME(3) NULL,
+    `revoked_reason` VARCHAR(191) NULL,
+    `user_agent` TEXT NULL,
+    `ip_address` VARCHAR(191) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+    `user_id` VARCHAR(191) NOT NULL,
+
+    UNIQUE INDEX `user_sessions_refresh_token_hash_key`(`refresh_token_hash`),
+    INDEX `user_sessions_user_id_idx`(`user_id`),
+    INDEX `user_sessions_expiresAt_idx`(`expiresAt`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `user_sessions` ADD CONSTRAINT `user_sessions_user_id_fkey` FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
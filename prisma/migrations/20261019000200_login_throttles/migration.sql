@@ -0,0 +1,19 @@
+-- Failed login counters per username and client IP.
+
+-- CreateTable
+CREATE TABLE `login_throttles` (
+    `id` VARCHAR(191) NOT NULL,
+    `scope` ENUM('USERNAME', 'IP') NOT NULL,
+    `key` VARCHAR(191) NOT NULL,
+    `failedCount` INTEGER NOT NULL DEFAULT 0,
+    `lockCount` INTEGER NOT NULL DEFAULT 0,
+    `windowStartedAt` DATETIME(3) NULL,
+    `lastFailedAt` DATETIME(3) NULL,
+    `lockedUntil` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    INDEX `login_throttles_lockedUntil_idx`(`lockedUntil`),
+    UNIQUE INDEX `login_throttles_scope_key_key`(`scope`, `key`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
@@ -0,0 +1,11 @@
+-- Password change and admin-issued reset codes. Existing users keep their passwords.
+
+-- AlterTable
+ALTER TABLE `users`
+    ADD COLUMN `must_change_password` BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN `passwordChangedAt` DATETIME(3) NULL,
+    ADD COLUMN `password_reset_code_hash` VARCHAR(191) NULL,
+    ADD COLUMN `passwordResetExpiresAt` DATETIME(3) NULL;
+
+-- AlterTable
+ALTER TABLE `user_sessions` ADD COLUMN `via_reset_code` BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,27 @@
+-- TOTP two-factor authentication and recovery codes. Nobody is enrolled yet.
+
+-- AlterTable
+ALTER TABLE `users`
+    ADD COLUMN `totp_enabled` BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN `totp_secret` TEXT NULL,
+    ADD COLUMN `totp_pending_secret` TEXT NULL,
+    ADD COLUMN `totp_last_used_step` INTEGER NULL,
+    ADD COLUMN `totpEnabledAt` DATETIME(3) NULL;
+
+-- AlterTable
+ALTER TABLE `user_sessions` ADD COLUMN `mfa_verified` BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable
+CREATE TABLE `two_factor_recovery_codes` (
+    `id` VARCHAR(191) NOT NULL,
+    `code_hash` VARCHAR(191) NOT NULL,
+    `usedAt` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `user_id` VARCHAR(191) NOT NULL,
+
+    INDEX `two_factor_recovery_codes_user_id_idx`(`user_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `two_factor_recovery_codes` ADD CONSTRAINT `two_factor_recovery_codes_user_id_fkey` FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
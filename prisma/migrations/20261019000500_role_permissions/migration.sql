@@ -0,0 +1,17 @@
+-- New roles and admin overrides of a role's permission set. Without an override a role has its built-in permissions.
+
+-- AlterTable
+ALTER TABLE `users` MODIFY `role` ENUM('ADMIN', 'USER', 'AUDITOR', 'ACCOUNTANT', 'STORE_KEEPER') NOT NULL DEFAULT 'USER';
+
+-- CreateTable
+CREATE TABLE `role_permission_sets` (
+    `role` ENUM('ADMIN', 'USER', 'AUDITOR', 'ACCOUNTANT', 'STORE_KEEPER') NOT NULL,
+    `permissions` JSON NOT NULL,
+    `updatedAt` DATETIME(3) NOT NULL,
+    `updated_by_id` VARCHAR(191) NULL,
+
+    PRIMARY KEY (`role`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `role_permission_sets` ADD CONSTRAINT `role_permission_sets_updated_by_id_fkey` FOREIGN KEY (`updated_by_id`) REFERENCES `users`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,11 @@
+-- User deactivation and archiving. Existing users stay active.
+
+-- AlterTable
+ALTER TABLE `users`
+    ADD COLUMN `is_active` BOOLEAN NOT NULL DEFAULT true,
+    ADD COLUMN `deactivatedAt` DATETIME(3) NULL,
+    ADD COLUMN `deactivation_reason` VARCHAR(191) NULL,
+    ADD COLUMN `archivedAt` DATETIME(3) NULL;
+
+-- CreateIndex
+CREATE INDEX `users_is_active_idx` ON `users`(`is_active`);
@@ -0,0 +1,33 @@
+-- Service accounts and their API keys.
+
+-- AlterTable
+ALTER TABLE `users`
+    ADD COLUMN `is_service_account` BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN `description` TEXT NULL;
+
+-- CreateTable
+CREATE TABLE `api_keys` (
+    `id` VARCHAR(191) NOT NULL,
+    `name` VARCHAR(191) NOT NULL,
+    `key_prefix` VARCHAR(191) NOT NULL,
+    `key_hash` VARCHAR(191) NOT NULL,
+    `scopes` JSON NOT NULL,
+    `expiresAt` DATETIME(3) NOT NULL,
+    `lastUsedAt` DATETIME(3) NULL,
+    `last_used_ip` VARCHAR(191) NULL,
+    `revokedAt` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+    `service_account_id` VARCHAR(191) NOT NULL,
+    `created_by_id` VARCHAR(191) NULL,
+
+    UNIQUE INDEX `api_keys_key_hash_key`(`key_hash`),
+    INDEX `api_keys_service_account_id_idx`(`service_account_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `api_keys` ADD CONSTRAINT `api_keys_service_account_id_fkey` FOREIGN KEY (`service_account_id`) REFERENCES `users`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `api_keys` ADD CONSTRAINT `api_keys_created_by_id_fkey` FOREIGN KEY (`created_by_id`) REFERENCES `users`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
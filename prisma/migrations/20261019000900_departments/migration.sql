@@ -0,0 +1,58 @@
+-- Departments. Users and documents start without a department; documents are stamped with their creator's
+-- department from creation on.
+
+-- CreateTable
+CREATE TABLE `departments` (
+    `id` VARCHAR(191) NOT NULL,
+    `name` VARCHAR(191) NOT NULL,
+    `code` VARCHAR(191) NULL,
+    `description` TEXT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+    `head_user_id` VARCHAR(191) NULL,
+
+    UNIQUE INDEX `departments_name_key`(`name`),
+    UNIQUE INDEX `departments_code_key`(`code`),
+    INDEX `departments_head_user_id_idx`(`head_user_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AlterTable
+ALTER TABLE `users` ADD COLUMN `department_id` VARCHAR(191) NULL;
+
+-- AlterTable
+ALTER TABLE `invoices` ADD COLUMN `department_id` VARCHAR(191) NULL;
+
+-- AlterTable
+ALTER TABLE `purchase_orders` ADD COLUMN `department_id` VARCHAR(191) NULL;
+
+-- AlterTable
+ALTER TABLE `stock_register_entries` ADD COLUMN `department_id` VARCHAR(191) NULL;
+
+-- AlterTable
+ALTER TABLE `edit_requests` ADD COLUMN `department_id` VARCHAR(191) NULL;
+
+-- CreateIndex
+CREATE INDEX `users_department_id_idx` ON `users`(`department_id`);
+CREATE INDEX `invoices_department_id_idx` ON `invoices`(`department_id`);
+CREATE INDEX `purchase_orders_department_id_idx` ON `purchase_orders`(`department_id`);
+CREATE INDEX `stock_register_entries_department_id_idx` ON `stock_register_entries`(`department_id`);
+CREATE INDEX `edit_requests_department_id_idx` ON `edit_requests`(`department_id`);
+
+-- AddForeignKey
+ALTER TABLE `users` ADD CONSTRAINT `users_department_id_fkey` FOREIGN KEY (`department_id`) REFERENCES `departments`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `departments` ADD CONSTRAINT `departments_head_user_id_fkey` FOREIGN KEY (`head_user_id`) REFERENCES `users`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `invoices` ADD CONSTRAINT `invoices_department_id_fkey` FOREIGN KEY (`department_id`) REFERENCES `departments`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `purchase_orders` ADD CONSTRAINT `purchase_orders_department_id_fkey` FOREIGN KEY (`department_id`) REFERENCES `departments`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `stock_register_entries` ADD CONSTRAINT `stock_register_entries_department_id_fkey` FOREIGN KEY (`department_id`) REFERENCES `departments`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `edit_requests` ADD CONSTRAINT `edit_requests_department_id_fkey` FOREIGN KEY (`department_id`) REFERENCES `departments`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
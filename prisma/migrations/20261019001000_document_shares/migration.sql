@@ -0,0 +1,40 @@
+-- Per-document shares with view or edit access.
+
+-- CreateTable
+CREATE TABLE `document_shares` (
+    `id` VARCHAR(191) NOT NULL,
+    `access_level` ENUM('VIEW', 'EDIT') NOT NULL DEFAULT 'VIEW',
+    `expires_at` DATETIME(3) NULL,
+    `note` TEXT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+    `invoice_id` VARCHAR(191) NULL,
+    `purchase_order_id` VARCHAR(191) NULL,
+    `stock_register_id` VARCHAR(191) NULL,
+    `shared_with_id` VARCHAR(191) NOT NULL,
+    `granted_by_id` VARCHAR(191) NULL,
+
+    INDEX `document_shares_invoice_id_idx`(`invoice_id`),
+    INDEX `document_shares_purchase_order_id_idx`(`purchase_order_id`),
+    INDEX `document_shares_stock_register_id_idx`(`stock_register_id`),
+    INDEX `document_shares_granted_by_id_idx`(`granted_by_id`),
+    UNIQUE INDEX `document_shares_shared_with_id_invoice_id_key`(`shared_with_id`, `invoice_id`),
+    UNIQUE INDEX `document_shares_shared_with_id_purchase_order_id_key`(`shared_with_id`, `purchase_order_id`),
+    UNIQUE INDEX `document_shares_shared_with_id_stock_register_id_key`(`shared_with_id`, `stock_register_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `document_shares` ADD CONSTRAINT `document_shares_shared_with_id_fkey` FOREIGN KEY (`shared_with_id`) REFERENCES `users`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `document_shares` ADD CONSTRAINT `document_shares_granted_by_id_fkey` FOREIGN KEY (`granted_by_id`) REFERENCES `users`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `document_shares` ADD CONSTRAINT `document_shares_invoice_id_fkey` FOREIGN KEY (`invoice_id`) REFERENCES `invoices`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `document_shares` ADD CONSTRAINT `document_shares_purchase_order_id_fkey` FOREIGN KEY (`purchase_order_id`) REFERENCES `purchase_orders`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `document_shares` ADD CONSTRAINT `document_shares_stock_register_id_fkey` FOREIGN KEY (`stock_register_id`) REFERENCES `stock_register_entries`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,34 @@
+-- Invoice GST columns (server-computed line and invoice totals).
+--
+-- Invoices saved before GST was itemised keep their grand total; their lines count as untaxed (0 %), so the
+-- taxable amount of a line is quantity * price and the invoice subtotal is the sum of its lines.
+
+-- AlterTable
+ALTER TABLE `products`
+    ADD COLUMN `hsn_sac_code` VARCHAR(191) NULL,
+    ADD COLUMN `gst_rate` DOUBLE NOT NULL DEFAULT 0,
+    ADD COLUMN `discount` DOUBLE NOT NULL DEFAULT 0,
+    ADD COLUMN `taxable_amount` DOUBLE NOT NULL DEFAULT 0,
+    ADD COLUMN `cgst_amount` DOUBLE NOT NULL DEFAULT 0,
+    ADD COLUMN `sgst_amount` DOUBLE NOT NULL DEFAULT 0,
+    ADD COLUMN `igst_amount` DOUBLE NOT NULL DEFAULT 0,
+    ADD COLUMN `line_total` DOUBLE NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE `invoices`
+    ADD COLUMN `is_inter_state` BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN `sub_total` DOUBLE NOT NULL DEFAULT 0,
+    ADD COLUMN `discount_total` DOUBLE NOT NULL DEFAULT 0,
+    ADD COLUMN `taxable_amount` DOUBLE NOT NULL DEFAULT 0,
+    ADD COLUMN `cgst_amount` DOUBLE NOT NULL DEFAULT 0,
+    ADD COLUMN `sgst_amount` DOUBLE NOT NULL DEFAULT 0,
+    ADD COLUMN `igst_amount` DOUBLE NOT NULL DEFAULT 0;
+
+-- Backfill
+UPDATE `products` SET
+    `taxable_amount` = ROUND(`price` * `quantity`, 2),
+    `line_total` = ROUND(`price` * `quantity`, 2);
+
+UPDATE `invoices` i
+    JOIN (SELECT `invoice_id`, SUM(`taxable_amount`) AS `taxable` FROM `products` GROUP BY `invoice_id`) p ON p.`invoice_id` = i.`id`
+    SET i.`sub_total` = p.`taxable`, i.`taxable_amount` = p.`taxable`;
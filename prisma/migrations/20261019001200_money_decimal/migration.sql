@@ -0,0 +1,101 @@
+-- Move every monetary column from DOUBLE to DECIMAL(12, 2) (GST rates to DECIMAL(5, 2)).
+--
+-- Hand-written so existing amounts are converted explicitly instead of by a plain type change:
+--   1. widen to DECIMAL(16, 6), which absorbs binary floating point noise (150.49999999 -> 150.500000),
+--   2. round to 2 places with ROUND(), which rounds exact values half away from zero (half-up for amounts),
+--   3. narrow to the final precision, which is now lossless.
+
+-- Step 1: widen
+ALTER TABLE `products`
+    MODIFY `price` DECIMAL(16, 6) NOT NULL,
+    MODIFY `gst_rate` DECIMAL(16, 6) NOT NULL DEFAULT 0,
+    MODIFY `discount` DECIMAL(16, 6) NOT NULL DEFAULT 0,
+    MODIFY `taxable_amount` DECIMAL(16, 6) NOT NULL DEFAULT 0,
+    MODIFY `cgst_amount` DECIMAL(16, 6) NOT NULL DEFAULT 0,
+    MODIFY `sgst_amount` DECIMAL(16, 6) NOT NULL DEFAULT 0,
+    MODIFY `igst_amount` DECIMAL(16, 6) NOT NULL DEFAULT 0,
+    MODIFY `line_total` DECIMAL(16, 6) NOT NULL DEFAULT 0;
+
+ALTER TABLE `invoices`
+    MODIFY `sub_total` DECIMAL(16, 6) NOT NULL DEFAULT 0,
+    MODIFY `discount_total` DECIMAL(16, 6) NOT NULL DEFAULT 0,
+    MODIFY `taxable_amount` DECIMAL(16, 6) NOT NULL DEFAULT 0,
+    MODIFY `cgst_amount` DECIMAL(16, 6) NOT NULL DEFAULT 0,
+    MODIFY `sgst_amount` DECIMAL(16, 6) NOT NULL DEFAULT 0,
+    MODIFY `igst_amount` DECIMAL(16, 6) NOT NULL DEFAULT 0,
+    MODIFY `total_amount` DECIMAL(16, 6) NOT NULL;
+
+ALTER TABLE `items`
+    MODIFY `rate` DECIMAL(16, 6) NOT NULL;
+
+ALTER TABLE `purchase_orders`
+    MODIFY `total_amount` DECIMAL(16, 6) NOT NULL;
+
+ALTER TABLE `stock_register_entries`
+    MODIFY `costRate` DECIMAL(16, 6) NOT NULL,
+    MODIFY `cgst` DECIMAL(16, 6) NOT NULL DEFAULT 0,
+    MODIFY `sgst` DECIMAL(16, 6) NOT NULL DEFAULT 0,
+    MODIFY `totalRate` DECIMAL(16, 6) NOT NULL;
+
+-- Step 2: round half-up to 2 places
+UPDATE `products` SET
+    `price` = ROUND(`price`, 2),
+    `gst_rate` = ROUND(`gst_rate`, 2),
+    `discount` = ROUND(`discount`, 2),
+    `taxable_amount` = ROUND(`taxable_amount`, 2),
+    `cgst_amount` = ROUND(`cgst_amount`, 2),
+    `sgst_amount` = ROUND(`sgst_amount`, 2),
+    `igst_amount` = ROUND(`igst_amount`, 2),
+    `line_total` = ROUND(`line_total`, 2);
+
+UPDATE `invoices` SET
+    `sub_total` = ROUND(`sub_total`, 2),
+    `discount_total` = ROUND(`discount_total`, 2),
+    `taxable_amount` = ROUND(`taxable_amount`, 2),
+    `cgst_amount` = ROUND(`cgst_amount`, 2),
+    `sgst_amount` = ROUND(`sgst_amount`, 2),
+    `igst_amount` = ROUND(`igst_amount`, 2),
+    `total_amount` = ROUND(`total_amount`, 2);
+
+UPDATE `items` SET `rate` = ROUND(`rate`, 2);
+
+UPDATE `purchase_orders` SET `total_amount` = ROUND(`total_amount`, 2);
+
+-- Stored totals were summed in floating point; recompute them from the rounded parts
+UPDATE `stock_register_entries` SET
+    `costRate` = ROUND(`costRate`, 2),
+    `cgst` = ROUND(`cgst`, 2),
+    `sgst` = ROUND(`sgst`, 2);
+UPDATE `stock_register_entries` SET `totalRate` = `costRate` + `cgst` + `sgst`;
+
+-- Step 3: narrow to the final types
+ALTER TABLE `products`
+    MODIFY `price` DECIMAL(12, 2) NOT NULL,
+    MODIFY `gst_rate` DECIMAL(5, 2) NOT NULL DEFAULT 0,
+    MODIFY `discount` DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    MODIFY `taxable_amount` DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    MODIFY `cgst_amount` DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    MODIFY `sgst_amount` DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    MODIFY `igst_amount` DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    MODIFY `line_total` DECIMAL(12, 2) NOT NULL DEFAULT 0;
+
+ALTER TABLE `invoices`
+    MODIFY `sub_total` DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    MODIFY `discount_total` DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    MODIFY `taxable_amount` DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    MODIFY `cgst_amount` DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    MODIFY `sgst_amount` DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    MODIFY `igst_amount` DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    MODIFY `total_amount` DECIMAL(12, 2) NOT NULL;
+
+ALTER TABLE `items`
+    MODIFY `rate` DECIMAL(12, 2) NOT NULL;
+
+ALTER TABLE `purchase_orders`
+    MODIFY `total_amount` DECIMAL(12, 2) NOT NULL;
+
+ALTER TABLE `stock_register_entries`
+    MODIFY `costRate` DECIMAL(12, 2) NOT NULL,
+    MODIFY `cgst` DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    MODIFY `sgst` DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    MODIFY `totalRate` DECIMAL(12, 2) NOT NULL;
@@ -0,0 +1,46 @@
+-- Invoice status lifecycle and payments.
+--
+-- Existing invoices become SUBMITTED with net 30 payment terms; their due date and outstanding
+-- balance are backfilled from the purchase date and total (no payments exist yet).
+
+-- AlterTable
+ALTER TABLE `invoices`
+    ADD COLUMN `status` ENUM('DRAFT', 'SUBMITTED', 'VERIFIED', 'PAID', 'DISPUTED', 'CANCELLED') NOT NULL DEFAULT 'SUBMITTED',
+    ADD COLUMN `status_changed_at` DATETIME(3) NULL,
+    ADD COLUMN `status_note` TEXT NULL,
+    ADD COLUMN `payment_terms_days` INTEGER NOT NULL DEFAULT 30,
+    ADD COLUMN `due_date` DATETIME(3) NULL,
+    ADD COLUMN `amount_paid` DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    ADD COLUMN `outstanding_amount` DECIMAL(12, 2) NOT NULL DEFAULT 0;
+
+-- Backfill
+UPDATE `invoices` SET
+    `due_date` = DATE_ADD(`purchaseDate`, INTERVAL `payment_terms_days` DAY),
+    `outstanding_amount` = `total_amount` - `amount_paid`;
+
+-- CreateIndex
+CREATE INDEX `invoices_status_idx` ON `invoices`(`status`);
+CREATE INDEX `invoices_due_date_idx` ON `invoices`(`due_date`);
+
+-- CreateTable
+CREATE TABLE `payments` (
+    `id` VARCHAR(191) NOT NULL,
+    `amount` DECIMAL(12, 2) NOT NULL,
+    `mode` ENUM('CASH', 'CHEQUE', 'BANK_TRANSFER', 'UPI', 'CARD', 'OTHER') NOT NULL,
+    `reference` VARCHAR(191) NULL,
+    `payment_date` DATETIME(3) NOT NULL,
+    `note` TEXT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `invoice_id` VARCHAR(191) NOT NULL,
+    `recorded_by_id` VARCHAR(191) NULL,
+
+    INDEX `payments_invoice_id_idx`(`invoice_id`),
+    INDEX `payments_payment_date_idx`(`payment_date`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `payments` ADD CONSTRAINT `payments_invoice_id_fkey` FOREIGN KEY (`invoice_id`) REFERENCES `invoices`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `payments` ADD CONSTRAINT `payments_recorded_by_id_fkey` FOREIGN KEY (`recorded_by_id`) REFERENCES `users`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
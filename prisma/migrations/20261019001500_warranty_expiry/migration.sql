@@ -0,0 +1,31 @@
+-- Warranty expiry of invoiced products and the log of reminders sent for it.
+--
+-- Existing products get their expiry backfilled from the invoice purchase date and warrantyYears.
+
+-- AlterTable
+ALTER TABLE `products` ADD COLUMN `warranty_expires_at` DATETIME(3) NULL;
+
+-- Backfill
+UPDATE `products` p
+    JOIN `invoices` i ON i.`id` = p.`invoice_id`
+    SET p.`warranty_expires_at` = DATE_ADD(i.`purchaseDate`, INTERVAL p.`warrantyYears` YEAR)
+    WHERE p.`warrantyYears` > 0;
+
+-- CreateIndex
+CREATE INDEX `products_serialNumber_idx` ON `products`(`serialNumber`);
+CREATE INDEX `products_warranty_expires_at_idx` ON `products`(`warranty_expires_at`);
+
+-- CreateTable
+CREATE TABLE `warranty_reminders` (
+    `id` VARCHAR(191) NOT NULL,
+    `lead_days` INTEGER NOT NULL,
+    `expires_at` DATETIME(3) NOT NULL,
+    `sent_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `product_id` VARCHAR(191) NOT NULL,
+
+    UNIQUE INDEX `warranty_reminders_product_id_lead_days_expires_at_key`(`product_id`, `lead_days`, `expires_at`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `warranty_reminders` ADD CONSTRAINT `warranty_reminders_product_id_fkey` FOREIGN KEY (`product_id`) REFERENCES `products`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,21 @@
+-- Links used by the serial number asset lookup: invoice -> purchase order, stock entry -> invoice,
+-- and the serial number recorded on a stock entry. All optional; existing rows stay unlinked.
+
+-- AlterTable
+ALTER TABLE `invoices` ADD COLUMN `purchase_order_id` VARCHAR(191) NULL;
+
+-- AlterTable
+ALTER TABLE `stock_register_entries`
+    ADD COLUMN `serial_number` VARCHAR(191) NULL,
+    ADD COLUMN `invoice_id` VARCHAR(191) NULL;
+
+-- CreateIndex
+CREATE INDEX `invoices_purchase_order_id_idx` ON `invoices`(`purchase_order_id`);
+CREATE INDEX `stock_register_entries_invoice_id_idx` ON `stock_register_entries`(`invoice_id`);
+CREATE INDEX `stock_register_entries_serial_number_idx` ON `stock_register_entries`(`serial_number`);
+
+-- AddForeignKey
+ALTER TABLE `invoices` ADD CONSTRAINT `invoices_purchase_order_id_fkey` FOREIGN KEY (`purchase_order_id`) REFERENCES `purchase_orders`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `stock_register_entries` ADD CONSTRAINT `stock_register_entries_invoice_id_fkey` FOREIGN KEY (`invoice_id`) REFERENCES `invoices`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
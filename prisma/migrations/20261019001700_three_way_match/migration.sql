@@ -0,0 +1,20 @@
+-- Three-way match links: invoice line -> purchase order item, stock entry -> invoice line,
+-- and the quantity received by a stock entry (existing entries count as one unit).
+
+-- AlterTable
+ALTER TABLE `products` ADD COLUMN `purchase_order_item_id` VARCHAR(191) NULL;
+
+-- AlterTable
+ALTER TABLE `stock_register_entries`
+    ADD COLUMN `quantity` INTEGER NOT NULL DEFAULT 1,
+    ADD COLUMN `product_id` VARCHAR(191) NULL;
+
+-- CreateIndex
+CREATE INDEX `products_purchase_order_item_id_idx` ON `products`(`purchase_order_item_id`);
+CREATE INDEX `stock_register_entries_product_id_idx` ON `stock_register_entries`(`product_id`);
+
+-- AddForeignKey
+ALTER TABLE `products` ADD CONSTRAINT `products_purchase_order_item_id_fkey` FOREIGN KEY (`purchase_order_item_id`) REFERENCES `items`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `stock_register_entries` ADD CONSTRAINT `stock_register_entries_product_id_fkey` FOREIGN KEY (`product_id`) REFERENCES `products`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
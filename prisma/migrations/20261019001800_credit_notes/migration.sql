@@ -0,0 +1,92 @@
+-- Credit notes (purchase returns) against invoices, with their own edit requests and shares.
+--
+-- Existing invoices have no credit notes: credited_amount starts at 0 and their outstanding
+-- balance is unchanged.
+
+-- AlterTable
+ALTER TABLE `invoices` ADD COLUMN `credited_amount` DECIMAL(12, 2) NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE `saved_searches` MODIFY `documentType` ENUM('INVOICE', 'PURCHASE_ORDER', 'STOCK_REGISTER', 'CREDIT_NOTE') NOT NULL;
+
+-- CreateTable
+CREATE TABLE `credit_notes` (
+    `id` VARCHAR(191) NOT NULL,
+    `credit_note_number` VARCHAR(191) NOT NULL,
+    `credit_note_date` DATETIME(3) NOT NULL,
+    `vendor_reference` VARCHAR(191) NULL,
+    `reason` TEXT NOT NULL,
+    `taxable_amount` DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    `cgst_amount` DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    `sgst_amount` DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    `igst_amount` DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    `total_amount` DECIMAL(12, 2) NOT NULL,
+    `credit_note_file_url` VARCHAR(191) NULL,
+    `allow_editing` BOOLEAN NOT NULL DEFAULT false,
+    `editableUntil` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+    `invoice_id` VARCHAR(191) NOT NULL,
+    `user_id` VARCHAR(191) NOT NULL,
+    `department_id` VARCHAR(191) NULL,
+
+    UNIQUE INDEX `credit_notes_credit_note_number_key`(`credit_note_number`),
+    INDEX `credit_notes_invoice_id_idx`(`invoice_id`),
+    INDEX `credit_notes_user_id_idx`(`user_id`),
+    INDEX `credit_notes_department_id_idx`(`department_id`),
+    INDEX `credit_notes_credit_note_date_idx`(`credit_note_date`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `credit_note_lines` (
+    `id` VARCHAR(191) NOT NULL,
+    `productName` VARCHAR(191) NOT NULL,
+    `serialNumber` VARCHAR(191) NULL,
+    `quantity` INTEGER NOT NULL,
+    `price` DECIMAL(12, 2) NOT NULL,
+    `gst_rate` DECIMAL(5, 2) NOT NULL DEFAULT 0,
+    `taxable_amount` DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    `cgst_amount` DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    `sgst_amount` DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    `igst_amount` DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    `line_total` DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    `credit_note_id` VARCHAR(191) NOT NULL,
+    `product_id` VARCHAR(191) NULL,
+
+    INDEX `credit_note_lines_credit_note_id_idx`(`credit_note_id`),
+    INDEX `credit_note_lines_product_id_idx`(`product_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AlterTable
+ALTER TABLE `edit_requests` ADD COLUMN `credit_note_id` VARCHAR(191) NULL;
+
+-- AlterTable
+ALTER TABLE `document_shares` ADD COLUMN `credit_note_id` VARCHAR(191) NULL;
+
+-- CreateIndex
+CREATE UNIQUE INDEX `edit_requests_credit_note_id_key` ON `edit_requests`(`credit_note_id`);
+CREATE UNIQUE INDEX `document_shares_shared_with_id_credit_note_id_key` ON `document_shares`(`shared_with_id`, `credit_note_id`);
+CREATE INDEX `document_shares_credit_note_id_idx` ON `document_shares`(`credit_note_id`);
+
+-- AddForeignKey
+ALTER TABLE `credit_notes` ADD CONSTRAINT `credit_notes_invoice_id_fkey` FOREIGN KEY (`invoice_id`) REFERENCES `invoices`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `credit_notes` ADD CONSTRAINT `credit_notes_user_id_fkey` FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `credit_notes` ADD CONSTRAINT `credit_notes_department_id_fkey` FOREIGN KEY (`department_id`) REFERENCES `departments`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `credit_note_lines` ADD CONSTRAINT `credit_note_lines_credit_note_id_fkey` FOREIGN KEY (`credit_note_id`) REFERENCES `credit_notes`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `credit_note_lines` ADD CONSTRAINT `credit_note_lines_product_id_fkey` FOREIGN KEY (`product_id`) REFERENCES `products`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `edit_requests` ADD CONSTRAINT `edit_requests_credit_note_id_fkey` FOREIGN KEY (`credit_note_id`) REFERENCES `credit_notes`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `document_shares` ADD CONSTRAINT `document_shares_credit_note_id_fkey` FOREIGN KEY (`credit_note_id`) REFERENCES `credit_notes`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,32 @@
+-- Bulk import jobs (CSV/XLSX imports of invoices, purchase orders and stock register entries).
+-- A dry run keeps its upload until it is committed or expires (`expires_at`).
+
+-- CreateTable
+CREATE TABLE `import_jobs` (
+    `id` VARCHAR(191) NOT NULL,
+    `document_type` ENUM('INVOICE', 'PURCHASE_ORDER', 'STOCK_REGISTER', 'CREDIT_NOTE') NOT NULL,
+    `file_name` VARCHAR(191) NOT NULL,
+    `file_url` VARCHAR(191) NOT NULL,
+    `mapping` JSON NOT NULL,
+    `confirm_duplicates` BOOLEAN NOT NULL DEFAULT false,
+    `status` ENUM('VALIDATED', 'COMMITTED', 'FAILED', 'EXPIRED') NOT NULL,
+    `total_rows` INTEGER NOT NULL DEFAULT 0,
+    `valid_rows` INTEGER NOT NULL DEFAULT 0,
+    `error_rows` INTEGER NOT NULL DEFAULT 0,
+    `imported_rows` INTEGER NOT NULL DEFAULT 0,
+    `report` JSON NOT NULL,
+    `failure_reason` TEXT NULL,
+    `committed_at` DATETIME(3) NULL,
+    `expires_at` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+    `user_id` VARCHAR(191) NOT NULL,
+
+    INDEX `import_jobs_user_id_idx`(`user_id`),
+    INDEX `import_jobs_createdAt_idx`(`createdAt`),
+    INDEX `import_jobs_expires_at_idx`(`expires_at`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `import_jobs` ADD CONSTRAINT `import_jobs_user_id_fkey` FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
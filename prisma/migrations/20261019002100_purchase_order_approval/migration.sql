@@ -0,0 +1,78 @@
+-- Multi-level purchase order approval.
+--
+-- Existing purchase orders count as APPROVED (round 1, no approval chain). The default chain is
+-- seeded: the head of the order's department above 50,000 and the principal (ADMIN role) above
+-- 5,00,000. Change it with PUT /api/purchase-orders/approval-rules.
+
+-- AlterTable
+ALTER TABLE `purchase_orders`
+    ADD COLUMN `status` ENUM('PENDING_APPROVAL', 'APPROVED', 'REJECTED') NOT NULL DEFAULT 'APPROVED',
+    ADD COLUMN `approval_round` INTEGER NOT NULL DEFAULT 1,
+    ADD COLUMN `approval_chain` JSON NULL,
+    ADD COLUMN `approval_level` INTEGER NULL,
+    ADD COLUMN `pending_approver_type` ENUM('DEPARTMENT_HEAD', 'ROLE', 'USER') NULL,
+    ADD COLUMN `pending_approver_role` ENUM('ADMIN', 'USER', 'AUDITOR', 'ACCOUNTANT', 'STORE_KEEPER') NULL,
+    ADD COLUMN `approved_at` DATETIME(3) NULL,
+    ADD COLUMN `pending_approver_id` VARCHAR(191) NULL;
+
+-- Backfill
+UPDATE `purchase_orders` SET `approved_at` = `createdAt`;
+
+-- CreateIndex
+CREATE INDEX `purchase_orders_status_idx` ON `purchase_orders`(`status`);
+CREATE INDEX `purchase_orders_pending_approver_id_idx` ON `purchase_orders`(`pending_approver_id`);
+
+-- CreateTable
+CREATE TABLE `purchase_order_approval_rules` (
+    `id` VARCHAR(191) NOT NULL,
+    `level` INTEGER NOT NULL,
+    `name` VARCHAR(191) NOT NULL,
+    `min_amount` DECIMAL(12, 2) NOT NULL,
+    `approver_type` ENUM('DEPARTMENT_HEAD', 'ROLE', 'USER') NOT NULL,
+    `approver_role` ENUM('ADMIN', 'USER', 'AUDITOR', 'ACCOUNTANT', 'STORE_KEEPER') NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+    `approver_user_id` VARCHAR(191) NULL,
+    `department_id` VARCHAR(191) NULL,
+
+    INDEX `purchase_order_approval_rules_department_id_idx`(`department_id`),
+    INDEX `purchase_order_approval_rules_approver_user_id_idx`(`approver_user_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `purchase_order_approvals` (
+    `id` VARCHAR(191) NOT NULL,
+    `round` INTEGER NOT NULL,
+    `level` INTEGER NULL,
+    `action` ENUM('SUBMITTED', 'APPROVED', 'REJECTED') NOT NULL,
+    `comment` TEXT NULL,
+    `total_amount` DECIMAL(12, 2) NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `purchase_order_id` VARCHAR(191) NOT NULL,
+    `actor_id` VARCHAR(191) NOT NULL,
+
+    INDEX `purchase_order_approvals_purchase_order_id_idx`(`purchase_order_id`),
+    INDEX `purchase_order_approvals_actor_id_idx`(`actor_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- Default approval chain
+INSERT INTO `purchase_order_approval_rules` (`id`, `level`, `name`, `min_amount`, `approver_type`, `approver_role`, `updatedAt`) VALUES
+    (UUID(), 1, 'Head of department', 50000.00, 'DEPARTMENT_HEAD', NULL, CURRENT_TIMESTAMP(3)),
+    (UUID(), 2, 'Principal', 500000.00, 'ROLE', 'ADMIN', CURRENT_TIMESTAMP(3));
+
+-- AddForeignKey
+ALTER TABLE `purchase_orders` ADD CONSTRAINT `purchase_orders_pending_approver_id_fkey` FOREIGN KEY (`pending_approver_id`) REFERENCES `users`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `purchase_order_approval_rules` ADD CONSTRAINT `purchase_order_approval_rules_approver_user_id_fkey` FOREIGN KEY (`approver_user_id`) REFERENCES `users`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `purchase_order_approval_rules` ADD CONSTRAINT `purchase_order_approval_rules_department_id_fkey` FOREIGN KEY (`department_id`) REFERENCES `departments`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `purchase_order_approvals` ADD CONSTRAINT `purchase_order_approvals_purchase_order_id_fkey` FOREIGN KEY (`purchase_order_id`) REFERENCES `purchase_orders`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `purchase_order_approvals` ADD CONSTRAINT `purchase_order_approvals_actor_id_fkey` FOREIGN KEY (`actor_id`) REFERENCES `users`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,51 @@
+-- Goods receipts against purchase order items and the derived fulfilment status.
+--
+-- Existing purchase orders have no receipts: they start OPEN with nothing received on their items.
+
+-- AlterTable
+ALTER TABLE `purchase_orders`
+    ADD COLUMN `fulfilment_status` ENUM('OPEN', 'PARTIALLY_RECEIVED', 'FULLY_RECEIVED', 'CLOSED') NOT NULL DEFAULT 'OPEN',
+    ADD COLUMN `closed_at` DATETIME(3) NULL,
+    ADD COLUMN `close_reason` TEXT NULL,
+    ADD COLUMN `closed_by_id` VARCHAR(191) NULL;
+
+-- AlterTable
+ALTER TABLE `items` ADD COLUMN `received_quantity` INTEGER NOT NULL DEFAULT 0;
+
+-- CreateIndex
+CREATE INDEX `purchase_orders_fulfilment_status_idx` ON `purchase_orders`(`fulfilment_status`);
+
+-- CreateTable
+CREATE TABLE `goods_receipts` (
+    `id` VARCHAR(191) NOT NULL,
+    `quantity` INTEGER NOT NULL,
+    `received_at` DATETIME(3) NOT NULL,
+    `note` TEXT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `purchase_order_id` VARCHAR(191) NOT NULL,
+    `purchase_order_item_id` VARCHAR(191) NOT NULL,
+    `received_by_id` VARCHAR(191) NOT NULL,
+    `stock_register_id` VARCHAR(191) NULL,
+
+    UNIQUE INDEX `goods_receipts_stock_register_id_key`(`stock_register_id`),
+    INDEX `goods_receipts_purchase_order_id_idx`(`purchase_order_id`),
+    INDEX `goods_receipts_purchase_order_item_id_idx`(`purchase_order_item_id`),
+    INDEX `goods_receipts_received_by_id_idx`(`received_by_id`),
+    INDEX `goods_receipts_received_at_idx`(`received_at`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `purchase_orders` ADD CONSTRAINT `purchase_orders_closed_by_id_fkey` FOREIGN KEY (`closed_by_id`) REFERENCES `users`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `goods_receipts` ADD CONSTRAINT `goods_receipts_purchase_order_id_fkey` FOREIGN KEY (`purchase_order_id`) REFERENCES `purchase_orders`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `goods_receipts` ADD CONSTRAINT `goods_receipts_purchase_order_item_id_fkey` FOREIGN KEY (`purchase_order_item_id`) REFERENCES `items`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `goods_receipts` ADD CONSTRAINT `goods_receipts_received_by_id_fkey` FOREIGN KEY (`received_by_id`) REFERENCES `users`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `goods_receipts` ADD CONSTRAINT `goods_receipts_stock_register_id_fkey` FOREIGN KEY (`stock_register_id`) REFERENCES `stock_register_entries`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,19 @@
+-- GSTIN validation on purchase orders: the vendor's state from the GSTIN and the supply type (IGST or CGST + SGST).
+--
+-- Existing GSTINs are trimmed and upper-cased, blank ones cleared. Those in GSTIN format get their state code;
+-- their check character is not verified here (GET /api/purchase-orders/vendor-gstins reports invalid ones).
+-- The supply type depends on GST_HOME_STATE_CODE; the server sets it from the state code on startup.
+
+-- AlterTable
+ALTER TABLE `purchase_orders`
+    ADD COLUMN `gst_state_code` VARCHAR(2) NULL,
+    ADD COLUMN `is_inter_state` BOOLEAN NULL;
+
+-- Backfill
+UPDATE `purchase_orders` SET `gst_number` = NULL WHERE TRIM(`gst_number`) = '';
+UPDATE `purchase_orders` SET `gst_number` = UPPER(TRIM(`gst_number`)) WHERE `gst_number` IS NOT NULL;
+UPDATE `purchase_orders` SET `gst_state_code` = LEFT(`gst_number`, 2)
+    WHERE `gst_number` REGEXP '^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$';
+
+-- CreateIndex
+CREATE INDEX `purchase_orders_gst_number_idx` ON `purchase_orders`(`gst_number`);
@@ -0,0 +1,34 @@
+-- Configurable document number series per financial year, with one counter per filled-in pattern.
+--
+-- Credit notes get the series CN-{FY}-{SEQ:0000} (e.g. CN-2026-27-0001). Numbers already issued (CN-2026-0007)
+-- keep their format. Invoices, purchase orders and stock register entries keep manual IDs until a series is set.
+
+-- CreateTable
+CREATE TABLE `number_series` (
+    `id` VARCHAR(191) NOT NULL,
+    `document_type` ENUM('INVOICE', 'PURCHASE_ORDER', 'STOCK_REGISTER', 'CREDIT_NOTE') NOT NULL,
+    `pattern` VARCHAR(191) NOT NULL,
+    `is_active` BOOLEAN NOT NULL DEFAULT true,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `number_series_document_type_key`(`document_type`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `number_series_counters` (
+    `id` VARCHAR(191) NOT NULL,
+    `document_type` ENUM('INVOICE', 'PURCHASE_ORDER', 'STOCK_REGISTER', 'CREDIT_NOTE') NOT NULL,
+    `prefix` VARCHAR(191) NOT NULL,
+    `last_value` INTEGER NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `number_series_counters_document_type_prefix_key`(`document_type`, `prefix`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- Seed
+INSERT INTO `number_series` (`id`, `document_type`, `pattern`, `is_active`, `updatedAt`)
+VALUES (UUID(), 'CREDIT_NOTE', 'CN-{FY}-{SEQ:0000}', true, CURRENT_TIMESTAMP(3));
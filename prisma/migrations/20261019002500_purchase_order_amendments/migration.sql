@@ -0,0 +1,58 @@
+-- Purchase order amendments: changes to orders sent to the vendor, approved before they are applied as a new
+-- revision, with a snapshot of each previous revision.
+--
+-- Existing orders are at Rev 0 and not marked as sent; they keep accepting edits until they are sent.
+
+-- AlterTable
+ALTER TABLE `purchase_orders`
+    ADD COLUMN `revision` INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN `sent_at` DATETIME(3) NULL,
+    ADD COLUMN `sent_revision` INTEGER NULL,
+    ADD COLUMN `sent_by_id` VARCHAR(191) NULL;
+
+-- CreateTable
+CREATE TABLE `purchase_order_amendments` (
+    `id` VARCHAR(191) NOT NULL,
+    `status` ENUM('PENDING_APPROVAL', 'APPROVED', 'REJECTED') NOT NULL DEFAULT 'PENDING_APPROVAL',
+    `reason` TEXT NOT NULL,
+    `base_revision` INTEGER NOT NULL,
+    `revision` INTEGER NULL,
+    `changes` JSON NOT NULL,
+    `proposed` JSON NOT NULL,
+    `snapshot` JSON NULL,
+    `total_amount` DECIMAL(12, 2) NOT NULL,
+    `approval_round` INTEGER NOT NULL,
+    `approval_chain` JSON NOT NULL,
+    `approval_level` INTEGER NULL,
+    `pending_approver_type` ENUM('DEPARTMENT_HEAD', 'ROLE', 'USER') NULL,
+    `pending_approver_role` ENUM('ADMIN', 'USER', 'AUDITOR', 'ACCOUNTANT', 'STORE_KEEPER') NULL,
+    `approved_at` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+    `purchase_order_id` VARCHAR(191) NOT NULL,
+    `amended_by_id` VARCHAR(191) NOT NULL,
+    `approved_by_id` VARCHAR(191) NULL,
+    `pending_approver_id` VARCHAR(191) NULL,
+
+    INDEX `purchase_order_amendments_status_idx`(`status`),
+    INDEX `purchase_order_amendments_amended_by_id_idx`(`amended_by_id`),
+    INDEX `purchase_order_amendments_approved_by_id_idx`(`approved_by_id`),
+    INDEX `purchase_order_amendments_pending_approver_id_idx`(`pending_approver_id`),
+    UNIQUE INDEX `purchase_order_amendments_purchase_order_id_revision_key`(`purchase_order_id`, `revision`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `purchase_orders` ADD CONSTRAINT `purchase_orders_sent_by_id_fkey` FOREIGN KEY (`sent_by_id`) REFERENCES `users`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `purchase_order_amendments` ADD CONSTRAINT `purchase_order_amendments_purchase_order_id_fkey` FOREIGN KEY (`purchase_order_id`) REFERENCES `purchase_orders`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `purchase_order_amendments` ADD CONSTRAINT `purchase_order_amendments_amended_by_id_fkey` FOREIGN KEY (`amended_by_id`) REFERENCES `users`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `purchase_order_amendments` ADD CONSTRAINT `purchase_order_amendments_approved_by_id_fkey` FOREIGN KEY (`approved_by_id`) REFERENCES `users`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `purchase_order_amendments` ADD CONSTRAINT `purchase_order_amendments_pending_approver_id_fkey` FOREIGN KEY (`pending_approver_id`) REFERENCES `users`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,138 @@
+// src/controller/assetController.js
+import { PrismaClient } from '@prisma/client';
+import { documentScopeFilter } from '../utils/permissions.js';
+import { withWarrantyStatus } from '../utils/warranty.js';
+
+const prisma = new PrismaClient();
+
+const INVOICE_SELECT = {
+  id: true, purchaseDate: true, companyName: true, orderOrSerialNumber: true, status: true,
+  vendorName: true, contactNumber: true, address: true, purchaseOrderId: true,
+  user: { select: { id: true, username: true } }
+};
+const PURCHASE_ORDER_SELECT = { id: true, purchaseOrderNumber: true, orderDate: true, vendorName: true, totalAmount: true };
+const STOCK_SELECT = {
+  id: true, articleName: true, entryDate: true, billingDate: true, serialNumber: true, invoiceId: true,
+  voucherOrBillNumber: true, receiptNumber: true, pageNumber: true, totalRate: true
+};
+
+/**
+ * Asset lookup by exact serial number: every product line carrying it with its invoice, vendor and warranty
+ * status, the purchase order (linked on the invoice, else matched by the invoice's order number) and stock
+ * register entries (linked to the invoice or recording the serial). A serial on more than one product line
+ * of the invoices the caller can see is flagged as a probable duplicate.
+ */
+export const lookupAsset = async (req, res) => {
+  const serialNumber = String(req.params.serialNumber || '').trim();
+  if (!serialNumber) {
+    return res.status(400).json({ message: 'Serial number is required' });
+  }
+
+  const invoiceScope = documentScopeFilter(req.user, 'invoice'); // Route ensures invoice read permission
+  const purchaseOrderScope = documentScopeFilter(req.user, 'purchaseOrder');
+  const stockScope = documentScopeFilter(req.user, 'stockRegister');
+
+  try {
+    const productLines = await prisma.product.findMany({
+      where: { serialNumber, invoice: invoiceScope },
+      include: { invoice: { select: INVOICE_SELECT } },
+      orderBy: { createdAt: 'asc' }
+    });
+    const invoices = productLines.map(line => line.invoice);
+    const invoiceIds = invoices.map(invoice => invoice.id);
+
+    // Types the caller may not read are left out
+    const [purchaseOrders, stockEntries] = await Promise.all([
+      !purchaseOrderScope ? [] : prisma.purchaseOrder.findMany({
+        where: {
+          AND: [purchaseOrderScope, {
+            OR: [
+              { id: { in: invoices.map(invoice => invoice.purchaseOrderId).filter(Boolean) } },
+              { purchaseOrderNumber: { in: invoices.map(invoice => invoice.orderOrSerialNumber).filter(Boolean) } }
+            ]
+          }]
+        },
+        select: PURCHASE_ORDER_SELECT
+      }),
+      !stockScope ? [] : prisma.stockRegister.findMany({
+        where: {
+          AND: [stockScope, {
+            OR: [
+              { serialNumber },
+              { invoiceId: { in: invoiceIds }, serialNumber: null } // Entries for a whole invoice
+            ]
+          }]
+        },
+        select: STOCK_SELECT,
+        orderBy: { entryDate: 'asc' }
+      })
+    ]);
+
+    const assets = productLines.map(({ invoice, ...productLine }) => {
+      const { vendorName, contactNumber, address, user, ...invoiceData } = invoice;
+      const linkedOrder = purchaseOrders.find(order => order.id === invoice.purchaseOrderId);
+      const matchedOrder = linkedOrder || purchaseOrders.find(order => order.purchaseOrderNumber === invoice.orderOrSerialNumber);
+      return {
+        productLine: withWarrantyStatus(productLine),
+        invoice: { ...invoiceData, owner: user },
+        vendor: { name: vendorName, contactNumber, address },
+        purchaseOrder: matchedOrder || null,
+        purchaseOrderMatchedBy: linkedOrder ? 'link' : matchedOrder ? 'orderNumber' : null,
+        stockEntries: stockEntries.filter(entry => entry.invoiceId === invoice.id)
+      };
+    });
+
+    res.json({
+      serialNumber,
+      found: assets.length > 0,
+      isProbableDuplicate: productLines.length > 1,
+      productLineCount: productLines.length,
+      assets,
+      otherStockEntries: stockEntries.filter(entry => !invoiceIds.includes(entry.invoiceId)) // Record the serial, not linked to these invoices
+    });
+
+  } catch (error) {
+    console.error('Asset Lookup Error:', error);
+    res.status(500).json({ message: 'Server Error looking up asset' });
+  }
+};
+
+// Serial numbers on more than one product line among the invoices visible to the caller
+export const getDuplicateSerialNumbers = async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+  const pageNum = parseInt(page, 10);
+  const limitNum = parseInt(limit, 10);
+  if (isNaN(pageNum) || pageNum < 1 || isNaN(limitNum) || limitNum < 1) {
+    return res.status(400).json({ message: 'Invalid pagination parameters.' });
+  }
+
+  const groupBy = {
+    by: ['serialNumber'],
+    where: { serialNumber: { not: null }, NOT: { serialNumber: '' }, invoice: documentScopeFilter(req.user, 'invoice') },
+    having: { serialNumber: { _count: { gt: 1 } } }
+  };
+
+  try {
+    const [duplicates, allDuplicates] = await Promise.all([
+      prisma.product.groupBy({
+        ...groupBy,
+        _count: { _all: true },
+        orderBy: { serialNumber: 'asc' },
+        skip: (pageNum - 1) * limitNum,
+        take: limitNum
+      }),
+      prisma.product.groupBy(groupBy) // Serial numbers only, for the totals
+    ]);
+
+    res.json({
+      results: duplicates.map(group => ({ serialNumber: group.serialNumber, productLineCount: group._count._all })),
+      totalPages: Math.ceil(allDuplicates.length / limitNum),
+      currentPage: pageNum,
+      totalResults: allDuplicates.length
+    });
+
+  } catch (error) {
+    console.error('Duplicate Serial Numbers Error:', error);
+    res.status(500).json({ message: 'Server Error retrieving duplicate serial numbers' });
+  }
+};
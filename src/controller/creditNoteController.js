@@ -0,0 +1,387 @@
+// src/controller/creditNoteController.js
+import { PrismaClient } from '@prisma/client';
+import fs from 'fs';
+import { createEditRequest } from './editRequestController.js';
+import { documentScopeFilter, canAccessDocument, userSharesSelect } from '../utils/permissions.js';
+import { Decimal, formatMoney } from '../utils/money.js';
+import {
+  CREDITABLE_INVOICE_STATUSES, calculateCreditNoteLines, creditedQuantitiesOf
+} from '../utils/creditNotes.js';
+import { withDocumentNumber, retryNumbering } from '../utils/numberSeries.js';
+
+const prisma = new PrismaClient();
+
+const CREDIT_NOTE_INCLUDE = {
+  user: { select: { id: true, username: true } },
+  invoice: { select: { id: true, vendorName: true, status: true, totalAmount: true, creditedAmount: true, outstandingAmount: true } },
+  lines: true
+};
+
+// Utility for safe file deletion
+const safeUnlink = (filePath) => {
+  if (filePath) {
+    fs.unlink(filePath, (err) => {
+      if (err && err.code !== 'ENOENT') {
+        console.error(`Error deleting file (${filePath}):`, err);
+      }
+    });
+  }
+};
+
+// Lines arrive as a JSON string with multipart uploads
+const parseLines = (lines) => {
+  try {
+    return typeof lines === 'string' ? JSON.parse(lines) : lines;
+  } catch {
+    throw Object.assign(new Error('Invalid lines format'), { status: 400, field: 'lines' });
+  }
+};
+
+/**
+ * Loads the invoice a credit note is issued against with its lines and the quantities other credit notes
+ * (all but `excludeCreditNoteId`) already credited. Throws 404 when the caller cannot read the invoice.
+ */
+const loadCreditableInvoice = async (user, invoiceId, excludeCreditNoteId) => {
+  const invoice = invoiceId && await prisma.invoice.findUnique({
+    where: { id: invoiceId },
+    select: {
+      id: true, userId: true, departmentId: true, status: true, isInterState: true,
+      creditedAmount: true, outstandingAmount: true,
+      products: { select: { id: true, productName: true, serialNumber: true, quantity: true, price: true, gstRate: true, taxableAmount: true } },
+      ...userSharesSelect(user)
+    }
+  });
+  if (!invoice || !canAccessDocument(user, 'invoice', 'read', invoice)) {
+    throw Object.assign(new Error(`Invoice ${invoiceId} not found`), { status: 404, field: 'invoiceId' });
+  }
+
+  const creditedLines = await prisma.creditNoteLine.findMany({
+    where: { creditNote: { invoiceId: invoice.id, ...(excludeCreditNoteId ? { id: { not: excludeCreditNoteId } } : {}) } },
+    select: { productId: true, quantity: true }
+  });
+  return { invoice, creditedQuantities: creditedQuantitiesOf(creditedLines) };
+};
+
+/** Throws a 409 unless credit notes can be issued or changed against the invoice in its current status. */
+const checkInvoiceCreditable = (invoice) => {
+  if (!CREDITABLE_INVOICE_STATUSES.includes(invoice.status)) {
+    throw Object.assign(new Error(`Credit notes cannot be issued against a ${invoice.status} invoice`), { status: 409, field: 'invoiceId' });
+  }
+};
+
+/**
+ * Adds `amount` (negative to reverse) to the invoice's credited amount and lowers its outstanding balance.
+ * A VERIFIED invoice with nothing left to pay becomes PAID, a PAID one owing again goes back to VERIFIED.
+ * Conditional on the balance read earlier so concurrent payments or credit notes cannot be lost.
+ */
+const applyInvoiceCredit = async (tx, invoice, amount, statusNote) => {
+  const outstandingAmount = new Decimal(invoice.outstandingAmount).minus(amount);
+  let status;
+  if (invoice.status === 'VERIFIED' && outstandingAmount.lessThanOrEqualTo(0)) status = 'PAID';
+  if (invoice.status === 'PAID' && outstandingAmount.greaterThan(0)) status = 'VERIFIED';
+
+  const { count } = await tx.invoice.updateMany({
+    where: { id: invoice.id, status: invoice.status, creditedAmount: invoice.creditedAmount, outstandingAmount: invoice.outstandingAmount },
+    data: {
+      creditedAmount: { increment: amount },
+      outstandingAmount: { decrement: amount },
+      ...(status ? { status, statusChangedAt: new Date(), statusNote } : {})
+    }
+  });
+  if (count === 0) {
+    throw Object.assign(new Error('Invoice balance or status changed in the meantime; reload and try again'), { status: 409, field: 'invoiceId' });
+  }
+};
+
+// Create a credit note for goods returned against an invoice; reduces the invoice's outstanding balance
+export const createCreditNote = async (req, res) => {
+  try {
+    const {
+      id, // Optional; defaults to the generated credit note number
+      invoiceId,
+      creditNoteDate,
+      reason,
+      vendorReference, // Optional; the vendor's credit note number
+      lines // [{ productId, quantity }] of invoice lines returned
+    } = req.body;
+
+    // Basic Validations
+    if (!invoiceId || !reason || !lines) {
+      safeUnlink(req.file?.path);
+      return res.status(400).json({ message: 'Missing required fields (invoiceId, reason, lines)' });
+    }
+    const issuedOn = creditNoteDate ? new Date(creditNoteDate) : new Date();
+    if (isNaN(issuedOn.getTime())) {
+      safeUnlink(req.file?.path);
+      return res.status(400).json({ message: 'creditNoteDate must be a valid date' });
+    }
+
+    // Check for existing ID
+    const existingCreditNote = id && await prisma.creditNote.findUnique({ where: { id }, select: { id: true } });
+    if (existingCreditNote) {
+      safeUnlink(req.file?.path);
+      return res.status(400).json({ message: 'A credit note with this ID already exists. Please use a unique ID.' });
+    }
+
+    const { invoice, creditedQuantities } = await loadCreditableInvoice(req.user, invoiceId);
+    checkInvoiceCreditable(invoice);
+
+    const { errors, lines: creditLines, totals } = calculateCreditNoteLines(invoice, parseLines(lines), creditedQuantities);
+    if (errors.length > 0) {
+      safeUnlink(req.file?.path);
+      return res.status(400).json({ message: errors[0].message, errors });
+    }
+
+    const creditNoteFileUrl = req.file ? req.file.path.replace(/\\/g, '/') : null;
+
+    const creditNote = await retryNumbering(() => prisma.$transaction(async (tx) => {
+      const created = await tx.creditNote.create({
+        data: await withDocumentNumber(tx, 'CREDIT_NOTE', { // Credit note number of the series
+          id,
+          creditNoteDate: issuedOn,
+          vendorReference: vendorReference || null,
+          reason,
+          ...totals,
+          creditNoteFileUrl,
+          invoiceId: invoice.id,
+          userId: req.user.id, // from auth middleware
+          departmentId: req.user.departmentId || null, // Department at creation time; later moves do not change it
+          lines: { create: creditLines }
+        }),
+        include: CREDIT_NOTE_INCLUDE
+      });
+      await applyInvoiceCredit(tx, invoice, totals.totalAmount, `Settled by credit note ${created.creditNoteNumber}`);
+      return created;
+    }));
+
+    const updatedInvoice = await prisma.invoice.findUnique({ where: { id: invoice.id }, select: CREDIT_NOTE_INCLUDE.invoice.select });
+    res.status(201).json({ ...creditNote, invoice: updatedInvoice });
+
+  } catch (error) {
+    safeUnlink(req.file?.path);
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message, errors: [{ field: error.field, message: error.message }] });
+    }
+    console.error('Create Credit Note Error:', error);
+    if (error.code === 'P2002') {
+      return res.status(409).json({ message: 'Credit note creation failed: ID already exists.' });
+    }
+    res.status(500).json({ message: 'Server Error creating credit note', error: error.message });
+  }
+};
+
+// Get all credit notes the caller may read, optionally of one invoice (?invoiceId=)
+export const getAllCreditNotes = async (req, res) => {
+  const { page = 1, limit = 10, sortBy = 'createdAt', sortOrder = 'desc', invoiceId } = req.query;
+
+  const pageNum = parseInt(page, 10);
+  const limitNum = parseInt(limit, 10);
+
+  if (isNaN(pageNum) || pageNum < 1 || isNaN(limitNum) || limitNum < 1) {
+    return res.status(400).json({ message: 'Invalid pagination parameters.' });
+  }
+  const skip = (pageNum - 1) * limitNum;
+
+  // Determine filter based on read permission
+  const scope = documentScopeFilter(req.user, 'creditNote'); // read:any sees all, otherwise own and/or department documents
+  const where = invoiceId ? { AND: [scope, { invoiceId }] } : scope;
+
+  // Build sorting
+  const orderByField = ['creditNoteNumber', 'creditNoteDate', 'totalAmount', 'createdAt', 'updatedAt'].includes(sortBy) ? sortBy : 'createdAt';
+  const orderDirection = ['asc', 'desc'].includes(sortOrder.toLowerCase()) ? sortOrder.toLowerCase() : 'desc';
+
+  try {
+    const [creditNotes, total] = await Promise.all([
+      prisma.creditNote.findMany({
+        where,
+        include: {
+          user: { select: { id: true, username: true } },
+          invoice: { select: { id: true, vendorName: true } }
+        },
+        orderBy: { [orderByField]: orderDirection },
+        skip,
+        take: limitNum
+      }),
+      prisma.creditNote.count({ where })
+    ]);
+
+    res.json({
+      creditNotes,
+      totalPages: Math.ceil(total / limitNum),
+      currentPage: pageNum,
+      totalCreditNotes: total
+    });
+
+  } catch (error) {
+    console.error('Get All Credit Notes Error:', error);
+    res.status(500).json({ message: 'Server Error retrieving credit notes' });
+  }
+};
+
+// Get credit note by ID with its lines and the invoice balance
+export const getCreditNoteById = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const creditNote = await prisma.creditNote.findUnique({
+      where: { id },
+      include: {
+        ...CREDIT_NOTE_INCLUDE,
+        ...userSharesSelect(req.user) // The caller's active share, if any
+      }
+    });
+
+    if (!creditNote) {
+      return res.status(404).json({ message: 'Credit note not found' });
+    }
+
+    // Authorization check: read:any, read:own for the owner, department visibility or a share
+    if (!canAccessDocument(req.user, 'creditNote', 'read', creditNote)) {
+      return res.status(403).json({ message: 'Not authorized to view this credit note' });
+    }
+
+    const { shares, ...creditNoteData } = creditNote;
+    res.json({ ...creditNoteData, sharedAccess: shares[0]?.accessLevel || null }); // VIEW/EDIT when reached through a share
+
+  } catch (error) {
+    console.error('Get Credit Note By ID Error:', error);
+    res.status(500).json({ message: 'Server Error retrieving credit note' });
+  }
+};
+
+// Update credit note; new lines replace the old ones and move the invoice balance by the difference
+export const updateCreditNote = async (req, res) => {
+  // Permission checked by `canEdit` middleware
+  const { id } = req.params;
+  const {
+    creditNoteDate,
+    reason,
+    vendorReference, // Optional; keeps the current value when omitted
+    lines // Optional; keeps the current lines when omitted
+  } = req.body;
+
+  // Basic Validations
+  if (!reason) {
+    safeUnlink(req.file?.path);
+    return res.status(400).json({ message: 'Missing required fields for update (reason)' });
+  }
+  const issuedOn = creditNoteDate ? new Date(creditNoteDate) : undefined;
+  if (issuedOn && isNaN(issuedOn.getTime())) {
+    safeUnlink(req.file?.path);
+    return res.status(400).json({ message: 'creditNoteDate must be a valid date' });
+  }
+
+  try {
+    const existingCreditNote = await prisma.creditNote.findUnique({
+      where: { id },
+      select: { invoiceId: true, creditNoteNumber: true, totalAmount: true, creditNoteFileUrl: true }
+    });
+    if (!existingCreditNote) {
+      safeUnlink(req.file?.path);
+      return res.status(404).json({ message: 'Credit note not found for update' });
+    }
+    const oldFileUrl = existingCreditNote.creditNoteFileUrl;
+
+    const updateData = {
+      creditNoteDate: issuedOn,
+      reason,
+      vendorReference: vendorReference === undefined ? undefined : (vendorReference || null),
+      creditNoteFileUrl: req.file ? req.file.path.replace(/\\/g, '/') : undefined
+    };
+
+    let updatedCreditNote;
+    if (lines === undefined) {
+      updatedCreditNote = await prisma.creditNote.update({ where: { id }, data: updateData, include: CREDIT_NOTE_INCLUDE });
+    } else {
+      const { invoice, creditedQuantities } = await loadCreditableInvoice(req.user, existingCreditNote.invoiceId, id);
+      checkInvoiceCreditable(invoice);
+
+      const { errors, lines: creditLines, totals } = calculateCreditNoteLines(invoice, parseLines(lines), creditedQuantities);
+      if (errors.length > 0) {
+        safeUnlink(req.file?.path);
+        return res.status(400).json({ message: errors[0].message, errors });
+      }
+
+      updatedCreditNote = await prisma.$transaction(async (tx) => {
+        const updated = await tx.creditNote.update({
+          where: { id },
+          data: { ...updateData, ...totals, lines: { deleteMany: {}, create: creditLines } },
+          include: CREDIT_NOTE_INCLUDE
+        });
+        const difference = totals.totalAmount.minus(existingCreditNote.totalAmount);
+        if (!difference.isZero()) {
+          await applyInvoiceCredit(tx, invoice, difference, `Credit note ${existingCreditNote.creditNoteNumber} changed`);
+        }
+        return updated;
+      });
+      updatedCreditNote.invoice = await prisma.invoice.findUnique({ where: { id: invoice.id }, select: CREDIT_NOTE_INCLUDE.invoice.select });
+    }
+
+    // Delete old file if replaced successfully
+    if (req.file && oldFileUrl) {
+      safeUnlink(oldFileUrl);
+    }
+
+    res.json(updatedCreditNote);
+
+  } catch (error) {
+    if (req.file) safeUnlink(req.file.path); // Clean up new file on error
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message, errors: [{ field: error.field, message: error.message }] });
+    }
+    console.error('Update Credit Note Error:', error);
+    res.status(500).json({ message: 'Server Error updating credit note', error: error.message });
+  }
+};
+
+// Delete credit note; its amount is owed on the invoice again
+export const deleteCreditNote = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const creditNote = await prisma.creditNote.findUnique({
+      where: { id },
+      select: {
+        userId: true, creditNoteNumber: true, totalAmount: true, creditNoteFileUrl: true,
+        invoice: { select: { id: true, status: true, creditedAmount: true, outstandingAmount: true } }
+      }
+    });
+
+    if (!creditNote) {
+      return res.status(404).json({ message: 'Credit note not found' });
+    }
+
+    // Authorization: delete:any, or delete:own for the owner
+    if (!canAccessDocument(req.user, 'creditNote', 'delete', creditNote)) {
+      return res.status(403).json({ message: 'Not authorized to delete this credit note' });
+    }
+
+    // Lines and edit requests cascade
+    await prisma.$transaction(async (tx) => {
+      await tx.creditNote.delete({ where: { id } });
+      await applyInvoiceCredit(
+        tx, creditNote.invoice, new Decimal(creditNote.totalAmount).negated(), `Credit note ${creditNote.creditNoteNumber} deleted`
+      );
+    });
+
+    safeUnlink(creditNote.creditNoteFileUrl);
+
+    res.status(200).json({
+      message: `Credit note deleted; ${formatMoney(creditNote.totalAmount)} is owed on invoice ${creditNote.invoice.id} again`
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Delete Credit Note Error:', error);
+    res.status(500).json({ message: 'Server Error deleting credit note', error: error.message });
+  }
+};
+
+// Request edit permission for this credit note
+export const requestEditPermission = async (req, res) => {
+  req.params.documentType = 'creditNote';
+  // Delegate to shared controller logic
+  createEditRequest(req, res);
+};
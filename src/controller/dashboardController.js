@@ -1,11 +1,12 @@
 // src/controller/dashboardController.js
 import { PrismaClient } from '@prisma/client';
+import { documentScopeFilter, editRequestScopeFilter } from '../utils/permissions.js';
 
 const prisma = new PrismaClient();
 
 /**
  * Fetches summary counts for the dashboard.
- * Adjusts counts based on user role (Admin sees all, User sees own).
+ * Adjusts counts based on the user's permissions (read:any sees all, read:own sees own).
  */
 export const getDashboardSummary = async (req, res) => {
     const userId = req.user.id;
@@ -13,37 +14,35 @@ export const getDashboardSummary = async (req, res) => {
     console.log(`Fetching dashboard summary for user ${userId} (Role: ${userRole})`);
 
     try {
-        let invoiceWhere = {};
-        let poWhere = {};
-        let stockWhere = {};
-        const editRequestWhere = { status: 'PENDING' };
-
-        if (userRole !== 'ADMIN') {
-            const userOwnedFilter = { userId: userId };
-            invoiceWhere = { ...invoiceWhere, ...userOwnedFilter };
-            poWhere = { ...poWhere, ...userOwnedFilter };
-            stockWhere = { ...stockWhere, ...userOwnedFilter };
-        }
+        // null = the user may not read this document type; its count is reported as 0
+        const invoiceWhere = documentScopeFilter(req.user, 'invoice');
+        const poWhere = documentScopeFilter(req.user, 'purchaseOrder');
+        const stockWhere = documentScopeFilter(req.user, 'stockRegister');
+        const creditNoteWhere = documentScopeFilter(req.user, 'creditNote');
+        const editRequestScope = editRequestScopeFilter(req.user, 'read'); // Department heads count their departments only
 
         const [
             totalInvoices,
             totalPurchaseOrders,
             totalStockEntries,
+            totalCreditNotes,
             pendingEditRequests // Fetch count conditionally
-        ] = await prisma.$transaction([
-            prisma.invoice.count({ where: invoiceWhere }),
-            prisma.purchaseOrder.count({ where: poWhere }),
-            prisma.stockRegister.count({ where: stockWhere }),
-            userRole === 'ADMIN'
-                ? prisma.editRequest.count({ where: editRequestWhere })
-                : Promise.resolve(0) // Resolve to 0 if not admin
+        ] = await Promise.all([ // Not a $transaction: it only accepts Prisma queries, not Promise.resolve(0)
+            invoiceWhere ? prisma.invoice.count({ where: invoiceWhere }) : Promise.resolve(0),
+            poWhere ? prisma.purchaseOrder.count({ where: poWhere }) : Promise.resolve(0),
+            stockWhere ? prisma.stockRegister.count({ where: stockWhere }) : Promise.resolve(0),
+            creditNoteWhere ? prisma.creditNote.count({ where: creditNoteWhere }) : Promise.resolve(0),
+            editRequestScope
+                ? prisma.editRequest.count({ where: { ...editRequestScope, status: 'PENDING' } })
+                : Promise.resolve(0) // Resolve to 0 without edit request access
         ]);
 
         const summaryData = {
             totalInvoices,
             totalPurchaseOrders,
             totalStockEntries,
-            pendingEditRequests // Will be 0 for non-admins
+            totalCreditNotes,
+            pendingEditRequests // Will be 0 without edit request access
         };
 
         console.log("Dashboard summary data:", summaryData);
@@ -0,0 +1,252 @@
+// src/controller/departmentController.js
+import { PrismaClient } from '@prisma/client';
+import { refreshSockets } from '../middleware/socketAuth.js';
+import { userRoom } from '../utils/socketRooms.js';
+
+const prisma = new PrismaClient();
+
+const DEPARTMENT_SELECT = {
+  id: true,
+  name: true,
+  code: true,
+  description: true,
+  head: { select: { id: true, username: true } },
+  createdAt: true,
+  updatedAt: true,
+  _count: { select: { members: true } }
+};
+
+// Validates a headUserId from the request body; returns an error message or null (null/undefined clear or keep the head)
+const validateHead = async (headUserId) => {
+  if (headUserId === undefined || headUserId === null) return null;
+  const user = await prisma.user.findUnique({ where: { id: headUserId }, select: { isActive: true, isServiceAccount: true } });
+  if (!user) return 'Head user not found';
+  if (!user.isActive) return 'Head user is deactivated';
+  if (user.isServiceAccount) return 'Service accounts cannot head a department';
+  return null;
+};
+
+// Heads are in their department's socket room, so move the sockets of users whose headship changed
+const refreshHeads = (...userIds) => {
+  for (const userId of new Set(userIds.filter(Boolean))) refreshSockets(userRoom(userId));
+};
+
+// List departments (any authenticated user)
+export const getDepartments = async (req, res) => {
+  try {
+    const departments = await prisma.department.findMany({
+      select: DEPARTMENT_SELECT,
+      orderBy: { name: 'asc' }
+    });
+
+    res.json({ departments });
+
+  } catch (error) {
+    console.error('Get Departments Error:', error);
+    res.status(500).json({ message: 'Server Error retrieving departments' });
+  }
+};
+
+// Get a department with its members (any authenticated user)
+export const getDepartmentById = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const department = await prisma.department.findUnique({
+      where: { id },
+      select: {
+        ...DEPARTMENT_SELECT,
+        members: {
+          where: { archivedAt: null },
+          select: { id: true, username: true, role: true, isActive: true },
+          orderBy: { username: 'asc' }
+        }
+      }
+    });
+
+    if (!department) {
+      return res.status(404).json({ message: 'Department not found' });
+    }
+
+    res.json(department);
+
+  } catch (error) {
+    console.error('Get Department By ID Error:', error);
+    res.status(500).json({ message: 'Server Error retrieving department' });
+  }
+};
+
+// Create a department, optionally with its head (requires department:manage)
+export const createDepartment = async (req, res) => {
+  const { name, code, description, headUserId } = req.body;
+
+  if (!name || !String(name).trim()) {
+    return res.status(400).json({ message: 'Department name is required' });
+  }
+
+  try {
+    const headError = await validateHead(headUserId);
+    if (headError) {
+      return res.status(400).json({ message: headError });
+    }
+
+    const department = await prisma.department.create({
+      data: {
+        name: String(name).trim(),
+        code: code ? String(code).trim().toUpperCase() : null,
+        description: description || null,
+        headUserId: headUserId || null
+      },
+      select: DEPARTMENT_SELECT
+    });
+    refreshHeads(headUserId);
+
+    res.status(201).json(department);
+
+  } catch (error) {
+    console.error('Create Department Error:', error);
+    if (error.code === 'P2002') {
+      return res.status(400).json({ message: 'A department with this name or code already exists' });
+    }
+    res.status(500).json({ message: 'Server Error creating department' });
+  }
+};
+
+// Update name, code, description or head (headUserId: null removes the head) (requires department:manage)
+export const updateDepartment = async (req, res) => {
+  const { id } = req.params;
+  const { name, code, description, headUserId } = req.body;
+
+  if (name !== undefined && !String(name).trim()) {
+    return res.status(400).json({ message: 'Department name cannot be empty' });
+  }
+
+  try {
+    const existing = await prisma.department.findUnique({ where: { id }, select: { headUserId: true } });
+    if (!existing) {
+      return res.status(404).json({ message: 'Department not found' });
+    }
+    const headError = await validateHead(headUserId);
+    if (headError) {
+      return res.status(400).json({ message: headError });
+    }
+
+    const data = {};
+    if (name !== undefined) data.name = String(name).trim();
+    if (code !== undefined) data.code = code ? String(code).trim().toUpperCase() : null;
+    if (description !== undefined) data.description = description || null;
+    if (headUserId !== undefined) data.headUserId = headUserId;
+
+    const department = await prisma.department.update({ where: { id }, data, select: DEPARTMENT_SELECT });
+    if (headUserId !== undefined && headUserId !== existing.headUserId) {
+      refreshHeads(existing.headUserId, headUserId);
+    }
+
+    res.json(department);
+
+  } catch (error) {
+    console.error('Update Department Error:', error);
+    if (error.code === 'P2002') {
+      return res.status(400).json({ message: 'A department with this name or code already exists' });
+    }
+    res.status(500).json({ message: 'Server Error updating department' });
+  }
+};
+
+// Delete a department without members; its documents and edit requests keep no department (requires department:manage)
+export const deleteDepartment = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const department = await prisma.department.findUnique({
+      where: { id },
+      select: { headUserId: true, _count: { select: { members: true } } }
+    });
+    if (!department) {
+      return res.status(404).json({ message: 'Department not found' });
+    }
+    if (department._count.members > 0) {
+      return res.status(409).json({
+        message: 'Department still has members. Move them to another department first.',
+        members: department._count.members
+      });
+    }
+
+    await prisma.department.delete({ where: { id } });
+    refreshHeads(department.headUserId);
+
+    res.json({ message: 'Department deleted' });
+
+  } catch (error) {
+    console.error('Delete Department Error:', error);
+    res.status(500).json({ message: 'Server Error deleting department' });
+  }
+};
+
+/**
+ * Move a user to a department (departmentId: null removes them from any). Documents keep the department
+ * they were created in unless applyToExistingDocuments is set (requires user:manage or department:manage); their
+ * pending edit requests then move along, so the new department's head reviews them.
+ */
+export const setUserDepartment = async (req, res) => {
+  const { userId } = req.params;
+  const { departmentId, applyToExistingDocuments = false } = req.body;
+
+  if (departmentId === undefined) {
+    return res.status(400).json({ message: 'departmentId is required (null removes the user from their department)' });
+  }
+
+  try {
+    const user = await prisma.user.findUnique({ where: { id: userId }, select: { id: true } });
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (departmentId !== null) {
+      const department = await prisma.department.findUnique({ where: { id: departmentId }, select: { id: true } });
+      if (!department) {
+        return res.status(400).json({ message: 'Department not found' });
+      }
+    }
+
+    const documentData = { departmentId };
+    const [updatedUser, invoices, purchaseOrders, stockRegisters, creditNotes, editRequests] = await prisma.$transaction([
+      prisma.user.update({
+        where: { id: userId },
+        data: { departmentId },
+        select: { id: true, username: true, role: true, department: { select: { id: true, name: true, code: true } } }
+      }),
+      ...(applyToExistingDocuments ? [
+        prisma.invoice.updateMany({ where: { userId }, data: documentData }),
+        prisma.purchaseOrder.updateMany({ where: { userId }, data: documentData }),
+        prisma.stockRegister.updateMany({ where: { userId }, data: documentData }),
+        prisma.creditNote.updateMany({ where: { userId }, data: documentData }),
+        prisma.editRequest.updateMany({
+          where: {
+            status: 'PENDING',
+            OR: [{ invoice: { userId } }, { purchaseOrder: { userId } }, { stockRegister: { userId } }, { creditNote: { userId } }]
+          },
+          data: documentData
+        })
+      ] : [])
+    ]);
+    refreshSockets(userRoom(userId)); // Open sockets carry the user's new department
+
+    res.json({
+      message: `User ${updatedUser.username} moved to ${updatedUser.department ? updatedUser.department.name : 'no department'}`,
+      user: updatedUser,
+      documentsMoved: applyToExistingDocuments
+        ? {
+          invoices: invoices.count,
+          purchaseOrders: purchaseOrders.count,
+          stockRegisters: stockRegisters.count,
+          creditNotes: creditNotes.count,
+          pendingEditRequests: editRequests.count
+        }
+        : null
+    });
+
+  } catch (error) {
+    console.error('Set User Department Error:', error);
+    res.status(500).json({ message: 'Server Error updating user department' });
+  }
+};
@@ -0,0 +1,71 @@
+// src/controller/duplicateInvoiceController.js
+import { PrismaClient } from '@prisma/client';
+import { DUPLICATE_SUMMARY_SELECT } from '../utils/duplicateInvoices.js';
+
+const prisma = new PrismaClient();
+
+// Fields a group of the report agrees on
+const GROUP_FIELDS = ['vendorName', 'orderOrSerialNumber', 'totalAmount'];
+
+// Probable duplicates among existing invoices (not cancelled): invoices with the same vendor, bill number
+// (orderOrSerialNumber, possibly blank) and total, grouped and paged in the database, newest groups first. The check
+// on entry (duplicateInvoiceConflict) also catches near totals within the date window.
+// Filters: vendorName (contains), dateFrom/dateTo on the purchase date.
+export const getDuplicateInvoiceReport = async (req, res) => {
+  const { vendorName, dateFrom, dateTo, page = 1, limit = 20 } = req.query;
+
+  const pageNum = parseInt(page, 10);
+  const limitNum = parseInt(limit, 10);
+  if (isNaN(pageNum) || pageNum < 1 || isNaN(limitNum) || limitNum < 1) {
+    return res.status(400).json({ message: 'Invalid pagination parameters.' });
+  }
+  if ((dateFrom && isNaN(new Date(dateFrom).getTime())) || (dateTo && isNaN(new Date(dateTo).getTime()))) {
+    return res.status(400).json({ message: 'dateFrom and dateTo must be valid dates' });
+  }
+
+  const where = { status: { not: 'CANCELLED' } };
+  if (vendorName) where.vendorName = { contains: vendorName };
+  if (dateFrom || dateTo) {
+    where.purchaseDate = {};
+    if (dateFrom) where.purchaseDate.gte = new Date(dateFrom);
+    if (dateTo) where.purchaseDate.lte = new Date(dateTo);
+  }
+  const groupBy = { by: GROUP_FIELDS, where, having: { id: { _count: { gt: 1 } } } };
+
+  try {
+    const [pageGroups, allGroups] = await Promise.all([
+      prisma.invoice.groupBy({
+        ...groupBy,
+        _count: { _all: true },
+        orderBy: [{ _max: { createdAt: 'desc' } }, ...GROUP_FIELDS.map(field => ({ [field]: 'asc' }))],
+        skip: (pageNum - 1) * limitNum,
+        take: limitNum
+      }),
+      prisma.invoice.groupBy({ ...groupBy, _count: { _all: true } }) // Keys and counts only, for the totals
+    ]);
+
+    // The invoices of this page's groups only
+    const invoices = pageGroups.length === 0 ? [] : await prisma.invoice.findMany({
+      where: { ...where, OR: pageGroups.map(group => Object.fromEntries(GROUP_FIELDS.map(field => [field, group[field]]))) },
+      select: DUPLICATE_SUMMARY_SELECT,
+      orderBy: { createdAt: 'asc' }
+    });
+    const groups = pageGroups.map(group => ({
+      vendorName: group.vendorName,
+      matchedOn: group.orderOrSerialNumber?.trim() ? GROUP_FIELDS : ['vendorName', 'totalAmount'],
+      invoices: invoices.filter(invoice => GROUP_FIELDS.every(field => String(invoice[field]) === String(group[field])))
+    }));
+
+    res.json({
+      groups,
+      totalGroups: allGroups.length,
+      duplicateInvoices: allGroups.reduce((count, group) => count + group._count._all, 0),
+      totalPages: Math.ceil(allGroups.length / limitNum),
+      currentPage: pageNum
+    });
+
+  } catch (error) {
+    console.error('Duplicate Invoice Report Error:', error);
+    res.status(500).json({ message: 'Server Error building duplicate invoice report' });
+  }
+};
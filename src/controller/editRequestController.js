@@ -1,11 +1,13 @@
 import { PrismaClient, EditRequestStatus, Role } from '@prisma/client';
+import { userRoom, departmentHeadsRoom, EDIT_REQUEST_REVIEWERS_ROOM } from '../utils/socketRooms.js';
+import { editRequestScopeFilter, canReviewEditRequest } from '../utils/permissions.js';
 
 const prisma = new PrismaClient();
 const DEFAULT_EDIT_DURATION_MS = 24 * 60 * 60 * 1000; // 24 hours
 
-// Get all edit requests (admin only)
+// Get all edit requests (editRequest:read or editRequest:manage; department heads see their departments' requests)
 export const getAllEditRequests = async (req, res) => {
-  // Admins get this, enforced by adminOnly middleware
+  // Access enforced by requirePermissionOrDepartmentHead middleware
   const { status, page = 1, limit = 10, sortBy = 'createdAt', sortOrder = 'desc' } = req.query;
 
   const pageNum = parseInt(page, 10);
@@ -17,7 +19,7 @@ export const getAllEditRequests = async (req, res) => {
   const skip = (pageNum - 1) * limitNum;
 
   // Build filter
-  const where = {};
+  const where = { ...editRequestScopeFilter(req.user, 'read') };
   if (status && Object.values(EditRequestStatus).includes(status.toUpperCase())) {
       where.status = status.toUpperCase();
   } else if (status && status.toLowerCase() !== 'all') {
@@ -42,6 +44,7 @@ export const getAllEditRequests = async (req, res) => {
         invoice: { select: { id: true, companyName: true } }, // Example: Basic info for identification
         purchaseOrder: { select: { id: true, purchaseOrderNumber: true } },
         stockRegister: { select: { id: true, articleName: true } },
+        creditNote: { select: { id: true, creditNoteNumber: true } },
       },
       orderBy,
       skip,
@@ -64,7 +67,7 @@ export const getAllEditRequests = async (req, res) => {
   }
 };
 
-// Get specific edit request by ID (admin only)
+// Get specific edit request by ID (editRequest:read or editRequest:manage, or head of its department)
 export const getEditRequestById = async (req, res) => {
   const { id } = req.params;
 
@@ -82,12 +85,16 @@ export const getEditRequestById = async (req, res) => {
         invoice: true,
         purchaseOrder: true,
         stockRegister: true,
+        creditNote: { include: { lines: true } },
       },
     });
 
     if (!editRequest) {
       return res.status(404).json({ message: 'Edit request not found' });
     }
+    if (!canReviewEditRequest(req.user, 'read', editRequest)) {
+      return res.status(403).json({ message: 'Not authorized to view this edit request' });
+    }
 
     res.json(editRequest);
   } catch (error) {
@@ -98,9 +105,10 @@ export const getEditRequestById = async (req, res) => {
 
 // Create new edit request (triggered by specific document route like /invoices/:id/request-edit)
 export const createEditRequest = async (req, res) => {
-  // Expect documentType ('invoice', 'purchaseOrder', 'stockRegister') and documentId in route params or body
+  // Expect documentType ('invoice', 'purchaseOrder', 'stockRegister', 'creditNote') and the document ID in route params
   // Expect requestMessage in body
-  const { documentType, documentId } = req.params; // Assuming these come from route, adjust if from body
+  const { documentType } = req.params;
+  const documentId = req.params.documentId || req.params.id; // Document routes mount this under /:id/request-edit
   const { requestMessage } = req.body;
   const requestedById = req.user.id; // User must be authenticated
 
@@ -119,20 +127,25 @@ export const createEditRequest = async (req, res) => {
   try {
     switch (documentType) {
       case 'invoice':
-        document = await prisma.invoice.findUnique({ where: { id: documentId }, select: { userId: true }});
+        document = await prisma.invoice.findUnique({ where: { id: documentId }, select: { userId: true, departmentId: true }});
         if (!document) return res.status(404).json({ message: 'Invoice not found' });
         data.invoiceId = documentId;
         break;
       case 'purchaseOrder':
-        document = await prisma.purchaseOrder.findUnique({ where: { id: documentId }, select: { userId: true }});
+        document = await prisma.purchaseOrder.findUnique({ where: { id: documentId }, select: { userId: true, departmentId: true }});
          if (!document) return res.status(404).json({ message: 'Purchase Order not found' });
         data.purchaseOrderId = documentId;
         break;
       case 'stockRegister':
-        document = await prisma.stockRegister.findUnique({ where: { id: documentId }, select: { userId: true }});
+        document = await prisma.stockRegister.findUnique({ where: { id: documentId }, select: { userId: true, departmentId: true }});
          if (!document) return res.status(404).json({ message: 'Stock Register entry not found' });
         data.stockRegisterId = documentId;
         break;
+      case 'creditNote':
+        document = await prisma.creditNote.findUnique({ where: { id: documentId }, select: { userId: true, departmentId: true }});
+         if (!document) return res.status(404).json({ message: 'Credit Note not found' });
+        data.creditNoteId = documentId;
+        break;
       default:
         return res.status(400).json({ message: 'Invalid document type for edit request' });
     }
@@ -141,6 +154,8 @@ export const createEditRequest = async (req, res) => {
     if (document.userId !== requestedById) {
         return res.status(403).json({ message: 'Not authorized to request edit for this document.' });
     }
+    // Routed to the heads of the document's department
+    data.departmentId = document.departmentId;
 
     // --- Check if an edit request is already pending ---
     const existingPendingRequest = await prisma.editRequest.findFirst({
@@ -150,8 +165,9 @@ export const createEditRequest = async (req, res) => {
             OR: [
                 { invoiceId: data.invoiceId },
                 { purchaseOrderId: data.purchaseOrderId },
-                { stockRegisterId: data.stockRegisterId }
-            ].filter(Boolean) // Filter out undefined IDs
+                { stockRegisterId: data.stockRegisterId },
+                { creditNoteId: data.creditNoteId }
+            ].filter(condition => Object.values(condition)[0]) // Only the document's own ID ({ id: undefined } would match any request)
         }
     });
 
@@ -168,6 +184,7 @@ export const createEditRequest = async (req, res) => {
         invoice: { select: { id: true, companyName: true } },
         purchaseOrder: { select: { id: true, purchaseOrderNumber: true } },
         stockRegister: { select: { id: true, articleName: true } },
+        creditNote: { select: { id: true, creditNoteNumber: true } },
       },
     });
 
@@ -177,8 +194,11 @@ export const createEditRequest = async (req, res) => {
         if(newEditRequest.invoice) documentInfo = `Invoice '${newEditRequest.invoice.companyName}' (ID: ${documentId})`;
         else if(newEditRequest.purchaseOrder) documentInfo = `Purchase Order ${newEditRequest.purchaseOrder.purchaseOrderNumber} (ID: ${documentId})`;
         else if(newEditRequest.stockRegister) documentInfo = `Stock Entry '${newEditRequest.stockRegister.articleName}' (ID: ${documentId})`;
+        else if(newEditRequest.creditNote) documentInfo = `Credit Note ${newEditRequest.creditNote.creditNoteNumber} (ID: ${documentId})`;
 
-        global.io.to('admin-room').emit('new-edit-request', {
+        const rooms = [EDIT_REQUEST_REVIEWERS_ROOM];
+        if (newEditRequest.departmentId) rooms.push(departmentHeadsRoom(newEditRequest.departmentId));
+        global.io.to(rooms).emit('new-edit-request', {
             message: `New edit request submitted by ${newEditRequest.requestedBy.username} for ${documentInfo}`,
             editRequest: newEditRequest // Send request details
         });
@@ -203,7 +223,7 @@ export const createEditRequest = async (req, res) => {
 };
 
 
-// Approve edit request (admin only)
+// Approve edit request (editRequest:manage, or head of its department)
 export const approveEditRequest = async (req, res) => {
   const { id } = req.params; // Edit request ID
   const { responseMessage } = req.body;
@@ -228,12 +248,16 @@ export const approveEditRequest = async (req, res) => {
                   invoice: { select: { id: true }},
                   purchaseOrder: { select: { id: true }},
                   stockRegister: { select: { id: true }},
+                  creditNote: { select: { id: true }},
               }
           });
 
           if (!editRequest) {
               throw new Error('Edit request not found'); // Custom error for transaction rollback
           }
+          if (!canReviewEditRequest(req.user, 'manage', editRequest)) {
+              throw Object.assign(new Error('Not authorized to decide on this edit request'), { status: 403 });
+          }
           if (editRequest.status !== 'PENDING') {
               throw new Error(`Request already ${editRequest.status.toLowerCase()}`);
           }
@@ -263,6 +287,13 @@ export const approveEditRequest = async (req, res) => {
                   where: { id: documentId },
                   data: { allowEditing: true, editableUntil: editableUntil }
               });
+          } else if (editRequest.creditNoteId) {
+              documentType = 'credit note';
+              documentId = editRequest.creditNoteId;
+               documentUpdatePromise = tx.creditNote.update({
+                  where: { id: documentId },
+                  data: { allowEditing: true, editableUntil: editableUntil }
+              });
           } else {
               throw new Error('Invalid edit request: No associated document found.');
           }
@@ -285,6 +316,7 @@ export const approveEditRequest = async (req, res) => {
                   invoice: { select: { id: true, companyName: true } },
                   purchaseOrder: { select: { id: true, purchaseOrderNumber: true } },
                   stockRegister: { select: { id: true, articleName: true } },
+                  creditNote: { select: { id: true, creditNoteNumber: true } },
               }
           });
 
@@ -294,15 +326,13 @@ export const approveEditRequest = async (req, res) => {
 
       // --- Emit Socket.IO event for real-time notification to the specific requester ---
       if (global.io && result.requesterId) {
-          // Target the specific user if possible (e.g., if users have dedicated socket rooms)
-          // Simplified: Emit event that the user's frontend can listen for based on request ID
-          global.io.emit(`edit-request-update-${result.updatedEditRequest.id}`, {
-                message: `Your edit request for ${result.documentType} (ID: ${result.updatedEditRequest.invoiceId || result.updatedEditRequest.purchaseOrderId || result.updatedEditRequest.stockRegisterId}) has been APPROVED.`,
+          // Only the requester's own sockets receive the decision
+          global.io.to(userRoom(result.requesterId)).emit(`edit-request-update-${result.updatedEditRequest.id}`, {
+                message: `Your edit request for ${result.documentType} (ID: ${result.updatedEditRequest.invoiceId || result.updatedEditRequest.purchaseOrderId || result.updatedEditRequest.stockRegisterId || result.updatedEditRequest.creditNoteId}) has been APPROVED.`,
                 editRequest: result.updatedEditRequest,
                 status: 'APPROVED'
             });
 
-          // Can also emit to a user-specific room if setup: io.to(userSocketRoom).emit(...)
       }
 
       res.json({
@@ -313,6 +343,9 @@ export const approveEditRequest = async (req, res) => {
   } catch (error) {
     console.error('Approve Edit Request Error:', error);
     // Handle specific errors thrown from transaction
+    if (error.status === 403) {
+         return res.status(403).json({ message: error.message });
+    }
     if (error.message === 'Edit request not found') {
          return res.status(404).json({ message: error.message });
     }
@@ -326,7 +359,7 @@ export const approveEditRequest = async (req, res) => {
   }
 };
 
-// Reject edit request (admin only)
+// Reject edit request (editRequest:manage, or head of its department)
 export const rejectEditRequest = async (req, res) => {
   const { id } = req.params; // Edit request ID
   const { responseMessage } = req.body;
@@ -349,15 +382,20 @@ export const rejectEditRequest = async (req, res) => {
         select: {
             status: true,
             requestedById: true, // Needed for notification
+            departmentId: true,
             invoiceId: true,
             purchaseOrderId: true,
             stockRegisterId: true,
+            creditNoteId: true,
         }
     });
 
     if (!editRequest) {
       return res.status(404).json({ message: 'Edit request not found' });
     }
+    if (!canReviewEditRequest(req.user, 'manage', editRequest)) {
+      return res.status(403).json({ message: 'Not authorized to decide on this edit request' });
+    }
     if (editRequest.status !== 'PENDING') {
       return res.status(400).json({ message: `This request has already been ${editRequest.status.toLowerCase()}` });
     }
@@ -377,6 +415,7 @@ export const rejectEditRequest = async (req, res) => {
           invoice: { select: { id: true, companyName: true } },
           purchaseOrder: { select: { id: true, purchaseOrderNumber: true } },
           stockRegister: { select: { id: true, articleName: true } },
+          creditNote: { select: { id: true, creditNoteNumber: true } },
       }
     });
 
@@ -386,9 +425,10 @@ export const rejectEditRequest = async (req, res) => {
           if(editRequest.invoiceId) documentType = 'invoice';
           else if(editRequest.purchaseOrderId) documentType = 'purchase order';
           else if(editRequest.stockRegisterId) documentType = 'stock register entry';
+          else if(editRequest.creditNoteId) documentType = 'credit note';
 
-          global.io.emit(`edit-request-update-${id}`, {
-                message: `Your edit request for ${documentType} (ID: ${editRequest.invoiceId || editRequest.purchaseOrderId || editRequest.stockRegisterId}) has been REJECTED. Reason: ${responseMessage}`,
+          global.io.to(userRoom(editRequest.requestedById)).emit(`edit-request-update-${id}`, {
+                message: `Your edit request for ${documentType} (ID: ${editRequest.invoiceId || editRequest.purchaseOrderId || editRequest.stockRegisterId || editRequest.creditNoteId}) has been REJECTED. Reason: ${responseMessage}`,
                 editRequest: updatedEditRequest,
                 status: 'REJECTED'
             });
@@ -0,0 +1,341 @@
+// src/controller/goodsReceiptController.js
+import { PrismaClient } from '@prisma/client';
+import { can, canAccessDocument, documentScopeFilter, userSharesSelect } from '../utils/permissions.js';
+import { sumMoney } from '../utils/money.js';
+import {
+  RECEIVABLE_FULFILMENT_STATUSES, itemFulfilment, lockPurchaseOrder, refreshFulfilmentStatus, outstandingItems, outstandingTotals
+} from '../utils/goodsReceipts.js';
+
+const prisma = new PrismaClient();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const RECEIPT_INCLUDE = {
+  receivedBy: { select: { id: true, username: true } },
+  purchaseOrderItem: { select: { id: true, description: true } },
+  stockRegister: { select: { id: true, articleName: true } }
+};
+
+// Order fields returned with its receipts
+const FULFILMENT_SELECT = {
+  id: true,
+  purchaseOrderNumber: true,
+  vendorName: true,
+  status: true,
+  fulfilmentStatus: true,
+  closedAt: true,
+  closeReason: true,
+  closedBy: { select: { id: true, username: true } }
+};
+
+/**
+ * Loads a purchase order whose receipts the caller may see (read access to the order, or purchaseOrder:receive:any),
+ * or throws a 404 (existence is not revealed to others).
+ */
+const findReadablePurchaseOrder = async (user, id) => {
+  const purchaseOrder = await prisma.purchaseOrder.findUnique({
+    where: { id },
+    select: { ...FULFILMENT_SELECT, userId: true, departmentId: true, ...userSharesSelect(user) }
+  });
+  if (!purchaseOrder || !(can(user, 'purchaseOrder:receive:any') || canAccessDocument(user, 'purchaseOrder', 'read', purchaseOrder))) {
+    throw Object.assign(new Error('Purchase order not found'), { status: 404 });
+  }
+  return purchaseOrder;
+};
+
+// Fulfilment of an order: its status, per item ordered/received/outstanding, and the receipts
+const fulfilmentOf = async (purchaseOrderId) => {
+  const [purchaseOrder, items, receipts] = await Promise.all([
+    prisma.purchaseOrder.findUnique({ where: { id: purchaseOrderId }, select: FULFILMENT_SELECT }),
+    prisma.item.findMany({ where: { purchaseOrderId }, orderBy: { createdAt: 'asc' } }),
+    prisma.goodsReceipt.findMany({ where: { purchaseOrderId }, include: RECEIPT_INCLUDE, orderBy: { receivedAt: 'asc' } })
+  ]);
+  return { purchaseOrder, items: items.map(itemFulfilment), receipts };
+};
+
+// Goods receipts of a purchase order with the received and outstanding quantity of each item
+export const getPurchaseOrderReceipts = async (req, res) => {
+  try {
+    const purchaseOrder = await findReadablePurchaseOrder(req.user, req.params.id);
+    res.json(await fulfilmentOf(purchaseOrder.id));
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Get Goods Receipts Error:', error);
+    res.status(500).json({ message: 'Server Error retrieving goods receipts' });
+  }
+};
+
+// Record a delivery against an APPROVED purchase order: one receipt per item (`items: [{ itemId, quantity, stockRegisterId }]`)
+export const recordGoodsReceipt = async (req, res) => {
+  const { items, receivedAt, note } = req.body;
+
+  if (!Array.isArray(items) || items.length === 0) {
+    return res.status(400).json({ message: 'items must be a non-empty array of { itemId, quantity, stockRegisterId }' });
+  }
+  const receivedOn = receivedAt ? new Date(receivedAt) : new Date();
+  if (isNaN(receivedOn.getTime())) {
+    return res.status(400).json({ message: 'receivedAt must be a valid date', errors: [{ field: 'receivedAt', message: 'receivedAt must be a valid date' }] });
+  }
+  const errors = [];
+  items.forEach((line, index) => {
+    if (!line?.itemId) errors.push({ field: `items[${index}].itemId`, message: 'itemId is required' });
+    else if (items.findIndex(other => other?.itemId === line.itemId) !== index) errors.push({ field: `items[${index}].itemId`, message: 'Each item can be received once per delivery' });
+    if (!Number.isInteger(Number(line?.quantity)) || Number(line?.quantity) < 1) errors.push({ field: `items[${index}].quantity`, message: 'quantity must be a positive whole number' });
+  });
+  if (errors.length > 0) {
+    return res.status(400).json({ message: errors[0].message, errors });
+  }
+
+  try {
+    const purchaseOrder = await findReadablePurchaseOrder(req.user, req.params.id);
+    if (purchaseOrder.status !== 'APPROVED') {
+      return res.status(409).json({ message: `Goods can only be received against APPROVED purchase orders (this one is ${purchaseOrder.status})` });
+    }
+    if (purchaseOrder.closedAt) {
+      return res.status(409).json({ message: 'Purchase order is closed; reopen it to record further deliveries' });
+    }
+
+    // Linked stock entries must be readable by the caller
+    for (const [index, line] of items.entries()) {
+      if (!line.stockRegisterId) continue;
+      const entry = await prisma.stockRegister.findUnique({
+        where: { id: String(line.stockRegisterId) },
+        select: { userId: true, departmentId: true, ...userSharesSelect(req.user) }
+      });
+      if (!entry || !canAccessDocument(req.user, 'stockRegister', 'read', entry)) {
+        errors.push({ field: `items[${index}].stockRegisterId`, message: `Stock register entry ${line.stockRegisterId} not found` });
+      }
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ message: errors[0].message, errors });
+    }
+
+    await prisma.$transaction(async (tx) => {
+      if (!(await lockPurchaseOrder(tx, purchaseOrder.id, { status: 'APPROVED', closedAt: null }))) {
+        throw Object.assign(new Error('Purchase order was closed or changed in the meantime; reload and try again'), { status: 409 });
+      }
+      const orderItems = await tx.item.findMany({ where: { purchaseOrderId: purchaseOrder.id } });
+
+      for (const [index, line] of items.entries()) {
+        const item = orderItems.find(orderItem => orderItem.id === line.itemId);
+        if (!item) {
+          throw Object.assign(new Error(`Item ${line.itemId} is not on this purchase order`), { status: 400, field: `items[${index}].itemId` });
+        }
+        const quantity = Number(line.quantity);
+        const outstanding = item.quantity - item.receivedQuantity;
+        if (quantity > outstanding) {
+          throw Object.assign(
+            new Error(`${item.description}: receiving ${quantity} exceeds the outstanding quantity of ${outstanding} (ordered ${item.quantity}, received ${item.receivedQuantity})`),
+            { status: 400, field: `items[${index}].quantity` }
+          );
+        }
+
+        await tx.item.update({ where: { id: item.id }, data: { receivedQuantity: { increment: quantity } } });
+        await tx.goodsReceipt.create({
+          data: {
+            purchaseOrderId: purchaseOrder.id,
+            purchaseOrderItemId: item.id,
+            quantity,
+            receivedAt: receivedOn,
+            note: line.note || note || null,
+            receivedById: req.user.id,
+            stockRegisterId: line.stockRegisterId ? String(line.stockRegisterId) : null
+          }
+        });
+      }
+      await refreshFulfilmentStatus(tx, purchaseOrder.id);
+    });
+
+    const fulfilment = await fulfilmentOf(purchaseOrder.id);
+    res.status(201).json({ message: `Delivery recorded; purchase order is ${fulfilment.purchaseOrder.fulfilmentStatus}`, ...fulfilment });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message, ...(error.field ? { errors: [{ field: error.field, message: error.message }] } : {}) });
+    }
+    if (error.code === 'P2002') {
+      return res.status(409).json({ message: 'A stock register entry can record only one goods receipt; that entry is already linked' });
+    }
+    console.error('Record Goods Receipt Error:', error);
+    res.status(500).json({ message: 'Server Error recording goods receipt', error: error.message });
+  }
+};
+
+// Delete a goods receipt recorded by mistake (its receiver, or purchaseOrder:update:any)
+export const deleteGoodsReceipt = async (req, res) => {
+  const { id, receiptId } = req.params;
+
+  try {
+    const purchaseOrder = await findReadablePurchaseOrder(req.user, id);
+    const receipt = await prisma.goodsReceipt.findFirst({ where: { id: receiptId, purchaseOrderId: purchaseOrder.id } });
+    if (!receipt) {
+      return res.status(404).json({ message: 'Goods receipt not found for this purchase order' });
+    }
+    if (receipt.receivedById !== req.user.id && !can(req.user, 'purchaseOrder:update:any')) {
+      return res.status(403).json({ message: 'Only the user who recorded this receipt can delete it' });
+    }
+
+    await prisma.$transaction(async (tx) => {
+      await lockPurchaseOrder(tx, purchaseOrder.id);
+      await tx.goodsReceipt.delete({ where: { id: receipt.id } });
+      await tx.item.update({ where: { id: receipt.purchaseOrderItemId }, data: { receivedQuantity: { decrement: receipt.quantity } } });
+      await refreshFulfilmentStatus(tx, purchaseOrder.id);
+    });
+
+    res.json({ message: 'Goods receipt deleted', ...(await fulfilmentOf(purchaseOrder.id)) });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    if (error.code === 'P2025') {
+      return res.status(404).json({ message: 'Goods receipt was already deleted' });
+    }
+    console.error('Delete Goods Receipt Error:', error);
+    res.status(500).json({ message: 'Server Error deleting goods receipt', error: error.message });
+  }
+};
+
+// Close a purchase order (e.g. the vendor cannot deliver the rest): its outstanding quantities are no longer expected
+export const closePurchaseOrder = async (req, res) => {
+  const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+  if (!reason) {
+    return res.status(400).json({ message: 'A reason for closing the purchase order is required', errors: [{ field: 'reason', message: 'A reason for closing the purchase order is required' }] });
+  }
+
+  try {
+    const purchaseOrder = await findReadablePurchaseOrder(req.user, req.params.id);
+    if (!canAccessDocument(req.user, 'purchaseOrder', 'update', purchaseOrder)) {
+      return res.status(403).json({ message: 'Not authorized to close this purchase order' });
+    }
+    if (purchaseOrder.status !== 'APPROVED') {
+      return res.status(409).json({ message: `Only APPROVED purchase orders can be closed (this one is ${purchaseOrder.status})` });
+    }
+
+    await prisma.$transaction(async (tx) => {
+      const { count } = await tx.purchaseOrder.updateMany({
+        where: { id: purchaseOrder.id, closedAt: null },
+        data: { closedAt: new Date(), closeReason: reason, closedById: req.user.id }
+      });
+      if (count === 0) {
+        throw Object.assign(new Error('Purchase order is already closed'), { status: 409 });
+      }
+      await refreshFulfilmentStatus(tx, purchaseOrder.id);
+    });
+
+    res.json({ message: 'Purchase order closed', ...(await fulfilmentOf(purchaseOrder.id)) });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Close Purchase Order Error:', error);
+    res.status(500).json({ message: 'Server Error closing purchase order', error: error.message });
+  }
+};
+
+// Reopen a closed purchase order; its status follows the receipts again
+export const reopenPurchaseOrder = async (req, res) => {
+  try {
+    const purchaseOrder = await findReadablePurchaseOrder(req.user, req.params.id);
+    if (!canAccessDocument(req.user, 'purchaseOrder', 'update', purchaseOrder)) {
+      return res.status(403).json({ message: 'Not authorized to reopen this purchase order' });
+    }
+
+    await prisma.$transaction(async (tx) => {
+      const { count } = await tx.purchaseOrder.updateMany({
+        where: { id: purchaseOrder.id, closedAt: { not: null } },
+        data: { closedAt: null, closeReason: null, closedById: null }
+      });
+      if (count === 0) {
+        throw Object.assign(new Error('Purchase order is not closed'), { status: 409 });
+      }
+      await refreshFulfilmentStatus(tx, purchaseOrder.id);
+    });
+
+    res.json({ message: 'Purchase order reopened', ...(await fulfilmentOf(purchaseOrder.id)) });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Reopen Purchase Order Error:', error);
+    res.status(500).json({ message: 'Server Error reopening purchase order', error: error.message });
+  }
+};
+
+// Pending deliveries: outstanding quantities of approved, open orders visible to the caller (every order with
+// purchaseOrder:receive:any), per vendor
+// (largest outstanding value first). Filters: vendorName (contains), dateFrom/dateTo on the order date.
+export const getPendingDeliveries = async (req, res) => {
+  const { vendorName, dateFrom, dateTo, page = 1, limit = 20 } = req.query;
+
+  const pageNum = parseInt(page, 10);
+  const limitNum = parseInt(limit, 10);
+  if (isNaN(pageNum) || pageNum < 1 || isNaN(limitNum) || limitNum < 1) {
+    return res.status(400).json({ message: 'Invalid pagination parameters.' });
+  }
+  if ((dateFrom && isNaN(new Date(dateFrom).getTime())) || (dateTo && isNaN(new Date(dateTo).getTime()))) {
+    return res.status(400).json({ message: 'dateFrom and dateTo must be valid dates' });
+  }
+
+  const where = {
+    ...(can(req.user, 'purchaseOrder:receive:any') ? {} : documentScopeFilter(req.user, 'purchaseOrder')),
+    status: 'APPROVED',
+    fulfilmentStatus: { in: RECEIVABLE_FULFILMENT_STATUSES }
+  };
+  if (vendorName) where.vendorName = { contains: vendorName };
+  if (dateFrom || dateTo) {
+    where.orderDate = {};
+    if (dateFrom) where.orderDate.gte = new Date(dateFrom);
+    if (dateTo) where.orderDate.lte = new Date(dateTo);
+  }
+
+  try {
+    const purchaseOrders = await prisma.purchaseOrder.findMany({
+      where,
+      select: {
+        id: true, purchaseOrderNumber: true, vendorName: true, orderDate: true, fulfilmentStatus: true,
+        items: { orderBy: { createdAt: 'asc' } }
+      },
+      orderBy: { orderDate: 'asc' }
+    });
+
+    const now = Date.now();
+    const vendors = new Map();
+    for (const purchaseOrder of purchaseOrders) {
+      const items = outstandingItems(purchaseOrder.items);
+      if (items.length === 0) continue;
+      const key = purchaseOrder.vendorName.trim().toLowerCase();
+      if (!vendors.has(key)) vendors.set(key, { vendorName: purchaseOrder.vendorName.trim(), purchaseOrders: [] });
+      vendors.get(key).purchaseOrders.push({
+        id: purchaseOrder.id,
+        purchaseOrderNumber: purchaseOrder.purchaseOrderNumber,
+        orderDate: purchaseOrder.orderDate,
+        daysOpen: Math.floor((now - new Date(purchaseOrder.orderDate).getTime()) / DAY_MS),
+        fulfilmentStatus: purchaseOrder.fulfilmentStatus,
+        ...outstandingTotals(items),
+        items
+      });
+    }
+
+    const groups = [...vendors.values()]
+      .map(vendor => ({ ...vendor, ...outstandingTotals(vendor.purchaseOrders) }))
+      .sort((a, b) => b.outstandingValue.comparedTo(a.outstandingValue));
+
+    res.json({
+      vendors: groups.slice((pageNum - 1) * limitNum, pageNum * limitNum),
+      totalVendors: groups.length,
+      pendingPurchaseOrders: groups.reduce((count, vendor) => count + vendor.purchaseOrders.length, 0),
+      outstandingValue: sumMoney(groups.map(vendor => vendor.outstandingValue)),
+      totalPages: Math.ceil(groups.length / limitNum),
+      currentPage: pageNum
+    });
+
+  } catch (error) {
+    console.error('Pending Deliveries Report Error:', error);
+    res.status(500).json({ message: 'Server Error building pending deliveries report' });
+  }
+};
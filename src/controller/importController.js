@@ -0,0 +1,373 @@
+// src/controller/importController.js
+import { PrismaClient } from '@prisma/client';
+import fs from 'fs';
+import { can } from '../utils/permissions.js';
+import { parseFormBoolean } from '../utils/gst.js';
+import { IMPORT_DOCUMENTS, parseMapping, readImportFile, rowsToDocuments, withRowNumbers } from '../utils/spreadsheetImport.js';
+import { prepareInvoiceData } from './invoiceController.js';
+import { preparePurchaseOrderData } from './purchaseOrderController.js';
+import { prepareStockRegisterData } from './stockRegisterController.js';
+import { notifyApprovalRequested } from '../utils/purchaseOrderApproval.js';
+import { withDocumentNumber, retryNumbering, isNumbered } from '../utils/numberSeries.js';
+import { groupDuplicates } from '../utils/duplicateInvoices.js';
+
+const prisma = new PrismaClient();
+
+// Committing creates every valid document in one transaction; large files need longer than Prisma's 5s default
+const IMPORT_TRANSACTION_TIMEOUT_MS = parseInt(process.env.IMPORT_TRANSACTION_TIMEOUT_MS || '120000', 10);
+
+// How long a dry run with valid rows stays committable; src/jobs/importJobExpiryJob.js expires it and deletes its file
+const IMPORT_DRY_RUN_TTL_HOURS = parseInt(process.env.IMPORT_DRY_RUN_TTL_HOURS || '24', 10);
+
+// Rows are validated with the rules of the create endpoints
+const PREPARE_DOCUMENT = {
+  invoice: prepareInvoiceData,
+  purchaseOrder: preparePurchaseOrderData,
+  stockRegister: prepareStockRegisterData
+};
+
+// Run for each created document once the import is committed
+const AFTER_IMPORT = {
+  purchaseOrder: notifyApprovalRequested // Imported orders are submitted for approval like created ones
+};
+
+const RESOURCE_OF_DOCUMENT_TYPE = Object.fromEntries(Object.entries(IMPORT_DOCUMENTS).map(([resource, spec]) => [spec.documentType, resource]));
+
+const IMPORT_JOB_SUMMARY_SELECT = {
+  id: true,
+  documentType: true,
+  fileName: true,
+  confirmDuplicates: true,
+  status: true,
+  totalRows: true,
+  validRows: true,
+  errorRows: true,
+  importedRows: true,
+  failureReason: true,
+  committedAt: true,
+  expiresAt: true,
+  createdAt: true,
+  user: { select: { id: true, username: true } }
+};
+
+// Utility for safe file deletion
+const safeUnlink = (filePath) => {
+  if (filePath) {
+    fs.unlink(filePath, (err) => {
+      if (err && err.code !== 'ENOENT') {
+        console.error(`Error deleting file (${filePath}):`, err);
+      }
+    });
+  }
+};
+
+// Looked up once per file instead of once per row: whether the type is numbered, and which of the file's IDs exist
+const fileLookups = async (resource, documents) => {
+  const ids = [...new Set(documents.map(document => document.fields.id).filter(Boolean))];
+  const [numbered, existing] = await Promise.all([
+    isNumbered(IMPORT_DOCUMENTS[resource].documentType),
+    ids.length > 0 ? prisma[resource].findMany({ where: { id: { in: ids } }, select: { id: true } }) : []
+  ]);
+  return { numbered, existingIds: new Set(existing.map(document => document.id)) };
+};
+
+const describeDocument = (entry) => (entry.documentId ? `invoice ${entry.documentId}` : `row ${entry.rows[0]}`);
+
+/**
+ * Flags invoices of the file that look like the same vendor bill as an earlier invoice of the file (see
+ * groupDuplicates); the first of each group stays valid. `checked` holds { entry, data } of the valid invoices.
+ */
+const flagDuplicatesInFile = (checked) => {
+  // File order stands in for the creation time groupDuplicates sorts by
+  const groups = groupDuplicates(checked.map(({ data }, index) => ({ ...data, index, createdAt: new Date(index) })));
+  for (const { invoices } of groups) {
+    const first = checked[invoices[0].index].entry;
+    for (const { index } of invoices.slice(1)) {
+      checked[index].entry.status = 'ERROR';
+      checked[index].entry.errors = [{
+        field: 'id',
+        message: `Looks like the same bill as ${describeDocument(first)} of this file; import with confirmDuplicates=true to add both`
+      }];
+    }
+  }
+};
+
+/**
+ * Validates every document of the file. Returns { valid, report }: `valid` holds the create data of the documents
+ * without errors, `report` one entry per document { rows, documentId, status: VALID | ERROR, errors }.
+ */
+const validateDocuments = async (user, resource, rows, { confirmDuplicates }) => {
+  const spec = IMPORT_DOCUMENTS[resource];
+  const documents = rowsToDocuments(spec, rows);
+  const lookups = await fileLookups(resource, documents);
+  const seenIds = new Set();
+  const checked = []; // { entry, data } of the documents without errors so far
+  const report = [];
+
+  for (const document of documents) {
+    const documentId = document.fields.id || null;
+    let errors = [];
+    let data;
+    if (documentId && seenIds.has(documentId)) {
+      errors = [{ field: 'id', message: `ID ${documentId} appears more than once in the file` }];
+    } else {
+      try {
+        const prepared = await PREPARE_DOCUMENT[resource](user, { ...document.fields, confirmDuplicate: confirmDuplicates }, lookups);
+        errors = prepared.errors;
+        data = prepared.data;
+        if (errors.length === 0 && prepared.duplicate) {
+          const duplicateIds = prepared.duplicate.duplicates.map(duplicate => duplicate.id);
+          const existing = [
+            ...(duplicateIds.length > 0 ? [`invoice ${duplicateIds.join(', ')}`] : []),
+            ...(prepared.duplicate.possibleDuplicateHidden ? ['an invoice you cannot open'] : [])
+          ].join(' and ');
+          errors = [{ field: 'id', message: `Looks like ${existing} already entered; import with confirmDuplicates=true to add it anyway`, duplicateIds }];
+        }
+      } catch (error) {
+        if (!error.status) throw error;
+        errors = [{ field: error.field, message: error.message }]; // Links the user cannot read
+      }
+    }
+    if (documentId) seenIds.add(documentId);
+
+    const entry = { rows: document.rows, documentId, status: errors.length > 0 ? 'ERROR' : 'VALID', errors: withRowNumbers(spec, document, errors) };
+    report.push(entry);
+    if (errors.length === 0) checked.push({ entry, data });
+  }
+
+  // The same bill twice in one file is a duplicate too, though neither is in the database yet
+  if (resource === 'invoice' && !confirmDuplicates) flagDuplicatesInFile(checked);
+
+  const valid = checked.filter(({ entry }) => entry.status === 'VALID').map(({ data }) => data);
+  return { valid, report };
+};
+
+/**
+ * Reads and validates the file, and with `commit` creates the valid documents in one transaction.
+ * Returns the ImportJob result columns (status, row counts, report, failureReason, committedAt).
+ */
+const runImport = async (user, resource, { filePath, fileName, mapping, confirmDuplicates, commit }) => {
+  const rows = await readImportFile(filePath, fileName, mapping);
+  const { valid, report } = await validateDocuments(user, resource, rows, { confirmDuplicates });
+  const rowsWith = (status) => report.filter(entry => entry.status === status).reduce((count, entry) => count + entry.rows.length, 0);
+
+  const result = {
+    status: 'VALIDATED',
+    totalRows: rows.length,
+    validRows: rowsWith('VALID'),
+    errorRows: rowsWith('ERROR'),
+    importedRows: 0,
+    report,
+    failureReason: null
+  };
+  if (!commit) return result;
+
+  let created;
+  try {
+    created = await retryNumbering(() => prisma.$transaction(async (tx) => {
+      const documents = [];
+      for (const data of valid) { // Rows without an ID are numbered from the series
+        documents.push(await tx[resource].create({ data: await withDocumentNumber(tx, IMPORT_DOCUMENTS[resource].documentType, data) }));
+      }
+      return documents;
+    }, { timeout: IMPORT_TRANSACTION_TIMEOUT_MS }));
+  } catch (error) {
+    console.error('Import Commit Error:', error);
+    return {
+      ...result,
+      status: 'FAILED',
+      failureReason: error.code === 'P2002'
+        ? 'A document with one of the imported IDs was created in the meantime; nothing was imported'
+        : `Nothing was imported: ${error.message}`
+    };
+  }
+
+  created.forEach(document => AFTER_IMPORT[resource]?.(document));
+  report.filter(entry => entry.status === 'VALID').forEach((entry, index) => {
+    entry.status = 'IMPORTED';
+    entry.documentId = created[index].id; // Generated numbers
+  });
+  return { ...result, status: 'COMMITTED', importedRows: result.validRows, committedAt: new Date() };
+};
+
+const resultMessage = (job) => {
+  if (job.status === 'FAILED') return job.failureReason;
+  const counts = `${job.validRows} of ${job.totalRows} rows valid, ${job.errorRows} with errors`;
+  if (job.status === 'COMMITTED') return `Imported ${job.importedRows} rows (${counts})`;
+  if (job.status === 'EXPIRED') {
+    return `Dry run: ${counts}. ${job.validRows > 0 ? 'It was not committed in time' : 'Nothing can be imported'}; upload the file again.`;
+  }
+  return `Dry run: ${counts}. Commit the job before ${job.expiresAt.toISOString()} to import the valid rows.`;
+};
+
+const isExpired = (job, now = new Date()) =>
+  job.status === 'EXPIRED' || (job.status === 'VALIDATED' && job.expiresAt !== null && job.expiresAt <= now);
+
+/** Loads an import job the caller may see (owner or import:read:any), or throws a 404. */
+const findVisibleImportJob = async (user, id) => {
+  const job = await prisma.importJob.findUnique({ where: { id }, include: { user: { select: { id: true, username: true } } } });
+  if (!job || (job.userId !== user.id && !can(user, 'import:read:any'))) {
+    throw Object.assign(new Error('Import job not found'), { status: 404 });
+  }
+  return job;
+};
+
+// Import a CSV/XLSX file of req.params.documentType; a dry run (default) only validates and stores the report
+export const importDocuments = async (req, res) => {
+  const resource = req.params.documentType; // Set by the route
+  const spec = IMPORT_DOCUMENTS[resource];
+  const { mapping, dryRun, confirmDuplicates } = req.body;
+
+  if (!req.file) {
+    return res.status(400).json({ message: 'An import file (CSV or XLSX) is required in the "file" field' });
+  }
+  const isDryRun = dryRun === undefined || dryRun === '' ? true : parseFormBoolean(dryRun);
+
+  try {
+    const parsedMapping = parseMapping(spec, mapping);
+    const result = await runImport(req.user, resource, {
+      filePath: req.file.path,
+      fileName: req.file.originalname,
+      mapping: parsedMapping,
+      confirmDuplicates: parseFormBoolean(confirmDuplicates),
+      commit: !isDryRun
+    });
+
+    // A dry run with valid rows is kept pending with its upload until committed or expired; a dry run without
+    // valid rows cannot be committed, so it expires right away. Committed and failed jobs no longer need the file.
+    if (result.status === 'VALIDATED') {
+      Object.assign(result, result.validRows > 0
+        ? { expiresAt: new Date(Date.now() + IMPORT_DRY_RUN_TTL_HOURS * 60 * 60 * 1000) }
+        : { status: 'EXPIRED' });
+    }
+    const job = await prisma.importJob.create({
+      data: {
+        documentType: spec.documentType,
+        fileName: req.file.originalname,
+        fileUrl: req.file.path.replace(/\\/g, '/'),
+        mapping: parsedMapping,
+        confirmDuplicates: parseFormBoolean(confirmDuplicates),
+        ...result,
+        userId: req.user.id
+      },
+      include: { user: { select: { id: true, username: true } } }
+    });
+    if (job.status !== 'VALIDATED') safeUnlink(req.file.path);
+
+    res.status(job.status === 'FAILED' ? 409 : 201).json({ message: resultMessage(job), job });
+
+  } catch (error) {
+    safeUnlink(req.file.path);
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message, errors: [{ field: error.field, message: error.message }] });
+    }
+    console.error('Import Documents Error:', error);
+    res.status(500).json({ message: 'Server Error importing documents', error: error.message });
+  }
+};
+
+// Commit a dry run: the stored file is validated again (data may have changed since) and the valid rows imported
+export const commitImportJob = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const job = await findVisibleImportJob(req.user, id);
+    if (job.userId !== req.user.id) {
+      return res.status(403).json({ message: 'Only the user who uploaded the file can commit this import' });
+    }
+    if (isExpired(job)) {
+      return res.status(409).json({ message: 'This dry run has expired; upload the file again to import it' });
+    }
+    if (job.status !== 'VALIDATED') {
+      return res.status(409).json({ message: `This import job is already ${job.status}` });
+    }
+    const resource = RESOURCE_OF_DOCUMENT_TYPE[job.documentType];
+    if (!can(req.user, `${resource}:create`)) {
+      return res.status(403).json({ message: `Access denied: Requires permission ${resource}:create.` });
+    }
+
+    const result = await runImport(req.user, resource, {
+      filePath: job.fileUrl,
+      fileName: job.fileName,
+      mapping: job.mapping,
+      confirmDuplicates: job.confirmDuplicates,
+      commit: true
+    });
+
+    // Only the first of concurrent commits records its result; the other failed on the same IDs
+    const { count } = await prisma.importJob.updateMany({ where: { id, status: 'VALIDATED' }, data: result });
+    if (count === 0) {
+      return res.status(409).json({ message: 'This import job was committed by another request' });
+    }
+    safeUnlink(job.fileUrl); // The job is final
+
+    const updatedJob = await prisma.importJob.findUnique({ where: { id }, include: { user: { select: { id: true, username: true } } } });
+    res.status(updatedJob.status === 'FAILED' ? 409 : 200).json({ message: resultMessage(updatedJob), job: updatedJob });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Commit Import Job Error:', error);
+    res.status(500).json({ message: 'Server Error committing import', error: error.message });
+  }
+};
+
+// Import jobs of the caller (all users' with import:read:any), newest first, without the row reports
+export const getImportJobs = async (req, res) => {
+  const { page = 1, limit = 10, documentType, status, userId } = req.query;
+
+  const pageNum = parseInt(page, 10);
+  const limitNum = parseInt(limit, 10);
+  if (isNaN(pageNum) || pageNum < 1 || isNaN(limitNum) || limitNum < 1) {
+    return res.status(400).json({ message: 'Invalid pagination parameters.' });
+  }
+  if (documentType && !IMPORT_DOCUMENTS[documentType]) {
+    return res.status(400).json({ message: `Invalid documentType. Must be one of: ${Object.keys(IMPORT_DOCUMENTS).join(', ')}` });
+  }
+  if (status && !['VALIDATED', 'COMMITTED', 'FAILED', 'EXPIRED'].includes(status)) {
+    return res.status(400).json({ message: 'Invalid status. Must be one of: VALIDATED, COMMITTED, FAILED, EXPIRED' });
+  }
+
+  const where = can(req.user, 'import:read:any') ? (userId ? { userId } : {}) : { userId: req.user.id };
+  if (documentType) where.documentType = IMPORT_DOCUMENTS[documentType].documentType;
+  if (status) where.status = status;
+
+  try {
+    const [jobs, total] = await Promise.all([
+      prisma.importJob.findMany({
+        where,
+        select: IMPORT_JOB_SUMMARY_SELECT,
+        orderBy: { createdAt: 'desc' },
+        skip: (pageNum - 1) * limitNum,
+        take: limitNum
+      }),
+      prisma.importJob.count({ where })
+    ]);
+
+    res.json({
+      jobs,
+      totalPages: Math.ceil(total / limitNum),
+      currentPage: pageNum,
+      totalJobs: total
+    });
+
+  } catch (error) {
+    console.error('Get Import Jobs Error:', error);
+    res.status(500).json({ message: 'Server Error retrieving import jobs' });
+  }
+};
+
+// An import job with its mapping and per-row report
+export const getImportJobById = async (req, res) => {
+  try {
+    const { fileUrl, ...job } = await findVisibleImportJob(req.user, req.params.id);
+    res.json(job);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Get Import Job Error:', error);
+    res.status(500).json({ message: 'Server Error retrieving import job' });
+  }
+};
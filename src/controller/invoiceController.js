@@ -2,6 +2,19 @@ import { PrismaClient, Role } from '@prisma/client';
 import fs from 'fs';
 import path from 'path';
 import { createEditRequest } from './editRequestController.js'; // Import function if request handled here
+import { documentScopeFilter, canAccessDocument, userSharesSelect, can } from '../utils/permissions.js';
+import { calculateInvoiceGst, parseFormBoolean } from '../utils/gst.js';
+import { parseLineChanges, mergeLineChanges } from '../utils/lineChanges.js';
+import { formatMoney } from '../utils/money.js';
+import {
+  DEFAULT_PAYMENT_TERMS_DAYS, LOCKED_INVOICE_STATUSES, checkStatusTransition, statusAfterContentEdit, parsePaymentTerms, calculateDueDate, withOverdueInfo
+} from '../utils/invoiceLifecycle.js';
+import { userRoom } from '../utils/socketRooms.js';
+import { withWarrantyExpiry, withWarrantyStatus } from '../utils/warranty.js';
+import { resolveDocumentLink } from '../utils/documentLinks.js';
+import { supplyTypeOf } from '../utils/gstin.js';
+import { isNumbered, withDocumentNumber, retryNumbering } from '../utils/numberSeries.js';
+import { duplicateInvoiceConflict } from '../utils/duplicateInvoices.js';
 
 const prisma = new PrismaClient();
 
@@ -17,56 +30,170 @@ const safeUnlink = (filePath) => {
   }
 };
 
-// Create a new invoice
-export const createInvoice = async (req, res) => {
-  try {
-    const {
-      id, // User provided ID
-      purchaseDate,
-      companyName,
-      orderOrSerialNumber,
-      vendorName,
-      contactNumber,
-      address,
-      additionalDetails,
-      products, // Expected as JSON string or array
-      totalAmount,
-    } = req.body;
-
-    // Basic Validations
-    if (!id || !companyName || !vendorName || !address || !totalAmount || !products || !purchaseDate) {
-      return res.status(400).json({ message: 'Missing required fields (id, companyName, vendorName, address, totalAmount, products, purchaseDate)' });
-    }
+/**
+ * Payment terms, due date and outstanding balance for a create or update. `current` is the stored invoice
+ * (null on create); the new total may not fall below what has already been paid and credited.
+ * Returns { errors, data } like the GST calculation.
+ */
+const paymentTermsData = (current, { purchaseDate, paymentTermsDays, totalAmount }) => {
+  const errors = [];
+  let terms = current ? current.paymentTermsDays : DEFAULT_PAYMENT_TERMS_DAYS;
+  if (paymentTermsDays !== undefined && paymentTermsDays !== '') {
+    terms = parsePaymentTerms(paymentTermsDays);
+    if (terms === null) errors.push({ field: 'paymentTermsDays', message: 'Payment terms must be a whole number of days between 0 and 365' });
+  }
 
-    // Check if invoice with this ID already exists
-    const existingInvoice = await prisma.invoice.findUnique({
-      where: { id }
+  const outstandingAmount = totalAmount.minus(current ? current.amountPaid : 0).minus(current ? current.creditedAmount : 0);
+  if (outstandingAmount.isNegative()) {
+    errors.push({
+      field: 'totalAmount',
+      message: `Total amount ${formatMoney(totalAmount)} is below the ${formatMoney(current.amountPaid)} already paid and ${formatMoney(current.creditedAmount)} credited`
     });
-    if (existingInvoice) {
-      return res.status(400).json({ message: 'An invoice with this ID already exists. Please use a unique ID.' });
-    }
+  }
 
-    // Parse products safely
-    let parsedProducts;
-    try {
-        parsedProducts = typeof products === 'string' ? JSON.parse(products) : products;
-        if (!Array.isArray(parsedProducts) || parsedProducts.length === 0) {
-            throw new Error('Products data must be a non-empty array.');
-        }
-        // Further validation for each product item can be added here
-        parsedProducts.forEach(p => {
-            if (!p.productName || !p.quantity || !p.price) throw new Error ('Each product must have productName, quantity, and price.');
+  const dueFrom = purchaseDate || current?.purchaseDate;
+  return {
+    errors,
+    data: { paymentTermsDays: terms, dueDate: terms === null ? undefined : calculateDueDate(dueFrom, terms), outstandingAmount }
+  };
+};
+
+/**
+ * PO item links of product lines (`purchaseOrderItemId`, for the three-way match): each must be an item of the
+ * invoice's purchase order. Returns { errors, itemIds } with one ID (or null) per line.
+ */
+const orderItemLinks = async (lines, purchaseOrderId) => {
+  const itemIds = lines.map(line => line.purchaseOrderItemId || null);
+  const errors = [];
+  if (itemIds.some(Boolean)) {
+    const items = purchaseOrderId ? await prisma.item.findMany({ where: { purchaseOrderId }, select: { id: true } }) : [];
+    itemIds.forEach((itemId, index) => {
+      if (itemId && !items.some(item => item.id === itemId)) {
+        errors.push({
+          field: `products[${index}].purchaseOrderItemId`,
+          message: purchaseOrderId ? `Item ${itemId} is not on the linked purchase order` : 'Link the invoice to a purchase order (purchaseOrderId) before linking its items'
         });
-    } catch (e) {
-        safeUnlink(req.file?.path); // Clean up uploaded file on error
-        return res.status(400).json({ message: `Invalid products data: ${e.message}` });
+      }
+    });
+  }
+  return { errors, itemIds };
+};
+
+// PAID and CANCELLED invoices are final; their content cannot change any more. Nor can the lines and
+// amounts that credit notes were issued against (load `_count.creditNotes`).
+const lockedInvoiceMessage = (invoice) => {
+  if (LOCKED_INVOICE_STATUSES.includes(invoice.status)) return `A ${invoice.status} invoice can no longer be edited`;
+  if (invoice._count?.creditNotes > 0) return 'An invoice with credit notes can no longer be edited; delete its credit notes first';
+  return null;
+};
+
+// Starts a content edit inside its transaction: sets the status for the edit (see statusAfterContentEdit) only if
+// nobody changed the status since `invoice` was loaded, e.g. verified it or recorded its last payment.
+const claimInvoiceForEdit = async (tx, id, invoice) => {
+  const { count } = await tx.invoice.updateMany({
+    where: { id, status: invoice.status },
+    data: { ...statusAfterContentEdit(invoice), updatedAt: new Date() }
+  });
+  if (count === 0) {
+    throw Object.assign(new Error('Invoice status was changed by someone else; reload and try again'), { status: 409 });
+  }
+};
+
+/**
+ * Supply type of an invoice: `isInterState` when sent, else that of the linked purchase order (from its vendor GSTIN)
+ * when known, else `fallback` (intra-state for new invoices, the current value on updates).
+ */
+const invoiceSupplyType = async (isInterState, purchaseOrderId, fallback) => {
+  if (isInterState !== undefined && isInterState !== '') return parseFormBoolean(isInterState);
+  const purchaseOrder = purchaseOrderId && await prisma.purchaseOrder.findUnique({ where: { id: purchaseOrderId }, select: { gstNumber: true, gstStateCode: true } });
+  return (purchaseOrder ? supplyTypeOf(purchaseOrder) : null) ?? fallback;
+};
+
+// Required fields of a new invoice, in the order they are reported (id is generated when blank while a number series is active)
+const INVOICE_CREATE_FIELDS = ['id', 'companyName', 'vendorName', 'address', 'products', 'purchaseDate'];
+
+/**
+ * Validates a new invoice (a create request body or an imported invoice) and builds its create data.
+ * Returns { errors, data, duplicate }: errors as [{ field, message }], and the 409 body when the invoice looks
+ * like one already entered (unless `confirmDuplicate`). A PO link the user cannot read throws an Error with
+ * `status` and `field` (see resolveDocumentLink). Imports look up once per file whether invoices are `numbered`
+ * and which of their IDs exist (`existingIds`).
+ */
+export const prepareInvoiceData = async (user, fields, { numbered, existingIds } = {}) => {
+  const {
+    id, // User provided ID
+    purchaseDate,
+    companyName,
+    orderOrSerialNumber,
+    vendorName,
+    contactNumber,
+    address,
+    additionalDetails,
+    products, // Expected as JSON string or array
+    totalAmount, // Optional; must match the computed grand total when sent
+    isInterState, // Optional; defaults to the linked purchase order's supply type, otherwise intra-state
+    paymentTermsDays, // Optional; defaults to INVOICE_PAYMENT_TERMS_DAYS
+    status, // Optional; DRAFT to keep the invoice unsubmitted, SUBMITTED otherwise
+    purchaseOrderId, // Optional; PO this invoice bills against
+    confirmDuplicate // true to save although it looks like an invoice already entered
+  } = fields;
+
+  // Basic Validations
+  const required = (numbered ?? await isNumbered('INVOICE')) ? INVOICE_CREATE_FIELDS.filter(field => field !== 'id') : INVOICE_CREATE_FIELDS;
+  const missing = required.filter(field => !fields[field]);
+  if (missing.length > 0) {
+    return { errors: [{ field: missing[0], message: `Missing required fields (${required.join(', ')})` }] };
+  }
+  if (isNaN(new Date(purchaseDate).getTime())) {
+    return { errors: [{ field: 'purchaseDate', message: 'purchaseDate must be a valid date' }] };
+  }
+  if (status && !['DRAFT', 'SUBMITTED'].includes(status)) {
+    return { errors: [{ field: 'status', message: 'New invoices can only be created as DRAFT or SUBMITTED' }] };
+  }
+
+  // Check if invoice with this ID already exists
+  const existingInvoice = id && (existingIds ? existingIds.has(id) : await prisma.invoice.findUnique({ where: { id }, select: { id: true } }));
+  if (existingInvoice) {
+    return { errors: [{ field: 'id', message: 'An invoice with this ID already exists. Please use a unique ID.' }] };
+  }
+
+  // Parse products safely
+  let parsedProducts;
+  try {
+    parsedProducts = typeof products === 'string' ? JSON.parse(products) : products;
+    if (!Array.isArray(parsedProducts) || parsedProducts.length === 0) {
+      throw new Error('Products data must be a non-empty array.');
     }
+    // Further validation for each product item can be added here
+    parsedProducts.forEach(p => {
+      if (!p.productName || !p.quantity || !p.price) throw new Error ('Each product must have productName, quantity, and price.');
+    });
+  } catch (e) {
+    return { errors: [{ field: 'products', message: `Invalid products data: ${e.message}` }] };
+  }
 
-    // Get file path (normalized)
-    const invoiceFileUrl = req.file ? req.file.path.replace(/\\/g, '/') : null;
+  const linkedPurchaseOrderId = await resolveDocumentLink(user, 'purchaseOrder', purchaseOrderId, 'purchaseOrderId');
+
+  // Line amounts, GST split and grand total are computed here, never taken from the client.
+  const interState = await invoiceSupplyType(isInterState, linkedPurchaseOrderId, false);
+  const gst = calculateInvoiceGst(parsedProducts, { isInterState: interState, totalAmount });
+  if (gst.errors.length > 0) return { errors: gst.errors };
+  const terms = paymentTermsData(null, { purchaseDate, paymentTermsDays, totalAmount: gst.totals.totalAmount });
+  if (terms.errors.length > 0) return { errors: terms.errors };
+
+  const orderItems = await orderItemLinks(parsedProducts, linkedPurchaseOrderId);
+  if (orderItems.errors.length > 0) return { errors: orderItems.errors };
 
-    // Prepare data for Prisma create
-    const invoiceData = {
+  // Same vendor bill entered before (by anyone, under any ID)?
+  const duplicate = await duplicateInvoiceConflict(
+    { vendorName, orderOrSerialNumber, purchaseDate, totalAmount: gst.totals.totalAmount },
+    { user, confirmDuplicate }
+  );
+
+  return {
+    errors: [],
+    duplicate,
+    data: {
       id,
       purchaseDate: new Date(purchaseDate),
       companyName,
@@ -74,42 +201,59 @@ export const createInvoice = async (req, res) => {
       vendorName,
       contactNumber,
       address,
-      invoiceFileUrl,
       additionalDetails,
-      totalAmount: parseFloat(totalAmount),
-      userId: req.user.id, // Comes from auth middleware
+      isInterState: interState,
+      ...gst.totals,
+      ...terms.data,
+      status: status || 'SUBMITTED',
+      statusChangedAt: new Date(),
+      purchaseOrderId: linkedPurchaseOrderId,
+      userId: user.id, // Comes from auth middleware
+      departmentId: user.departmentId || null, // Department at creation time; later moves do not change it
       // 'allowEditing' defaults to false, 'editableUntil' is null by default per schema
       products: {
-        create: parsedProducts.map(product => ({
-          productName: product.productName,
-          serialNumber: product.serialNumber,
-          warrantyYears: parseInt(product.warrantyYears || 0, 10),
-          quantity: parseInt(product.quantity, 10),
-          price: parseFloat(product.price)
-        }))
+        create: withWarrantyExpiry(gst.products, purchaseDate).map((line, index) => ({ ...line, purchaseOrderItemId: orderItems.itemIds[index] }))
       }
-    };
+    }
+  };
+};
+
+// Create a new invoice
+export const createInvoice = async (req, res) => {
+  try {
+    const { errors, data, duplicate } = await prepareInvoiceData(req.user, req.body);
+    if (errors.length > 0) {
+        safeUnlink(req.file?.path); // Clean up uploaded file on error
+        return res.status(400).json({ message: errors[0].message, errors });
+    }
+    if (duplicate) {
+        safeUnlink(req.file?.path);
+        return res.status(409).json(duplicate);
+    }
+
+    // Get file path (normalized)
+    const invoiceFileUrl = req.file ? req.file.path.replace(/\\/g, '/') : null;
 
-    // Create invoice with nested products
-    const newInvoice = await prisma.invoice.create({
-      data: invoiceData,
+    // Create invoice with nested products, numbered from the series when id is blank
+    const newInvoice = await retryNumbering(() => prisma.$transaction(async (tx) => tx.invoice.create({
+      data: await withDocumentNumber(tx, 'INVOICE', { ...data, invoiceFileUrl }),
       include: { // Include relations in the response
         products: true,
         user: { select: { id: true, username: true }}
       }
-    });
+    })));
 
     res.status(201).json(newInvoice);
 
   } catch (error) {
-    console.error('Create Invoice Error:', error);
     safeUnlink(req.file?.path); // Ensure cleanup on any other error
+    if (error.status) {
+        return res.status(error.status).json({ message: error.message, errors: [{ field: error.field, message: error.message }] });
+    }
+    console.error('Create Invoice Error:', error);
     // Check for specific Prisma errors if needed (e.g., P2002 for unique constraints)
     if (error.code === 'P2002') {
          return res.status(409).json({ message: `Invoice creation failed: A record with the provided identifier already exists.` });
-    }
-     if (error instanceof SyntaxError && error.message.includes('JSON')) {
-        return res.status(400).json({ message: `Invalid JSON format in request body (likely 'products').` });
     }
     res.status(500).json({ message: 'Server Error creating invoice', error: error.message });
   }
@@ -127,12 +271,12 @@ export const getAllInvoices = async (req, res) => {
   }
   const skip = (pageNum - 1) * limitNum;
 
-  // Determine filter based on user role
-  const where = req.user.role === 'ADMIN' ? {} : { userId: req.user.id };
+  // Determine filter based on read permission
+  const where = documentScopeFilter(req.user, 'invoice'); // read:any sees all, otherwise own and/or department documents
 
   // Build sorting
   const validSortOrders = ['asc', 'desc'];
-  const orderByField = ['companyName', 'vendorName', 'purchaseDate', 'totalAmount', 'createdAt', 'updatedAt'].includes(sortBy) ? sortBy : 'createdAt';
+  const orderByField = ['companyName', 'vendorName', 'purchaseDate', 'totalAmount', 'status', 'dueDate', 'outstandingAmount', 'createdAt', 'updatedAt'].includes(sortBy) ? sortBy : 'createdAt';
   const orderDirection = validSortOrders.includes(sortOrder.toLowerCase()) ? sortOrder.toLowerCase() : 'desc';
   const orderBy = { [orderByField]: orderDirection };
 
@@ -151,7 +295,7 @@ export const getAllInvoices = async (req, res) => {
     const total = await prisma.invoice.count({ where });
 
     res.json({
-      invoices,
+      invoices: invoices.map(invoice => withOverdueInfo(invoice)),
       totalPages: Math.ceil(total / limitNum),
       currentPage: pageNum,
       totalInvoices: total
@@ -172,7 +316,11 @@ export const getInvoiceById = async (req, res) => {
       where: { id },
       include: {
         products: true,
-        user: { select: { id: true, username: true } }
+        payments: { orderBy: { paymentDate: 'asc' }, include: { recordedBy: { select: { id: true, username: true } } } },
+        purchaseOrder: { select: { id: true, purchaseOrderNumber: true, vendorName: true } },
+        creditNotes: { select: { id: true, creditNoteNumber: true, creditNoteDate: true, totalAmount: true }, orderBy: { creditNoteDate: 'asc' } }, // Explain creditedAmount
+        user: { select: { id: true, username: true } },
+        ...userSharesSelect(req.user) // The caller's active share, if any
       }
     });
 
@@ -180,12 +328,17 @@ export const getInvoiceById = async (req, res) => {
       return res.status(404).json({ message: 'Invoice not found' });
     }
 
-    // Authorization check: Owner or Admin can view
-    if (req.user.role !== 'ADMIN' && invoice.userId !== req.user.id) {
+    // Authorization check: read:any, read:own for the owner, department visibility or a share
+    if (!canAccessDocument(req.user, 'invoice', 'read', invoice)) {
       return res.status(403).json({ message: 'Not authorized to view this invoice' });
     }
 
-    res.json(invoice);
+    const { shares, ...invoiceData } = invoice;
+    res.json({
+      ...withOverdueInfo(invoiceData),
+      products: invoiceData.products.map(product => withWarrantyStatus(product)),
+      sharedAccess: shares[0]?.accessLevel || null // VIEW/EDIT when reached through a share
+    });
 
   } catch (error) {
     console.error('Get Invoice By ID Error:', error);
@@ -207,15 +360,19 @@ export const updateInvoice = async (req, res) => {
     address,
     additionalDetails,
     products, // Expected as JSON string or array
-    totalAmount
+    totalAmount, // Optional; must match the computed grand total when sent
+    isInterState, // Optional; defaults to the linked purchase order's supply type, otherwise keeps the current value
+    paymentTermsDays, // Optional; keeps the current terms when omitted
+    purchaseOrderId, // Optional; keeps the current link when omitted, null unlinks
+    confirmDuplicate // true to save although it looks like an invoice already entered
   } = req.body;
 
    // We don't need to fetch the document again if `canEdit` attaches it, but let's fetch anyway for atomicity.
    // Or rely on the `canEdit` middleware having validated existence/permissions.
 
   // Basic presence check - more specific validation can be added
-   if (!companyName || !vendorName || !address || !totalAmount || !products || !purchaseDate) {
-     return res.status(400).json({ message: 'Missing required fields for update (companyName, vendorName, address, totalAmount, products, purchaseDate)' });
+   if (!companyName || !vendorName || !address || !products || !purchaseDate) {
+     return res.status(400).json({ message: 'Missing required fields for update (companyName, vendorName, address, products, purchaseDate)' });
    }
 
   // Parse products safely
@@ -241,12 +398,49 @@ export const updateInvoice = async (req, res) => {
       // Find the current file URL *before* the transaction
       const existingInvoice = await prisma.invoice.findUnique({
           where: { id },
-          select: { invoiceFileUrl: true }
+          select: {
+            invoiceFileUrl: true, isInterState: true, status: true, purchaseDate: true, paymentTermsDays: true, amountPaid: true, creditedAmount: true,
+            purchaseOrderId: true, vendorName: true, orderOrSerialNumber: true, totalAmount: true, _count: { select: { creditNotes: true } }
+          }
       });
       if (!existingInvoice) {
            // Should have been caught by canEdit, but check defensively
            return res.status(404).json({ message: 'Invoice not found for update' });
       }
+      if (lockedInvoiceMessage(existingInvoice)) {
+          safeUnlink(req.file?.path);
+          return res.status(409).json({ message: lockedInvoiceMessage(existingInvoice) });
+      }
+
+      const linkedPurchaseOrderId = await resolveDocumentLink(req.user, 'purchaseOrder', purchaseOrderId, 'purchaseOrderId');
+      const interState = await invoiceSupplyType(
+        isInterState, linkedPurchaseOrderId === undefined ? existingInvoice.purchaseOrderId : linkedPurchaseOrderId, existingInvoice.isInterState
+      );
+      const gst = calculateInvoiceGst(parsedProducts, { isInterState: interState, totalAmount });
+      if (gst.errors.length > 0) {
+          safeUnlink(req.file?.path);
+          return res.status(400).json({ message: gst.errors[0].message, errors: gst.errors });
+      }
+      const terms = paymentTermsData(existingInvoice, { purchaseDate, paymentTermsDays, totalAmount: gst.totals.totalAmount });
+      if (terms.errors.length > 0) {
+          safeUnlink(req.file?.path);
+          return res.status(400).json({ message: terms.errors[0].message, errors: terms.errors });
+      }
+      const orderItems = await orderItemLinks(parsedProducts, linkedPurchaseOrderId === undefined ? existingInvoice.purchaseOrderId : linkedPurchaseOrderId);
+      if (orderItems.errors.length > 0) {
+          safeUnlink(req.file?.path);
+          return res.status(400).json({ message: orderItems.errors[0].message, errors: orderItems.errors });
+      }
+      const duplicate = await duplicateInvoiceConflict({
+        vendorName,
+        orderOrSerialNumber: orderOrSerialNumber === undefined ? existingInvoice.orderOrSerialNumber : orderOrSerialNumber,
+        purchaseDate,
+        totalAmount: gst.totals.totalAmount
+      }, { user: req.user, id, current: existingInvoice, confirmDuplicate });
+      if (duplicate) {
+          safeUnlink(req.file?.path);
+          return res.status(409).json(duplicate);
+      }
       oldInvoiceFileUrl = existingInvoice.invoiceFileUrl;
 
       if (req.file) {
@@ -266,13 +460,19 @@ export const updateInvoice = async (req, res) => {
         address,
         invoiceFileUrl: newInvoiceFileUrl,
         additionalDetails,
-        totalAmount: parseFloat(totalAmount),
-        // IMPORTANT: We replace all products. No partial update supported here.
+        isInterState: interState,
+        ...gst.totals,
+        ...terms.data,
+        purchaseOrderId: linkedPurchaseOrderId,
+        // IMPORTANT: We replace all products. No partial update supported here (PATCH keeps line IDs,
+        // and with them the stock entries linked to the lines).
         // allowEditing and editableUntil are handled by admin approval flow
     };
 
     // Transaction: Delete old products, Update invoice, Create new products
     const updatedInvoice = await prisma.$transaction(async (tx) => {
+        await claimInvoiceForEdit(tx, id, existingInvoice);
+
         // 1. Delete existing products associated with this invoice
         await tx.product.deleteMany({
           where: { invoiceId: id }
@@ -284,13 +484,7 @@ export const updateInvoice = async (req, res) => {
           data: {
               ...updateData,
               products: {
-                create: parsedProducts.map(product => ({
-                    productName: product.productName,
-                    serialNumber: product.serialNumber,
-                    warrantyYears: parseInt(product.warrantyYears || 0, 10),
-                    quantity: parseInt(product.quantity, 10),
-                    price: parseFloat(product.price)
-                }))
+                create: withWarrantyExpiry(gst.products, purchaseDate).map((line, index) => ({ ...line, purchaseOrderItemId: orderItems.itemIds[index] }))
             }
           },
           include: { // Include relations in response
@@ -308,9 +502,12 @@ export const updateInvoice = async (req, res) => {
     res.json(updatedInvoice);
 
   } catch (error) {
-    console.error('Update Invoice Error:', error);
     // If a new file was uploaded during the failed attempt, try to delete it
     if (req.file) safeUnlink(req.file.path);
+    if (error.status) {
+        return res.status(error.status).json({ message: error.message, errors: [{ field: error.field, message: error.message }] });
+    }
+    console.error('Update Invoice Error:', error);
 
      if (error instanceof SyntaxError && error.message.includes('JSON')) {
         return res.status(400).json({ message: `Invalid JSON format in request body (likely 'products').` });
@@ -319,6 +516,208 @@ export const updateInvoice = async (req, res) => {
   }
 };
 
+// Header fields a PATCH may change, and those that cannot be cleared
+const INVOICE_PATCH_FIELDS = ['purchaseDate', 'companyName', 'orderOrSerialNumber', 'vendorName', 'contactNumber', 'address', 'additionalDetails'];
+const INVOICE_REQUIRED_FIELDS = ['purchaseDate', 'companyName', 'vendorName', 'address'];
+const PRODUCT_FIELDS = ['productName', 'serialNumber', 'warrantyYears', 'quantity', 'price', 'hsnSacCode', 'gstRate', 'discount', 'purchaseOrderItemId'];
+
+// Partially update an invoice: only the header fields sent, and products added, updated or removed by ID
+// (`products: { add, update, remove }`). Totals are recomputed; a sent totalAmount must match them.
+export const patchInvoice = async (req, res) => {
+  // Permission checked by `canEdit` middleware BEFORE this controller runs.
+  const { id } = req.params;
+  const { products, totalAmount, isInterState, paymentTermsDays, purchaseOrderId, confirmDuplicate } = req.body;
+
+  const rejectRequest = (errors) => {
+    safeUnlink(req.file?.path);
+    return res.status(400).json({ message: errors[0].message, errors });
+  };
+
+  const headerErrors = INVOICE_REQUIRED_FIELDS
+    .filter(field => req.body[field] !== undefined && !req.body[field])
+    .map(field => ({ field, message: `${field} cannot be empty` }));
+  if (req.body.purchaseDate && isNaN(new Date(req.body.purchaseDate).getTime())) {
+    headerErrors.push({ field: 'purchaseDate', message: 'purchaseDate must be a valid date' });
+  }
+  if (headerErrors.length > 0) return rejectRequest(headerErrors);
+
+  const parsedChanges = products === undefined ? null : parseLineChanges(products, 'products');
+  if (parsedChanges?.errors.length > 0) return rejectRequest(parsedChanges.errors);
+
+  try {
+    const existingInvoice = await prisma.invoice.findUnique({
+      where: { id },
+      select: {
+        invoiceFileUrl: true,
+        isInterState: true,
+        status: true,
+        purchaseDate: true,
+        paymentTermsDays: true,
+        amountPaid: true,
+        creditedAmount: true,
+        purchaseOrderId: true,
+        vendorName: true,
+        orderOrSerialNumber: true,
+        totalAmount: true,
+        products: { orderBy: { createdAt: 'asc' } },
+        _count: { select: { creditNotes: true } }
+      }
+    });
+    if (!existingInvoice) {
+      safeUnlink(req.file?.path);
+      return res.status(404).json({ message: 'Invoice not found for update' });
+    }
+    if (lockedInvoiceMessage(existingInvoice)) {
+      safeUnlink(req.file?.path);
+      return res.status(409).json({ message: lockedInvoiceMessage(existingInvoice) });
+    }
+
+    const merged = mergeLineChanges(existingInvoice.products, parsedChanges?.changes || { add: [], update: [], remove: [] }, {
+      field: 'products',
+      allowedFields: PRODUCT_FIELDS,
+      requiredFields: ['productName', 'quantity', 'price']
+    });
+    if (merged.errors.length > 0) return rejectRequest(merged.errors);
+
+    // Report line errors by their path in this request rather than by position in the merged list
+    const toRequestPaths = (errors) => errors.map(error => ({
+      ...error,
+      field: error.field.replace(/^products\[(\d+)\]/, (match, index) => merged.lineFields[index])
+    }));
+
+    const linkedPurchaseOrderId = await resolveDocumentLink(req.user, 'purchaseOrder', purchaseOrderId, 'purchaseOrderId');
+    const interState = await invoiceSupplyType(
+      isInterState, linkedPurchaseOrderId === undefined ? existingInvoice.purchaseOrderId : linkedPurchaseOrderId, existingInvoice.isInterState
+    );
+    const gst = calculateInvoiceGst(merged.lines, { isInterState: interState, totalAmount });
+    if (gst.errors.length > 0) return rejectRequest(toRequestPaths(gst.errors));
+
+    const orderItems = await orderItemLinks(merged.lines, linkedPurchaseOrderId === undefined ? existingInvoice.purchaseOrderId : linkedPurchaseOrderId);
+    if (orderItems.errors.length > 0) return rejectRequest(toRequestPaths(orderItems.errors));
+
+    const terms = paymentTermsData(existingInvoice, { purchaseDate: req.body.purchaseDate, paymentTermsDays, totalAmount: gst.totals.totalAmount });
+    if (terms.errors.length > 0) return rejectRequest(terms.errors);
+
+    const updateData = Object.fromEntries(INVOICE_PATCH_FIELDS.filter(field => req.body[field] !== undefined).map(field => [field, req.body[field]]));
+    if (updateData.purchaseDate) updateData.purchaseDate = new Date(updateData.purchaseDate);
+
+    const { vendorName, orderOrSerialNumber, purchaseDate } = { ...existingInvoice, ...updateData };
+    const duplicate = await duplicateInvoiceConflict(
+      { vendorName, orderOrSerialNumber, purchaseDate, totalAmount: gst.totals.totalAmount },
+      { user: req.user, id, current: existingInvoice, confirmDuplicate }
+    );
+    if (duplicate) {
+      safeUnlink(req.file?.path);
+      return res.status(409).json(duplicate);
+    }
+
+    updateData.purchaseOrderId = linkedPurchaseOrderId;
+    if (req.file) updateData.invoiceFileUrl = req.file.path.replace(/\\/g, '/');
+
+    const updatedInvoice = await prisma.$transaction(async (tx) => {
+      await claimInvoiceForEdit(tx, id, existingInvoice);
+
+      // Only rewrite lines when lines, the tax type, the purchase date (warranty expiry) or the PO changed; kept lines keep their IDs
+      if (parsedChanges || isInterState !== undefined || updateData.purchaseDate || linkedPurchaseOrderId !== undefined) {
+        const lines = withWarrantyExpiry(gst.products, updateData.purchaseDate || existingInvoice.purchaseDate)
+          .map((line, index) => ({ ...line, purchaseOrderItemId: orderItems.itemIds[index] }));
+        await tx.product.deleteMany({ where: { invoiceId: id, id: { in: merged.removedIds } } });
+        for (const [index, line] of merged.lines.entries()) {
+          if (line.id) {
+            await tx.product.update({ where: { id: line.id }, data: lines[index] });
+          } else {
+            await tx.product.create({ data: { ...lines[index], invoiceId: id } });
+          }
+        }
+      }
+
+      return tx.invoice.update({
+        where: { id },
+        data: { ...updateData, isInterState: interState, ...gst.totals, ...terms.data },
+        include: {
+          products: { orderBy: { createdAt: 'asc' } },
+          user: { select: { id: true, username: true } }
+        }
+      });
+    });
+
+    if (req.file && existingInvoice.invoiceFileUrl) {
+      safeUnlink(existingInvoice.invoiceFileUrl);
+    }
+
+    res.json(updatedInvoice);
+
+  } catch (error) {
+    safeUnlink(req.file?.path);
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message, errors: [{ field: error.field, message: error.message }] });
+    }
+    console.error('Patch Invoice Error:', error);
+    res.status(500).json({ message: 'Server Error updating invoice', error: error.message });
+  }
+};
+
+// Change the status of an invoice along the lifecycle (see INVOICE_STATUS_TRANSITIONS)
+export const updateInvoiceStatus = async (req, res) => {
+  const { id } = req.params;
+  const { status, note } = req.body;
+
+  if (!status) {
+    return res.status(400).json({ message: 'Status is required' });
+  }
+
+  try {
+    const invoice = await prisma.invoice.findUnique({
+      where: { id },
+      select: {
+        id: true, userId: true, departmentId: true, status: true, amountPaid: true, creditedAmount: true, outstandingAmount: true,
+        ...userSharesSelect(req.user)
+      }
+    });
+    if (!invoice || !canAccessDocument(req.user, 'invoice', 'read', invoice)) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+
+    const transitionError = checkStatusTransition(
+      invoice, status, permission => can(req.user, permission), canAccessDocument(req.user, 'invoice', 'update', invoice)
+    );
+    if (transitionError) {
+      const forbidden = transitionError.startsWith('Not authorized');
+      return res.status(forbidden ? 403 : 400).json({ message: transitionError });
+    }
+
+    // Only applies if nobody changed the status in the meantime
+    const { count } = await prisma.invoice.updateMany({
+      where: { id, status: invoice.status },
+      data: { status, statusChangedAt: new Date(), statusNote: note || null }
+    });
+    if (count === 0) {
+      return res.status(409).json({ message: 'Invoice status was changed by someone else; reload and try again' });
+    }
+
+    const updatedInvoice = await prisma.invoice.findUnique({
+      where: { id },
+      include: { products: true, user: { select: { id: true, username: true } } }
+    });
+
+    if (global.io && invoice.userId !== req.user.id) {
+      global.io.to(userRoom(invoice.userId)).emit('invoice-status-changed', {
+        message: `Invoice ${id} was marked ${status} by ${req.user.username}`,
+        invoiceId: id,
+        previousStatus: invoice.status,
+        status,
+        note: note || null
+      });
+    }
+
+    res.json(withOverdueInfo(updatedInvoice));
+
+  } catch (error) {
+    console.error('Update Invoice Status Error:', error);
+    res.status(500).json({ message: 'Server Error updating invoice status', error: error.message });
+  }
+};
+
 // Delete invoice
 export const deleteInvoice = async (req, res) => {
   const { id } = req.params;
@@ -327,17 +726,20 @@ export const deleteInvoice = async (req, res) => {
     // Check if invoice exists and get owner + file URL
     const invoice = await prisma.invoice.findUnique({
       where: { id },
-      select: { userId: true, invoiceFileUrl: true } // Only fetch needed fields
+      select: { userId: true, invoiceFileUrl: true, _count: { select: { creditNotes: true } } } // Only fetch needed fields
     });
 
     if (!invoice) {
       return res.status(404).json({ message: 'Invoice not found' });
     }
 
-    // Authorization check: Owner or Admin can delete
-    if (req.user.role !== 'ADMIN' && invoice.userId !== req.user.id) {
+    // Authorization check: delete:any, or delete:own for the owner
+    if (!canAccessDocument(req.user, 'invoice', 'delete', invoice)) {
       return res.status(403).json({ message: 'Not authorized to delete this invoice' });
     }
+    if (invoice._count.creditNotes > 0) {
+      return res.status(409).json({ message: 'Invoice has credit notes; delete them before deleting the invoice' });
+    }
 
     // Delete associated file first
     safeUnlink(invoice.invoiceFileUrl);
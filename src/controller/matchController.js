@@ -0,0 +1,206 @@
+// src/controller/matchController.js
+import { PrismaClient } from '@prisma/client';
+import { documentScopeFilter } from '../utils/permissions.js';
+import { MATCH_STATUSES, matchPurchaseOrder } from '../utils/threeWayMatch.js';
+
+const prisma = new PrismaClient();
+
+// Invoices that take part in matching: submitted ones, not drafts or cancelled invoices
+const MATCHED_INVOICE_STATUSES = { notIn: ['DRAFT', 'CANCELLED'] };
+
+/** Scope filters of purchase orders (with their goods receipts) and invoices; the report needs read access to both. */
+const matchScopes = (user) => {
+  const scopes = {
+    purchaseOrder: documentScopeFilter(user, 'purchaseOrder'),
+    invoice: documentScopeFilter(user, 'invoice')
+  };
+  if (Object.values(scopes).some(scope => !scope)) {
+    throw Object.assign(new Error('Matching needs read access to purchase orders and invoices'), { status: 403 });
+  }
+  return scopes;
+};
+
+/** Purchase order include for `matchPurchaseOrder`, limited to what the user may read. */
+const matchInclude = (scopes) => ({
+  items: { orderBy: { createdAt: 'asc' } },
+  invoices: {
+    where: { AND: [scopes.invoice, { status: MATCHED_INVOICE_STATUSES }] },
+    select: {
+      id: true, vendorName: true, purchaseDate: true, status: true, totalAmount: true,
+      products: {
+        select: { id: true, productName: true, quantity: true, price: true, purchaseOrderItemId: true }
+      }
+    }
+  }
+});
+
+const poSummary = ({ items, invoices, ...purchaseOrder }) => ({
+  ...purchaseOrder,
+  invoices: invoices.map(({ products, ...invoice }) => invoice)
+});
+
+const parsePagination = ({ page = 1, limit = 20 }) => {
+  const pageNum = parseInt(page, 10);
+  const limitNum = parseInt(limit, 10);
+  if (isNaN(pageNum) || pageNum < 1 || isNaN(limitNum) || limitNum < 1) return null;
+  return { pageNum, limitNum };
+};
+
+const dateRange = (dateFrom, dateTo) => {
+  const range = {};
+  if (dateFrom) range.gte = new Date(dateFrom);
+  if (dateTo) range.lte = new Date(dateTo);
+  return range;
+};
+
+// Orders matched per query when the report computes every status
+const MATCH_BATCH_SIZE = 200;
+const MATCH_ORDER = [{ orderDate: 'desc' }, { id: 'asc' }];
+
+/**
+ * Match status of every purchase order in `where`, newest first. Orders are read and matched in batches of
+ * MATCH_BATCH_SIZE; only { id, status } is kept.
+ */
+const matchStatuses = async (where, scopes) => {
+  const statuses = [];
+  for (let cursor = null; ;) {
+    const batch = await prisma.purchaseOrder.findMany({
+      where,
+      include: matchInclude(scopes),
+      orderBy: MATCH_ORDER,
+      take: MATCH_BATCH_SIZE,
+      ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {})
+    });
+    statuses.push(...batch.map(purchaseOrder => ({ id: purchaseOrder.id, status: matchPurchaseOrder(purchaseOrder).status })));
+    if (batch.length < MATCH_BATCH_SIZE) return statuses;
+    cursor = batch[batch.length - 1].id;
+  }
+};
+
+/**
+ * Three-way match report over purchase orders (?vendorName, dateFrom/dateTo on the order date, status,
+ * page, limit), with counts per status and of invoices billed without a purchase order.
+ * Statuses are computed batch by batch; only the orders of the requested page are returned in full.
+ */
+export const getMatchReport = async (req, res) => {
+  const { vendorName, dateFrom, dateTo, status } = req.query;
+  const pagination = parsePagination(req.query);
+  if (!pagination) {
+    return res.status(400).json({ message: 'Invalid pagination parameters.' });
+  }
+  if (status && !MATCH_STATUSES.includes(status)) {
+    return res.status(400).json({ message: `status must be one of: ${MATCH_STATUSES.join(', ')}` });
+  }
+
+  try {
+    const scopes = matchScopes(req.user);
+    const filters = [scopes.purchaseOrder];
+    if (vendorName) filters.push({ vendorName: { contains: vendorName } });
+    if (dateFrom || dateTo) filters.push({ orderDate: dateRange(dateFrom, dateTo) });
+
+    const invoiceFilters = [scopes.invoice, { purchaseOrderId: null, status: MATCHED_INVOICE_STATUSES }];
+    if (vendorName) invoiceFilters.push({ vendorName: { contains: vendorName } });
+    if (dateFrom || dateTo) invoiceFilters.push({ purchaseDate: dateRange(dateFrom, dateTo) });
+
+    const [statuses, invoicesWithoutPurchaseOrder] = await Promise.all([
+      matchStatuses({ AND: filters }, scopes),
+      prisma.invoice.count({ where: { AND: invoiceFilters } })
+    ]);
+
+    const summary = Object.fromEntries(MATCH_STATUSES.map(matchStatus => [matchStatus, statuses.filter(match => match.status === matchStatus).length]));
+    const selected = status ? statuses.filter(match => match.status === status) : statuses;
+    const { pageNum, limitNum } = pagination;
+    const pageIds = selected.slice((pageNum - 1) * limitNum, pageNum * limitNum).map(match => match.id);
+
+    const purchaseOrders = pageIds.length === 0 ? [] : await prisma.purchaseOrder.findMany({
+      where: { AND: [...filters, { id: { in: pageIds } }] },
+      include: matchInclude(scopes),
+      orderBy: MATCH_ORDER
+    });
+    const results = purchaseOrders.map(purchaseOrder => ({ purchaseOrder: poSummary(purchaseOrder), ...matchPurchaseOrder(purchaseOrder) }));
+
+    res.json({
+      summary: { purchaseOrders: statuses.length, ...summary, invoicesWithoutPurchaseOrder },
+      results,
+      totalPages: Math.ceil(selected.length / limitNum),
+      currentPage: pageNum,
+      totalResults: selected.length
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Match Report Error:', error);
+    res.status(500).json({ message: 'Server Error building the matching report' });
+  }
+};
+
+// Three-way match of a single purchase order
+export const getPurchaseOrderMatch = async (req, res) => {
+  try {
+    const scopes = matchScopes(req.user);
+    const purchaseOrder = await prisma.purchaseOrder.findFirst({
+      where: { AND: [scopes.purchaseOrder, { id: req.params.id }] },
+      include: matchInclude(scopes)
+    });
+    if (!purchaseOrder) {
+      return res.status(404).json({ message: 'Purchase order not found' });
+    }
+
+    res.json({ purchaseOrder: poSummary(purchaseOrder), ...matchPurchaseOrder(purchaseOrder) });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Purchase Order Match Error:', error);
+    res.status(500).json({ message: 'Server Error matching purchase order' });
+  }
+};
+
+// Submitted invoices that are not linked to any purchase order (?vendorName, dateFrom/dateTo, page, limit)
+export const getInvoicesWithoutPurchaseOrder = async (req, res) => {
+  const { vendorName, dateFrom, dateTo } = req.query;
+  const pagination = parsePagination(req.query);
+  if (!pagination) {
+    return res.status(400).json({ message: 'Invalid pagination parameters.' });
+  }
+
+  try {
+    const scopes = matchScopes(req.user);
+    const filters = [scopes.invoice, { purchaseOrderId: null, status: MATCHED_INVOICE_STATUSES }];
+    if (vendorName) filters.push({ vendorName: { contains: vendorName } });
+    if (dateFrom || dateTo) filters.push({ purchaseDate: dateRange(dateFrom, dateTo) });
+
+    const { pageNum, limitNum } = pagination;
+    const where = { AND: filters };
+    const [invoices, total] = await prisma.$transaction([
+      prisma.invoice.findMany({
+        where,
+        select: {
+          id: true, purchaseDate: true, vendorName: true, companyName: true, orderOrSerialNumber: true, status: true, totalAmount: true,
+          user: { select: { id: true, username: true } }
+        },
+        orderBy: { purchaseDate: 'desc' },
+        skip: (pageNum - 1) * limitNum,
+        take: limitNum
+      }),
+      prisma.invoice.count({ where })
+    ]);
+
+    res.json({
+      results: invoices,
+      totalPages: Math.ceil(total / limitNum),
+      currentPage: pageNum,
+      totalResults: total
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Invoices Without PO Error:', error);
+    res.status(500).json({ message: 'Server Error retrieving invoices without purchase order' });
+  }
+};
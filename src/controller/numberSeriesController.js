@@ -0,0 +1,68 @@
+// src/controller/numberSeriesController.js
+import { PrismaClient } from '@prisma/client';
+import { NUMBERED_DOCUMENTS, activePattern, previewNumber } from '../utils/numberSeries.js';
+import { validatePattern, financialYear } from '../utils/numberPatterns.js';
+
+const prisma = new PrismaClient();
+
+const DOCUMENT_TYPES = Object.keys(NUMBERED_DOCUMENTS);
+
+// Number series of every document type, with the next number for the caller's department today
+export const getNumberSeries = async (req, res) => {
+  try {
+    const configured = await prisma.numberSeries.findMany();
+    const series = await Promise.all(DOCUMENT_TYPES.map(async (documentType) => {
+      const row = configured.find(entry => entry.documentType === documentType);
+      const pattern = await activePattern(prisma, documentType);
+      return {
+        documentType,
+        pattern: row?.pattern || null,
+        isActive: Boolean(row?.isActive),
+        required: Boolean(NUMBERED_DOCUMENTS[documentType].required), // Always numbered
+        nextNumber: pattern ? await previewNumber(documentType, pattern, { departmentId: req.user.departmentId }) : null,
+        updatedAt: row?.updatedAt || null
+      };
+    }));
+    res.json({ financialYear: financialYear(new Date()), series });
+
+  } catch (error) {
+    console.error('Get Number Series Error:', error);
+    res.status(500).json({ message: 'Server Error retrieving number series' });
+  }
+};
+
+// Set the pattern of a document type and switch its numbering on or off (manual IDs keep working either way)
+export const updateNumberSeries = async (req, res) => {
+  const { documentType } = req.params;
+  const { pattern } = req.body;
+  const isActive = req.body.isActive === undefined ? true : req.body.isActive === true;
+
+  if (!NUMBERED_DOCUMENTS[documentType]) {
+    return res.status(400).json({ message: `Invalid documentType. Must be one of: ${DOCUMENT_TYPES.join(', ')}` });
+  }
+  const patternError = validatePattern(pattern);
+  if (patternError) {
+    return res.status(400).json({ message: patternError, errors: [{ field: 'pattern', message: patternError }] });
+  }
+  if (!isActive && NUMBERED_DOCUMENTS[documentType].required) {
+    return res.status(400).json({ message: `${documentType} numbers are always generated; its series cannot be switched off`, errors: [{ field: 'isActive', message: 'Cannot be switched off' }] });
+  }
+
+  try {
+    const series = await prisma.numberSeries.upsert({
+      where: { documentType },
+      create: { documentType, pattern: pattern.trim(), isActive },
+      update: { pattern: pattern.trim(), isActive }
+    });
+    res.json({
+      message: isActive
+        ? `${documentType} documents left without an ID are numbered like ${await previewNumber(documentType, series.pattern, { departmentId: req.user.departmentId })}`
+        : `${documentType} numbering switched off; documents need a manual ID`,
+      series
+    });
+
+  } catch (error) {
+    console.error('Update Number Series Error:', error);
+    res.status(500).json({ message: 'Server Error updating number series', error: error.message });
+  }
+};
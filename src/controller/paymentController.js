@@ -0,0 +1,161 @@
+// src/controller/paymentController.js
+import { PrismaClient } from '@prisma/client';
+import { canAccessDocument, userSharesSelect } from '../utils/permissions.js';
+import { parseMoney, formatMoney } from '../utils/money.js';
+import { PAYMENT_MODES, withOverdueInfo } from '../utils/invoiceLifecycle.js';
+
+const prisma = new PrismaClient();
+
+const PAYMENT_INCLUDE = { recordedBy: { select: { id: true, username: true } } };
+
+// Balance fields returned with every payment change
+const INVOICE_BALANCE_SELECT = {
+  id: true, status: true, totalAmount: true, creditedAmount: true, amountPaid: true, outstandingAmount: true, dueDate: true, paymentTermsDays: true
+};
+
+/** Loads an invoice the caller may read, or throws a 404 (existence is not revealed to others). */
+const findReadableInvoice = async (user, id) => {
+  const invoice = await prisma.invoice.findUnique({
+    where: { id },
+    select: { ...INVOICE_BALANCE_SELECT, userId: true, departmentId: true, ...userSharesSelect(user) }
+  });
+  if (!invoice || !canAccessDocument(user, 'invoice', 'read', invoice)) {
+    throw Object.assign(new Error('Invoice not found'), { status: 404 });
+  }
+  return invoice;
+};
+
+// List the payments of an invoice with its balance
+export const getInvoicePayments = async (req, res) => {
+  try {
+    const { shares, userId, departmentId, ...invoice } = await findReadableInvoice(req.user, req.params.id);
+    const payments = await prisma.payment.findMany({
+      where: { invoiceId: invoice.id },
+      include: PAYMENT_INCLUDE,
+      orderBy: { paymentDate: 'asc' }
+    });
+    res.json({ invoice: withOverdueInfo(invoice), payments });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Get Invoice Payments Error:', error);
+    res.status(500).json({ message: 'Server Error retrieving payments' });
+  }
+};
+
+// Record a payment against a VERIFIED invoice; the payment settling the balance marks the invoice PAID
+export const recordPayment = async (req, res) => {
+  const { amount, mode, reference, paymentDate, note } = req.body;
+
+  const paidAmount = parseMoney(amount);
+  if (!paidAmount || !paidAmount.greaterThan(0)) {
+    return res.status(400).json({ message: 'Payment amount must be a positive amount' });
+  }
+  if (!PAYMENT_MODES.includes(mode)) {
+    return res.status(400).json({ message: `Payment mode must be one of: ${PAYMENT_MODES.join(', ')}` });
+  }
+  const paidOn = paymentDate ? new Date(paymentDate) : new Date();
+  if (isNaN(paidOn.getTime())) {
+    return res.status(400).json({ message: 'paymentDate must be a valid date' });
+  }
+
+  try {
+    const invoice = await findReadableInvoice(req.user, req.params.id);
+    if (invoice.status !== 'VERIFIED') {
+      return res.status(409).json({ message: `Payments can only be recorded against VERIFIED invoices (this one is ${invoice.status})` });
+    }
+    if (paidAmount.greaterThan(invoice.outstandingAmount)) {
+      return res.status(400).json({
+        message: `Payment of ${formatMoney(paidAmount)} exceeds the outstanding balance of ${formatMoney(invoice.outstandingAmount)}`
+      });
+    }
+
+    const payment = await prisma.$transaction(async (tx) => {
+      // Conditional update so concurrent payments cannot overpay the invoice
+      const { count } = await tx.invoice.updateMany({
+        where: { id: invoice.id, status: 'VERIFIED', outstandingAmount: { gte: paidAmount } },
+        data: { amountPaid: { increment: paidAmount }, outstandingAmount: { decrement: paidAmount } }
+      });
+      if (count === 0) {
+        throw Object.assign(new Error('Invoice balance or status changed in the meantime; reload and try again'), { status: 409 });
+      }
+
+      await tx.invoice.updateMany({
+        where: { id: invoice.id, status: 'VERIFIED', outstandingAmount: 0 },
+        data: { status: 'PAID', statusChangedAt: new Date(), statusNote: null }
+      });
+
+      return tx.payment.create({
+        data: {
+          invoiceId: invoice.id,
+          amount: paidAmount,
+          mode,
+          reference: reference || null,
+          paymentDate: paidOn,
+          note: note || null,
+          recordedById: req.user.id
+        },
+        include: PAYMENT_INCLUDE
+      });
+    });
+
+    const updatedInvoice = await prisma.invoice.findUnique({ where: { id: invoice.id }, select: INVOICE_BALANCE_SELECT });
+    res.status(201).json({ payment, invoice: withOverdueInfo(updatedInvoice) });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Record Payment Error:', error);
+    res.status(500).json({ message: 'Server Error recording payment', error: error.message });
+  }
+};
+
+// Delete a payment recorded by mistake; a PAID invoice goes back to VERIFIED
+export const deletePayment = async (req, res) => {
+  const { id, paymentId } = req.params;
+
+  try {
+    const invoice = await findReadableInvoice(req.user, id);
+    const payment = await prisma.payment.findFirst({ where: { id: paymentId, invoiceId: invoice.id } });
+    if (!payment) {
+      return res.status(404).json({ message: 'Payment not found for this invoice' });
+    }
+    if (!['VERIFIED', 'PAID'].includes(invoice.status)) {
+      return res.status(409).json({ message: `Payments of a ${invoice.status} invoice cannot be changed` });
+    }
+
+    await prisma.$transaction(async (tx) => {
+      // Conditional update so a status change made in the meantime (e.g. a cancellation) is not overridden
+      const { count } = await tx.invoice.updateMany({
+        where: { id: invoice.id, status: { in: ['VERIFIED', 'PAID'] } },
+        data: { amountPaid: { decrement: payment.amount }, outstandingAmount: { increment: payment.amount } }
+      });
+      if (count === 0) {
+        throw Object.assign(new Error('Invoice status changed in the meantime; reload and try again'), { status: 409 });
+      }
+
+      await tx.invoice.updateMany({
+        where: { id: invoice.id, status: 'PAID' },
+        data: { status: 'VERIFIED', statusChangedAt: new Date(), statusNote: `Payment ${payment.id} deleted` }
+      });
+
+      // Deleted by a concurrent request: its balance change is already done, so roll this one back
+      const deleted = await tx.payment.deleteMany({ where: { id: payment.id } });
+      if (deleted.count === 0) {
+        throw Object.assign(new Error('Payment not found for this invoice'), { status: 404 });
+      }
+    });
+
+    const updatedInvoice = await prisma.invoice.findUnique({ where: { id: invoice.id }, select: INVOICE_BALANCE_SELECT });
+    res.json({ message: 'Payment deleted', invoice: withOverdueInfo(updatedInvoice) });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Delete Payment Error:', error);
+    res.status(500).json({ message: 'Server Error deleting payment', error: error.message });
+  }
+};
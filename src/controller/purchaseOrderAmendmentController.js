@@ -0,0 +1,381 @@
+// src/controller/purchaseOrderAmendmentController.js
+import { PrismaClient } from '@prisma/client';
+import { canAccessDocument, userSharesSelect } from '../utils/permissions.js';
+import {
+  rulesForDepartment, amendmentChainFor, pendingLevelData, nextApprovalLevel, canDecideApproval, amendmentApproval,
+  notifyAmendmentRequested, notifyAmendmentDecided
+} from '../utils/purchaseOrderApproval.js';
+import { lockPurchaseOrder } from '../utils/goodsReceipts.js';
+import { revisionSnapshot, diffRevisions } from '../utils/purchaseOrderRevisions.js';
+import { preparePurchaseOrderChanges, applyItemChanges } from './purchaseOrderController.js';
+
+const prisma = new PrismaClient();
+
+// Request fields an amendment may change (as for PATCH)
+const AMENDMENT_FIELDS = ['orderDate', 'fromAddress', 'vendorName', 'contactNumber', 'gstNumber', 'purchaseOrderNumber', 'totalAmount', 'items'];
+
+const AMENDMENT_INCLUDE = {
+  amendedBy: { select: { id: true, username: true } },
+  approvedBy: { select: { id: true, username: true } }
+};
+
+// Amendment columns listed with the revisions (the JSON snapshots are returned one amendment at a time)
+const AMENDMENT_SUMMARY_SELECT = {
+  id: true, status: true, reason: true, baseRevision: true, revision: true, totalAmount: true, approvalRound: true,
+  approvalChain: true, approvalLevel: true, approvedAt: true, createdAt: true, ...AMENDMENT_INCLUDE
+};
+
+/**
+ * Loads a purchase order (with its items, oldest first, and its pending amendment) the caller may read, or throws
+ * a 404. Approvers of the pending level of the order or of its amendment may read it too, to review them.
+ */
+const findReadablePurchaseOrder = async (user, id) => {
+  const purchaseOrder = await prisma.purchaseOrder.findUnique({
+    where: { id },
+    include: {
+      items: { orderBy: { createdAt: 'asc' } },
+      amendments: { where: { status: 'PENDING_APPROVAL' } },
+      ...userSharesSelect(user)
+    }
+  });
+  const readable = purchaseOrder && (
+    canAccessDocument(user, 'purchaseOrder', 'read', purchaseOrder) ||
+    canDecideApproval(user, purchaseOrder) ||
+    purchaseOrder.amendments.some(amendment => canDecideApproval(user, amendmentApproval(amendment, purchaseOrder)))
+  );
+  if (!readable) {
+    throw Object.assign(new Error('Purchase order not found'), { status: 404 });
+  }
+  return purchaseOrder;
+};
+
+/** The order at `revision`: the order itself for its current revision, else the snapshot kept by the next amendment. */
+const revisionState = async (purchaseOrder, revision) => {
+  if (revision === purchaseOrder.revision) return revisionSnapshot(purchaseOrder);
+  const next = await prisma.purchaseOrderAmendment.findFirst({
+    where: { purchaseOrderId: purchaseOrder.id, revision: revision + 1 },
+    select: { snapshot: true }
+  });
+  return next?.snapshot || null;
+};
+
+// Differences an amendment makes: to the revision it created once applied, else to the revision it was requested against
+const amendmentDiff = async (purchaseOrder, amendment) => {
+  if (amendment.revision !== null) {
+    return diffRevisions(await revisionState(purchaseOrder, amendment.revision - 1), await revisionState(purchaseOrder, amendment.revision));
+  }
+  const base = await revisionState(purchaseOrder, amendment.baseRevision);
+  return base ? diffRevisions(base, amendment.proposed) : null;
+};
+
+const sendError = (res, error) => res.status(error.status).json({ message: error.message, ...(error.errors ? { errors: error.errors } : {}) });
+
+// Mark the current revision of an APPROVED purchase order as sent to the vendor; from then on it changes only by amendment
+export const sendPurchaseOrder = async (req, res) => {
+  try {
+    const purchaseOrder = await findReadablePurchaseOrder(req.user, req.params.id);
+    if (!canAccessDocument(req.user, 'purchaseOrder', 'update', purchaseOrder)) {
+      return res.status(403).json({ message: 'Not authorized to send this purchase order' });
+    }
+    if (purchaseOrder.status !== 'APPROVED') {
+      return res.status(409).json({ message: `Only APPROVED purchase orders can be sent (Rev ${purchaseOrder.revision} is ${purchaseOrder.status})` });
+    }
+    if (purchaseOrder.sentRevision === purchaseOrder.revision) {
+      return res.status(409).json({ message: `Rev ${purchaseOrder.revision} was already sent to the vendor` });
+    }
+
+    // Only if no amendment was applied in between
+    const { count } = await prisma.purchaseOrder.updateMany({
+      where: { id: purchaseOrder.id, status: 'APPROVED', revision: purchaseOrder.revision },
+      data: { sentAt: new Date(), sentRevision: purchaseOrder.revision, sentById: req.user.id }
+    });
+    if (count === 0) {
+      return res.status(409).json({ message: 'The purchase order changed while you were sending it; reload it and try again' });
+    }
+
+    const sentPurchaseOrder = await prisma.purchaseOrder.findUnique({
+      where: { id: purchaseOrder.id },
+      include: { items: { orderBy: { createdAt: 'asc' } }, sentBy: { select: { id: true, username: true } } }
+    });
+    res.json({ message: `Purchase order Rev ${purchaseOrder.revision} sent to ${purchaseOrder.vendorName}`, purchaseOrder: sentPurchaseOrder });
+
+  } catch (error) {
+    if (error.status) {
+      return sendError(res, error);
+    }
+    console.error('Send Purchase Order Error:', error);
+    res.status(500).json({ message: 'Server Error sending purchase order', error: error.message });
+  }
+};
+
+// Request an amendment of a purchase order sent to the vendor: the PATCH body (header fields, totalAmount,
+// `items: { add, update, remove }`) plus a reason. The order is unchanged until every level of the amendment's
+// approval chain approves it; one amendment at a time.
+export const amendPurchaseOrder = async (req, res) => {
+  const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+  if (!reason) {
+    return res.status(400).json({ message: 'A reason for the amendment is required', errors: [{ field: 'reason', message: 'A reason for the amendment is required' }] });
+  }
+
+  try {
+    const purchaseOrder = await findReadablePurchaseOrder(req.user, req.params.id);
+    if (!canAccessDocument(req.user, 'purchaseOrder', 'update', purchaseOrder)) {
+      return res.status(403).json({ message: 'Not authorized to amend this purchase order' });
+    }
+    if (!purchaseOrder.sentAt) {
+      return res.status(409).json({ message: 'Purchase order was not sent to the vendor yet; edit it instead' });
+    }
+    if (purchaseOrder.closedAt) {
+      return res.status(409).json({ message: 'Purchase order is closed; reopen it before amending' });
+    }
+    if (purchaseOrder.amendments.length > 0) {
+      return res.status(409).json({ message: 'An amendment of this purchase order is already waiting for approval; wait for the decision first' });
+    }
+
+    const changes = Object.fromEntries(AMENDMENT_FIELDS.filter(field => req.body[field] !== undefined).map(field => [field, req.body[field]]));
+    const { errors, updateData, merged } = preparePurchaseOrderChanges(purchaseOrder, changes);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: errors[0].message, errors });
+    }
+    const proposed = revisionSnapshot({
+      ...purchaseOrder,
+      ...updateData,
+      items: merged
+        ? merged.lines.map(line => ({ id: line.id || null, description: line.description, quantity: Number(line.quantity), rate: line.rate }))
+        : purchaseOrder.items
+    });
+    const diff = diffRevisions(revisionSnapshot(purchaseOrder), proposed);
+    if (diff.fields.length === 0 && Object.values(diff.items).every(lines => lines.length === 0)) {
+      return res.status(400).json({ message: 'An amendment must change the header fields or items of the order' });
+    }
+
+    const totalAmount = updateData.totalAmount || purchaseOrder.totalAmount;
+    const chain = amendmentChainFor(await rulesForDepartment(purchaseOrder.departmentId), totalAmount);
+    const round = purchaseOrder.approvalRound + 1;
+
+    const amendment = await prisma.$transaction(async (tx) => {
+      // Only if no other amendment was requested or applied since the order was loaded
+      const locked = await lockPurchaseOrder(tx, purchaseOrder.id, { revision: purchaseOrder.revision, approvalRound: purchaseOrder.approvalRound, closedAt: null });
+      if (!locked) {
+        throw Object.assign(new Error('The purchase order changed while you were amending it; reload it and try again'), { status: 409 });
+      }
+      // The decisions on the amendment form a round of the order's approval trail
+      await tx.purchaseOrder.update({
+        where: { id: purchaseOrder.id },
+        data: {
+          approvalRound: round,
+          approvals: { create: { round, action: 'SUBMITTED', comment: `Amendment of Rev ${purchaseOrder.revision}: ${reason}`, totalAmount, actorId: req.user.id } }
+        }
+      });
+      return tx.purchaseOrderAmendment.create({
+        data: {
+          purchaseOrderId: purchaseOrder.id,
+          reason,
+          baseRevision: purchaseOrder.revision,
+          changes,
+          proposed,
+          totalAmount,
+          approvalRound: round,
+          approvalChain: chain,
+          ...pendingLevelData(chain[0]),
+          amendedById: req.user.id
+        },
+        include: AMENDMENT_INCLUDE
+      });
+    });
+
+    notifyAmendmentRequested(purchaseOrder, amendment);
+
+    res.status(201).json({
+      message: `Amendment of Rev ${purchaseOrder.revision} waiting for approval by ${chain[0].name}; the order is unchanged until it is approved`,
+      amendment: { ...amendment, diff }
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return sendError(res, error);
+    }
+    console.error('Amend Purchase Order Error:', error);
+    res.status(500).json({ message: 'Server Error amending purchase order', error: error.message });
+  }
+};
+
+// Records the caller's decision (APPROVED or REJECTED) on the pending level of an amendment. The last approval
+// applies the amendment, creating the next revision; a rejection leaves the order as it is.
+const decideAmendment = async (req, res, action) => {
+  const comment = typeof req.body.comment === 'string' ? req.body.comment.trim() : '';
+  if (action === 'REJECTED' && !comment) {
+    return res.status(400).json({ message: 'A comment explaining the rejection is required', errors: [{ field: 'comment', message: 'A comment explaining the rejection is required' }] });
+  }
+
+  try {
+    const purchaseOrder = await findReadablePurchaseOrder(req.user, req.params.id);
+    const amendment = await prisma.purchaseOrderAmendment.findFirst({ where: { id: req.params.amendmentId, purchaseOrderId: purchaseOrder.id } });
+    if (!amendment) {
+      return res.status(404).json({ message: 'Amendment not found' });
+    }
+    if (amendment.status !== 'PENDING_APPROVAL') {
+      return res.status(409).json({ message: `Amendment is ${amendment.status}; only amendments pending approval can be approved or rejected` });
+    }
+    if (amendment.amendedById === req.user.id) {
+      return res.status(403).json({ message: 'You cannot approve or reject your own amendment' });
+    }
+    if (!canDecideApproval(req.user, amendmentApproval(amendment, purchaseOrder))) {
+      return res.status(403).json({ message: `Amendment is waiting for approval level ${amendment.approvalLevel}, which you cannot decide` });
+    }
+
+    const level = amendment.approvalLevel;
+    const nextLevel = action === 'APPROVED' ? nextApprovalLevel(amendment) : undefined;
+    let data;
+    if (action === 'REJECTED') data = { status: 'REJECTED', ...pendingLevelData(null) };
+    else if (nextLevel) data = pendingLevelData(nextLevel);
+    else data = { status: 'APPROVED', approvedAt: new Date(), approvedById: req.user.id, ...pendingLevelData(null) };
+
+    const decided = await prisma.$transaction(async (tx) => {
+      // Only if the level is still pending: another approver may have decided it
+      const { count } = await tx.purchaseOrderAmendment.updateMany({
+        where: { id: amendment.id, status: 'PENDING_APPROVAL', approvalLevel: level },
+        data
+      });
+      if (count === 0) {
+        throw Object.assign(new Error('The amendment changed while you were deciding; reload it and try again'), { status: 409 });
+      }
+      await tx.purchaseOrderApproval.create({
+        data: {
+          purchaseOrderId: purchaseOrder.id,
+          round: amendment.approvalRound,
+          level,
+          action,
+          comment: comment || null,
+          totalAmount: amendment.totalAmount,
+          actorId: req.user.id
+        }
+      });
+
+      if (data.status === 'APPROVED') {
+        // Apply the changes to the order as it is now (locked: deliveries recorded meanwhile are taken into account)
+        if (!(await lockPurchaseOrder(tx, purchaseOrder.id, { revision: amendment.baseRevision, closedAt: null }))) {
+          throw Object.assign(new Error('The purchase order was closed or amended since; reject this amendment instead'), { status: 409 });
+        }
+        const current = await tx.purchaseOrder.findUnique({ where: { id: purchaseOrder.id }, include: { items: { orderBy: { createdAt: 'asc' } } } });
+        const { errors, updateData, merged } = preparePurchaseOrderChanges(current, amendment.changes);
+        if (errors.length > 0) {
+          throw Object.assign(new Error(`The amendment no longer applies to the order: ${errors[0].message}`), { status: 409, errors });
+        }
+        const revision = current.revision + 1;
+        await tx.purchaseOrderAmendment.update({ where: { id: amendment.id }, data: { revision, snapshot: revisionSnapshot(current) } });
+        if (merged) await applyItemChanges(tx, purchaseOrder.id, merged);
+        await tx.purchaseOrder.update({ where: { id: purchaseOrder.id }, data: { ...updateData, revision } });
+      }
+      return tx.purchaseOrderAmendment.findUnique({ where: { id: amendment.id }, include: AMENDMENT_INCLUDE });
+    });
+
+    notifyAmendmentDecided(purchaseOrder, decided, { action, level, actor: req.user, comment });
+    notifyAmendmentRequested(purchaseOrder, decided); // The next level, if any
+
+    let message = `Amendment rejected at approval level ${level}; the order stays at Rev ${purchaseOrder.revision}`;
+    if (action === 'APPROVED') {
+      message = nextLevel
+        ? `Approval level ${level} approved; waiting for level ${nextLevel.level} (${nextLevel.name})`
+        : `Amendment approved; the order is now Rev ${decided.revision}. Send it to the vendor`;
+    }
+    res.json({ message, amendment: decided });
+
+  } catch (error) {
+    if (error.status) {
+      return sendError(res, error);
+    }
+    if (error.code === 'P2002' && String(error.meta?.target).includes('purchase_order_number')) {
+      return res.status(409).json({ message: 'A purchase order with this purchase order number already exists.' });
+    }
+    console.error(`${action === 'APPROVED' ? 'Approve' : 'Reject'} Purchase Order Amendment Error:`, error);
+    res.status(500).json({ message: 'Server Error recording amendment decision', error: error.message });
+  }
+};
+
+// Approve the pending level of an amendment; the last level applies it
+export const approveAmendment = (req, res) => decideAmendment(req, res, 'APPROVED');
+
+// Reject an amendment at its pending level (comment required)
+export const rejectAmendment = (req, res) => decideAmendment(req, res, 'REJECTED');
+
+// Revisions of a purchase order: the current and sent revision, and its amendments with reason, status, author and approver
+export const getPurchaseOrderRevisions = async (req, res) => {
+  try {
+    const purchaseOrder = await findReadablePurchaseOrder(req.user, req.params.id);
+    const amendments = await prisma.purchaseOrderAmendment.findMany({
+      where: { purchaseOrderId: purchaseOrder.id },
+      select: AMENDMENT_SUMMARY_SELECT,
+      orderBy: { createdAt: 'asc' }
+    });
+
+    res.json({
+      purchaseOrderId: purchaseOrder.id,
+      purchaseOrderNumber: purchaseOrder.purchaseOrderNumber,
+      revision: purchaseOrder.revision,
+      sentRevision: purchaseOrder.sentRevision,
+      sentAt: purchaseOrder.sentAt,
+      amendments
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return sendError(res, error);
+    }
+    console.error('Get Purchase Order Revisions Error:', error);
+    res.status(500).json({ message: 'Server Error retrieving purchase order revisions' });
+  }
+};
+
+// One amendment with its requested changes, the order as amended and the differences it makes
+export const getPurchaseOrderAmendment = async (req, res) => {
+  try {
+    const purchaseOrder = await findReadablePurchaseOrder(req.user, req.params.id);
+    const amendment = await prisma.purchaseOrderAmendment.findFirst({
+      where: { id: req.params.amendmentId, purchaseOrderId: purchaseOrder.id },
+      include: AMENDMENT_INCLUDE
+    });
+    if (!amendment) {
+      return res.status(404).json({ message: 'Amendment not found' });
+    }
+    res.json({ ...amendment, diff: await amendmentDiff(purchaseOrder, amendment) });
+
+  } catch (error) {
+    if (error.status) {
+      return sendError(res, error);
+    }
+    console.error('Get Purchase Order Amendment Error:', error);
+    res.status(500).json({ message: 'Server Error retrieving purchase order amendment' });
+  }
+};
+
+// Field-by-field differences between two revisions (?from=&to=, default the previous and the current revision)
+export const getRevisionDiff = async (req, res) => {
+  try {
+    const purchaseOrder = await findReadablePurchaseOrder(req.user, req.params.id);
+
+    const parseRevision = (value, fallback) => (value === undefined || value === '' ? fallback : Number(value));
+    const from = parseRevision(req.query.from, Math.max(purchaseOrder.revision - 1, 0));
+    const to = parseRevision(req.query.to, purchaseOrder.revision);
+    const errors = [['from', from], ['to', to]]
+      .filter(([, revision]) => !Number.isInteger(revision) || revision < 0 || revision > purchaseOrder.revision)
+      .map(([field]) => ({ field, message: `${field} must be a revision from 0 to ${purchaseOrder.revision}` }));
+    if (errors.length > 0) {
+      return res.status(400).json({ message: errors[0].message, errors });
+    }
+
+    const [fromState, toState] = [await revisionState(purchaseOrder, from), await revisionState(purchaseOrder, to)];
+    if (!fromState || !toState) {
+      return res.status(404).json({ message: `Revision ${fromState ? to : from} of this purchase order was not found` });
+    }
+
+    res.json({ purchaseOrderId: purchaseOrder.id, from, to, ...diffRevisions(fromState, toState) });
+
+  } catch (error) {
+    if (error.status) {
+      return sendError(res, error);
+    }
+    console.error('Get Purchase Order Revision Diff Error:', error);
+    res.status(500).json({ message: 'Server Error comparing purchase order revisions' });
+  }
+};
@@ -0,0 +1,244 @@
+// src/controller/purchaseOrderApprovalController.js
+import { PrismaClient, ApproverType, Role } from '@prisma/client';
+import { parseMoney } from '../utils/money.js';
+import {
+  APPROVAL_RULE_INCLUDE, approvalInboxWhere, amendmentInboxWhere, canDecideApproval, nextApprovalLevel, pendingLevelData,
+  notifyApprovalRequested, notifyApprovalDecided
+} from '../utils/purchaseOrderApproval.js';
+
+const prisma = new PrismaClient();
+
+const PURCHASE_ORDER_APPROVAL_INCLUDE = {
+  items: true,
+  user: { select: { id: true, username: true } },
+  approvals: { include: { actor: { select: { id: true, username: true } } }, orderBy: { createdAt: 'asc' } }
+};
+
+// Purchase orders (paged) and amendments of sent orders waiting for the caller's decision, longest waiting first
+export const getApprovalInbox = async (req, res) => {
+  const { page = 1, limit = 10 } = req.query;
+
+  const pageNum = parseInt(page, 10);
+  const limitNum = parseInt(limit, 10);
+  if (isNaN(pageNum) || pageNum < 1 || isNaN(limitNum) || limitNum < 1) {
+    return res.status(400).json({ message: 'Invalid pagination parameters.' });
+  }
+
+  const where = approvalInboxWhere(req.user);
+
+  try {
+    const [purchaseOrders, total, amendments] = await Promise.all([
+      prisma.purchaseOrder.findMany({
+        where,
+        include: {
+          items: true,
+          user: { select: { id: true, username: true } },
+          department: { select: { id: true, name: true } }
+        },
+        orderBy: { updatedAt: 'asc' },
+        skip: (pageNum - 1) * limitNum,
+        take: limitNum
+      }),
+      prisma.purchaseOrder.count({ where }),
+      prisma.purchaseOrderAmendment.findMany({
+        where: amendmentInboxWhere(req.user),
+        select: {
+          id: true, reason: true, baseRevision: true, totalAmount: true, approvalChain: true, approvalLevel: true, createdAt: true,
+          amendedBy: { select: { id: true, username: true } },
+          purchaseOrder: { select: { id: true, purchaseOrderNumber: true, vendorName: true, revision: true, totalAmount: true, department: { select: { id: true, name: true } } } }
+        },
+        orderBy: { updatedAt: 'asc' }
+      })
+    ]);
+
+    res.json({
+      purchaseOrders,
+      totalPages: Math.ceil(total / limitNum),
+      currentPage: pageNum,
+      totalPurchaseOrders: total,
+      amendments // Details and diff via GET /purchase-orders/:id/amendments/:amendmentId
+    });
+
+  } catch (error) {
+    console.error('Get Approval Inbox Error:', error);
+    res.status(500).json({ message: 'Server Error retrieving approval inbox' });
+  }
+};
+
+// Records the caller's decision (APPROVED or REJECTED) on the pending level of a purchase order
+const decidePurchaseOrder = async (req, res, action) => {
+  const { id } = req.params;
+  const comment = typeof req.body.comment === 'string' ? req.body.comment.trim() : '';
+
+  if (action === 'REJECTED' && !comment) {
+    return res.status(400).json({ message: 'A comment explaining the rejection is required', errors: [{ field: 'comment', message: 'A comment explaining the rejection is required' }] });
+  }
+
+  try {
+    const purchaseOrder = await prisma.purchaseOrder.findUnique({ where: { id } });
+    if (!purchaseOrder) {
+      return res.status(404).json({ message: 'Purchase order not found' });
+    }
+    if (purchaseOrder.status !== 'PENDING_APPROVAL') {
+      return res.status(409).json({ message: `Purchase order is ${purchaseOrder.status}; only orders pending approval can be approved or rejected` });
+    }
+    if (purchaseOrder.userId === req.user.id) {
+      return res.status(403).json({ message: 'You cannot approve or reject your own purchase order' });
+    }
+    if (!canDecideApproval(req.user, purchaseOrder)) {
+      return res.status(403).json({ message: `Purchase order is waiting for approval level ${purchaseOrder.approvalLevel}, which you cannot decide` });
+    }
+
+    const level = purchaseOrder.approvalLevel;
+    const nextLevel = action === 'APPROVED' ? nextApprovalLevel(purchaseOrder) : undefined;
+    let data;
+    if (action === 'REJECTED') data = { status: 'REJECTED', ...pendingLevelData(null) };
+    else if (nextLevel) data = pendingLevelData(nextLevel);
+    else data = { status: 'APPROVED', approvedAt: new Date(), ...pendingLevelData(null) };
+
+    const updatedPurchaseOrder = await prisma.$transaction(async (tx) => {
+      // Only if the level is still pending: another approver may have decided it, or an edit resubmitted the order
+      const { count } = await tx.purchaseOrder.updateMany({
+        where: { id, status: 'PENDING_APPROVAL', approvalRound: purchaseOrder.approvalRound, approvalLevel: level },
+        data
+      });
+      if (count === 0) {
+        throw Object.assign(new Error('The purchase order changed while you were deciding; reload it and try again'), { status: 409 });
+      }
+      await tx.purchaseOrderApproval.create({
+        data: {
+          purchaseOrderId: id,
+          round: purchaseOrder.approvalRound,
+          level,
+          action,
+          comment: comment || null,
+          totalAmount: purchaseOrder.totalAmount,
+          actorId: req.user.id
+        }
+      });
+      return tx.purchaseOrder.findUnique({ where: { id }, include: PURCHASE_ORDER_APPROVAL_INCLUDE });
+    });
+
+    notifyApprovalDecided(updatedPurchaseOrder, { action, level, actor: req.user, comment });
+    notifyApprovalRequested(updatedPurchaseOrder); // The next level, if any
+
+    let message = `Purchase order rejected at approval level ${level}`;
+    if (action === 'APPROVED') {
+      message = nextLevel ? `Approval level ${level} approved; waiting for level ${nextLevel.level} (${nextLevel.name})` : 'Purchase order approved';
+    }
+    res.json({ message, purchaseOrder: updatedPurchaseOrder });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error(`${action === 'APPROVED' ? 'Approve' : 'Reject'} Purchase Order Error:`, error);
+    res.status(500).json({ message: 'Server Error recording approval decision', error: error.message });
+  }
+};
+
+// Approve the pending level; the last level approves the purchase order
+export const approvePurchaseOrder = (req, res) => decidePurchaseOrder(req, res, 'APPROVED');
+
+// Reject the purchase order at its pending level (comment required); editing it submits it again
+export const rejectPurchaseOrder = (req, res) => decidePurchaseOrder(req, res, 'REJECTED');
+
+// Approval rules: the general chain and department-specific chains
+export const getApprovalRules = async (req, res) => {
+  try {
+    const rules = await prisma.purchaseOrderApprovalRule.findMany({
+      include: APPROVAL_RULE_INCLUDE,
+      orderBy: [{ departmentId: 'asc' }, { level: 'asc' }]
+    });
+    res.json({
+      general: rules.filter(rule => !rule.departmentId),
+      departments: rules.filter(rule => rule.departmentId)
+    });
+
+  } catch (error) {
+    console.error('Get Approval Rules Error:', error);
+    res.status(500).json({ message: 'Server Error retrieving approval rules' });
+  }
+};
+
+// Validates one rule of PUT /approval-rules; returns [{ field, message }]
+const validateRule = async (rule, field) => {
+  const errors = [];
+  if (!Number.isInteger(rule.level) || rule.level < 1) {
+    errors.push({ field: `${field}.level`, message: 'level must be a positive whole number' });
+  }
+  if (typeof rule.name !== 'string' || !rule.name.trim()) {
+    errors.push({ field: `${field}.name`, message: 'name is required (e.g. "Head of department")' });
+  }
+  const minAmount = parseMoney(rule.minAmount);
+  if (!minAmount || minAmount.isNegative()) {
+    errors.push({ field: `${field}.minAmount`, message: 'minAmount must be an amount of 0 or more' });
+  }
+  if (!Object.values(ApproverType).includes(rule.approverType)) {
+    errors.push({ field: `${field}.approverType`, message: `approverType must be one of: ${Object.values(ApproverType).join(', ')}` });
+  }
+  if (rule.approverType === 'ROLE' && !Object.values(Role).includes(rule.approverRole)) {
+    errors.push({ field: `${field}.approverRole`, message: `approverRole must be one of: ${Object.values(Role).join(', ')}` });
+  }
+  if (rule.approverType === 'USER') {
+    const approver = rule.approverUserId
+      ? await prisma.user.findUnique({ where: { id: String(rule.approverUserId) }, select: { isActive: true, isServiceAccount: true } })
+      : null;
+    if (!approver) errors.push({ field: `${field}.approverUserId`, message: 'approverUserId must be an existing user' });
+    else if (!approver.isActive || approver.isServiceAccount) errors.push({ field: `${field}.approverUserId`, message: 'Approver must be an active user account' });
+  }
+  return errors;
+};
+
+// Replace the approval chain of all departments (departmentId omitted or null) or of one department.
+// An empty list removes the chain: orders of all departments then need no approval, those of the department follow the general chain.
+export const updateApprovalRules = async (req, res) => {
+  const { rules } = req.body;
+  const departmentId = req.body.departmentId || null;
+
+  if (!Array.isArray(rules)) {
+    return res.status(400).json({ message: 'rules must be an array of { level, name, minAmount, approverType, approverRole, approverUserId }' });
+  }
+
+  try {
+    if (departmentId && !(await prisma.department.findUnique({ where: { id: departmentId }, select: { id: true } }))) {
+      return res.status(400).json({ message: 'Department not found', errors: [{ field: 'departmentId', message: 'Department not found' }] });
+    }
+
+    const errors = (await Promise.all(rules.map((rule, index) => validateRule(rule || {}, `rules[${index}]`)))).flat();
+    rules.forEach((rule, index) => {
+      if (rules.findIndex(other => other?.level === rule?.level) !== index) {
+        errors.push({ field: `rules[${index}].level`, message: `Level ${rule.level} is used more than once` });
+      }
+    });
+    if (errors.length > 0) {
+      return res.status(400).json({ message: errors[0].message, errors });
+    }
+
+    const savedRules = await prisma.$transaction(async (tx) => {
+      await tx.purchaseOrderApprovalRule.deleteMany({ where: { departmentId } });
+      await tx.purchaseOrderApprovalRule.createMany({
+        data: rules.map(rule => ({
+          level: rule.level,
+          name: rule.name.trim(),
+          minAmount: parseMoney(rule.minAmount),
+          approverType: rule.approverType,
+          approverRole: rule.approverType === 'ROLE' ? rule.approverRole : null,
+          approverUserId: rule.approverType === 'USER' ? String(rule.approverUserId) : null,
+          departmentId
+        }))
+      });
+      return tx.purchaseOrderApprovalRule.findMany({ where: { departmentId }, include: APPROVAL_RULE_INCLUDE, orderBy: { level: 'asc' } });
+    });
+
+    res.json({
+      message: `Approval chain ${departmentId ? 'of the department' : 'for all departments'} updated. Orders already submitted keep their chain.`,
+      departmentId,
+      rules: savedRules
+    });
+
+  } catch (error) {
+    console.error('Update Approval Rules Error:', error);
+    res.status(500).json({ message: 'Server Error updating approval rules', error: error.message });
+  }
+};
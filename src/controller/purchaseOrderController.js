@@ -1,7 +1,15 @@
-import { PrismaClient, Role } from '@prisma/client';
+import { PrismaClient, Role, PurchaseOrderStatus } from '@prisma/client';
 import fs from 'fs';
 import path from 'path';
 import { createEditRequest } from './editRequestController.js';
+import { documentScopeFilter, canAccessDocument, userSharesSelect } from '../utils/permissions.js';
+import { parseMoney, roundMoney, sumMoney, formatMoney } from '../utils/money.js';
+import { TOTAL_TOLERANCE } from '../utils/gst.js';
+import { parseLineChanges, mergeLineChanges } from '../utils/lineChanges.js';
+import { submissionData, resubmissionData, canDecideApproval, notifyApprovalRequested } from '../utils/purchaseOrderApproval.js';
+import { refreshFulfilmentStatus, lockPurchaseOrder } from '../utils/goodsReceipts.js';
+import { gstinColumns, normalizeGstin } from '../utils/gstin.js';
+import { isNumbered, withDocumentNumber, retryNumbering } from '../utils/numberSeries.js';
 
 const prisma = new PrismaClient();
 
@@ -16,98 +24,163 @@ const safeUnlink = (filePath) => {
   }
 };
 
-// Create a new purchase order
-export const createPurchaseOrder = async (req, res) => {
+// Required fields of a new purchase order, in the order they are reported; id and purchaseOrderNumber take the
+// generated number when left blank while a number series is active
+const PURCHASE_ORDER_CREATE_FIELDS = ['id', 'orderDate', 'fromAddress', 'vendorName', 'purchaseOrderNumber', 'items'];
+const NUMBER_FIELDS = ['id', 'purchaseOrderNumber'];
+
+/** Order total from its items (quantity and rate as sent or stored): the sum of quantity * rate, each line rounded. */
+const itemsTotal = (items) => sumMoney(items.map(item => roundMoney(parseMoney(item.rate).times(Number(item.quantity)))));
+
+/**
+ * The server computes an order's total from its items (the approval chain depends on it); a totalAmount sent by the
+ * client must match it within TOTAL_TOLERANCE, like invoice totals. Returns the error { field, message, expected } or null.
+ */
+const totalAmountError = (totalAmount, computed) => {
+  if (totalAmount === undefined || totalAmount === null || totalAmount === '') return null;
+  const declared = parseMoney(totalAmount);
+  if (!declared) return { field: 'totalAmount', message: 'totalAmount must be a valid amount' };
+  if (declared.minus(computed).abs().greaterThan(TOTAL_TOLERANCE)) {
+    return {
+      field: 'totalAmount',
+      message: `totalAmount ${formatMoney(declared)} does not match the items total ${formatMoney(computed)} (quantity * rate)`,
+      expected: formatMoney(computed)
+    };
+  }
+  return null;
+};
+
+// Orders sent to the vendor change only through amendments
+const SENT_PURCHASE_ORDER_MESSAGE = 'Purchase order was sent to the vendor; issue an amendment (POST /purchase-orders/:id/amendments) instead';
+
+/**
+ * Validates a new purchase order (a create request body or an imported order) and builds its create data,
+ * submitted for approval by `user`. Returns { errors, data } with errors as [{ field, message }]. Imports look up
+ * once per file whether orders are `numbered` and which of their IDs exist (`existingIds`).
+ */
+export const preparePurchaseOrderData = async (user, fields, { numbered, existingIds } = {}) => {
+  const {
+    id, // User provided ID (optional with a number series)
+    orderDate,
+    fromAddress,
+    vendorName,
+    contactNumber,
+    gstNumber,
+    purchaseOrderNumber,
+    items, // Expected as JSON string or array
+    totalAmount
+  } = fields;
+
+  // Basic Validations
+  const required = (numbered ?? await isNumbered('PURCHASE_ORDER'))
+    ? PURCHASE_ORDER_CREATE_FIELDS.filter(field => !NUMBER_FIELDS.includes(field))
+    : PURCHASE_ORDER_CREATE_FIELDS;
+  const missing = required.filter(field => !fields[field]);
+  if (missing.length > 0) {
+    return { errors: [{ field: missing[0], message: `Missing required fields (${required.join(', ')})` }] };
+  }
+  if (isNaN(new Date(orderDate).getTime())) {
+    return { errors: [{ field: 'orderDate', message: 'orderDate must be a valid date' }] };
+  }
+
+  // Check for existing ID
+  const existingPO = id && (existingIds ? existingIds.has(id) : await prisma.purchaseOrder.findUnique({ where: { id }, select: { id: true } }));
+  if (existingPO) {
+    return { errors: [{ field: 'id', message: 'A purchase order with this ID already exists. Please use a unique ID.' }] };
+  }
+
+  // Parse items safely
+  let parsedItems;
   try {
-    const {
-      id, // User provided ID
-      orderDate,
+    parsedItems = typeof items === 'string' ? JSON.parse(items) : items;
+    if (!Array.isArray(parsedItems) || parsedItems.length === 0) {
+      throw new Error('Items data must be a non-empty array.');
+    }
+    parsedItems.forEach(item => {
+      if (!item.description || !item.quantity || !item.rate) throw new Error ('Each item must have description, quantity, and rate.');
+      if (!parseMoney(item.rate)) throw new Error ('Each item rate must be a valid amount.');
+      if (!Number.isInteger(Number(item.quantity)) || Number(item.quantity) < 1) throw new Error ('Each item quantity must be a positive whole number.');
+    });
+  } catch (e) {
+    return { errors: [{ field: 'items', message: `Invalid items data: ${e.message}` }] };
+  }
+
+  const parsedTotalAmount = itemsTotal(parsedItems);
+  const totalError = totalAmountError(totalAmount, parsedTotalAmount);
+  if (totalError) {
+    return { errors: [totalError] };
+  }
+  const gstin = gstinColumns(gstNumber);
+  if (gstin.error) {
+    return { errors: [{ field: 'gstNumber', message: gstin.error }] };
+  }
+  const departmentId = user.departmentId || null; // Department at creation time; later moves do not change it
+
+  return {
+    errors: [],
+    data: {
+      id,
+      orderDate: new Date(orderDate),
       fromAddress,
       vendorName,
       contactNumber,
-      gstNumber,
+      ...gstin.data, // Normalized GSTIN, its state and the supply type
       purchaseOrderNumber,
-      items, // Expected as JSON string or array
-      totalAmount
-    } = req.body;
-
-     // Basic Validations
-    if (!id || !orderDate || !fromAddress || !vendorName || !purchaseOrderNumber || !totalAmount || !items) {
-        return res.status(400).json({ message: 'Missing required fields (id, orderDate, fromAddress, vendorName, purchaseOrderNumber, totalAmount, items)' });
-    }
-
-    // Check for existing ID
-    const existingPO = await prisma.purchaseOrder.findUnique({ where: { id }});
-    if (existingPO) {
-        return res.status(400).json({ message: 'A purchase order with this ID already exists. Please use a unique ID.' });
+      totalAmount: parsedTotalAmount,
+      userId: user.id,
+      departmentId,
+      ...await submissionData({ totalAmount: parsedTotalAmount, departmentId }, { actorId: user.id, round: 1 }),
+      items: {
+        create: parsedItems.map(item => ({
+          description: item.description,
+          quantity: parseInt(item.quantity, 10),
+          rate: parseMoney(item.rate)
+        }))
+      }
     }
+  };
+};
 
-    // Parse items safely
-    let parsedItems;
-    try {
-        parsedItems = typeof items === 'string' ? JSON.parse(items) : items;
-        if (!Array.isArray(parsedItems) || parsedItems.length === 0) {
-            throw new Error('Items data must be a non-empty array.');
-        }
-        parsedItems.forEach(item => {
-             if (!item.description || !item.quantity || !item.rate) throw new Error ('Each item must have description, quantity, and rate.');
-        });
-    } catch (e) {
+// Create a new purchase order
+export const createPurchaseOrder = async (req, res) => {
+  try {
+    const { errors, data } = await preparePurchaseOrderData(req.user, req.body);
+    if (errors.length > 0) {
         safeUnlink(req.file?.path);
-        return res.status(400).json({ message: `Invalid items data: ${e.message}` });
+        return res.status(400).json({ message: errors[0].message, errors });
     }
 
     // Get file path
     const purchaseOrderFileUrl = req.file ? req.file.path.replace(/\\/g, '/') : null;
 
-    // Prepare data
-    const poData = {
-        id,
-        orderDate: new Date(orderDate),
-        fromAddress,
-        vendorName,
-        contactNumber,
-        gstNumber,
-        purchaseOrderNumber,
-        totalAmount: parseFloat(totalAmount),
-        purchaseOrderFileUrl,
-        userId: req.user.id,
-        items: {
-          create: parsedItems.map(item => ({
-            description: item.description,
-            quantity: parseInt(item.quantity, 10),
-            rate: parseFloat(item.rate)
-          }))
-        }
-    };
-
-    // Create purchase order with nested items
-    const newPurchaseOrder = await prisma.purchaseOrder.create({
-      data: poData,
+    // Create purchase order with nested items, numbered from the series when id or purchaseOrderNumber is blank
+    const newPurchaseOrder = await retryNumbering(() => prisma.$transaction(async (tx) => tx.purchaseOrder.create({
+      data: await withDocumentNumber(tx, 'PURCHASE_ORDER', { ...data, purchaseOrderFileUrl }),
       include: {
         items: true,
         user: { select: { id: true, username: true }}
       }
-    });
+    })));
+    notifyApprovalRequested(newPurchaseOrder);
 
     res.status(201).json(newPurchaseOrder);
 
   } catch (error) {
-    console.error('Create Purchase Order Error:', error);
     safeUnlink(req.file?.path);
+    if (error.status) {
+        return res.status(error.status).json({ message: error.message, errors: [{ field: error.field, message: error.message }] });
+    }
+    console.error('Create Purchase Order Error:', error);
     if (error.code === 'P2002') {
         return res.status(409).json({ message: `Purchase Order creation failed: ID already exists.` });
     }
-    if (error instanceof SyntaxError && error.message.includes('JSON')) {
-        return res.status(400).json({ message: `Invalid JSON format in request body (likely 'items').` });
-    }
     res.status(500).json({ message: 'Server Error creating purchase order', error: error.message });
   }
 };
 
 // Get all purchase orders (admin sees all, user sees own)
 export const getAllPurchaseOrders = async (req, res) => {
-  const { page = 1, limit = 10, sortBy = 'createdAt', sortOrder = 'desc' } = req.query;
+  const { page = 1, limit = 10, sortBy = 'createdAt', sortOrder = 'desc', status, gstNumber } = req.query;
 
   const pageNum = parseInt(page, 10);
   const limitNum = parseInt(limit, 10);
@@ -116,9 +189,14 @@ export const getAllPurchaseOrders = async (req, res) => {
     return res.status(400).json({ message: 'Invalid pagination parameters.' });
   }
   const skip = (pageNum - 1) * limitNum;
+  if (status && !Object.values(PurchaseOrderStatus).includes(status)) {
+    return res.status(400).json({ message: `Invalid status. Must be one of: ${Object.values(PurchaseOrderStatus).join(', ')}` });
+  }
 
-  // Determine filter based on user role
-  const where = req.user.role === 'ADMIN' ? {} : { userId: req.user.id };
+  // Determine filter based on read permission
+  const where = { ...documentScopeFilter(req.user, 'purchaseOrder') }; // read:any sees all, otherwise own and/or department documents
+  if (status) where.status = status; // Approval status
+  if (gstNumber) where.gstNumber = normalizeGstin(gstNumber); // Orders of one vendor registration
 
    // Build sorting
   const validSortOrders = ['asc', 'desc'];
@@ -162,7 +240,18 @@ export const getPurchaseOrderById = async (req, res) => {
       where: { id },
       include: {
         items: true,
-        user: { select: { id: true, username: true } }
+        user: { select: { id: true, username: true } },
+        approvals: { include: { actor: { select: { id: true, username: true } } }, orderBy: { createdAt: 'asc' } }, // Approval trail
+        amendments: { // Revision history and pending amendment; changes and diffs via /:id/amendments/:amendmentId
+          select: {
+            id: true, status: true, reason: true, baseRevision: true, revision: true, totalAmount: true, approvalLevel: true, approvedAt: true, createdAt: true,
+            amendedBy: { select: { id: true, username: true } },
+            approvedBy: { select: { id: true, username: true } }
+          },
+          orderBy: { createdAt: 'asc' }
+        },
+        sentBy: { select: { id: true, username: true } },
+        ...userSharesSelect(req.user) // The caller's active share, if any
       }
     });
 
@@ -170,12 +259,13 @@ export const getPurchaseOrderById = async (req, res) => {
       return res.status(404).json({ message: 'Purchase order not found' });
     }
 
-    // Authorization check: Owner or Admin
-    if (req.user.role !== 'ADMIN' && purchaseOrder.userId !== req.user.id) {
+    // Authorization check: read:any, read:own for the owner, department visibility, a share, or awaiting the caller's approval
+    if (!canAccessDocument(req.user, 'purchaseOrder', 'read', purchaseOrder) && !canDecideApproval(req.user, purchaseOrder)) {
       return res.status(403).json({ message: 'Not authorized to view this purchase order' });
     }
 
-    res.json(purchaseOrder);
+    const { shares, ...purchaseOrderData } = purchaseOrder;
+    res.json({ ...purchaseOrderData, sharedAccess: shares[0]?.accessLevel || null }); // VIEW/EDIT when reached through a share
 
   } catch (error) {
     console.error('Get Purchase Order By ID Error:', error);
@@ -199,8 +289,8 @@ export const updatePurchaseOrder = async (req, res) => {
   } = req.body;
 
    // Basic presence check
-   if (!orderDate || !fromAddress || !vendorName || !purchaseOrderNumber || !totalAmount || !items) {
-     return res.status(400).json({ message: 'Missing required fields for update (orderDate, fromAddress, vendorName, purchaseOrderNumber, totalAmount, items)' });
+   if (!orderDate || !fromAddress || !vendorName || !purchaseOrderNumber || !items) {
+     return res.status(400).json({ message: 'Missing required fields for update (orderDate, fromAddress, vendorName, purchaseOrderNumber, items)' });
    }
 
   // Parse items safely
@@ -212,12 +302,26 @@ export const updatePurchaseOrder = async (req, res) => {
     }
      parsedItems.forEach(item => {
              if (!item.description || !item.quantity || !item.rate) throw new Error ('Each item must have description, quantity, and rate.');
+             if (!parseMoney(item.rate)) throw new Error ('Each item rate must be a valid amount.');
+             if (!Number.isInteger(Number(item.quantity)) || Number(item.quantity) < 1) throw new Error ('Each item quantity must be a positive whole number.');
         });
   } catch (e) {
      safeUnlink(req.file?.path);
      return res.status(400).json({ message: `Invalid items data: ${e.message}` });
   }
 
+  const parsedTotalAmount = itemsTotal(parsedItems);
+  const totalError = totalAmountError(totalAmount, parsedTotalAmount);
+  if (totalError) {
+     safeUnlink(req.file?.path);
+     return res.status(400).json({ message: totalError.message, errors: [totalError] });
+  }
+  const gstin = gstNumber === undefined ? { data: {} } : gstinColumns(gstNumber); // Omitted keeps the current GSTIN
+  if (gstin.error) {
+     safeUnlink(req.file?.path);
+     return res.status(400).json({ message: gstin.error, errors: [{ field: 'gstNumber', message: gstin.error }] });
+  }
+
   // Determine new file URL or keep existing
   let newPOFileUrl;
   let oldPOFileUrl;
@@ -226,11 +330,17 @@ export const updatePurchaseOrder = async (req, res) => {
     // Find the current file URL
     const existingPO = await prisma.purchaseOrder.findUnique({
       where: { id },
-      select: { purchaseOrderFileUrl: true }
+      select: {
+        purchaseOrderFileUrl: true, status: true, totalAmount: true, departmentId: true, approvalRound: true, sentAt: true
+      }
     });
     if (!existingPO) {
         return res.status(404).json({ message: 'Purchase order not found for update' });
     }
+    if (existingPO.sentAt) {
+        safeUnlink(req.file?.path);
+        return res.status(409).json({ message: SENT_PURCHASE_ORDER_MESSAGE });
+    }
     oldPOFileUrl = existingPO.purchaseOrderFileUrl;
 
     newPOFileUrl = req.file ? req.file.path.replace(/\\/g, '/') : oldPOFileUrl;
@@ -241,15 +351,27 @@ export const updatePurchaseOrder = async (req, res) => {
       fromAddress,
       vendorName,
       contactNumber,
-      gstNumber,
+      ...gstin.data,
       purchaseOrderNumber,
-      totalAmount: parseFloat(totalAmount),
+      totalAmount: parsedTotalAmount,
       purchaseOrderFileUrl: newPOFileUrl,
+      ...await resubmissionData(existingPO, parsedTotalAmount, req.user.id) // Any edit is approved again
     };
 
     // Transaction: Delete old items, Update PO, Create new items
     const updatedPurchaseOrder = await prisma.$transaction(async (tx) => {
-        // Delete existing items
+        // Checked with the order locked, so no receipt is recorded in between
+        if (!(await lockPurchaseOrder(tx, id, { sentAt: null }))) {
+          throw Object.assign(new Error(SENT_PURCHASE_ORDER_MESSAGE), { status: 409 });
+        }
+        if (await tx.item.count({ where: { purchaseOrderId: id, receivedQuantity: { gt: 0 } } }) > 0) { // Replacing the items would drop their goods receipts
+          throw Object.assign(new Error('Purchase order has goods receipts; use PATCH to change its items (kept items keep their receipts)'), { status: 409 });
+        }
+        if (await tx.product.count({ where: { purchaseOrderItem: { purchaseOrderId: id } } }) > 0) { // ...or unlink the invoice lines billing them
+          throw Object.assign(new Error('Invoice lines are linked to items of this purchase order; use PATCH to change its items (kept items keep their links)'), { status: 409 });
+        }
+
+        // Delete existing items (PATCH keeps item IDs)
         await tx.item.deleteMany({
           where: { purchaseOrderId: id }
         });
@@ -263,7 +385,7 @@ export const updatePurchaseOrder = async (req, res) => {
                 create: parsedItems.map(item => ({
                     description: item.description,
                     quantity: parseInt(item.quantity, 10),
-                    rate: parseFloat(item.rate)
+                    rate: parseMoney(item.rate)
                 }))
              }
           },
@@ -278,12 +400,16 @@ export const updatePurchaseOrder = async (req, res) => {
     if (req.file && oldPOFileUrl) {
       safeUnlink(oldPOFileUrl);
     }
+    if (updateData.approvals) notifyApprovalRequested(updatedPurchaseOrder);
 
     res.json(updatedPurchaseOrder);
 
   } catch (error) {
-    console.error('Update Purchase Order Error:', error);
     if (req.file) safeUnlink(req.file.path);
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Update Purchase Order Error:', error);
      if (error instanceof SyntaxError && error.message.includes('JSON')) {
         return res.status(400).json({ message: `Invalid JSON format in request body (likely 'items').` });
     }
@@ -291,6 +417,157 @@ export const updatePurchaseOrder = async (req, res) => {
   }
 };
 
+// Header fields a PATCH may change, and those that cannot be cleared
+const PURCHASE_ORDER_PATCH_FIELDS = ['orderDate', 'fromAddress', 'vendorName', 'contactNumber', 'gstNumber', 'purchaseOrderNumber'];
+const PURCHASE_ORDER_REQUIRED_FIELDS = ['orderDate', 'fromAddress', 'vendorName', 'purchaseOrderNumber'];
+
+/**
+ * Validates a partial change of a purchase order (a PATCH or amendment body: the header fields sent, totalAmount and
+ * `items: { add, update, remove }`) against `existingPO` loaded with its items (oldest first). Returns
+ * { errors, updateData, merged }: the header update data, and the merged line changes for applyItemChanges
+ * (null when `items` is not sent).
+ */
+export const preparePurchaseOrderChanges = (existingPO, body) => {
+  const headerErrors = PURCHASE_ORDER_REQUIRED_FIELDS
+    .filter(field => body[field] !== undefined && !body[field])
+    .map(field => ({ field, message: `${field} cannot be empty` }));
+  if (body.orderDate && isNaN(new Date(body.orderDate).getTime())) {
+    headerErrors.push({ field: 'orderDate', message: 'orderDate must be a valid date' });
+  }
+  const gstin = body.gstNumber === undefined ? null : gstinColumns(body.gstNumber);
+  if (gstin?.error) {
+    headerErrors.push({ field: 'gstNumber', message: gstin.error });
+  }
+  if (headerErrors.length > 0) return { errors: headerErrors };
+
+  const parsedChanges = body.items === undefined ? null : parseLineChanges(body.items, 'items');
+  if (parsedChanges?.errors.length > 0) return { errors: parsedChanges.errors };
+
+  let merged = null;
+  if (parsedChanges) {
+    merged = mergeLineChanges(existingPO.items, parsedChanges.changes, {
+      field: 'items',
+      allowedFields: ['description', 'quantity', 'rate'],
+      requiredFields: ['description', 'quantity', 'rate']
+    });
+    merged.lines.forEach((line, index) => {
+      const quantity = Number(line.quantity);
+      if (!Number.isInteger(quantity) || quantity < 1) {
+        merged.errors.push({ field: `${merged.lineFields[index]}.quantity`, message: 'Quantity must be a positive whole number' });
+      }
+      if (!parseMoney(line.rate)) {
+        merged.errors.push({ field: `${merged.lineFields[index]}.rate`, message: 'Rate must be a valid amount' });
+      }
+    });
+    // Received goods cannot be removed from the order or exceed its quantities
+    existingPO.items.filter(item => item.receivedQuantity > 0 && merged.removedIds.includes(item.id)).forEach(item => {
+      merged.errors.push({ field: 'items.remove', message: `${item.description} has goods receipts (${item.receivedQuantity} received) and cannot be removed` });
+    });
+    merged.lines.forEach((line, index) => {
+      const item = line.id && existingPO.items.find(existing => existing.id === line.id);
+      if (item && Number(line.quantity) < item.receivedQuantity) {
+        merged.errors.push({ field: `${merged.lineFields[index]}.quantity`, message: `Quantity cannot be lower than the ${item.receivedQuantity} already received` });
+      }
+    });
+    if (merged.errors.length > 0) return { errors: merged.errors };
+  }
+
+  // The total follows the items; a totalAmount sent must match them
+  const computedTotal = itemsTotal(merged ? merged.lines : existingPO.items);
+  const totalError = totalAmountError(body.totalAmount, computedTotal);
+  if (totalError) return { errors: [totalError] };
+
+  const updateData = Object.fromEntries(PURCHASE_ORDER_PATCH_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]]));
+  if (updateData.orderDate) updateData.orderDate = new Date(updateData.orderDate);
+  if (merged || body.totalAmount !== undefined) updateData.totalAmount = computedTotal;
+  if (gstin) Object.assign(updateData, gstin.data); // Blank clears the GSTIN and its state
+  return { errors: [], updateData, merged };
+};
+
+/** Saves merged line changes (see preparePurchaseOrderChanges) inside transaction `tx`; kept items keep their IDs. */
+export const applyItemChanges = async (tx, purchaseOrderId, merged) => {
+  await tx.item.deleteMany({ where: { purchaseOrderId, id: { in: merged.removedIds } } });
+  for (const line of merged.lines) {
+    const data = { description: line.description, quantity: Number(line.quantity), rate: parseMoney(line.rate) };
+    if (line.id) {
+      await tx.item.update({ where: { id: line.id }, data });
+    } else {
+      await tx.item.create({ data: { ...data, purchaseOrderId } });
+    }
+  }
+  await refreshFulfilmentStatus(tx, purchaseOrderId); // Quantities or items changed
+};
+
+// Columns a PATCH validates and resubmits against
+const PATCH_SELECT = {
+  purchaseOrderFileUrl: true, status: true, totalAmount: true, departmentId: true, approvalRound: true, sentAt: true,
+  items: { orderBy: { createdAt: 'asc' } }
+};
+
+// Partially update a purchase order: only the header fields sent, and items added, updated or removed by ID
+// (`items: { add, update, remove }`). Kept items keep their IDs.
+export const patchPurchaseOrder = async (req, res) => {
+  // Permission checked by `canEdit` middleware
+  const { id } = req.params;
+
+  try {
+    const existingPO = await prisma.purchaseOrder.findUnique({ where: { id }, select: PATCH_SELECT });
+    if (!existingPO) {
+      safeUnlink(req.file?.path);
+      return res.status(404).json({ message: 'Purchase order not found for update' });
+    }
+    if (existingPO.sentAt) {
+      safeUnlink(req.file?.path);
+      return res.status(409).json({ message: SENT_PURCHASE_ORDER_MESSAGE });
+    }
+
+    const { updatedPurchaseOrder, updateData } = await prisma.$transaction(async (tx) => {
+      // Validate against the items as they are once the order is locked: receipts recorded meanwhile count
+      if (!(await lockPurchaseOrder(tx, id, { sentAt: null }))) {
+        throw Object.assign(new Error(SENT_PURCHASE_ORDER_MESSAGE), { status: 409 });
+      }
+      const current = await tx.purchaseOrder.findUnique({ where: { id }, select: PATCH_SELECT });
+      const { errors, updateData, merged } = preparePurchaseOrderChanges(current, req.body);
+      if (errors.length > 0) {
+        throw Object.assign(new Error(errors[0].message), { status: 400, errors });
+      }
+      if (req.file) updateData.purchaseOrderFileUrl = req.file.path.replace(/\\/g, '/');
+      if (Object.keys(updateData).length > 0 || merged) { // Any change of the order's content is approved again
+        Object.assign(updateData, await resubmissionData(current, updateData.totalAmount || current.totalAmount, req.user.id));
+      }
+      if (merged) await applyItemChanges(tx, id, merged);
+
+      const updatedPurchaseOrder = await tx.purchaseOrder.update({
+        where: { id },
+        data: updateData,
+        include: {
+          items: { orderBy: { createdAt: 'asc' } },
+          user: { select: { id: true, username: true } }
+        }
+      });
+      return { updatedPurchaseOrder, updateData };
+    });
+
+    if (req.file && existingPO.purchaseOrderFileUrl) {
+      safeUnlink(existingPO.purchaseOrderFileUrl);
+    }
+    if (updateData.approvals) notifyApprovalRequested(updatedPurchaseOrder);
+
+    res.json(updatedPurchaseOrder);
+
+  } catch (error) {
+    safeUnlink(req.file?.path);
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message, ...(error.errors ? { errors: error.errors } : {}) });
+    }
+    console.error('Patch Purchase Order Error:', error);
+    if (error.code === 'P2002') {
+      return res.status(409).json({ message: 'A purchase order with this purchase order number already exists.' });
+    }
+    res.status(500).json({ message: 'Server Error updating purchase order', error: error.message });
+  }
+};
+
 // Delete purchase order
 export const deletePurchaseOrder = async (req, res) => {
   const { id } = req.params;
@@ -299,18 +576,23 @@ export const deletePurchaseOrder = async (req, res) => {
     // Check existence, owner, file URL
     const purchaseOrder = await prisma.purchaseOrder.findUnique({
       where: { id },
-      select: { userId: true, purchaseOrderFileUrl: true }
+      select: { userId: true, purchaseOrderFileUrl: true, sentAt: true, _count: { select: { goodsReceipts: true, amendments: true } } }
     });
 
     if (!purchaseOrder) {
       return res.status(404).json({ message: 'Purchase order not found' });
     }
 
-    // Authorization: Owner or Admin
-    if (req.user.role !== 'ADMIN' && purchaseOrder.userId !== req.user.id) {
+    // Authorization: delete:any, or delete:own for the owner
+    if (!canAccessDocument(req.user, 'purchaseOrder', 'delete', purchaseOrder)) {
       return res.status(403).json({ message: 'Not authorized to delete this purchase order' });
     }
 
+    // Orders the vendor received, or with deliveries or revisions on record, are closed instead
+    if (purchaseOrder.sentAt || purchaseOrder._count.goodsReceipts > 0 || purchaseOrder._count.amendments > 0) {
+      return res.status(409).json({ message: 'Purchase order was sent to the vendor or has goods receipts or amendments; close it instead of deleting it' });
+    }
+
     // Delete associated file
     safeUnlink(purchaseOrder.purchaseOrderFileUrl);
 
@@ -0,0 +1,111 @@
+// src/controller/roleController.js
+import { PrismaClient, Role } from '@prisma/client';
+import {
+  PERMISSION_CATALOGUE,
+  DEFAULT_ROLE_PERMISSIONS,
+  getAllRolePermissions,
+  invalidateRolePermissionCache,
+  isKnownPermission
+} from '../utils/permissions.js';
+import { refreshSockets } from '../middleware/socketAuth.js';
+import { roleRoom } from '../utils/socketRooms.js';
+
+const prisma = new PrismaClient();
+
+// Resolves the :role route parameter (case-insensitive) to a Role enum value, or null
+const parseRole = (value) => {
+  const role = String(value || '').toUpperCase();
+  return Object.values(Role).includes(role) ? role : null;
+};
+
+// List roles with their effective permissions, user counts and the permission catalogue
+export const getRoles = async (req, res) => {
+  try {
+    const [roles, userCounts] = await Promise.all([
+      getAllRolePermissions(),
+      prisma.user.groupBy({ by: ['role'], _count: { _all: true } })
+    ]);
+    const countByRole = Object.fromEntries(userCounts.map(row => [row.role, row._count._all]));
+
+    res.json({
+      roles: roles.map(role => ({
+        ...role,
+        defaultPermissions: DEFAULT_ROLE_PERMISSIONS[role.role],
+        userCount: countByRole[role.role] || 0
+      })),
+      permissions: PERMISSION_CATALOGUE
+    });
+
+  } catch (error) {
+    console.error('Get Roles Error:', error);
+    res.status(500).json({ message: 'Server Error retrieving roles' });
+  }
+};
+
+// Replace the permission set of a role (ADMIN always keeps full access)
+export const updateRolePermissions = async (req, res) => {
+  const role = parseRole(req.params.role);
+  const { permissions } = req.body;
+
+  if (!role) {
+    return res.status(400).json({ message: `Invalid role. Must be one of: ${Object.values(Role).join(', ')}` });
+  }
+  if (role === 'ADMIN') {
+    return res.status(400).json({ message: 'The ADMIN role always has every permission and cannot be changed' });
+  }
+  if (!Array.isArray(permissions)) {
+    return res.status(400).json({ message: 'permissions must be an array of permission names' });
+  }
+  const unknown = permissions.filter(permission => !isKnownPermission(permission));
+  if (unknown.length > 0) {
+    return res.status(400).json({ message: `Unknown permissions: ${unknown.join(', ')}` });
+  }
+
+  try {
+    const uniquePermissions = [...new Set(permissions)];
+    const saved = await prisma.rolePermissionSet.upsert({
+      where: { role },
+      create: { role, permissions: uniquePermissions, updatedById: req.user.id },
+      update: { permissions: uniquePermissions, updatedById: req.user.id }
+    });
+    invalidateRolePermissionCache();
+    refreshSockets(roleRoom(role)); // Rooms of the role's users follow the new permissions
+
+    res.json({
+      message: `Permissions of role ${role} updated`,
+      role,
+      permissions: saved.permissions,
+      isCustomized: true
+    });
+
+  } catch (error) {
+    console.error('Update Role Permissions Error:', error);
+    res.status(500).json({ message: 'Server Error updating role permissions' });
+  }
+};
+
+// Drop the customized permission set of a role, restoring the built-in defaults
+export const resetRolePermissions = async (req, res) => {
+  const role = parseRole(req.params.role);
+
+  if (!role) {
+    return res.status(400).json({ message: `Invalid role. Must be one of: ${Object.values(Role).join(', ')}` });
+  }
+
+  try {
+    await prisma.rolePermissionSet.deleteMany({ where: { role } });
+    invalidateRolePermissionCache();
+    refreshSockets(roleRoom(role)); // Rooms of the role's users follow the restored permissions
+
+    res.json({
+      message: `Permissions of role ${role} reset to defaults`,
+      role,
+      permissions: DEFAULT_ROLE_PERMISSIONS[role],
+      isCustomized: false
+    });
+
+  } catch (error) {
+    console.error('Reset Role Permissions Error:', error);
+    res.status(500).json({ message: 'Server Error resetting role permissions' });
+  }
+};
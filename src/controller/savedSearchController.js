@@ -1,4 +1,5 @@
 import { PrismaClient, DocumentType } from '@prisma/client'; // Use Enum
+import { can } from '../utils/permissions.js';
 
 const prisma = new PrismaClient();
 
@@ -127,8 +128,8 @@ export const getSavedSearchById = async (req, res) => {
       return res.status(404).json({ message: 'Saved search not found' });
     }
 
-    // Verify ownership (Admins potentially bypass, depending on reqs)
-    if (savedSearch.userId !== userId && req.user.role !== 'ADMIN') { // Allow admin to see any? Check reqs. Let's restrict to owner.
+    // Verify ownership (roles with savedSearch:read:any may view others' searches)
+    if (savedSearch.userId !== userId && !can(req.user, 'savedSearch:read:any')) {
         return res.status(403).json({ message: 'Not authorized to access this saved search' });
     }
     // if (savedSearch.userId !== userId) {
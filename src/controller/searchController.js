@@ -1,7 +1,23 @@
 import { PrismaClient, DocumentType } from '@prisma/client'; // Import Enum if using it
+import { DOCUMENT_RESOURCES, documentScopeFilter } from '../utils/permissions.js';
+import { parseMoney, formatMoney } from '../utils/money.js';
+import { normalizeGstin } from '../utils/gstin.js';
+import { WARRANTY_STATUSES, warrantyStatusWhere } from '../utils/warranty.js';
+import { INVOICE_STATUSES, overdueInvoiceWhere, notOverdueInvoiceWhere, withOverdueInfo } from '../utils/invoiceLifecycle.js';
 
 const prisma = new PrismaClient();
 
+// Maps the accepted (lower-cased) `type` values to permission resources
+const TYPE_RESOURCES = {
+  invoice: 'invoice',
+  purchaseorder: 'purchaseOrder',
+  'purchase-order': 'purchaseOrder',
+  stockregister: 'stockRegister',
+  'stock-register': 'stockRegister',
+  creditnote: 'creditNote',
+  'credit-note': 'creditNote'
+};
+
 /**
  * Helper function to escape CSV fields
  */
@@ -24,7 +40,10 @@ const buildAdvancedInvoiceFilter = (params, userFilter = {}) => {
   const filter = { AND: [] };
   if (Object.keys(userFilter).length > 0) filter.AND.push(userFilter);
 
-  const { dateFrom, dateTo, companyName, vendorName, orderOrSerialNumber, productName, productSerialNumber, minAmount, maxAmount } = params;
+  const {
+    dateFrom, dateTo, companyName, vendorName, orderOrSerialNumber, productName, productSerialNumber, minAmount, maxAmount,
+    status, balance, minOutstanding, maxOutstanding, overdue, dueDateFrom, dueDateTo, warrantyStatus
+  } = params;
 
   if (dateFrom || dateTo) {
     const dateFilter = {};
@@ -38,11 +57,51 @@ const buildAdvancedInvoiceFilter = (params, userFilter = {}) => {
 
   if (minAmount || maxAmount) {
     const amountFilter = {};
-    if (minAmount) amountFilter.gte = parseFloat(minAmount);
-    if (maxAmount) amountFilter.lte = parseFloat(maxAmount);
+    const lowerBound = parseMoney(minAmount); // Unparseable bounds are ignored
+    const upperBound = parseMoney(maxAmount);
+    if (lowerBound) amountFilter.gte = lowerBound;
+    if (upperBound) amountFilter.lte = upperBound;
     filter.AND.push({ totalAmount: amountFilter });
   }
 
+  // Lifecycle and payment filters: status=VERIFIED,DISPUTED; balance=outstanding|settled; overdue=true|false
+  if (status) {
+    const statuses = String(status).split(',').map(value => value.trim().toUpperCase()).filter(value => INVOICE_STATUSES.includes(value));
+    if (statuses.length > 0) filter.AND.push({ status: { in: statuses } });
+  }
+  if (balance === 'outstanding') filter.AND.push({ outstandingAmount: { gt: 0 } });
+  if (balance === 'settled') filter.AND.push({ outstandingAmount: { lte: 0 } });
+  if (minOutstanding || maxOutstanding) {
+    const outstandingFilter = {};
+    const lowerBound = parseMoney(minOutstanding); // Unparseable bounds are ignored
+    const upperBound = parseMoney(maxOutstanding);
+    if (lowerBound) outstandingFilter.gte = lowerBound;
+    if (upperBound) outstandingFilter.lte = upperBound;
+    filter.AND.push({ outstandingAmount: outstandingFilter });
+  }
+  if (overdue === 'true') filter.AND.push(overdueInvoiceWhere());
+  if (overdue === 'false') filter.AND.push(notOverdueInvoiceWhere());
+  if (dueDateFrom || dueDateTo) {
+    const dateFilter = {};
+    if (dueDateFrom) dateFilter.gte = new Date(dueDateFrom);
+    if (dueDateTo) dateFilter.lte = new Date(dueDateTo);
+    filter.AND.push({ dueDate: dateFilter });
+  }
+
+  // Warranty status of a product; combined with productSerialNumber it must hold for the same product
+  const productWarrantyStatus = warrantyStatus && WARRANTY_STATUSES.includes(String(warrantyStatus).toUpperCase())
+    ? warrantyStatusWhere(String(warrantyStatus).toUpperCase())
+    : null;
+  if (productWarrantyStatus) {
+    filter.AND.push({
+      products: {
+        some: productSerialNumber
+          ? { AND: [productWarrantyStatus, { serialNumber: { contains: productSerialNumber } }] }
+          : productWarrantyStatus
+      }
+    });
+  }
+
   // Product filters (Match any product where EITHER name OR serial matches)
   if (productName || productSerialNumber) {
     const productOrConditions = [];
@@ -66,7 +125,7 @@ const buildAdvancedPurchaseOrderFilter = (params, userFilter = {}) => {
   const filter = { AND: [] };
    if (Object.keys(userFilter).length > 0) filter.AND.push(userFilter);
 
-  const { dateFrom, dateTo, vendorName, purchaseOrderNumber, itemDescription, minAmount, maxAmount } = params;
+  const { dateFrom, dateTo, vendorName, purchaseOrderNumber, gstNumber, gstStateCode, itemDescription, minAmount, maxAmount } = params;
 
   if (dateFrom || dateTo) {
     const dateFilter = {};
@@ -76,11 +135,15 @@ const buildAdvancedPurchaseOrderFilter = (params, userFilter = {}) => {
   }
   if (vendorName) filter.AND.push({ vendorName: { contains: vendorName, mode: 'insensitive' } });
   if (purchaseOrderNumber) filter.AND.push({ purchaseOrderNumber: { contains: purchaseOrderNumber, mode: 'insensitive' } });
+  if (gstNumber) filter.AND.push({ gstNumber: { contains: normalizeGstin(gstNumber) } }); // Stored upper-case; part of a GSTIN (e.g. the PAN) matches
+  if (gstStateCode) filter.AND.push({ gstStateCode: String(gstStateCode).padStart(2, '0') });
 
   if (minAmount || maxAmount) {
     const amountFilter = {};
-    if (minAmount) amountFilter.gte = parseFloat(minAmount);
-    if (maxAmount) amountFilter.lte = parseFloat(maxAmount);
+    const lowerBound = parseMoney(minAmount); // Unparseable bounds are ignored
+    const upperBound = parseMoney(maxAmount);
+    if (lowerBound) amountFilter.gte = lowerBound;
+    if (upperBound) amountFilter.lte = upperBound;
     filter.AND.push({ totalAmount: amountFilter });
   }
 
@@ -125,8 +188,10 @@ const buildAdvancedStockRegisterFilter = (params, userFilter = {}) => {
 
   if (minCostRate || maxCostRate) {
     const costFilter = {};
-    if (minCostRate) costFilter.gte = parseFloat(minCostRate);
-    if (maxCostRate) costFilter.lte = parseFloat(maxCostRate);
+    const lowerBound = parseMoney(minCostRate); // Unparseable bounds are ignored
+    const upperBound = parseMoney(maxCostRate);
+    if (lowerBound) costFilter.gte = lowerBound;
+    if (upperBound) costFilter.lte = upperBound;
     filter.AND.push({ costRate: costFilter });
   }
 
@@ -135,6 +200,38 @@ const buildAdvancedStockRegisterFilter = (params, userFilter = {}) => {
    return filter.AND.length > (Object.keys(userFilter).length > 0 ? 1 : 0) ? filter : userFilter;
 };
 
+/** Build Credit Note Filter */
+const buildAdvancedCreditNoteFilter = (params, userFilter = {}) => {
+  const filter = { AND: [] };
+  if (Object.keys(userFilter).length > 0) filter.AND.push(userFilter);
+
+  const { dateFrom, dateTo, creditNoteNumber, invoiceId, vendorName, vendorReference, reason, minAmount, maxAmount } = params;
+
+  if (dateFrom || dateTo) {
+    const dateFilter = {};
+    if (dateFrom) dateFilter.gte = new Date(dateFrom);
+    if (dateTo) dateFilter.lte = new Date(dateTo);
+    filter.AND.push({ creditNoteDate: dateFilter });
+  }
+
+  if (creditNoteNumber) filter.AND.push({ creditNoteNumber: { contains: creditNoteNumber } });
+  if (invoiceId) filter.AND.push({ invoiceId });
+  if (vendorName) filter.AND.push({ invoice: { vendorName: { contains: vendorName } } });
+  if (vendorReference) filter.AND.push({ vendorReference: { contains: vendorReference } });
+  if (reason) filter.AND.push({ reason: { contains: reason } });
+
+  if (minAmount || maxAmount) {
+    const amountFilter = {};
+    const lowerBound = parseMoney(minAmount); // Unparseable bounds are ignored
+    const upperBound = parseMoney(maxAmount);
+    if (lowerBound) amountFilter.gte = lowerBound;
+    if (upperBound) amountFilter.lte = upperBound;
+    filter.AND.push({ totalAmount: amountFilter });
+  }
+
+  return filter.AND.length > (Object.keys(userFilter).length > 0 ? 1 : 0) ? filter : userFilter;
+};
+
 
 /**
  * Generate CSV string for different document types
@@ -150,14 +247,18 @@ const generateCsvForDocumentType = (type, results) => {
   try {
       switch (type.toLowerCase()) {
         case 'invoice':
-          csvHeader = 'ID,Company Name,Vendor Name,Purchase Date,Order/Serial Number,Total Amount,Products\n';
+          csvHeader = 'ID,Company Name,Vendor Name,Purchase Date,Order/Serial Number,Total Amount,Status,Due Date,Amount Paid,Outstanding,Products\n';
           csvRows = results.map(invoice => [
               invoice.id,
               escapeCsvField(invoice.companyName),
               escapeCsvField(invoice.vendorName),
               invoice.purchaseDate ? new Date(invoice.purchaseDate).toISOString().split('T')[0] : '',
               escapeCsvField(invoice.orderOrSerialNumber),
-              invoice.totalAmount ?? '',
+              formatMoney(invoice.totalAmount),
+              invoice.status,
+              invoice.dueDate ? new Date(invoice.dueDate).toISOString().split('T')[0] : '',
+              formatMoney(invoice.amountPaid),
+              formatMoney(invoice.outstandingAmount),
               escapeCsvField(invoice.products?.map(p => `${p.productName}(SN:${p.serialNumber ?? 'N/A'},Qty:${p.quantity})`).join('; ') ?? '')
             ].join(',')
           );
@@ -171,7 +272,7 @@ const generateCsvForDocumentType = (type, results) => {
               escapeCsvField(po.vendorName),
               po.orderDate ? new Date(po.orderDate).toISOString().split('T')[0] : '',
               escapeCsvField(po.purchaseOrderNumber),
-              po.totalAmount ?? '',
+              formatMoney(po.totalAmount),
               escapeCsvField(po.items?.map(item => `${item.description}(Qty:${item.quantity})`).join('; ') ?? '')
             ].join(',')
           );
@@ -187,16 +288,36 @@ const generateCsvForDocumentType = (type, results) => {
               sr.billingDate ? new Date(sr.billingDate).toISOString().split('T')[0] : '',
               escapeCsvField(sr.companyName),
               escapeCsvField(sr.voucherOrBillNumber),
-              sr.costRate ?? '',
-              sr.cgst ?? '',
-              sr.sgst ?? '',
-              sr.totalRate ?? '',
+              formatMoney(sr.costRate),
+              formatMoney(sr.cgst),
+              formatMoney(sr.sgst),
+              formatMoney(sr.totalRate),
               escapeCsvField(sr.receiptNumber),
               sr.pageNumber ?? ''
             ].join(',')
           );
           break;
 
+        case 'creditnote':
+          csvHeader = 'ID,Credit Note Number,Credit Note Date,Invoice ID,Vendor Name,Vendor Reference,Reason,Taxable Amount,CGST,SGST,IGST,Total Amount,Lines\n';
+          csvRows = results.map(cn => [
+              cn.id,
+              escapeCsvField(cn.creditNoteNumber),
+              cn.creditNoteDate ? new Date(cn.creditNoteDate).toISOString().split('T')[0] : '',
+              escapeCsvField(cn.invoiceId),
+              escapeCsvField(cn.invoice?.vendorName),
+              escapeCsvField(cn.vendorReference),
+              escapeCsvField(cn.reason),
+              formatMoney(cn.taxableAmount),
+              formatMoney(cn.cgstAmount),
+              formatMoney(cn.sgstAmount),
+              formatMoney(cn.igstAmount),
+              formatMoney(cn.totalAmount),
+              escapeCsvField(cn.lines?.map(line => `${line.productName}(SN:${line.serialNumber ?? 'N/A'},Qty:${line.quantity})`).join('; ') ?? '')
+            ].join(',')
+          );
+          break;
+
         default:
             console.error(`CSV generation failed: Unknown document type "${type}"`);
             return ''; // Return empty string or throw error for unknown type
@@ -225,17 +346,22 @@ export const searchDocuments = async (req, res) => {
     return res.status(400).json({ message: 'Search query parameter is required' });
   }
 
-  // Filter by user unless admin
-  const userFilter = req.user.role === 'ADMIN' ? {} : { userId: req.user.id };
+  // Filter each document type by the user's read permission (null = type not readable)
+  const scopeFilters = Object.fromEntries(DOCUMENT_RESOURCES.map(resource => [resource, documentScopeFilter(req.user, resource)]));
 
   let results = [];
   let total = 0;
   let documentTypeLabel = type ? type.toLowerCase() : 'all';
 
+  const requestedResource = TYPE_RESOURCES[documentTypeLabel];
+  if (requestedResource && !scopeFilters[requestedResource]) {
+    return res.status(403).json({ message: `Not authorized to search ${requestedResource} documents` });
+  }
+
   try {
     switch (documentTypeLabel) {
         case 'invoice':
-        const invoiceWhere = { ...userFilter, OR: [
+        const invoiceWhere = { AND: [scopeFilters.invoice], OR: [
             { companyName: { contains: query, mode: 'insensitive' } },
             { vendorName: { contains: query, mode: 'insensitive' } },
             { orderOrSerialNumber: { contains: query, mode: 'insensitive' } },
@@ -253,9 +379,10 @@ export const searchDocuments = async (req, res) => {
 
         case 'purchaseorder':
         case 'purchase-order':
-        const poWhere = { ...userFilter, OR: [
+        const poWhere = { AND: [scopeFilters.purchaseOrder], OR: [
             { vendorName: { contains: query, mode: 'insensitive' } },
             { purchaseOrderNumber: { contains: query, mode: 'insensitive' } },
+            { gstNumber: { contains: normalizeGstin(query) } },
             { fromAddress: { contains: query, mode: 'insensitive' } },
             { items: { some: { description: { contains: query, mode: 'insensitive' } } } } // Search item descriptions
         ]};
@@ -269,7 +396,7 @@ export const searchDocuments = async (req, res) => {
 
       case 'stockregister':
       case 'stock-register':
-        const srWhere = { ...userFilter, OR: [
+        const srWhere = { AND: [scopeFilters.stockRegister], OR: [
             { articleName: { contains: query, mode: 'insensitive' } },
             { voucherOrBillNumber: { contains: query, mode: 'insensitive' } },
             { companyName: { contains: query, mode: 'insensitive' } },
@@ -284,19 +411,39 @@ export const searchDocuments = async (req, res) => {
         total = srCount;
         break;
 
+      case 'creditnote':
+      case 'credit-note':
+        const cnWhere = { AND: [scopeFilters.creditNote], OR: [
+            { creditNoteNumber: { contains: query } },
+            { vendorReference: { contains: query } },
+            { reason: { contains: query } },
+            { invoiceId: { contains: query } },
+            { lines: { some: { productName: { contains: query } } } } // Search returned product names
+        ]};
+        const [creditNotes, cnCount] = await prisma.$transaction([
+             prisma.creditNote.findMany({ where: cnWhere, include: { lines: true, user: { select: { id: true, username: true } } }, orderBy: { createdAt: 'desc' }, skip, take: parseInt(limit) }),
+             prisma.creditNote.count({ where: cnWhere })
+         ]);
+        results = creditNotes.map(doc => ({ ...doc, documentType: 'creditNote' }));
+        total = cnCount;
+        break;
+
       case 'all':
         // INEFFICIENCY WARNING: Fetches all results then sorts/pages in memory.
         // Consider separate API calls or a dedicated search service for large scale 'all' search.
         console.warn("Executing 'search all' query - may be slow with large datasets.");
-        const [invoicesAll, poAll, srAll] = await Promise.all([
-             prisma.invoice.findMany({ where: { ...userFilter, OR: [ /* include OR conditions from above */ { companyName: { contains: query, mode: 'insensitive' } }, { vendorName: { contains: query, mode: 'insensitive' } }, {products: { some: { productName: { contains: query, mode: 'insensitive' } } }} ] }, include: { products: true, user: { select: { id: true, username: true } } } }),
-             prisma.purchaseOrder.findMany({ where: { ...userFilter, OR: [ /* include OR conditions */ { vendorName: { contains: query, mode: 'insensitive' } }, {items: { some: { description: { contains: query, mode: 'insensitive' } } }} ] }, include: { items: true, user: { select: { id: true, username: true } } } }),
-             prisma.stockRegister.findMany({ where: { ...userFilter, OR: [ /* include OR conditions */ { articleName: { contains: query, mode: 'insensitive' } }, { voucherOrBillNumber: { contains: query, mode: 'insensitive' } } ] }, include: { user: { select: { id: true, username: true } } } }),
+        // Types the user may not read are skipped
+        const [invoicesAll, poAll, srAll, cnAll] = await Promise.all([
+             !scopeFilters.invoice ? [] : prisma.invoice.findMany({ where: { AND: [scopeFilters.invoice], OR: [ /* include OR conditions from above */ { companyName: { contains: query, mode: 'insensitive' } }, { vendorName: { contains: query, mode: 'insensitive' } }, {products: { some: { productName: { contains: query, mode: 'insensitive' } } }} ] }, include: { products: true, user: { select: { id: true, username: true } } } }),
+             !scopeFilters.purchaseOrder ? [] : prisma.purchaseOrder.findMany({ where: { AND: [scopeFilters.purchaseOrder], OR: [ /* include OR conditions */ { vendorName: { contains: query, mode: 'insensitive' } }, {items: { some: { description: { contains: query, mode: 'insensitive' } } }} ] }, include: { items: true, user: { select: { id: true, username: true } } } }),
+             !scopeFilters.stockRegister ? [] : prisma.stockRegister.findMany({ where: { AND: [scopeFilters.stockRegister], OR: [ /* include OR conditions */ { articleName: { contains: query, mode: 'insensitive' } }, { voucherOrBillNumber: { contains: query, mode: 'insensitive' } } ] }, include: { user: { select: { id: true, username: true } } } }),
+             !scopeFilters.creditNote ? [] : prisma.creditNote.findMany({ where: { AND: [scopeFilters.creditNote], OR: [ { creditNoteNumber: { contains: query } }, { reason: { contains: query } } ] }, include: { lines: true, user: { select: { id: true, username: true } } } }),
         ]);
         const combinedResults = [
             ...invoicesAll.map(doc => ({ ...doc, documentType: 'invoice' })),
             ...poAll.map(doc => ({ ...doc, documentType: 'purchaseOrder' })),
-            ...srAll.map(doc => ({ ...doc, documentType: 'stockRegister' }))
+            ...srAll.map(doc => ({ ...doc, documentType: 'stockRegister' })),
+            ...cnAll.map(doc => ({ ...doc, documentType: 'creditNote' }))
         ].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt)); // Sort combined by date
 
         total = combinedResults.length;
@@ -304,7 +451,7 @@ export const searchDocuments = async (req, res) => {
         break;
 
       default:
-        return res.status(400).json({ message: 'Invalid search type specified. Use invoice, purchaseOrder, stockRegister, or omit for all.' });
+        return res.status(400).json({ message: 'Invalid search type specified. Use invoice, purchaseOrder, stockRegister, creditNote, or omit for all.' });
     }
 
     res.json({
@@ -325,7 +472,7 @@ export const searchDocuments = async (req, res) => {
 export const advancedInvoiceSearch = async (req, res) => {
    const { page = 1, limit = 10 } = req.query;
    const skip = (parseInt(page) - 1) * parseInt(limit);
-   const userFilter = req.user.role === 'ADMIN' ? {} : { userId: req.user.id };
+   const userFilter = documentScopeFilter(req.user, 'invoice'); // Route ensures read permission
 
    try {
       const whereConditions = buildAdvancedInvoiceFilter(req.query, userFilter);
@@ -335,7 +482,7 @@ export const advancedInvoiceSearch = async (req, res) => {
         ]);
 
         res.json({
-            results: invoices,
+            results: invoices.map(invoice => withOverdueInfo(invoice)),
             totalPages: Math.ceil(total / parseInt(limit)),
             currentPage: parseInt(page),
             totalResults: total
@@ -350,7 +497,7 @@ export const advancedInvoiceSearch = async (req, res) => {
 export const advancedPurchaseOrderSearch = async (req, res) => {
     const { page = 1, limit = 10 } = req.query;
    const skip = (parseInt(page) - 1) * parseInt(limit);
-   const userFilter = req.user.role === 'ADMIN' ? {} : { userId: req.user.id };
+   const userFilter = documentScopeFilter(req.user, 'purchaseOrder'); // Route ensures read permission
 
     try {
         const whereConditions = buildAdvancedPurchaseOrderFilter(req.query, userFilter);
@@ -375,7 +522,7 @@ export const advancedPurchaseOrderSearch = async (req, res) => {
 export const advancedStockRegisterSearch = async (req, res) => {
    const { page = 1, limit = 10, sortBy = 'entryDate', sortOrder = 'desc' } = req.query;
    const skip = (parseInt(page) - 1) * parseInt(limit);
-   const userFilter = req.user.role === 'ADMIN' ? {} : { userId: req.user.id };
+   const userFilter = documentScopeFilter(req.user, 'stockRegister'); // Route ensures read permission
 
     // Build sorting
     const validSortOrders = ['asc', 'desc'];
@@ -402,6 +549,40 @@ export const advancedStockRegisterSearch = async (req, res) => {
    }
 };
 
+/** Advanced search for credit notes */
+export const advancedCreditNoteSearch = async (req, res) => {
+   const { page = 1, limit = 10, sortBy = 'creditNoteDate', sortOrder = 'desc' } = req.query;
+   const skip = (parseInt(page) - 1) * parseInt(limit);
+   const userFilter = documentScopeFilter(req.user, 'creditNote'); // Route ensures read permission
+
+    // Build sorting
+    const orderByField = ['creditNoteNumber', 'creditNoteDate', 'totalAmount', 'createdAt', 'updatedAt'].includes(sortBy) ? sortBy : 'createdAt';
+    const orderDirection = ['asc', 'desc'].includes(sortOrder.toLowerCase()) ? sortOrder.toLowerCase() : 'desc';
+    const orderBy = { [orderByField]: orderDirection };
+
+    try {
+       const whereConditions = buildAdvancedCreditNoteFilter(req.query, userFilter);
+       const [creditNotes, total] = await prisma.$transaction([
+           prisma.creditNote.findMany({
+               where: whereConditions,
+               include: { lines: true, invoice: { select: { id: true, vendorName: true } }, user: { select: { id: true, username: true } } },
+               orderBy, skip, take: parseInt(limit)
+           }),
+           prisma.creditNote.count({ where: whereConditions })
+       ]);
+
+         res.json({
+            results: creditNotes,
+            totalPages: Math.ceil(total / parseInt(limit)),
+            currentPage: parseInt(page),
+            totalResults: total
+        });
+   } catch (error) {
+        console.error('Advanced Credit Note Search Error:', error);
+        res.status(500).json({ message: 'Server Error during advanced credit note search', error: error.message });
+   }
+};
+
 /** Validate document ID uniqueness */
 export const validateUniqueId = async (req, res) => {
   const { id, type } = req.body; // Changed 'documentType' to 'type' based on route file
@@ -417,6 +598,8 @@ export const validateUniqueId = async (req, res) => {
       case 'purchase-order':    model = prisma.purchaseOrder; break;
       case 'stockregister':     /* falls through */
       case 'stock-register':    model = prisma.stockRegister; break;
+      case 'creditnote':        /* falls through */
+      case 'credit-note':       model = prisma.creditNote; break;
       default:                  return res.status(400).json({ message: 'Invalid document type for validation' });
   }
 
@@ -441,12 +624,16 @@ export const exportSearchResults = async (req, res) => {
     }
 
     const normalizedType = type.toLowerCase();
-    const allowedTypes = ['invoice', 'purchaseorder', 'stockregister', 'purchase-order', 'stock-register'];
+    const allowedTypes = ['invoice', 'purchaseorder', 'stockregister', 'purchase-order', 'stock-register', 'creditnote', 'credit-note'];
     if (!allowedTypes.includes(normalizedType)) {
-        return res.status(400).json({ message: `Invalid document type '${type}'. Allowed types: invoice, purchaseOrder, stockRegister` });
+        return res.status(400).json({ message: `Invalid document type '${type}'. Allowed types: invoice, purchaseOrder, stockRegister, creditNote` });
     }
 
-    const userFilter = req.user.role === 'ADMIN' ? {} : { userId: req.user.id };
+    const exportResource = TYPE_RESOURCES[normalizedType];
+    const userFilter = documentScopeFilter(req.user, exportResource);
+    if (!userFilter) {
+        return res.status(403).json({ message: `Not authorized to export ${exportResource} documents` });
+    }
     let results = [];
 
     try {
@@ -472,6 +659,11 @@ export const exportSearchResults = async (req, res) => {
               const orderBy = { [orderByField]: orderDirection };
              results = await prisma.stockRegister.findMany({ where: whereSR, orderBy });
             break;
+          case 'creditnote':
+          case 'credit-note':
+             const whereCN = buildAdvancedCreditNoteFilter(searchParams, userFilter);
+             results = await prisma.creditNote.findMany({ where: whereCN, include: { lines: true, invoice: { select: { vendorName: true } } }, orderBy: { creditNoteDate: 'desc' } });
+            break;
         }
 
          // Generate CSV content if requested and results exist
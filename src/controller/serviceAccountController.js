@@ -0,0 +1,189 @@
+// src/controller/serviceAccountController.js
+import { PrismaClient, Role } from '@prisma/client';
+import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
+import { generateApiKey, API_KEY_DEFAULT_TTL_DAYS, API_KEY_MAX_TTL_DAYS } from '../utils/apiKeys.js';
+import { isKnownPermission, PRIVILEGED_PERMISSIONS } from '../utils/permissions.js';
+
+const prisma = new PrismaClient();
+
+// Key fields safe to return (never the hash)
+const API_KEY_SELECT = {
+  id: true,
+  name: true,
+  keyPrefix: true,
+  scopes: true,
+  expiresAt: true,
+  lastUsedAt: true,
+  lastUsedIp: true,
+  revokedAt: true,
+  createdAt: true,
+  createdBy: { select: { id: true, username: true } }
+};
+
+const SERVICE_ACCOUNT_SELECT = {
+  id: true,
+  username: true,
+  role: true,
+  description: true,
+  isActive: true,
+  deactivatedAt: true,
+  createdAt: true
+};
+
+// Scopes must be known permissions and may not grant user, role or edit request administration
+const validateScopes = (scopes) => {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return 'scopes must be a non-empty array of permission names';
+  }
+  const unknown = scopes.filter(scope => !isKnownPermission(scope));
+  if (unknown.length > 0) {
+    return `Unknown permissions: ${unknown.join(', ')}`;
+  }
+  const privileged = scopes.filter(scope => scope === '*' || PRIVILEGED_PERMISSIONS.some(permission => permission.startsWith(scope.replace(/\*$/, ''))));
+  if (privileged.length > 0) {
+    return `API keys cannot be granted administrative permissions: ${privileged.join(', ')}`;
+  }
+  return null;
+};
+
+const findServiceAccount = (userId) => prisma.user.findFirst({
+  where: { id: userId, isServiceAccount: true, archivedAt: null },
+  select: { id: true, username: true, isActive: true }
+});
+
+// Create a service account (requires user:manage). It has no usable password and cannot log in.
+export const createServiceAccount = async (req, res) => {
+  const { username, description, role = 'USER' } = req.body;
+
+  if (!username) {
+    return res.status(400).json({ message: 'Username is required' });
+  }
+  if (!Object.values(Role).includes(role) || role === 'ADMIN') {
+    return res.status(400).json({ message: `Invalid role specified. Must be one of: ${Object.values(Role).filter(r => r !== 'ADMIN').join(', ')}` });
+  }
+
+  try {
+    const existingUser = await prisma.user.findUnique({ where: { username }, select: { id: true } });
+    if (existingUser) {
+      return res.status(400).json({ message: 'Username is already taken' });
+    }
+
+    const serviceAccount = await prisma.user.create({
+      data: {
+        username,
+        description: description || null,
+        role,
+        isServiceAccount: true,
+        // Random password nobody knows; login is refused for service accounts anyway
+        password: await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10)
+      },
+      select: SERVICE_ACCOUNT_SELECT
+    });
+
+    res.status(201).json(serviceAccount);
+
+  } catch (error) {
+    console.error('Create Service Account Error:', error);
+    res.status(500).json({ message: 'Server Error creating service account' });
+  }
+};
+
+// List service accounts with their keys (requires user:manage)
+export const getServiceAccounts = async (req, res) => {
+  try {
+    const serviceAccounts = await prisma.user.findMany({
+      where: { isServiceAccount: true, archivedAt: null },
+      select: {
+        ...SERVICE_ACCOUNT_SELECT,
+        apiKeys: { select: API_KEY_SELECT, orderBy: { createdAt: 'desc' } }
+      },
+      orderBy: { username: 'asc' }
+    });
+
+    res.json({ serviceAccounts });
+
+  } catch (error) {
+    console.error('Get Service Accounts Error:', error);
+    res.status(500).json({ message: 'Server Error retrieving service accounts' });
+  }
+};
+
+// Issue a new API key for a service account; the plain key is returned only in this response (requires user:manage)
+export const createApiKey = async (req, res) => {
+  const { userId } = req.params;
+  const { name, scopes, expiresInDays = API_KEY_DEFAULT_TTL_DAYS } = req.body;
+
+  if (!name) {
+    return res.status(400).json({ message: 'Key name is required' });
+  }
+  const scopeError = validateScopes(scopes);
+  if (scopeError) {
+    return res.status(400).json({ message: scopeError });
+  }
+  const ttlDays = parseInt(expiresInDays, 10);
+  if (isNaN(ttlDays) || ttlDays < 1 || ttlDays > API_KEY_MAX_TTL_DAYS) {
+    return res.status(400).json({ message: `expiresInDays must be between 1 and ${API_KEY_MAX_TTL_DAYS}` });
+  }
+
+  try {
+    const serviceAccount = await findServiceAccount(userId);
+    if (!serviceAccount) {
+      return res.status(404).json({ message: 'Service account not found' });
+    }
+    if (!serviceAccount.isActive) {
+      return res.status(400).json({ message: 'Service account is deactivated' });
+    }
+
+    const { key, keyPrefix, keyHash } = generateApiKey();
+    const apiKey = await prisma.apiKey.create({
+      data: {
+        name,
+        keyPrefix,
+        keyHash,
+        scopes: [...new Set(scopes)],
+        expiresAt: new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000),
+        serviceAccountId: serviceAccount.id,
+        createdById: req.user.id
+      },
+      select: API_KEY_SELECT
+    });
+
+    res.status(201).json({
+      message: 'API key created. Store it securely; it is shown only once. Send it in the X-API-Key header.',
+      key,
+      apiKey
+    });
+
+  } catch (error) {
+    console.error('Create API Key Error:', error);
+    res.status(500).json({ message: 'Server Error creating API key' });
+  }
+};
+
+// Revoke an API key immediately (requires user:manage)
+export const revokeApiKey = async (req, res) => {
+  const { userId, keyId } = req.params;
+
+  try {
+    const apiKey = await prisma.apiKey.findFirst({ where: { id: keyId, serviceAccountId: userId }, select: { id: true, revokedAt: true } });
+    if (!apiKey) {
+      return res.status(404).json({ message: 'API key not found' });
+    }
+    if (apiKey.revokedAt) {
+      return res.status(400).json({ message: 'API key is already revoked' });
+    }
+
+    const revokedKey = await prisma.apiKey.update({
+      where: { id: keyId },
+      data: { revokedAt: new Date() },
+      select: API_KEY_SELECT
+    });
+
+    res.json({ message: 'API key revoked', apiKey: revokedKey });
+
+  } catch (error) {
+    console.error('Revoke API Key Error:', error);
+    res.status(500).json({ message: 'Server Error revoking API key' });
+  }
+};
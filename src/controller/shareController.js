@@ -0,0 +1,218 @@
+// src/controller/shareController.js
+import { PrismaClient, ShareAccess } from '@prisma/client';
+import { DOCUMENT_RESOURCES, activeShareWhere, canManageDocumentShares } from '../utils/permissions.js';
+import { userRoom } from '../utils/socketRooms.js';
+
+const prisma = new PrismaClient();
+
+// Share foreign key and a human-readable label per document type (route param as used by `canEdit`)
+const SHARE_DOCUMENTS = {
+  invoice: { field: 'invoiceId', label: 'Invoice' },
+  purchaseOrder: { field: 'purchaseOrderId', label: 'Purchase Order' },
+  stockRegister: { field: 'stockRegisterId', label: 'Stock Register entry' },
+  creditNote: { field: 'creditNoteId', label: 'Credit Note' }
+};
+
+const SHARE_SELECT = {
+  id: true,
+  accessLevel: true,
+  expiresAt: true,
+  note: true,
+  createdAt: true,
+  updatedAt: true,
+  sharedWith: { select: { id: true, username: true } },
+  grantedBy: { select: { id: true, username: true } }
+};
+
+// Loads the document named by :documentType/:documentId and checks that the caller may manage its shares.
+// Throws an Error with `status` 400/403/404 otherwise.
+const loadShareableDocument = async (user, documentType, documentId) => {
+  if (!DOCUMENT_RESOURCES.includes(documentType)) {
+    throw Object.assign(new Error(`Invalid document type. Must be one of: ${DOCUMENT_RESOURCES.join(', ')}`), { status: 400 });
+  }
+  const document = await prisma[documentType].findUnique({ where: { id: documentId }, select: { id: true, userId: true } });
+  if (!document) {
+    throw Object.assign(new Error(`${SHARE_DOCUMENTS[documentType].label} not found`), { status: 404 });
+  }
+  if (!canManageDocumentShares(user, documentType, document)) {
+    throw Object.assign(new Error('Only the owner, if allowed to edit it, or an admin can manage sharing of this document'), { status: 403 });
+  }
+  return document;
+};
+
+// Parses expiresAt (ISO date) or expiresInDays from the body; undefined = no expiry. Returns { expiresAt } or { error }.
+const parseExpiry = ({ expiresAt, expiresInDays }) => {
+  if (expiresInDays !== undefined && expiresInDays !== null) {
+    const days = parseInt(expiresInDays, 10);
+    if (isNaN(days) || days < 1) return { error: 'expiresInDays must be a positive integer' };
+    return { expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000) };
+  }
+  if (expiresAt) {
+    const date = new Date(expiresAt);
+    if (isNaN(date.getTime())) return { error: 'expiresAt must be a valid date' };
+    if (date <= new Date()) return { error: 'expiresAt must be in the future' };
+    return { expiresAt: date };
+  }
+  return { expiresAt: null };
+};
+
+// Share a document with another user, or update an existing share (owner with ${type}:update:own, or ${type}:update:any)
+export const shareDocument = async (req, res) => {
+  const { documentType, documentId } = req.params;
+  const { userId, accessLevel = 'VIEW', note } = req.body;
+
+  if (!userId) {
+    return res.status(400).json({ message: 'userId of the user to share with is required' });
+  }
+  if (!Object.values(ShareAccess).includes(accessLevel)) {
+    return res.status(400).json({ message: `Invalid accessLevel. Must be one of: ${Object.values(ShareAccess).join(', ')}` });
+  }
+  const { expiresAt, error: expiryError } = parseExpiry(req.body);
+  if (expiryError) {
+    return res.status(400).json({ message: expiryError });
+  }
+
+  try {
+    const document = await loadShareableDocument(req.user, documentType, documentId);
+
+    const recipient = await prisma.user.findUnique({ where: { id: userId }, select: { id: true, isActive: true, isServiceAccount: true } });
+    if (!recipient || !recipient.isActive) {
+      return res.status(400).json({ message: 'User to share with not found or deactivated' });
+    }
+    if (recipient.isServiceAccount) {
+      return res.status(400).json({ message: 'Documents cannot be shared with service accounts' });
+    }
+    if (recipient.id === document.userId) {
+      return res.status(400).json({ message: 'The owner already has access to this document' });
+    }
+
+    const documentField = SHARE_DOCUMENTS[documentType].field;
+    const data = { accessLevel, expiresAt, note: note || null, grantedById: req.user.id };
+    const existing = await prisma.documentShare.findFirst({
+      where: { sharedWithId: recipient.id, [documentField]: document.id },
+      select: { id: true }
+    });
+    const share = existing
+      ? await prisma.documentShare.update({ where: { id: existing.id }, data, select: SHARE_SELECT })
+      : await prisma.documentShare.create({
+          data: { ...data, sharedWithId: recipient.id, [documentField]: document.id },
+          select: SHARE_SELECT
+        });
+
+    if (global.io) {
+      global.io.to(userRoom(recipient.id)).emit('document-shared', {
+        message: `${req.user.username} shared a ${SHARE_DOCUMENTS[documentType].label} with you (${accessLevel === 'EDIT' ? 'view and edit' : 'view only'})`,
+        documentType,
+        documentId: document.id,
+        share
+      });
+    }
+
+    res.status(existing ? 200 : 201).json({ message: existing ? 'Share updated' : 'Document shared', share });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Share Document Error:', error);
+    if (error.code === 'P2002') { // Concurrent grant to the same user
+      return res.status(409).json({ message: 'The document was just shared with this user. Please retry.' });
+    }
+    res.status(500).json({ message: 'Server Error sharing document' });
+  }
+};
+
+// List the shares of a document, including expired ones (owner with ${type}:update:own, or ${type}:update:any)
+export const getDocumentShares = async (req, res) => {
+  const { documentType, documentId } = req.params;
+
+  try {
+    const document = await loadShareableDocument(req.user, documentType, documentId);
+    const shares = await prisma.documentShare.findMany({
+      where: { [SHARE_DOCUMENTS[documentType].field]: document.id },
+      select: SHARE_SELECT,
+      orderBy: { createdAt: 'desc' }
+    });
+
+    const now = new Date();
+    res.json({ shares: shares.map(share => ({ ...share, isExpired: Boolean(share.expiresAt && share.expiresAt <= now) })) });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Get Document Shares Error:', error);
+    res.status(500).json({ message: 'Server Error retrieving document shares' });
+  }
+};
+
+// Revoke a share (document owner with ${type}:update:own, the user who granted it, or ${type}:update:any)
+export const revokeShare = async (req, res) => {
+  const { shareId } = req.params;
+
+  try {
+    const share = await prisma.documentShare.findUnique({
+      where: { id: shareId },
+      select: {
+        id: true,
+        grantedById: true,
+        invoice: { select: { userId: true } },
+        purchaseOrder: { select: { userId: true } },
+        stockRegister: { select: { userId: true } },
+        creditNote: { select: { userId: true } }
+      }
+    });
+    if (!share) {
+      return res.status(404).json({ message: 'Share not found' });
+    }
+
+    const documentType = DOCUMENT_RESOURCES.find(resource => share[resource]);
+    if (share.grantedById !== req.user.id && !canManageDocumentShares(req.user, documentType, share[documentType])) {
+      return res.status(403).json({ message: 'Not authorized to revoke this share' });
+    }
+
+    await prisma.documentShare.delete({ where: { id: shareId } });
+    res.json({ message: 'Share revoked' });
+
+  } catch (error) {
+    console.error('Revoke Share Error:', error);
+    res.status(500).json({ message: 'Server Error revoking share' });
+  }
+};
+
+// Documents currently shared with the caller ("shared with me"), optionally filtered by ?type=
+export const getSharedWithMe = async (req, res) => {
+  const { type } = req.query;
+
+  if (type && !DOCUMENT_RESOURCES.includes(type)) {
+    return res.status(400).json({ message: `Invalid type filter. Must be one of: ${DOCUMENT_RESOURCES.join(', ')}` });
+  }
+
+  const where = activeShareWhere(req.user.id);
+  if (type) where[SHARE_DOCUMENTS[type].field] = { not: null };
+
+  try {
+    const shares = await prisma.documentShare.findMany({
+      where,
+      select: {
+        ...SHARE_SELECT,
+        invoice: { select: { id: true, companyName: true, vendorName: true, purchaseDate: true, totalAmount: true, user: { select: { id: true, username: true } } } },
+        purchaseOrder: { select: { id: true, purchaseOrderNumber: true, vendorName: true, orderDate: true, totalAmount: true, user: { select: { id: true, username: true } } } },
+        stockRegister: { select: { id: true, articleName: true, voucherOrBillNumber: true, entryDate: true, totalRate: true, user: { select: { id: true, username: true } } } },
+        creditNote: { select: { id: true, creditNoteNumber: true, invoiceId: true, creditNoteDate: true, totalAmount: true, user: { select: { id: true, username: true } } } }
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json({
+      shares: shares.map(({ invoice, purchaseOrder, stockRegister, creditNote, ...share }) => {
+        const documentType = invoice ? 'invoice' : purchaseOrder ? 'purchaseOrder' : stockRegister ? 'stockRegister' : 'creditNote';
+        return { ...share, documentType, document: invoice || purchaseOrder || stockRegister || creditNote };
+      })
+    });
+
+  } catch (error) {
+    console.error('Get Shared With Me Error:', error);
+    res.status(500).json({ message: 'Server Error retrieving shared documents' });
+  }
+};
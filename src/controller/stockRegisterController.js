@@ -2,6 +2,10 @@ import { PrismaClient, Role } from '@prisma/client';
 import fs from 'fs';
 import path from 'path';
 import { createEditRequest } from './editRequestController.js';
+import { documentScopeFilter, canAccessDocument, userSharesSelect } from '../utils/permissions.js';
+import { parseMoney, sumMoney } from '../utils/money.js';
+import { resolveDocumentLink, resolveInvoiceLine } from '../utils/documentLinks.js';
+import { isNumbered, withDocumentNumber, retryNumbering } from '../utils/numberSeries.js';
 
 const prisma = new PrismaClient();
 
@@ -16,78 +20,139 @@ const safeUnlink = (filePath) => {
   }
 };
 
-// Create a new stock register entry
-export const createStockRegister = async (req, res) => {
-  try {
-    const {
-      id, // User provided ID
+// Units received by an entry: a positive whole number (null when invalid)
+const parseQuantity = (value) => {
+  const quantity = Number(value);
+  return Number.isInteger(quantity) && quantity >= 1 ? quantity : null;
+};
+
+/** Throws a 400 when an invoice line link and the invoice link point at different invoices. */
+const checkLineBelongsToInvoice = (invoiceLine, invoiceId) => {
+  if (invoiceLine && invoiceId && invoiceLine.invoiceId !== invoiceId) {
+    throw Object.assign(new Error(`Invoice line ${invoiceLine.id} is not on invoice ${invoiceId}`), { status: 400, field: 'productId' });
+  }
+};
+
+// Required fields of a new entry, in the order they are reported (id is generated when blank while a number series is active)
+const STOCK_REGISTER_REQUIRED_FIELDS = ['id', 'articleName', 'voucherOrBillNumber', 'costRate', 'billingDate'];
+
+const isValidDate = (value) => !isNaN(new Date(value).getTime());
+
+/**
+ * Validates a new stock register entry (a create request body or an imported row) and builds its create data.
+ * Returns { errors, data } with errors as [{ field, message }]; invoice links the user cannot read throw an
+ * Error with `status` and `field` (see resolveDocumentLink). Imports look up once per file whether entries are
+ * `numbered` and which of their IDs exist (`existingIds`).
+ */
+export const prepareStockRegisterData = async (user, fields, { numbered, existingIds } = {}) => {
+  const {
+    id, // User provided ID
+    articleName,
+    entryDate,
+    companyName,
+    address,
+    productDetails,
+    voucherOrBillNumber,
+    costRate,
+    cgst,
+    sgst,
+    receiptNumber,
+    pageNumber,
+    billingDate,
+    serialNumber, // Optional; serial of the asset recorded by this entry
+    invoiceId, // Optional; invoice the goods were bought on
+    productId, // Optional; invoice line received (sets invoiceId when omitted)
+    quantity // Optional; units received, default 1
+  } = fields;
+
+  // Basic Validations
+  const required = (numbered ?? await isNumbered('STOCK_REGISTER')) ? STOCK_REGISTER_REQUIRED_FIELDS.filter(field => field !== 'id') : STOCK_REGISTER_REQUIRED_FIELDS;
+  const missing = required.filter(field => !fields[field]);
+  if (missing.length > 0) {
+    return { errors: [{ field: missing[0], message: `Missing required fields (${required.join(', ')})` }] };
+  }
+  const invalidDate = [['billingDate', billingDate], ['entryDate', entryDate]].find(([, value]) => value && !isValidDate(value));
+  if (invalidDate) {
+    return { errors: [{ field: invalidDate[0], message: `${invalidDate[0]} must be a valid date` }] };
+  }
+
+  // Check for existing ID
+  const existingEntry = id && (existingIds ? existingIds.has(id) : await prisma.stockRegister.findUnique({ where: { id }, select: { id: true } }));
+  if (existingEntry) {
+    return { errors: [{ field: 'id', message: 'A stock register entry with this ID already exists. Please use a unique ID.' }] };
+  }
+
+  // Calculate total rate
+  const parsedCostRate = parseMoney(costRate);
+  const parsedCgst = parseMoney(cgst || 0); // Default CGST/SGST to 0 if not provided
+  const parsedSgst = parseMoney(sgst || 0);
+  if (!parsedCostRate || !parsedCgst || !parsedSgst) {
+    return { errors: [{ field: !parsedCostRate ? 'costRate' : !parsedCgst ? 'cgst' : 'sgst', message: 'costRate, cgst and sgst must be valid amounts' }] };
+  }
+  const totalRate = sumMoney([parsedCostRate, parsedCgst, parsedSgst]);
+  const receivedQuantity = quantity === undefined || quantity === '' ? 1 : parseQuantity(quantity);
+  if (!receivedQuantity) {
+    return { errors: [{ field: 'quantity', message: 'quantity must be a positive whole number' }] };
+  }
+  const linkedInvoiceId = await resolveDocumentLink(user, 'invoice', invoiceId, 'invoiceId');
+  const invoiceLine = await resolveInvoiceLine(user, productId, 'productId');
+  checkLineBelongsToInvoice(invoiceLine, linkedInvoiceId);
+
+  return {
+    errors: [],
+    data: {
+      id,
       articleName,
-      entryDate,
+      entryDate: entryDate ? new Date(entryDate) : new Date(), // Default entryDate to now if not provided
       companyName,
       address,
       productDetails,
+      serialNumber: serialNumber ? String(serialNumber).trim() : null,
+      quantity: receivedQuantity,
+      invoiceId: linkedInvoiceId || invoiceLine?.invoiceId || null,
+      productId: invoiceLine?.id || null,
       voucherOrBillNumber,
-      costRate,
-      cgst,
-      sgst,
+      costRate: parsedCostRate,
+      cgst: parsedCgst,
+      sgst: parsedSgst,
+      totalRate, // Calculated value
       receiptNumber,
-      pageNumber,
-      billingDate
-    } = req.body;
-
-    // Basic Validations
-    if (!id || !articleName || !voucherOrBillNumber || !costRate || !billingDate) {
-      return res.status(400).json({ message: 'Missing required fields (id, articleName, voucherOrBillNumber, costRate, billingDate)' });
+      pageNumber: pageNumber ? parseInt(pageNumber, 10) : null, // Ensure integer or null
+      billingDate: new Date(billingDate),
+      userId: user.id, // from auth middleware
+      departmentId: user.departmentId || null // Department at creation time; later moves do not change it
     }
+  };
+};
 
-     // Check for existing ID
-    const existingEntry = await prisma.stockRegister.findUnique({ where: { id }});
-    if (existingEntry) {
-        return res.status(400).json({ message: 'A stock register entry with this ID already exists. Please use a unique ID.' });
+// Create a new stock register entry
+export const createStockRegister = async (req, res) => {
+  try {
+    const { errors, data } = await prepareStockRegisterData(req.user, req.body);
+    if (errors.length > 0) {
+        safeUnlink(req.file?.path);
+        return res.status(400).json({ message: errors[0].message, errors });
     }
 
     // Get file path
     const photoUrl = req.file ? req.file.path.replace(/\\/g, '/') : null;
 
-    // Calculate total rate
-    const parsedCostRate = parseFloat(costRate);
-    const parsedCgst = parseFloat(cgst || 0); // Default CGST/SGST to 0 if not provided
-    const parsedSgst = parseFloat(sgst || 0);
-    const totalRate = parsedCostRate + parsedCgst + parsedSgst;
-
-    // Prepare data
-    const entryData = {
-        id,
-        articleName,
-        entryDate: entryDate ? new Date(entryDate) : new Date(), // Default entryDate to now if not provided
-        companyName,
-        address,
-        productDetails,
-        voucherOrBillNumber,
-        costRate: parsedCostRate,
-        cgst: parsedCgst,
-        sgst: parsedSgst,
-        totalRate, // Calculated value
-        receiptNumber,
-        pageNumber: pageNumber ? parseInt(pageNumber, 10) : null, // Ensure integer or null
-        billingDate: new Date(billingDate),
-        photoUrl,
-        userId: req.user.id, // from auth middleware
-    };
-
-    // Create stock register entry
-    const newEntry = await prisma.stockRegister.create({
-      data: entryData,
+    // Create stock register entry, numbered from the series when id is blank
+    const newEntry = await retryNumbering(() => prisma.$transaction(async (tx) => tx.stockRegister.create({
+      data: await withDocumentNumber(tx, 'STOCK_REGISTER', { ...data, photoUrl }),
       include: {
          user: { select: { id: true, username: true }}
       }
-    });
+    })));
 
     res.status(201).json(newEntry);
 
   } catch (error) {
-    console.error('Create Stock Register Error:', error);
     safeUnlink(req.file?.path);
+    if (error.status) {
+        return res.status(error.status).json({ message: error.message, errors: [{ field: error.field, message: error.message }] });
+    }
+    console.error('Create Stock Register Error:', error);
     if (error.code === 'P2002') {
         return res.status(409).json({ message: `Stock Register creation failed: ID already exists.` });
     }
@@ -107,8 +172,8 @@ export const getAllStockRegisters = async (req, res) => {
    }
    const skip = (pageNum - 1) * limitNum;
 
-   // Determine filter based on user role
-   const where = req.user.role === 'ADMIN' ? {} : { userId: req.user.id };
+   // Determine filter based on read permission
+   const where = documentScopeFilter(req.user, 'stockRegister'); // read:any sees all, otherwise own and/or department documents
 
     // Build sorting
     const validSortOrders = ['asc', 'desc'];
@@ -151,7 +216,8 @@ export const getStockRegisterById = async (req, res) => {
     const stockRegister = await prisma.stockRegister.findUnique({
       where: { id },
       include: {
-        user: { select: { id: true, username: true } }
+        user: { select: { id: true, username: true } },
+        ...userSharesSelect(req.user) // The caller's active share, if any
       }
     });
 
@@ -159,12 +225,13 @@ export const getStockRegisterById = async (req, res) => {
       return res.status(404).json({ message: 'Stock register entry not found' });
     }
 
-    // Authorization check: Owner or Admin
-    if (req.user.role !== 'ADMIN' && stockRegister.userId !== req.user.id) {
+    // Authorization check: read:any, read:own for the owner, department visibility or a share
+    if (!canAccessDocument(req.user, 'stockRegister', 'read', stockRegister)) {
       return res.status(403).json({ message: 'Not authorized to view this stock register entry' });
     }
 
-    res.json(stockRegister);
+    const { shares, ...stockRegisterData } = stockRegister;
+    res.json({ ...stockRegisterData, sharedAccess: shares[0]?.accessLevel || null }); // VIEW/EDIT when reached through a share
 
   } catch (error) {
     console.error('Get Stock Register By ID Error:', error);
@@ -188,7 +255,11 @@ export const updateStockRegister = async (req, res) => {
     sgst,
     receiptNumber,
     pageNumber,
-    billingDate
+    billingDate,
+    serialNumber, // Optional; keeps the current value when omitted
+    invoiceId, // Optional; keeps the current link when omitted, null unlinks
+    productId, // Optional; keeps the current line link when omitted, null unlinks
+    quantity // Optional; keeps the current quantity when omitted
   } = req.body;
 
   // Basic Validations
@@ -205,7 +276,7 @@ export const updateStockRegister = async (req, res) => {
     // Fetch existing entry to get old photo URL
     const existingEntry = await prisma.stockRegister.findUnique({
       where: { id },
-      select: { photoUrl: true }
+      select: { photoUrl: true, invoiceId: true, product: { select: { id: true, invoiceId: true } } }
     });
     if (!existingEntry) {
       return res.status(404).json({ message: 'Stock register entry not found for update' });
@@ -216,10 +287,30 @@ export const updateStockRegister = async (req, res) => {
 
 
     // Recalculate total rate for update
-    const parsedCostRate = parseFloat(costRate);
-    const parsedCgst = parseFloat(cgst || 0);
-    const parsedSgst = parseFloat(sgst || 0);
-    const totalRate = parsedCostRate + parsedCgst + parsedSgst;
+    const parsedCostRate = parseMoney(costRate);
+    const parsedCgst = parseMoney(cgst || 0);
+    const parsedSgst = parseMoney(sgst || 0);
+    if (!parsedCostRate || !parsedCgst || !parsedSgst) {
+      safeUnlink(req.file?.path);
+      return res.status(400).json({ message: 'costRate, cgst and sgst must be valid amounts' });
+    }
+    const totalRate = sumMoney([parsedCostRate, parsedCgst, parsedSgst]);
+    const receivedQuantity = quantity === undefined || quantity === '' ? undefined : parseQuantity(quantity);
+    if (receivedQuantity === null) {
+      safeUnlink(req.file?.path);
+      return res.status(400).json({ message: 'quantity must be a positive whole number' });
+    }
+    const linkedInvoiceId = await resolveDocumentLink(req.user, 'invoice', invoiceId, 'invoiceId');
+    const invoiceLine = await resolveInvoiceLine(req.user, productId, 'productId');
+    checkLineBelongsToInvoice(invoiceLine, linkedInvoiceId);
+
+    // A line link sets the invoice; moving to another invoice drops a line link of the old one
+    let newInvoiceId = linkedInvoiceId;
+    let newProductId = invoiceLine === undefined ? undefined : invoiceLine?.id || null;
+    if (invoiceLine && !linkedInvoiceId) newInvoiceId = invoiceLine.invoiceId;
+    if (invoiceLine === undefined && linkedInvoiceId !== undefined && existingEntry.product && existingEntry.product.invoiceId !== linkedInvoiceId) {
+      newProductId = null;
+    }
 
     // Prepare update data - update only fields present in request
     const updateData = {
@@ -228,6 +319,10 @@ export const updateStockRegister = async (req, res) => {
         companyName,
         address,
         productDetails,
+        serialNumber: serialNumber === undefined ? undefined : (String(serialNumber || '').trim() || null),
+        quantity: receivedQuantity,
+        invoiceId: newInvoiceId,
+        productId: newProductId,
         voucherOrBillNumber,
         costRate: parsedCostRate,
         cgst: parsedCgst,
@@ -256,8 +351,11 @@ export const updateStockRegister = async (req, res) => {
     res.json(updatedStockRegister);
 
   } catch (error) {
-    console.error('Update Stock Register Error:', error);
     if (req.file) safeUnlink(req.file.path); // Clean up new file on error
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message, errors: [{ field: error.field, message: error.message }] });
+    }
+    console.error('Update Stock Register Error:', error);
     res.status(500).json({ message: 'Server Error updating stock register entry', error: error.message });
   }
 };
@@ -277,8 +375,8 @@ export const deleteStockRegister = async (req, res) => {
       return res.status(404).json({ message: 'Stock register entry not found' });
     }
 
-    // Authorization: Owner or Admin
-    if (req.user.role !== 'ADMIN' && stockRegister.userId !== req.user.id) {
+    // Authorization: delete:any, or delete:own for the owner
+    if (!canAccessDocument(req.user, 'stockRegister', 'delete', stockRegister)) {
       return res.status(403).json({ message: 'Not authorized to delete this stock register entry' });
     }
 
@@ -0,0 +1,311 @@
+// src/controller/twoFactorController.js
+import { PrismaClient } from '@prisma/client';
+import bcrypt from 'bcryptjs';
+import {
+  generateTotpSecret,
+  verifyTotp,
+  buildOtpauthUrl,
+  encryptSecret,
+  decryptSecret,
+  TOTP_ISSUER
+} from '../utils/totp.js';
+import {
+  createSession,
+  hashToken,
+  markSessionMfaVerified,
+  revokeAllUserSessions,
+  toLoginResponse,
+  verifyMfaChallengeToken
+} from '../utils/sessionTokens.js';
+import { getActiveLocks, recordFailedLogin, recordSuccessfulLogin } from '../utils/loginThrottle.js';
+import { generateReadableCode, normalizeReadableCode } from '../utils/readableCode.js';
+import { REQUIRE_ADMIN_2FA } from '../middleware/auth.js';
+
+const prisma = new PrismaClient();
+const RECOVERY_CODE_COUNT = 10;
+
+// Replaces all recovery codes of a user and returns the new plain-text codes (shown once)
+const regenerateRecoveryCodes = async (tx, userId) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => generateReadableCode(2, 5));
+  await tx.twoFactorRecoveryCode.deleteMany({ where: { userId } });
+  await tx.twoFactorRecoveryCode.createMany({
+    data: codes.map(code => ({ userId, codeHash: hashToken(code) }))
+  });
+  return codes;
+};
+
+// Checks a TOTP code for a user with 2FA enabled and records the used step. Returns true on success.
+const consumeTotpCode = async (user, code) => {
+  const step = verifyTotp(decryptSecret(user.totpSecret), code, { lastUsedStep: user.totpLastUsedStep });
+  if (step === null) return false;
+  // Conditional update so the same code cannot be used twice in parallel requests
+  const { count } = await prisma.user.updateMany({
+    where: { id: user.id, OR: [{ totpLastUsedStep: null }, { totpLastUsedStep: { lt: step } }] },
+    data: { totpLastUsedStep: step }
+  });
+  return count === 1;
+};
+
+// Marks an unused recovery code as used. Returns true on success.
+const consumeRecoveryCode = async (userId, recoveryCode) => {
+  const { count } = await prisma.twoFactorRecoveryCode.updateMany({
+    where: { userId, codeHash: hashToken(normalizeReadableCode(recoveryCode)), usedAt: null },
+    data: { usedAt: new Date() }
+  });
+  return count === 1;
+};
+
+// Start enrolment: create a pending secret and return the provisioning URI for the QR code
+export const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.user.id }, select: { id: true, username: true, totpEnabled: true } });
+    if (user.totpEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled. Disable it first to enrol a new device.' });
+    }
+
+    const secret = generateTotpSecret();
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { totpPendingSecret: encryptSecret(secret) }
+    });
+
+    res.json({
+      message: 'Scan the QR code with an authenticator app, then confirm with a code to enable two-factor authentication.',
+      secret, // For manual entry
+      otpauthUrl: buildOtpauthUrl(secret, user.username), // Render as QR code on the client
+      issuer: TOTP_ISSUER
+    });
+
+  } catch (error) {
+    console.error('2FA Setup Error:', error);
+    res.status(500).json({ message: 'Server Error starting two-factor setup' });
+  }
+};
+
+// Finish enrolment: verify a code from the pending secret, enable 2FA and issue recovery codes
+export const enableTwoFactor = async (req, res) => {
+  const { code } = req.body;
+
+  if (!code) {
+    return res.status(400).json({ message: 'Authentication code is required' });
+  }
+
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+    if (user.totpEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+    if (!user.totpPendingSecret) {
+      return res.status(400).json({ message: 'No two-factor setup in progress. Start with POST /api/users/me/2fa/setup.' });
+    }
+
+    const step = verifyTotp(decryptSecret(user.totpPendingSecret), code);
+    if (step === null) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    const recoveryCodes = await prisma.$transaction(async (tx) => {
+      await tx.user.update({
+        where: { id: user.id },
+        data: {
+          totpEnabled: true,
+          totpSecret: user.totpPendingSecret,
+          totpPendingSecret: null,
+          totpLastUsedStep: step,
+          totpEnabledAt: new Date()
+        }
+      });
+      return regenerateRecoveryCodes(tx, user.id);
+    });
+
+    // A code was just presented, so the current session counts as 2FA-verified
+    const token = await markSessionMfaVerified(user, req.auth.sessionId);
+
+    res.json({
+      message: 'Two-factor authentication enabled. Store the recovery codes in a safe place; they are shown only once.',
+      recoveryCodes,
+      token
+    });
+
+  } catch (error) {
+    console.error('2FA Enable Error:', error);
+    res.status(500).json({ message: 'Server Error enabling two-factor authentication' });
+  }
+};
+
+// Disable own 2FA (requires password and a current code or recovery code)
+export const disableTwoFactor = async (req, res) => {
+  const { password, code, recoveryCode } = req.body;
+
+  if (!password || (!code && !recoveryCode)) {
+    return res.status(400).json({ message: 'Password and an authentication code (or recovery code) are required' });
+  }
+
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+    if (!user.totpEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+    if (REQUIRE_ADMIN_2FA && user.role === 'ADMIN') {
+      return res.status(403).json({ message: 'Two-factor authentication is mandatory for admin accounts and cannot be disabled' });
+    }
+
+    const passwordOk = await bcrypt.compare(password, user.password);
+    const secondFactorOk = passwordOk && (code ? await consumeTotpCode(user, code) : await consumeRecoveryCode(user.id, recoveryCode));
+    if (!passwordOk || !secondFactorOk) {
+      return res.status(400).json({ message: 'Invalid password or authentication code' });
+    }
+
+    await prisma.$transaction([
+      prisma.user.update({
+        where: { id: user.id },
+        data: { totpEnabled: false, totpSecret: null, totpPendingSecret: null, totpLastUsedStep: null, totpEnabledAt: null }
+      }),
+      prisma.twoFactorRecoveryCode.deleteMany({ where: { userId: user.id } })
+    ]);
+
+    res.json({ message: 'Two-factor authentication disabled' });
+
+  } catch (error) {
+    console.error('2FA Disable Error:', error);
+    res.status(500).json({ message: 'Server Error disabling two-factor authentication' });
+  }
+};
+
+// Replace recovery codes (requires a current code)
+export const regenerateTwoFactorRecoveryCodes = async (req, res) => {
+  const { code } = req.body;
+
+  if (!code) {
+    return res.status(400).json({ message: 'Authentication code is required' });
+  }
+
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+    if (!user.totpEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+    if (!(await consumeTotpCode(user, code))) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    const recoveryCodes = await prisma.$transaction(tx => regenerateRecoveryCodes(tx, user.id));
+
+    res.json({ message: 'New recovery codes generated. Previous codes no longer work.', recoveryCodes });
+
+  } catch (error) {
+    console.error('2FA Recovery Codes Error:', error);
+    res.status(500).json({ message: 'Server Error generating recovery codes' });
+  }
+};
+
+// Get own 2FA status
+export const getTwoFactorStatus = async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: { role: true, totpEnabled: true, totpEnabledAt: true }
+    });
+    const remainingRecoveryCodes = await prisma.twoFactorRecoveryCode.count({ where: { userId: req.user.id, usedAt: null } });
+
+    res.json({
+      enabled: user.totpEnabled,
+      enabledAt: user.totpEnabledAt,
+      required: REQUIRE_ADMIN_2FA && user.role === 'ADMIN',
+      sessionVerified: req.auth.mfa,
+      remainingRecoveryCodes
+    });
+
+  } catch (error) {
+    console.error('2FA Status Error:', error);
+    res.status(500).json({ message: 'Server Error retrieving two-factor status' });
+  }
+};
+
+// Second login step: exchange the challenge token and a TOTP/recovery code for a session (public route)
+export const verifyTwoFactorLogin = async (req, res) => {
+  const { mfaToken, code, recoveryCode } = req.body;
+
+  if (!mfaToken || (!code && !recoveryCode)) {
+    return res.status(400).json({ message: 'Challenge token and an authentication code (or recovery code) are required' });
+  }
+
+  let challenge;
+  try {
+    challenge = verifyMfaChallengeToken(mfaToken);
+  } catch (err) {
+    return res.status(401).json({ message: 'Two-factor challenge expired or invalid. Please log in again.' });
+  }
+
+  const attempt = { username: challenge.username, ipAddress: req.ip };
+
+  try {
+    // Wrong codes count towards the same lockout as wrong passwords
+    const activeLocks = await getActiveLocks(attempt);
+    const lockedUntil = activeLocks.IP || activeLocks.USERNAME;
+    if (lockedUntil) {
+      res.set('Retry-After', String(Math.ceil((lockedUntil.getTime() - Date.now()) / 1000)));
+      return res.status(429).json({ message: 'Too many failed login attempts. Please try again later.' });
+    }
+
+    const user = await prisma.user.findUnique({ where: { id: challenge.id } });
+    if (!user || !user.totpEnabled || !user.isActive) {
+      return res.status(401).json({ message: 'Two-factor challenge expired or invalid. Please log in again.' });
+    }
+
+    const verified = code ? await consumeTotpCode(user, code) : await consumeRecoveryCode(user.id, recoveryCode);
+    if (!verified) {
+      await recordFailedLogin(attempt);
+      return res.status(401).json({ message: 'Invalid authentication code' });
+    }
+
+    await recordSuccessfulLogin(attempt);
+
+    const session = await createSession(user, {
+      userAgent: req.get('User-Agent'),
+      ipAddress: req.ip,
+      viaResetCode: challenge.viaResetCode === true,
+      mfaVerified: true
+    });
+
+    const remainingRecoveryCodes = recoveryCode
+      ? await prisma.twoFactorRecoveryCode.count({ where: { userId: user.id, usedAt: null } })
+      : undefined;
+
+    res.json(toLoginResponse(user, session, {
+      passwordChangeRequired: user.mustChangePassword,
+      remainingRecoveryCodes
+    }));
+
+  } catch (error) {
+    console.error('2FA Login Error:', error);
+    res.status(500).json({ message: 'Server Error during two-factor login' });
+  }
+};
+
+// Reset another user's 2FA, e.g. after a lost phone (requires user:manage)
+export const resetUserTwoFactor = async (req, res) => {
+  const { userId } = req.params;
+
+  try {
+    const user = await prisma.user.findUnique({ where: { id: userId }, select: { id: true, username: true } });
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await prisma.$transaction([
+      prisma.user.update({
+        where: { id: userId },
+        data: { totpEnabled: false, totpSecret: null, totpPendingSecret: null, totpLastUsedStep: null, totpEnabledAt: null }
+      }),
+      prisma.twoFactorRecoveryCode.deleteMany({ where: { userId } })
+    ]);
+    await revokeAllUserSessions(userId, 'TWO_FACTOR_RESET');
+
+    res.json({ message: `Two-factor authentication reset for ${user.username}. They must enrol again at next login.` });
+
+  } catch (error) {
+    console.error('2FA Reset Error:', error);
+    res.status(500).json({ message: 'Server Error resetting two-factor authentication' });
+  }
+};
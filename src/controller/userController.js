@@ -1,16 +1,27 @@
 import { PrismaClient, Role } from '@prisma/client'; // Import Role enum
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
+import {
+  createSession,
+  signMfaChallengeToken,
+  toLoginResponse,
+  rotateSession,
+  revokeSession,
+  revokeAllUserSessions,
+  sessionIdFromRefreshToken
+} from '../utils/sessionTokens.js';
+import { getActiveLocks, recordFailedLogin, recordSuccessfulLogin } from '../utils/loginThrottle.js';
+import { validatePassword } from '../utils/passwordPolicy.js';
+import { generateReadableCode, normalizeReadableCode } from '../utils/readableCode.js';
+import { requiresTwoFactorSetup } from '../middleware/auth.js';
+import { refreshSockets } from '../middleware/socketAuth.js';
+import { userRoom } from '../utils/socketRooms.js';
 
 const prisma = new PrismaClient();
 
-// Ensure JWT_SECRET is loaded
-const JWT_SECRET = process.env.JWT_SECRET;
-if (!JWT_SECRET) {
-  throw new Error("FATAL ERROR: JWT_SECRET environment variable is not set.");
-}
-// Use JWT expiry from env or default
-const TOKEN_EXPIRY = process.env.TOKEN_EXPIRY || '7d';
+// Compared against when the username does not exist, so both paths cost one bcrypt comparison
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('dummy-password-for-timing', 10);
+// How long an admin-issued password reset code stays valid
+const PASSWORD_RESET_CODE_TTL_HOURS = parseInt(process.env.PASSWORD_RESET_CODE_TTL_HOURS || '24', 10);
 
 // Utility to exclude fields from an object (like password)
 function exclude(user, keys) {
@@ -19,17 +30,75 @@ function exclude(user, keys) {
   );
 }
 
+// Utility to hash a password with a fresh salt
+async function hashPassword(password) {
+  const salt = await bcrypt.genSalt(10);
+  return bcrypt.hash(password, salt);
+}
+
+// Non-sensitive user fields returned by the admin endpoints
+const USER_SUMMARY_SELECT = {
+  id: true,
+  username: true,
+  role: true,
+  isActive: true,
+  deactivatedAt: true,
+  deactivationReason: true,
+  archivedAt: true,
+  updatedAt: true
+};
+
+/**
+ * Updates a user's role or status, refusing changes that would leave no active admin.
+ * Runs serializable so two admins cannot demote or deactivate each other at the same time.
+ * Throws an Error with `status` 400/404/409 when the change is refused.
+ */
+const updateUserKeepingAnAdmin = (userId, data) => prisma.$transaction(async (tx) => {
+  const user = await tx.user.findUnique({ where: { id: userId }, select: { id: true, role: true, isActive: true, isServiceAccount: true } });
+  if (!user) {
+    throw Object.assign(new Error('User not found'), { status: 404 });
+  }
+  if (data.role === 'ADMIN' && user.isServiceAccount) {
+    throw Object.assign(new Error('Service accounts cannot be admins'), { status: 400 });
+  }
+
+  const removesAdmin = user.role === 'ADMIN' && user.isActive &&
+    ((data.role && data.role !== 'ADMIN') || data.isActive === false);
+  if (removesAdmin) {
+    const otherActiveAdmins = await tx.user.count({ where: { role: 'ADMIN', isActive: true, id: { not: userId } } });
+    if (otherActiveAdmins === 0) {
+      throw Object.assign(new Error('Cannot remove the last active admin. Promote another user first.'), { status: 409 });
+    }
+  }
+
+  return tx.user.update({ where: { id: userId }, data, select: USER_SUMMARY_SELECT });
+}, { isolationLevel: 'Serializable' });
 
-// Register a new user (protected by adminOnly middleware)
+// Sends the response for errors thrown by updateUserKeepingAnAdmin; returns false for unexpected errors
+const sendUserUpdateError = (res, error) => {
+  if (error.status) {
+    res.status(error.status).json({ message: error.message });
+    return true;
+  }
+  if (error.code === 'P2034') { // Serialization conflict with a concurrent change
+    res.status(409).json({ message: 'The user was changed concurrently. Please retry.' });
+    return true;
+  }
+  return false;
+};
+
+
+// Register a new user (requires user:manage)
 export const registerUser = async (req, res) => {
-  const { username, password, role = 'USER' } = req.body; // Default role to USER
+  const { username, password, role = 'USER', departmentId } = req.body; // Default role to USER
 
   // Basic input validation
   if (!username || !password) {
     return res.status(400).json({ message: 'Username and password are required' });
   }
-  if (password.length < 6) { // Example: enforce minimum password length
-    return res.status(400).json({ message: 'Password must be at least 6 characters long' });
+  const passwordErrors = validatePassword(password, { username });
+  if (passwordErrors.length > 0) {
+    return res.status(400).json({ message: passwordErrors.join('. '), errors: passwordErrors });
   }
    // Validate Role
   if (!Object.values(Role).includes(role)) {
@@ -45,22 +114,26 @@ export const registerUser = async (req, res) => {
     if (existingUser) {
       return res.status(400).json({ message: 'Username is already taken' });
     }
+    if (departmentId && !(await prisma.department.findUnique({ where: { id: departmentId }, select: { id: true } }))) {
+      return res.status(400).json({ message: 'Department not found' });
+    }
 
     // Hash password
-    const salt = await bcrypt.genSalt(10);
-    const hashedPassword = await bcrypt.hash(password, salt);
+    const hashedPassword = await hashPassword(password);
 
     // Create user
     const user = await prisma.user.create({
       data: {
         username,
         password: hashedPassword,
-        role: role // Assign role from input (USER or ADMIN)
+        passwordChangedAt: new Date(),
+        role: role, // Assign role from input (USER or ADMIN)
+        departmentId: departmentId || null
       }
     });
 
     // Return created user data (excluding password)
-    const userWithoutPassword = exclude(user, ['password']);
+    const userWithoutPassword = exclude(user, ['password', 'passwordResetCodeHash']);
     res.status(201).json(userWithoutPassword);
 
   } catch (error) {
@@ -77,48 +150,307 @@ export const loginUser = async (req, res) => {
       return res.status(400).json({ message: 'Username and password are required' });
   }
 
+  const attempt = { username, ipAddress: req.ip };
+
   try {
+    // Refuse early while the client IP or the submitted username is locked out.
+    // Locks are tracked per submitted username, so this reply is the same for unknown usernames.
+    const activeLocks = await getActiveLocks(attempt);
+    const lockedUntil = activeLocks.IP || activeLocks.USERNAME;
+    if (lockedUntil) {
+      res.set('Retry-After', String(Math.ceil((lockedUntil.getTime() - Date.now()) / 1000)));
+      return res.status(429).json({ message: 'Too many failed login attempts. Please try again later.' });
+    }
+
     // Find user by username
     const user = await prisma.user.findUnique({
       where: { username }
     });
 
-    if (!user) {
+    // Check password (against a dummy hash for unknown usernames to keep response times uniform)
+    const isMatch = await bcrypt.compare(password, user ? user.password : DUMMY_PASSWORD_HASH);
+
+    // An admin-issued reset code is accepted once, in place of the password, until it expires
+    let usedResetCode = false;
+    if (user && !isMatch && user.passwordResetCodeHash && user.passwordResetExpiresAt > new Date()) {
+      usedResetCode = await bcrypt.compare(normalizeReadableCode(password), user.passwordResetCodeHash);
+    }
+
+    if (!user || !(isMatch || usedResetCode)) {
+      await recordFailedLogin(attempt);
       // Use a generic message to avoid confirming valid usernames
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
-    // Check password
-    const isMatch = await bcrypt.compare(password, user.password);
+    // Only revealed after correct credentials, so it does not confirm that the username exists
+    if (!user.isActive) {
+      return res.status(403).json({ message: 'Account is deactivated. Contact an administrator.' });
+    }
+    if (user.isServiceAccount) {
+      return res.status(403).json({ message: 'Service accounts cannot log in. Use an API key (X-API-Key header).' });
+    }
 
-    if (!isMatch) {
-      return res.status(401).json({ message: 'Invalid credentials' });
+    if (usedResetCode) {
+      // Consume the code; the account stays flagged until a new password is set
+      await prisma.user.update({
+        where: { id: user.id },
+        data: { passwordResetCodeHash: null, passwordResetExpiresAt: null, mustChangePassword: true }
+      });
     }
 
-    // Create JWT payload
-    const payload = {
-      id: user.id,
-      username: user.username,
-      role: user.role
-    };
+    // Two-step login: with 2FA enabled the password only earns a challenge token for POST /login/2fa
+    if (user.totpEnabled) {
+      return res.json({
+        message: 'Two-factor authentication code required',
+        mfaRequired: true,
+        mfaToken: signMfaChallengeToken(user, { viaResetCode: usedResetCode })
+      });
+    }
 
-    // Sign JWT token with expiry from env or default
-    const token = jwt.sign(payload, JWT_SECRET, { expiresIn: TOKEN_EXPIRY });
+    // Failure counters are cleared only now: with 2FA, once the code is verified (verifyTwoFactorLogin)
+    await recordSuccessfulLogin(attempt);
 
-    // Return essential user info and token
-    res.json({
-      id: user.id,
-      username: user.username,
-      role: user.role,
-      token
+    // Start a new session: short-lived access token + rotating refresh token
+    const session = await createSession(user, {
+      userAgent: req.get('User-Agent'),
+      ipAddress: req.ip,
+      viaResetCode: usedResetCode
     });
 
+    // Return essential user info and tokens
+    res.json(toLoginResponse(user, session, {
+      passwordChangeRequired: usedResetCode || user.mustChangePassword,
+      twoFactorSetupRequired: requiresTwoFactorSetup(user)
+    }));
+
   } catch (error) {
     console.error('Login Error:', error);
     res.status(500).json({ message: 'Server Error during login' });
   }
 };
 
+// Exchange a refresh token for a new access/refresh token pair (public route)
+export const refreshSession = async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    return res.status(400).json({ message: 'Refresh token is required' });
+  }
+
+  try {
+    const session = await rotateSession(refreshToken);
+
+    res.json(toLoginResponse(session.user, session));
+
+  } catch (error) {
+    if (error.status === 401) {
+      return res.status(401).json({ message: error.message });
+    }
+    console.error('Refresh Session Error:', error);
+    res.status(500).json({ message: 'Server Error refreshing session' });
+  }
+};
+
+// Logout: revoke the current session (or every session of the user with { allSessions: true })
+export const logoutUser = async (req, res) => {
+  const { refreshToken, allSessions } = req.body || {};
+
+  try {
+    if (allSessions) {
+      const revokedCount = await revokeAllUserSessions(req.user.id, 'LOGOUT_ALL');
+      return res.json({ message: 'Logged out of all sessions', revokedSessions: revokedCount });
+    }
+
+    // The session from the access token is always revoked; a refresh token for
+    // another session of the same user may also be passed explicitly.
+    await revokeSession(req.auth.sessionId, 'LOGOUT');
+
+    const otherSessionId = sessionIdFromRefreshToken(refreshToken);
+    if (otherSessionId && otherSessionId !== req.auth.sessionId) {
+      const otherSession = await prisma.userSession.findUnique({ where: { id: otherSessionId }, select: { userId: true } });
+      if (otherSession?.userId === req.user.id) {
+        await revokeSession(otherSessionId, 'LOGOUT');
+      }
+    }
+
+    res.json({ message: 'Logged out successfully' });
+
+  } catch (error) {
+    console.error('Logout Error:', error);
+    res.status(500).json({ message: 'Server Error during logout' });
+  }
+};
+
+// Revoke every session of a user (requires user:manage)
+export const revokeUserSessions = async (req, res) => {
+  const { userId } = req.params;
+
+  try {
+    const user = await prisma.user.findUnique({ where: { id: userId }, select: { id: true, username: true } });
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const revokedCount = await revokeAllUserSessions(userId, 'ADMIN_REVOKED');
+
+    res.json({
+      message: `All sessions of ${user.username} have been revoked`,
+      revokedSessions: revokedCount
+    });
+
+  } catch (error) {
+    console.error('Revoke Sessions Error:', error);
+    res.status(500).json({ message: 'Server Error revoking sessions' });
+  }
+};
+
+// List login lockouts (requires user:manage)
+// By default only currently locked entries are returned; ?includeInactive=true also lists counters that are not locked
+export const getLoginLockouts = async (req, res) => {
+  const { includeInactive = 'false', scope } = req.query;
+
+  const where = {};
+  if (includeInactive !== 'true') {
+    where.lockedUntil = { gt: new Date() };
+  }
+  if (scope) {
+    if (!['USERNAME', 'IP'].includes(scope.toUpperCase())) {
+      return res.status(400).json({ message: 'Invalid scope filter. Use USERNAME or IP.' });
+    }
+    where.scope = scope.toUpperCase();
+  }
+
+  try {
+    const lockouts = await prisma.loginThrottle.findMany({
+      where,
+      orderBy: { lastFailedAt: 'desc' }
+    });
+
+    res.json({ lockouts, count: lockouts.length });
+
+  } catch (error) {
+    console.error('Get Login Lockouts Error:', error);
+    res.status(500).json({ message: 'Server Error retrieving login lockouts' });
+  }
+};
+
+// Clear a lockout and its failure counters (requires user:manage)
+export const clearLoginLockout = async (req, res) => {
+  const { lockoutId } = req.params;
+
+  try {
+    const lockout = await prisma.loginThrottle.findUnique({ where: { id: lockoutId } });
+    if (!lockout) {
+      return res.status(404).json({ message: 'Lockout entry not found' });
+    }
+
+    await prisma.loginThrottle.delete({ where: { id: lockoutId } });
+
+    res.json({ message: `Lockout for ${lockout.scope.toLowerCase()} '${lockout.key}' cleared` });
+
+  } catch (error) {
+    console.error('Clear Login Lockout Error:', error);
+    res.status(500).json({ message: 'Server Error clearing login lockout' });
+  }
+};
+
+// Change own password (PUT /api/users/me/password)
+// Requires the current password, except in a session opened with an admin-issued reset code.
+export const changePassword = async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+
+  if (!newPassword) {
+    return res.status(400).json({ message: 'New password is required' });
+  }
+
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const resetCodeSession = req.auth.viaResetCode && user.mustChangePassword;
+    if (!resetCodeSession) {
+      if (!currentPassword) {
+        return res.status(400).json({ message: 'Current password is required' });
+      }
+      const isMatch = await bcrypt.compare(currentPassword, user.password);
+      if (!isMatch) {
+        return res.status(400).json({ message: 'Current password is incorrect' });
+      }
+    }
+
+    const passwordErrors = validatePassword(newPassword, { username: user.username });
+    if (await bcrypt.compare(newPassword, user.password)) {
+      passwordErrors.push('New password must be different from the current password');
+    }
+    if (passwordErrors.length > 0) {
+      return res.status(400).json({ message: passwordErrors.join('. '), errors: passwordErrors });
+    }
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        password: await hashPassword(newPassword),
+        passwordChangedAt: new Date(),
+        mustChangePassword: false,
+        passwordResetCodeHash: null,
+        passwordResetExpiresAt: null
+      }
+    });
+
+    // Sign out everywhere else; the current session stays valid
+    const revokedCount = await revokeAllUserSessions(user.id, 'PASSWORD_CHANGED', { exceptSessionId: req.auth.sessionId });
+
+    res.json({ message: 'Password changed successfully', revokedSessions: revokedCount });
+
+  } catch (error) {
+    console.error('Change Password Error:', error);
+    res.status(500).json({ message: 'Server Error changing password' });
+  }
+};
+
+// Issue a one-time password reset code for a user (requires user:manage)
+// The code is returned once and must be handed to the user, who logs in with it and is then forced to set a new password.
+export const issuePasswordReset = async (req, res) => {
+  const { userId } = req.params;
+
+  try {
+    const user = await prisma.user.findUnique({ where: { id: userId }, select: { id: true, username: true, isServiceAccount: true } });
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (user.isServiceAccount) {
+      return res.status(400).json({ message: 'Service accounts have no password. Issue a new API key instead.' });
+    }
+
+    const resetCode = generateReadableCode();
+    const expiresAt = new Date(Date.now() + PASSWORD_RESET_CODE_TTL_HOURS * 60 * 60 * 1000);
+
+    await prisma.user.update({
+      where: { id: userId },
+      data: {
+        passwordResetCodeHash: await hashPassword(resetCode),
+        passwordResetExpiresAt: expiresAt,
+        mustChangePassword: true
+      }
+    });
+
+    // Existing sessions must not outlive the reset
+    await revokeAllUserSessions(userId, 'PASSWORD_RESET');
+
+    res.json({
+      message: `Password reset issued for ${user.username}. The user must log in with this code and set a new password.`,
+      resetCode,
+      expiresAt
+    });
+
+  } catch (error) {
+    console.error('Issue Password Reset Error:', error);
+    res.status(500).json({ message: 'Server Error issuing password reset' });
+  }
+};
+
 // Get current user profile (user identified by auth middleware)
 export const getUserProfile = async (req, res) => {
   // req.user is populated by the 'auth' middleware
@@ -134,6 +466,10 @@ export const getUserProfile = async (req, res) => {
         id: true,
         username: true,
         role: true,
+        mustChangePassword: true,
+        passwordChangedAt: true,
+        department: { select: { id: true, name: true, code: true } },
+        headedDepartments: { select: { id: true, name: true, code: true } },
         createdAt: true,
         updatedAt: true
       }
@@ -152,7 +488,7 @@ export const getUserProfile = async (req, res) => {
   }
 };
 
-// Promote user to admin (protected by adminOnly middleware)
+// Promote user to admin (requires user:manage)
 export const promoteUser = async (req, res) => {
   const { userId } = req.params;
 
@@ -169,6 +505,9 @@ export const promoteUser = async (req, res) => {
     if (!userToPromote) {
       return res.status(404).json({ message: 'User not found' });
     }
+    if (userToPromote.isServiceAccount) {
+      return res.status(400).json({ message: 'Service accounts cannot be admins' });
+    }
 
     // Prevent self-promotion/demotion via this route maybe? (optional check)
     // if (req.user.id === userId) {
@@ -187,6 +526,8 @@ export const promoteUser = async (req, res) => {
       }
     });
 
+    refreshSockets(userRoom(userId)); // Open sockets move to the rooms of the new role
+
     res.json({
       message: `User ${updatedUser.username} promoted to admin successfully`,
       user: updatedUser
@@ -198,9 +539,295 @@ export const promoteUser = async (req, res) => {
   }
 };
 
-// Get all users (protected by adminOnly middleware) - Added Pagination
+// Assign any role to a user (requires role:manage). Takes effect on the user's next request.
+export const assignUserRole = async (req, res) => {
+  const { userId } = req.params;
+  const { role } = req.body;
+
+  if (!Object.values(Role).includes(role)) {
+    return res.status(400).json({ message: `Invalid role specified. Must be one of: ${Object.values(Role).join(', ')}` });
+  }
+  // Prevents admins from locking themselves out of role management
+  if (req.user.id === userId) {
+    return res.status(400).json({ message: 'Cannot change your own role' });
+  }
+
+  try {
+    const updatedUser = await updateUserKeepingAnAdmin(userId, { role });
+    refreshSockets(userRoom(userId)); // Open sockets move to the rooms of the new role
+
+    res.json({
+      message: `Role of ${updatedUser.username} changed to ${updatedUser.role}`,
+      user: updatedUser
+    });
+
+  } catch (error) {
+    if (sendUserUpdateError(res, error)) return;
+    console.error('Assign Role Error:', error);
+    res.status(500).json({ message: 'Server Error assigning role' });
+  }
+};
+
+// Demote an admin to a regular user (requires user:manage)
+export const demoteUser = async (req, res) => {
+  const { userId } = req.params;
+
+  if (req.user.id === userId) {
+    return res.status(400).json({ message: 'Cannot demote yourself' });
+  }
+
+  try {
+    const updatedUser = await updateUserKeepingAnAdmin(userId, { role: 'USER' });
+    refreshSockets(userRoom(userId)); // Open sockets move to the rooms of the new role
+
+    res.json({
+      message: `User ${updatedUser.username} demoted to USER successfully`,
+      user: updatedUser
+    });
+
+  } catch (error) {
+    if (sendUserUpdateError(res, error)) return;
+    console.error('Demotion Error:', error);
+    res.status(500).json({ message: 'Server Error during demotion' });
+  }
+};
+
+// Deactivate a user: blocks login and ends all sessions, documents stay untouched (requires user:manage)
+export const deactivateUser = async (req, res) => {
+  const { userId } = req.params;
+  const { reason } = req.body || {};
+
+  if (req.user.id === userId) {
+    return res.status(400).json({ message: 'Cannot deactivate your own account' });
+  }
+
+  try {
+    const user = await prisma.user.findUnique({ where: { id: userId }, select: { isActive: true } });
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (!user.isActive) {
+      return res.status(400).json({ message: 'User is already deactivated' });
+    }
+
+    const updatedUser = await updateUserKeepingAnAdmin(userId, {
+      isActive: false,
+      deactivatedAt: new Date(),
+      deactivationReason: reason || null
+    });
+    const revokedCount = await revokeAllUserSessions(userId, 'USER_DEACTIVATED');
+
+    res.json({
+      message: `User ${updatedUser.username} deactivated`,
+      user: updatedUser,
+      revokedSessions: revokedCount
+    });
+
+  } catch (error) {
+    if (sendUserUpdateError(res, error)) return;
+    console.error('Deactivate User Error:', error);
+    res.status(500).json({ message: 'Server Error deactivating user' });
+  }
+};
+
+// Reactivate a deactivated (not archived) user (requires user:manage)
+export const reactivateUser = async (req, res) => {
+  const { userId } = req.params;
+
+  try {
+    const user = await prisma.user.findUnique({ where: { id: userId }, select: { isActive: true, archivedAt: true } });
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (user.archivedAt) {
+      return res.status(400).json({ message: 'Archived users cannot be reactivated' });
+    }
+    if (user.isActive) {
+      return res.status(400).json({ message: 'User is already active' });
+    }
+
+    const updatedUser = await prisma.user.update({
+      where: { id: userId },
+      data: { isActive: true, deactivatedAt: null, deactivationReason: null },
+      select: USER_SUMMARY_SELECT
+    });
+
+    res.json({ message: `User ${updatedUser.username} reactivated`, user: updatedUser });
+
+  } catch (error) {
+    console.error('Reactivate User Error:', error);
+    res.status(500).json({ message: 'Server Error reactivating user' });
+  }
+};
+
+// Change a user's username (requires user:manage). Documents reference the user ID, so they follow automatically.
+export const renameUser = async (req, res) => {
+  const { userId } = req.params;
+  const username = typeof req.body.username === 'string' ? req.body.username.trim() : '';
+
+  if (!username) {
+    return res.status(400).json({ message: 'New username is required' });
+  }
+
+  try {
+    const user = await prisma.user.findUnique({ where: { id: userId }, select: { username: true } });
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (user.username === username) {
+      return res.status(400).json({ message: 'New username is the same as the current one' });
+    }
+
+    const existingUser = await prisma.user.findUnique({ where: { username }, select: { id: true } });
+    if (existingUser) {
+      return res.status(400).json({ message: 'Username is already taken' });
+    }
+
+    const updatedUser = await prisma.user.update({
+      where: { id: userId },
+      data: { username },
+      select: USER_SUMMARY_SELECT
+    });
+
+    res.json({ message: `User ${user.username} renamed to ${updatedUser.username}`, user: updatedUser });
+
+  } catch (error) {
+    if (error.code === 'P2002') { // Unique constraint: taken by a concurrent request
+      return res.status(400).json({ message: 'Username is already taken' });
+    }
+    console.error('Rename User Error:', error);
+    res.status(500).json({ message: 'Server Error renaming user' });
+  }
+};
+
+// Move every invoice, purchase order and stock register entry of a user to another active user (requires user:manage)
+export const transferUserDocuments = async (req, res) => {
+  const { userId } = req.params;
+  const { toUserId } = req.body;
+
+  if (!toUserId) {
+    return res.status(400).json({ message: 'Target user ID (toUserId) is required' });
+  }
+  if (toUserId === userId) {
+    return res.status(400).json({ message: 'Source and target user must be different' });
+  }
+
+  try {
+    const [fromUser, toUser] = await Promise.all([
+      prisma.user.findUnique({ where: { id: userId }, select: { id: true, username: true } }),
+      prisma.user.findUnique({ where: { id: toUserId }, select: { id: true, username: true, isActive: true } })
+    ]);
+    if (!fromUser) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (!toUser) {
+      return res.status(404).json({ message: 'Target user not found' });
+    }
+    if (!toUser.isActive) {
+      return res.status(400).json({ message: 'Documents can only be transferred to an active user' });
+    }
+
+    const [invoices, purchaseOrders, stockRegisters, creditNotes, closedEditRequests] = await prisma.$transaction([
+      prisma.invoice.updateMany({ where: { userId }, data: { userId: toUserId } }),
+      prisma.purchaseOrder.updateMany({ where: { userId }, data: { userId: toUserId } }),
+      prisma.stockRegister.updateMany({ where: { userId }, data: { userId: toUserId } }),
+      prisma.creditNote.updateMany({ where: { userId }, data: { userId: toUserId } }),
+      // Pending requests of the old owner no longer apply; the new owner can request again
+      prisma.editRequest.updateMany({
+        where: { requestedById: userId, status: 'PENDING' },
+        data: {
+          status: 'REJECTED',
+          adminUserId: req.user.id,
+          responseMessage: `Closed: document ownership transferred to ${toUser.username}`
+        }
+      })
+    ]);
+
+    res.json({
+      message: `Documents of ${fromUser.username} transferred to ${toUser.username}`,
+      transferred: {
+        invoices: invoices.count,
+        purchaseOrders: purchaseOrders.count,
+        stockRegisters: stockRegisters.count,
+        creditNotes: creditNotes.count
+      },
+      closedEditRequests: closedEditRequests.count
+    });
+
+  } catch (error) {
+    console.error('Transfer Documents Error:', error);
+    res.status(500).json({ message: 'Server Error transferring documents' });
+  }
+};
+
+// Archive ("delete") a user: deactivates the account for good and hides it from user lists.
+// Users still owning documents must have them transferred first; the account row is kept for the audit trail.
+export const archiveUser = async (req, res) => {
+  const { userId } = req.params;
+
+  if (req.user.id === userId) {
+    return res.status(400).json({ message: 'Cannot delete your own account' });
+  }
+
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: {
+        archivedAt: true,
+        deactivatedAt: true,
+        _count: { select: { invoices: true, purchaseOrders: true, stockRegisters: true, creditNotes: true } }
+      }
+    });
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (user.archivedAt) {
+      return res.status(400).json({ message: 'User is already archived' });
+    }
+
+    const ownedDocuments = user._count.invoices + user._count.purchaseOrders + user._count.stockRegisters + user._count.creditNotes;
+    if (ownedDocuments > 0) {
+      return res.status(409).json({
+        message: 'User still owns documents. Transfer them to another user first (POST /api/users/:userId/transfer-ownership).',
+        ownedDocuments: user._count
+      });
+    }
+
+    const updatedUser = await updateUserKeepingAnAdmin(userId, {
+      isActive: false,
+      deactivatedAt: user.deactivatedAt || new Date(),
+      archivedAt: new Date(),
+      passwordResetCodeHash: null,
+      passwordResetExpiresAt: null
+    });
+    await revokeAllUserSessions(userId, 'USER_ARCHIVED');
+
+    res.json({ message: `User ${updatedUser.username} archived`, user: updatedUser });
+
+  } catch (error) {
+    if (sendUserUpdateError(res, error)) return;
+    console.error('Archive User Error:', error);
+    res.status(500).json({ message: 'Server Error deleting user' });
+  }
+};
+
+// Get all users (requires user:manage) - Added Pagination
 export const getAllUsers = async (req, res) => {
-  const { page = 1, limit = 10, sortBy = 'createdAt', sortOrder = 'desc' } = req.query;
+  const { page = 1, limit = 10, sortBy = 'createdAt', sortOrder = 'desc', status = 'current', departmentId } = req.query;
+
+  // current = active and deactivated users, archived accounts only on request
+  const statusFilters = {
+    current: { archivedAt: null },
+    active: { isActive: true },
+    inactive: { isActive: false, archivedAt: null },
+    archived: { archivedAt: { not: null } },
+    all: {}
+  };
+  if (!statusFilters[status]) {
+    return res.status(400).json({ message: `Invalid status filter. Must be one of: ${Object.keys(statusFilters).join(', ')}` });
+  }
+  const where = { ...statusFilters[status] };
+  if (departmentId) where.departmentId = departmentId === 'none' ? null : departmentId;
 
   const pageNum = parseInt(page, 10);
   const limitNum = parseInt(limit, 10);
@@ -217,10 +844,16 @@ export const getAllUsers = async (req, res) => {
 
   try {
     const users = await prisma.user.findMany({
+      where,
       select: { // Exclude password hash
         id: true,
         username: true,
         role: true,
+        isActive: true,
+        isServiceAccount: true,
+        deactivatedAt: true,
+        archivedAt: true,
+        department: { select: { id: true, name: true, code: true } },
         createdAt: true,
         updatedAt: true
       },
@@ -231,7 +864,7 @@ export const getAllUsers = async (req, res) => {
       }
     });
 
-    const totalUsers = await prisma.user.count(); // Get total count for pagination calculation
+    const totalUsers = await prisma.user.count({ where }); // Get total count for pagination calculation
     const totalPages = Math.ceil(totalUsers / limitNum);
 
     res.json({
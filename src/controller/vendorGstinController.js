@@ -0,0 +1,53 @@
+// src/controller/vendorGstinController.js
+import { PrismaClient } from '@prisma/client';
+import { documentScopeFilter } from '../utils/permissions.js';
+import { inconsistentVendorGstins } from '../utils/gstin.js';
+
+const prisma = new PrismaClient();
+
+// Vendors whose purchase orders carry more than one GSTIN, different businesses (PAN) first, then most orders.
+// Covers the orders the caller may read. Filter: vendorName (contains).
+export const getVendorGstinReport = async (req, res) => {
+  const { vendorName, page = 1, limit = 20 } = req.query;
+
+  const pageNum = parseInt(page, 10);
+  const limitNum = parseInt(limit, 10);
+  if (isNaN(pageNum) || pageNum < 1 || isNaN(limitNum) || limitNum < 1) {
+    return res.status(400).json({ message: 'Invalid pagination parameters.' });
+  }
+
+  const where = { ...documentScopeFilter(req.user, 'purchaseOrder'), gstNumber: { not: null } };
+  if (vendorName) where.vendorName = { contains: vendorName };
+
+  try {
+    const counts = await prisma.purchaseOrder.groupBy({
+      by: ['vendorName', 'gstNumber'],
+      where,
+      _count: { _all: true },
+      _min: { orderDate: true },
+      _max: { orderDate: true }
+    });
+    const vendors = inconsistentVendorGstins(counts
+      .filter(count => count.gstNumber.trim())
+      .map(count => ({
+        vendorName: count.vendorName,
+        gstNumber: count.gstNumber,
+        purchaseOrders: count._count._all,
+        firstOrderDate: count._min.orderDate,
+        lastOrderDate: count._max.orderDate
+      })))
+      .sort((a, b) => (a.samePan - b.samePan) || (b.purchaseOrders - a.purchaseOrders));
+
+    res.json({
+      vendors: vendors.slice((pageNum - 1) * limitNum, pageNum * limitNum),
+      totalVendors: vendors.length,
+      differentBusinesses: vendors.filter(vendor => !vendor.samePan).length,
+      totalPages: Math.ceil(vendors.length / limitNum),
+      currentPage: pageNum
+    });
+
+  } catch (error) {
+    console.error('Vendor GSTIN Report Error:', error);
+    res.status(500).json({ message: 'Server Error building vendor GSTIN report' });
+  }
+};
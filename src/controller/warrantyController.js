@@ -0,0 +1,100 @@
+// src/controller/warrantyController.js
+import { PrismaClient } from '@prisma/client';
+import { documentScopeFilter } from '../utils/permissions.js';
+import { WARRANTY_STATUSES, WARRANTY_EXPIRING_DAYS, warrantyStatusWhere, withWarrantyStatus } from '../utils/warranty.js';
+
+const prisma = new PrismaClient();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_LOOKAHEAD_DAYS = 5 * 365;
+
+// Invoice context returned with every product
+const PRODUCT_INVOICE_SELECT = {
+  select: {
+    id: true, purchaseDate: true, vendorName: true, companyName: true, status: true,
+    user: { select: { id: true, username: true } }
+  }
+};
+
+const parsePagination = ({ page = 1, limit = 20 }) => {
+  const pageNum = parseInt(page, 10);
+  const limitNum = parseInt(limit, 10);
+  if (isNaN(pageNum) || pageNum < 1 || isNaN(limitNum) || limitNum < 1) return null;
+  return { pageNum, limitNum, skip: (pageNum - 1) * limitNum };
+};
+
+const listProducts = async (where, { pageNum, limitNum, skip }) => {
+  const [products, total] = await prisma.$transaction([
+    prisma.product.findMany({
+      where,
+      include: { invoice: PRODUCT_INVOICE_SELECT },
+      orderBy: { warrantyExpiresAt: 'asc' },
+      skip,
+      take: limitNum
+    }),
+    prisma.product.count({ where })
+  ]);
+  return {
+    results: products.map(product => withWarrantyStatus(product)),
+    totalPages: Math.ceil(total / limitNum),
+    currentPage: pageNum,
+    totalResults: total
+  };
+};
+
+// Products (of invoices visible to the caller) whose warranty expires in the next `days` days
+export const getExpiringWarranties = async (req, res) => {
+  const days = req.query.days === undefined ? WARRANTY_EXPIRING_DAYS : parseInt(req.query.days, 10);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_LOOKAHEAD_DAYS) {
+    return res.status(400).json({ message: `days must be a whole number between 1 and ${MAX_LOOKAHEAD_DAYS}` });
+  }
+  const pagination = parsePagination(req.query);
+  if (!pagination) {
+    return res.status(400).json({ message: 'Invalid pagination parameters.' });
+  }
+
+  const now = new Date();
+  const expiryFilter = { lte: new Date(now.getTime() + days * DAY_MS) };
+  if (req.query.includeExpired !== 'true') expiryFilter.gte = now;
+
+  try {
+    const where = {
+      warrantyExpiresAt: expiryFilter,
+      invoice: { AND: [documentScopeFilter(req.user, 'invoice'), { status: { not: 'CANCELLED' } }] } // Route ensures read permission
+    };
+    res.json({ days, ...await listProducts(where, pagination) });
+  } catch (error) {
+    console.error('Get Expiring Warranties Error:', error);
+    res.status(500).json({ message: 'Server Error retrieving expiring warranties' });
+  }
+};
+
+// Warranty status of products by serial number (partial match), optionally narrowed to a status
+export const searchWarranties = async (req, res) => {
+  const { serialNumber, status } = req.query;
+  if (!serialNumber || !String(serialNumber).trim()) {
+    return res.status(400).json({ message: 'serialNumber is required' });
+  }
+  const warrantyStatus = status ? String(status).toUpperCase() : null;
+  if (warrantyStatus && !WARRANTY_STATUSES.includes(warrantyStatus)) {
+    return res.status(400).json({ message: `status must be one of: ${WARRANTY_STATUSES.join(', ')}` });
+  }
+  const pagination = parsePagination(req.query);
+  if (!pagination) {
+    return res.status(400).json({ message: 'Invalid pagination parameters.' });
+  }
+
+  try {
+    const where = {
+      AND: [
+        { serialNumber: { contains: String(serialNumber).trim() } },
+        { invoice: documentScopeFilter(req.user, 'invoice') }, // Route ensures read permission
+        ...(warrantyStatus ? [warrantyStatusWhere(warrantyStatus)] : [])
+      ]
+    };
+    res.json(await listProducts(where, pagination));
+  } catch (error) {
+    console.error('Search Warranties Error:', error);
+    res.status(500).json({ message: 'Server Error searching warranties' });
+  }
+};
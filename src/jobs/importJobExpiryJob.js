@@ -0,0 +1,62 @@
+// src/jobs/importJobExpiryJob.js
+// Background job expiring import dry runs that were not committed before their `expiresAt`
+// (IMPORT_DRY_RUN_TTL_HOURS after the upload) and deleting their stored files.
+import { PrismaClient } from '@prisma/client';
+import fs from 'fs';
+
+const prisma = new PrismaClient();
+
+const INTERVAL_MINUTES = parseInt(process.env.IMPORT_JOB_EXPIRY_INTERVAL_MINUTES || '60', 10);
+
+/** Expires the dry runs pending past `now`. Returns { checked, expired }. */
+export const runImportJobExpiry = async (now = new Date()) => {
+  const jobs = await prisma.importJob.findMany({
+    where: { status: 'VALIDATED', expiresAt: { lt: now } },
+    select: { id: true, fileUrl: true }
+  });
+
+  let expired = 0;
+  for (const job of jobs) {
+    // Skip jobs committed in the meantime; their commit deletes the file
+    const { count } = await prisma.importJob.updateMany({ where: { id: job.id, status: 'VALIDATED' }, data: { status: 'EXPIRED' } });
+    if (count === 0) continue;
+
+    try {
+      await fs.promises.unlink(job.fileUrl);
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error(`Error deleting file (${job.fileUrl}):`, error);
+    }
+    expired++;
+  }
+
+  return { checked: jobs.length, expired };
+};
+
+/**
+ * Runs the job every IMPORT_JOB_EXPIRY_INTERVAL_MINUTES (default 60), starting shortly after boot.
+ * Disabled with IMPORT_JOB_EXPIRY_ENABLED=false. Returns a function stopping the schedule.
+ */
+export const startImportJobExpiryScheduler = () => {
+  if (process.env.IMPORT_JOB_EXPIRY_ENABLED === 'false') {
+    console.log('   Import dry run expiry disabled (IMPORT_JOB_EXPIRY_ENABLED=false)');
+    return () => {};
+  }
+
+  const run = async () => {
+    try {
+      const { expired } = await runImportJobExpiry();
+      if (expired > 0) console.log(`🧹 Import dry runs: ${expired} expired and their files deleted`);
+    } catch (error) {
+      console.error('Import Job Expiry Error:', error);
+    }
+  };
+
+  const firstRun = setTimeout(run, 30 * 1000).unref(); // Let the DB connection and seeding finish first
+  const interval = setInterval(run, INTERVAL_MINUTES * 60 * 1000).unref();
+  console.log(`   Import dry runs expire, checked every ${INTERVAL_MINUTES} min`);
+
+  return () => {
+    clearTimeout(firstRun);
+    clearInterval(interval);
+  };
+};
@@ -0,0 +1,101 @@
+// src/jobs/warrantyReminderJob.js
+// Background job notifying invoice owners and admins (Socket.IO, personal rooms) when product warranties
+// approach expiry. Each lead time in WARRANTY_REMINDER_DAYS (default 90,30,7) is sent once per product;
+// sent reminders are logged in `warranty_reminders`, so restarts and multiple instances do not repeat them.
+import { PrismaClient } from '@prisma/client';
+import { WARRANTY_REMINDER_DAYS, dueReminderLeadDays, daysUntil } from '../utils/warranty.js';
+import { userRoom } from '../utils/socketRooms.js';
+
+const prisma = new PrismaClient();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const INTERVAL_MINUTES = parseInt(process.env.WARRANTY_REMINDER_INTERVAL_MINUTES || '60', 10);
+
+/** Sends the reminders due at `now`. Returns { checked, sent }. */
+export const runWarrantyReminders = async (now = new Date()) => {
+  if (WARRANTY_REMINDER_DAYS.length === 0) return { checked: 0, sent: 0 };
+
+  const products = await prisma.product.findMany({
+    where: {
+      warrantyExpiresAt: { gte: now, lte: new Date(now.getTime() + WARRANTY_REMINDER_DAYS[0] * DAY_MS) },
+      invoice: { status: { not: 'CANCELLED' } }
+    },
+    select: {
+      id: true, productName: true, serialNumber: true, warrantyExpiresAt: true,
+      invoice: { select: { id: true, userId: true, vendorName: true, companyName: true } },
+      warrantyReminders: { select: { leadDays: true, expiresAt: true } }
+    }
+  });
+
+  const admins = await prisma.user.findMany({
+    where: { role: 'ADMIN', isActive: true, archivedAt: null },
+    select: { id: true }
+  });
+
+  let sent = 0;
+  for (const product of products) {
+    const leadDays = dueReminderLeadDays(product.warrantyExpiresAt, now);
+    // Skip when this or a closer reminder was already sent for the current expiry date
+    const alreadySent = product.warrantyReminders.some(reminder =>
+      reminder.leadDays <= leadDays && reminder.expiresAt.getTime() === product.warrantyExpiresAt.getTime());
+    if (!leadDays || alreadySent) continue;
+
+    try {
+      await prisma.warrantyReminder.create({
+        data: { productId: product.id, leadDays, expiresAt: product.warrantyExpiresAt }
+      });
+    } catch (error) {
+      if (error.code === 'P2002') continue; // Sent by another instance in the meantime
+      throw error;
+    }
+
+    const daysLeft = daysUntil(product.warrantyExpiresAt, now);
+    const recipients = new Set([product.invoice.userId, ...admins.map(admin => admin.id)]);
+    if (global.io) {
+      for (const recipientId of recipients) {
+        global.io.to(userRoom(recipientId)).emit('warranty-expiring', {
+          message: `Warranty of ${product.productName}${product.serialNumber ? ` (SN ${product.serialNumber})` : ''} on invoice ${product.invoice.id} expires in ${daysLeft} day(s)`,
+          productId: product.id,
+          invoiceId: product.invoice.id,
+          serialNumber: product.serialNumber,
+          vendorName: product.invoice.vendorName,
+          warrantyExpiresAt: product.warrantyExpiresAt,
+          daysLeft,
+          leadDays
+        });
+      }
+    }
+    sent++;
+  }
+
+  return { checked: products.length, sent };
+};
+
+/**
+ * Runs the job every WARRANTY_REMINDER_INTERVAL_MINUTES (default 60), starting shortly after boot.
+ * Disabled with WARRANTY_REMINDERS_ENABLED=false. Returns a function stopping the schedule.
+ */
+export const startWarrantyReminderScheduler = () => {
+  if (process.env.WARRANTY_REMINDERS_ENABLED === 'false') {
+    console.log('   Warranty reminders disabled (WARRANTY_REMINDERS_ENABLED=false)');
+    return () => {};
+  }
+
+  const run = async () => {
+    try {
+      const { checked, sent } = await runWarrantyReminders();
+      if (sent > 0) console.log(`🔔 Warranty reminders: ${sent} sent (${checked} products expiring soon)`);
+    } catch (error) {
+      console.error('Warranty Reminder Job Error:', error);
+    }
+  };
+
+  const firstRun = setTimeout(run, 30 * 1000).unref(); // Let the DB connection and seeding finish first
+  const interval = setInterval(run, INTERVAL_MINUTES * 60 * 1000).unref();
+  console.log(`   Warranty reminders every ${INTERVAL_MINUTES} min at ${WARRANTY_REMINDER_DAYS.join('/')} days before expiry`);
+
+  return () => {
+    clearTimeout(firstRun);
+    clearInterval(interval);
+  };
+};
@@ -1,5 +1,7 @@
-import jwt from 'jsonwebtoken';
 import { PrismaClient } from '@prisma/client';
+import { verifyAccessToken } from '../utils/sessionTokens.js';
+import { can, canAny, buildRequestUser, userSharesSelect, REQUEST_USER_SELECT, PRIVILEGED_PERMISSIONS } from '../utils/permissions.js';
+import { authenticateApiKey } from '../utils/apiKeys.js';
 
 const prisma = new PrismaClient();
 // CRITICAL: Use a strong secret from environment variables
@@ -10,13 +12,75 @@ if (!JWT_SECRET) {
   process.exit(1); // Exit if secret is missing
 }
 
+// Policy: when true every ADMIN must use TOTP two-factor authentication for admin actions
+export const REQUIRE_ADMIN_2FA = process.env.REQUIRE_ADMIN_2FA === 'true';
+
+/** True when policy requires 2FA for this user but they have not enrolled yet. */
+export const requiresTwoFactorSetup = (user) => REQUIRE_ADMIN_2FA && user.role === 'ADMIN' && !user.totpEnabled;
+
 /**
- * Authentication Middleware: Verifies JWT token and attaches user to request.
+ * Loads the session named by a verified access token, with its user, and checks that it is still usable.
+ * Throws an Error with `status` 401 otherwise. Shared by `auth` and the Socket.IO handshake (socketAuth.js).
+ */
+export const loadTokenSession = async (decoded) => {
+  const denied = (message) => Object.assign(new Error(message), { status: 401 });
+
+  if (!decoded.sid) {
+    // Tokens issued before session tracking cannot be revoked, so they are no longer accepted
+    throw denied('Session no longer valid. Please log in again.');
+  }
+
+  // Select only necessary fields to avoid exposing sensitive data like password hash
+  const session = await prisma.userSession.findUnique({
+    where: { id: decoded.sid },
+    select: {
+      id: true,
+      userId: true,
+      revokedAt: true,
+      expiresAt: true,
+      viaResetCode: true,
+      user: { select: REQUEST_USER_SELECT }
+    }
+  });
+
+  if (!session || session.userId !== decoded.id) throw denied('Session not found');
+  if (session.revokedAt) throw denied('Session has been revoked');
+  if (session.expiresAt <= new Date()) throw denied('Session expired');
+  if (!session.user.isActive) throw denied('Account is deactivated');
+
+  return session;
+};
+
+// Machine clients send `X-API-Key` instead of a bearer token. They act as the key's service account
+// (so created documents are attributed to it) with its role's permissions narrowed to the key's scopes.
+const authenticateServiceAccount = async (req, res, next, key) => {
+  try {
+    const apiKey = await authenticateApiKey(key, req.ip);
+    req.user = await buildRequestUser(apiKey.serviceAccount, { scopes: apiKey.scopes });
+    req.auth = { sessionId: null, apiKeyId: apiKey.id, viaResetCode: false, mfa: false };
+    next();
+  } catch (err) {
+    if (err.status === 401) {
+      return res.status(401).json({ message: `Authorization denied: ${err.message}` });
+    }
+    console.error('API key authentication error:', err.message);
+    return res.status(500).json({ message: 'Internal Server Error during authentication' });
+  }
+};
+
+/**
+ * Authentication Middleware: Verifies JWT token, checks that its session has not been revoked
+ * and attaches user to request. Requests without a token may authenticate with an `X-API-Key` header.
  */
 export const auth = async (req, res, next) => {
   const authHeader = req.header('Authorization');
   const token = authHeader?.replace('Bearer ', '');
 
+  const apiKey = req.header('X-API-Key');
+  if (!token && apiKey) {
+    return authenticateServiceAccount(req, res, next, apiKey);
+  }
+
   if (!token) {
     // Allow access to specific non-protected routes if needed (usually handled at route level)
     // For this structure, assume all routes using this middleware require a token.
@@ -25,28 +89,27 @@ export const auth = async (req, res, next) => {
 
   try {
     // Verify token
-    const decoded = jwt.verify(token, JWT_SECRET); // decoded will contain { id, username, role, iat, exp }
-
-    // Find user based on token payload
-    // Select only necessary fields to avoid exposing sensitive data like password hash
-    const user = await prisma.user.findUnique({
-      where: { id: decoded.id },
-      select: {
-        id: true,
-        username: true,
-        role: true,
-      },
-    });
+    const decoded = verifyAccessToken(token); // decoded will contain { id, username, role, sid, iat, exp }
 
-    if (!user) {
-      // User may have been deleted after token was issued
-      return res.status(401).json({ message: 'Authorization denied: User not found' });
+    // Load the session together with the user so revoked or expired sessions are rejected
+    const session = await loadTokenSession(decoded);
+
+    // Until a required password change is done, only routes marked with allowPendingPasswordChange are reachable
+    if (session.user.mustChangePassword && !req.allowPendingPasswordChange) {
+      return res.status(403).json({
+        message: 'Password change required before continuing.',
+        passwordChangeRequired: true
+      });
     }
 
-    // Attach user object to the request for downstream middleware/controllers
-    req.user = user;
+    // Attach user object (with the effective permissions of their role) to the request for downstream middleware/controllers
+    req.user = await buildRequestUser(session.user);
+    req.auth = { sessionId: session.id, viaResetCode: session.viaResetCode, mfa: decoded.mfa === true };
     next(); // Proceed to the next middleware or route handler
   } catch (err) {
+    if (err.status === 401) {
+      return res.status(401).json({ message: `Authorization denied: ${err.message}` });
+    }
     console.error('Authentication error:', err.message);
     if (err.name === 'JsonWebTokenError') {
         return res.status(401).json({ message: 'Authorization denied: Invalid token' });
@@ -59,27 +122,70 @@ export const auth = async (req, res, next) => {
 };
 
 /**
- * Admin Authorization Middleware: Checks if the authenticated user is an ADMIN.
+ * Marks a route as reachable while the user still has to change their password
+ * (password change itself, profile, logout). Must be placed BEFORE the `auth` middleware.
+ */
+export const allowPendingPasswordChange = (req, res, next) => {
+  req.allowPendingPasswordChange = true;
+  next();
+};
+
+/** Use after `auth` on routes that act on the caller's own login session or credentials; API keys are refused. */
+export const sessionOnly = (req, res, next) => {
+  if (req.auth?.apiKeyId) {
+    return res.status(403).json({ message: 'Access denied: Not available when authenticating with an API key.' });
+  }
+  next();
+};
+
+/**
+ * Permission Middleware: Passes when the authenticated user holds AT LEAST ONE of the given permissions
+ * (see src/utils/permissions.js). For ADMINs, privileged permissions also need a 2FA-verified session
+ * when the admin enrolled in 2FA or policy requires it.
  * Must be used AFTER the `auth` middleware.
+ *
+ * Example: router.get('/', auth, requirePermission('editRequest:read', 'editRequest:manage'), handler)
  */
-export const adminOnly = (req, res, next) => {
-  // Check if user object exists (populated by previous auth middleware) and has ADMIN role
+export const requirePermission = (...permissions) => (req, res, next) => {
   if (!req.user) {
      // This shouldn't happen if 'auth' middleware runs first, but defensively check
-     console.error("Error: adminOnly middleware run without preceding auth middleware setting req.user");
+     console.error("Error: requirePermission middleware run without preceding auth middleware setting req.user");
      return res.status(500).json({ message: 'Server configuration error' });
   }
 
-  if (req.user.role !== 'ADMIN') {
-    return res.status(403).json({ message: 'Access denied: Admin privileges required.' });
+  const granted = permissions.filter(permission => can(req.user, permission));
+  if (granted.length === 0) {
+    return res.status(403).json({ message: `Access denied: Requires permission ${permissions.join(' or ')}.` });
   }
-  next(); // User is an admin, proceed
+
+  // Admins who enrolled in 2FA (or must, per policy) need a session opened with a second factor for admin actions
+  const privilegedOnly = granted.every(permission => PRIVILEGED_PERMISSIONS.includes(permission));
+  if (privilegedOnly && req.user.role === 'ADMIN' && !req.auth?.mfa && (req.user.totpEnabled || REQUIRE_ADMIN_2FA)) {
+    return res.status(403).json({
+      message: 'Access denied: Two-factor authentication is required for admin actions.',
+      twoFactorRequired: true,
+      twoFactorSetupRequired: !req.user.totpEnabled
+    });
+  }
+  next();
+};
+
+/**
+ * Like `requirePermission`, but also lets department heads through without the permissions.
+ * Handlers must then limit heads to their departments (see editRequestScopeFilter in permissions.js).
+ */
+export const requirePermissionOrDepartmentHead = (...permissions) => {
+  const checkPermission = requirePermission(...permissions);
+  return (req, res, next) => {
+    if (req.user?.headOfDepartmentIds?.length > 0 && !canAny(req.user, permissions)) return next();
+    return checkPermission(req, res, next);
+  };
 };
 
 
 /**
  * Edit Permission Middleware: Checks if the user can edit a specific document.
- * Assumes `req.params.documentType` ('invoice', 'purchaseOrder', 'stockRegister') and `req.params.id` are set.
+ * Assumes `req.params.documentType` ('invoice', 'purchaseOrder', 'stockRegister', 'creditNote') and `req.params.id` are set.
  * Should be used AFTER the `auth` middleware.
  */
 export const canEdit = async (req, res, next) => {
@@ -96,9 +202,8 @@ export const canEdit = async (req, res, next) => {
         return res.status(400).json({ message: 'Bad Request: Missing document identifier in URL path for permission check.' });
     }
 
-
     let document;
-    const commonInclude = { select: { userId: true, createdAt: true, allowEditing: true, editableUntil: true }};
+    const commonInclude = { select: { userId: true, createdAt: true, allowEditing: true, editableUntil: true, ...userSharesSelect(req.user) }};
 
     // Find the document based on type
     switch (documentType) {
@@ -111,6 +216,9 @@ export const canEdit = async (req, res, next) => {
       case 'stockRegister':
         document = await prisma.stockRegister.findUnique({ where: { id: documentId }, ...commonInclude });
         break;
+      case 'creditNote':
+        document = await prisma.creditNote.findUnique({ where: { id: documentId }, ...commonInclude });
+        break;
       default:
         console.warn(`Invalid documentType (${documentType}) provided to canEdit middleware`);
         return res.status(400).json({ message: 'Invalid document type specified for permission check' });
@@ -122,7 +230,9 @@ export const canEdit = async (req, res, next) => {
 
     // --- Permission Logic ---
     const isOwner = document.userId === req.user.id;
-    const isAdmin = req.user.role === 'ADMIN';
+    const canEditAny = can(req.user, `${documentType}:update:any`);
+    const canEditOwn = isOwner && can(req.user, `${documentType}:update:own`);
+    const hasEditShare = document.shares.some(share => share.accessLevel === 'EDIT'); // Shared by owner/admin, until it expires
 
     // Calculate if still within the initial editing window (e.g., 24 hours from CREATION)
     // Adjust the duration (24 * 60 * 60 * 1000) if needed
@@ -137,10 +247,10 @@ export const canEdit = async (req, res, next) => {
     // --- Determine final edit permission ---
     let allowedToEdit = false;
 
-    if (isAdmin) {
-      allowedToEdit = true; // Admins can always edit
-    } else if (isOwner) {
-      // Owners can edit if:
+    if (canEditAny) {
+      allowedToEdit = true; // e.g. admins can always edit
+    } else if (canEditOwn || hasEditShare) {
+      // Owners, and users the document is shared with for editing, can edit if:
       // 1. Within the initial creation window OR
       // 2. They have been granted explicit, valid permission by an admin
       allowedToEdit = isWithinInitialWindow || hasValidAdminPermission;
@@ -153,9 +263,11 @@ export const canEdit = async (req, res, next) => {
       return next(); // Allow access
     } else {
       // User is not allowed to edit, provide informative message
-      const needsPermission = isOwner && !isWithinInitialWindow && !document.allowEditing;
-      const reason = isAdmin ? "Admin check failed (this shouldn't happen)" : // Should never happen if admin is allowed
-                     !isOwner ? "Not authorized (not owner)" :
+      const needsPermission = canEditOwn && !isWithinInitialWindow && !document.allowEditing;
+      const reason = !isOwner && document.shares.length > 0 && !hasEditShare ? "The document is shared with you for viewing only." :
+                     !isOwner && !hasEditShare ? "Not authorized (not owner)" :
+                     isOwner && !canEditOwn ? "Your role does not allow editing this document type." :
+                     !isOwner && !isWithinInitialWindow && !hasValidAdminPermission ? "The edit window of this shared document has expired. Ask its owner to request permission." :
                      !isWithinInitialWindow && !document.allowEditing ? "Initial edit window expired. Please request permission." :
                      document.allowEditing && document.editableUntil && now >= new Date(document.editableUntil) ? "Admin granted edit permission has expired." :
                      "Edit not allowed for unknown reason."; // Fallback
@@ -40,6 +40,10 @@ const storage = multer.diskStorage({
       subDirectory = 'purchaseOrders';
     } else if (req.originalUrl.includes('/api/stock-register')) {
       subDirectory = 'stockEntries';
+    } else if (req.originalUrl.includes('/api/credit-notes')) {
+      subDirectory = 'creditNotes';
+    } else if (req.originalUrl.includes('/api/imports')) {
+      subDirectory = 'imports';
     } else {
         // Default or error handling if route context is unknown
         console.warn(`Unknown route for file upload: ${req.originalUrl}. Defaulting upload path.`);
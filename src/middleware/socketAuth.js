@@ -0,0 +1,149 @@
+// src/middleware/socketAuth.js
+import { verifyAccessToken } from '../utils/sessionTokens.js';
+import { can, canAny, buildRequestUser } from '../utils/permissions.js';
+import { loadTokenSession } from './auth.js';
+import { userRoom, sessionRoom, departmentHeadsRoom, roleRoom, EDIT_REQUEST_REVIEWERS_ROOM, PURCHASE_ORDER_APPROVERS_ROOM } from '../utils/socketRooms.js';
+
+const denied = (message) => Object.assign(new Error(message), { status: 401 });
+
+// Client-facing reason for a failed (re)authentication; unexpected errors are logged, not exposed
+const denialMessage = (err) => {
+  if (err.status === 401) return `Authorization denied: ${err.message}`;
+  console.error('Socket authentication error:', err);
+  return 'Internal Server Error during authentication';
+};
+
+// Access token from the handshake: `io(url, { auth: { token } })`, or an Authorization header for non-browser clients
+const handshakeToken = (socket) =>
+  socket.handshake.auth?.token || socket.handshake.headers.authorization?.replace('Bearer ', '');
+
+/**
+ * Verifies an access token exactly like the `auth` middleware and returns the socket's identity.
+ * Throws an Error with `status` 401 when the token cannot be used.
+ */
+const resolveSocketUser = async (token) => {
+  if (!token) throw denied('No token provided');
+
+  let decoded;
+  try {
+    decoded = verifyAccessToken(token);
+  } catch (err) {
+    throw denied(err.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token');
+  }
+
+  const session = await loadTokenSession(decoded);
+  if (session.user.mustChangePassword) {
+    throw denied('Password change required before continuing.');
+  }
+
+  return {
+    user: await buildRequestUser(session.user),
+    sessionId: session.id,
+    expiresAt: decoded.exp * 1000
+  };
+};
+
+// Rooms follow from the verified identity only
+const joinRooms = (socket) => {
+  const { user, sessionId } = socket.data;
+  socket.join([userRoom(user.id), sessionRoom(sessionId)]);
+  if (canAny(user, ['editRequest:read', 'editRequest:manage'])) {
+    socket.join(EDIT_REQUEST_REVIEWERS_ROOM);
+  } else {
+    socket.leave(EDIT_REQUEST_REVIEWERS_ROOM);
+  }
+
+  // Department heads get the edit requests of the departments they currently head
+  const headRooms = user.headOfDepartmentIds.map(departmentHeadsRoom);
+  for (const room of socket.rooms) {
+    if (room.startsWith(departmentHeadsRoom('')) && !headRooms.includes(room)) socket.leave(room);
+  }
+  socket.join(headRooms);
+
+  // Purchase order approvals: the role's room (left when the role changed) and the room of approve:any holders
+  for (const room of socket.rooms) {
+    if (room.startsWith(roleRoom('')) && room !== roleRoom(user.role)) socket.leave(room);
+  }
+  socket.join(roleRoom(user.role));
+  if (can(user, 'purchaseOrder:approve:any')) {
+    socket.join(PURCHASE_ORDER_APPROVERS_ROOM);
+  } else {
+    socket.leave(PURCHASE_ORDER_APPROVERS_ROOM);
+  }
+};
+
+// Disconnects the socket when its access token expires, unless the client re-authenticates first
+const scheduleExpiry = (socket) => {
+  clearTimeout(socket.data.expiryTimer);
+  const delay = Math.max(socket.data.expiresAt - Date.now(), 0);
+  socket.data.expiryTimer = setTimeout(() => {
+    socket.emit('session-expired', { message: 'Access token expired. Reconnect with a new token.' });
+    socket.disconnect(true);
+  }, delay);
+};
+
+/** Socket.IO middleware (`io.use(socketAuth)`): rejects handshakes without a valid access token. */
+export const socketAuth = async (socket, next) => {
+  try {
+    Object.assign(socket.data, await resolveSocketUser(handshakeToken(socket)));
+    next();
+  } catch (err) {
+    // Delivered to the client as a `connect_error`
+    next(Object.assign(new Error(denialMessage(err)), { data: { code: 'UNAUTHORIZED' } }));
+  }
+};
+
+/**
+ * Moves the sockets in `room` (e.g. userRoom(id) or roleRoom(role)) to the rooms of their user's current role,
+ * permissions and headships, so a change applies without reconnecting. Sockets whose session can no longer be
+ * used are closed. No-op when Socket.IO is not running.
+ */
+export const refreshSockets = async (room) => {
+  if (!global.io) return;
+  try {
+    for (const socket of await global.io.in(room).fetchSockets()) {
+      try {
+        const session = await loadTokenSession({ sid: socket.data.sessionId, id: socket.data.user.id });
+        socket.data.user = await buildRequestUser(session.user);
+        joinRooms(socket);
+      } catch (err) {
+        if (err.status !== 401) throw err;
+        socket.emit('session-expired', { message: denialMessage(err) });
+        socket.disconnect(true);
+      }
+    }
+  } catch (err) {
+    console.error(`Socket room refresh error (${room}):`, err);
+  }
+};
+
+/**
+ * Sets up rooms and expiry for an authenticated socket. Clients send `reauthenticate` with a refreshed
+ * access token of the same user to stay connected past the expiry of the first one.
+ */
+export const onAuthenticatedConnection = (socket) => {
+  joinRooms(socket);
+  scheduleExpiry(socket);
+
+  socket.on('reauthenticate', async (token, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    try {
+      const identity = await resolveSocketUser(token);
+      if (identity.user.id !== socket.data.user.id) {
+        throw denied('Token belongs to a different user');
+      }
+      if (identity.sessionId !== socket.data.sessionId) {
+        socket.leave(sessionRoom(socket.data.sessionId));
+      }
+      Object.assign(socket.data, identity);
+      joinRooms(socket);
+      scheduleExpiry(socket);
+      reply({ success: true, expiresAt: new Date(identity.expiresAt).toISOString() });
+    } catch (err) {
+      reply({ success: false, message: denialMessage(err) });
+      socket.disconnect(true);
+    }
+  });
+
+  socket.on('disconnect', () => clearTimeout(socket.data.expiryTimer));
+};
@@ -0,0 +1,14 @@
+// src/routes/assetRoutes.js
+import express from 'express';
+import { lookupAsset, getDuplicateSerialNumbers } from '../controller/assetController.js';
+import { auth, requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+const readInvoices = requirePermission('invoice:read:own', 'invoice:read:department', 'invoice:read:any');
+
+// --- Asset lookup by serial number (limited to documents visible to the caller) ---
+router.get('/duplicates', auth, readInvoices, getDuplicateSerialNumbers); // Serials on more than one product line
+router.get('/:serialNumber', auth, readInvoices, lookupAsset);            // Invoice line, vendor, warranty, PO and stock entries
+
+export default router;
@@ -0,0 +1,39 @@
+// src/routes/creditNoteRoutes.js
+import express from 'express';
+import { createCreditNote, getAllCreditNotes, getCreditNoteById, updateCreditNote, deleteCreditNote, requestEditPermission } from '../controller/creditNoteController.js';
+import { auth, canEdit, requirePermission } from '../middleware/auth.js';
+import upload, { handleUploadError } from '../middleware/fileUpload.js';
+
+const router = express.Router();
+
+const setDocumentType = (docType) => (req, res, next) => {
+    req.params.documentType = docType;
+    next();
+};
+
+// POST /api/credit-notes (Create; invoice read access checked in the controller)
+router.post('/', auth, requirePermission('creditNote:create'), upload.single('creditNoteFile'), handleUploadError, createCreditNote);
+
+// GET /api/credit-notes (List, ?invoiceId= for one invoice)
+router.get('/', auth, requirePermission('creditNote:read:own', 'creditNote:read:department', 'creditNote:read:any'), getAllCreditNotes);
+
+// GET /api/credit-notes/:id (Read)
+router.get('/:id', auth, getCreditNoteById); // Read access (permission, department or share) checked in the controller
+
+// PUT /api/credit-notes/:id (Update)
+router.put('/:id',
+    auth,
+    setDocumentType('creditNote'),
+    canEdit,
+    upload.single('creditNoteFile'),
+    handleUploadError,
+    updateCreditNote
+);
+
+// DELETE /api/credit-notes/:id (Delete)
+router.delete('/:id', auth, requirePermission('creditNote:delete:own', 'creditNote:delete:any'), deleteCreditNote);
+
+// POST /api/credit-notes/:id/request-edit (Request Edit)
+router.post('/:id/request-edit', auth, requirePermission('editRequest:create'), requestEditPermission);
+
+export default router;
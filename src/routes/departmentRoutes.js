@@ -0,0 +1,21 @@
+// src/routes/departmentRoutes.js
+import express from 'express';
+import {
+  getDepartments,
+  getDepartmentById,
+  createDepartment,
+  updateDepartment,
+  deleteDepartment
+} from '../controller/departmentController.js';
+import { auth, requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// --- Departments (any user may list; department:manage to change) ---
+router.get('/', auth, getDepartments);                                                    // Departments with head and member count
+router.get('/:id', auth, getDepartmentById);                                              // Includes members
+router.post('/', auth, requirePermission('department:manage'), createDepartment);
+router.put('/:id', auth, requirePermission('department:manage'), updateDepartment);       // Also sets/removes the head
+router.delete('/:id', auth, requirePermission('department:manage'), deleteDepartment);    // Only without members
+
+export default router;
@@ -6,22 +6,23 @@ import {
   approveEditRequest,
   rejectEditRequest
 } from '../controller/editRequestController.js';
-import { auth, adminOnly } from '../middleware/auth.js';
+import { auth, requirePermissionOrDepartmentHead } from '../middleware/auth.js';
 
 const router = express.Router();
 
-// --- Edit Request Management Routes (Admin Only) ---
+// --- Edit Request Management Routes (editRequest:read to view, editRequest:manage to decide) ---
+// Department heads without these permissions see and decide requests of their own departments only.
 
 // GET all edit requests (filtered by status in query, e.g., /?status=PENDING)
-router.get('/', auth, adminOnly, getAllEditRequests);
+router.get('/', auth, requirePermissionOrDepartmentHead('editRequest:read', 'editRequest:manage'), getAllEditRequests);
 
 // GET a specific edit request by ID
-router.get('/:id', auth, adminOnly, getEditRequestById);
+router.get('/:id', auth, requirePermissionOrDepartmentHead('editRequest:read', 'editRequest:manage'), getEditRequestById);
 
 // PUT route to approve a specific edit request
-router.put('/:id/approve', auth, adminOnly, approveEditRequest);
+router.put('/:id/approve', auth, requirePermissionOrDepartmentHead('editRequest:manage'), approveEditRequest);
 
 // PUT route to reject a specific edit request
-router.put('/:id/reject', auth, adminOnly, rejectEditRequest);
+router.put('/:id/reject', auth, requirePermissionOrDepartmentHead('editRequest:manage'), rejectEditRequest);
 
 export default router;
\ No newline at end of file
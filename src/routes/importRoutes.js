@@ -0,0 +1,24 @@
+// src/routes/importRoutes.js
+import express from 'express';
+import { importDocuments, commitImportJob, getImportJobs, getImportJobById } from '../controller/importController.js';
+import { auth, requirePermission } from '../middleware/auth.js';
+import upload, { handleUploadError } from '../middleware/fileUpload.js';
+
+const router = express.Router();
+
+const setDocumentType = (docType) => (req, res, next) => {
+    req.params.documentType = docType;
+    next();
+};
+
+// POST /api/imports/<type> (multipart "file": CSV or XLSX; "mapping", "dryRun" (default true), "confirmDuplicates")
+router.post('/invoices', auth, requirePermission('invoice:create'), upload.single('file'), handleUploadError, setDocumentType('invoice'), importDocuments);
+router.post('/purchase-orders', auth, requirePermission('purchaseOrder:create'), upload.single('file'), handleUploadError, setDocumentType('purchaseOrder'), importDocuments);
+router.post('/stock-register', auth, requirePermission('stockRegister:create'), upload.single('file'), handleUploadError, setDocumentType('stockRegister'), importDocuments);
+
+// Import jobs: own ones, everyone's with import:read:any
+router.get('/jobs', auth, getImportJobs);
+router.get('/jobs/:id', auth, getImportJobById);
+router.post('/jobs/:id/commit', auth, commitImportJob); // Uploader only; create permission checked in the controller
+
+export default router;
@@ -1,7 +1,9 @@
 // src/routes/invoiceRoutes.js
 import express from 'express';
-import { createInvoice, getAllInvoices, getInvoiceById, updateInvoice, deleteInvoice, requestEditPermission } from '../controller/invoiceController.js';
-import { auth, canEdit, adminOnly } from '../middleware/auth.js';
+import { createInvoice, getAllInvoices, getInvoiceById, updateInvoice, patchInvoice, updateInvoiceStatus, deleteInvoice, requestEditPermission } from '../controller/invoiceController.js';
+import { getInvoicePayments, recordPayment, deletePayment } from '../controller/paymentController.js';
+import { getDuplicateInvoiceReport } from '../controller/duplicateInvoiceController.js';
+import { auth, canEdit, requirePermission } from '../middleware/auth.js';
 import upload, { handleUploadError } from '../middleware/fileUpload.js';
 
 const router = express.Router();
@@ -13,13 +15,16 @@ const setDocumentType = (docType) => (req, res, next) => {
 };
 
 // POST /api/invoices (Create)
-router.post('/', auth, upload.single('invoiceFile'), handleUploadError, createInvoice);
+router.post('/', auth, requirePermission('invoice:create'), upload.single('invoiceFile'), handleUploadError, createInvoice);
 
 // GET /api/invoices (List - controller filters user/admin)
-router.get('/', auth, getAllInvoices);
+router.get('/', auth, requirePermission('invoice:read:own', 'invoice:read:department', 'invoice:read:any'), getAllInvoices);
+
+// GET /api/invoices/duplicates (Probable duplicates across all invoices; before /:id)
+router.get('/duplicates', auth, requirePermission('invoice:read:any'), getDuplicateInvoiceReport);
 
 // GET /api/invoices/:id (Read - controller checks authz)
-router.get('/:id', auth, getInvoiceById);
+router.get('/:id', auth, getInvoiceById); // Read access (permission, department or share) checked in the controller
 
 // PUT /api/invoices/:id (Update)
 router.put('/:id',
@@ -31,10 +36,21 @@ router.put('/:id',
     updateInvoice              // 6. Proceed to Controller
 );
 
+// PATCH /api/invoices/:id (Partial update: sent header fields, lines added/updated/removed by ID)
+router.patch('/:id', auth, setDocumentType('invoice'), canEdit, upload.single('invoiceFile'), handleUploadError, patchInvoice);
+
+// PATCH /api/invoices/:id/status (Lifecycle: DRAFT -> SUBMITTED -> VERIFIED -> PAID, DISPUTED, CANCELLED)
+router.patch('/:id/status', auth, updateInvoiceStatus); // Allowed transitions and who may make them checked in the controller
+
+// Payments (read access checked in the controller)
+router.get('/:id/payments', auth, getInvoicePayments);                                                    // Payments and outstanding balance
+router.post('/:id/payments', auth, requirePermission('invoice:payment'), recordPayment);                  // VERIFIED invoices only
+router.delete('/:id/payments/:paymentId', auth, requirePermission('invoice:payment'), deletePayment);
+
 // DELETE /api/invoices/:id (Delete - controller checks authz)
-router.delete('/:id', auth, deleteInvoice);
+router.delete('/:id', auth, requirePermission('invoice:delete:own', 'invoice:delete:any'), deleteInvoice);
 
 // POST /api/invoices/:id/request-edit (Request Edit Permission)
-router.post('/:id/request-edit', auth, requestEditPermission);
+router.post('/:id/request-edit', auth, requirePermission('editRequest:create'), requestEditPermission);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,16 @@
+// src/routes/matchRoutes.js
+import express from 'express';
+import { getMatchReport, getPurchaseOrderMatch, getInvoicesWithoutPurchaseOrder } from '../controller/matchController.js';
+import { auth, requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+const readInvoices = requirePermission('invoice:read:own', 'invoice:read:department', 'invoice:read:any');
+const readPurchaseOrders = requirePermission('purchaseOrder:read:own', 'purchaseOrder:read:department', 'purchaseOrder:read:any');
+
+// --- Three-way match: purchase order vs invoices vs stock register (limited to documents visible to the caller) ---
+router.get('/report', auth, readInvoices, readPurchaseOrders, getMatchReport);                                   // ?vendorName&dateFrom&dateTo&status&page&limit
+router.get('/purchase-orders/:id', auth, readInvoices, readPurchaseOrders, getPurchaseOrderMatch);                 // Match of one PO with its exceptions
+router.get('/invoices-without-po', auth, readInvoices, readPurchaseOrders, getInvoicesWithoutPurchaseOrder);       // Submitted invoices not linked to a PO
+
+export default router;
@@ -1,7 +1,17 @@
 // src/routes/purchaseOrderRoutes.js
 import express from 'express';
-import { createPurchaseOrder, getAllPurchaseOrders, getPurchaseOrderById, updatePurchaseOrder, deletePurchaseOrder, requestEditPermission } from '../controller/purchaseOrderController.js';
-import { auth, canEdit, adminOnly } from '../middleware/auth.js';
+import { createPurchaseOrder, getAllPurchaseOrders, getPurchaseOrderById, updatePurchaseOrder, patchPurchaseOrder, deletePurchaseOrder, requestEditPermission } from '../controller/purchaseOrderController.js';
+import {
+    getApprovalInbox, approvePurchaseOrder, rejectPurchaseOrder, getApprovalRules, updateApprovalRules
+} from '../controller/purchaseOrderApprovalController.js';
+import {
+    getPurchaseOrderReceipts, recordGoodsReceipt, deleteGoodsReceipt, closePurchaseOrder, reopenPurchaseOrder, getPendingDeliveries
+} from '../controller/goodsReceiptController.js';
+import { getVendorGstinReport } from '../controller/vendorGstinController.js';
+import {
+    sendPurchaseOrder, amendPurchaseOrder, getPurchaseOrderAmendment, approveAmendment, rejectAmendment, getPurchaseOrderRevisions, getRevisionDiff
+} from '../controller/purchaseOrderAmendmentController.js';
+import { auth, canEdit, requirePermission } from '../middleware/auth.js';
 import upload, { handleUploadError } from '../middleware/fileUpload.js';
 
 const router = express.Router();
@@ -11,14 +21,27 @@ const setDocumentType = (docType) => (req, res, next) => {
     next();
 };
 
+const readPurchaseOrders = requirePermission('purchaseOrder:read:own', 'purchaseOrder:read:department', 'purchaseOrder:read:any');
+
 // POST /api/purchase-orders (Create)
-router.post('/', auth, upload.single('purchaseOrderFile'), handleUploadError, createPurchaseOrder);
+router.post('/', auth, requirePermission('purchaseOrder:create'), upload.single('purchaseOrderFile'), handleUploadError, createPurchaseOrder);
 
 // GET /api/purchase-orders (List)
-router.get('/', auth, getAllPurchaseOrders);
+router.get('/', auth, readPurchaseOrders, getAllPurchaseOrders);
+
+// GET /api/purchase-orders/pending-deliveries (Outstanding quantities per vendor; before /:id)
+router.get('/pending-deliveries', auth, requirePermission('purchaseOrder:read:own', 'purchaseOrder:read:department', 'purchaseOrder:read:any', 'purchaseOrder:receive:any'), getPendingDeliveries);
+
+// GET /api/purchase-orders/vendor-gstins (Vendors seen with more than one GSTIN; before /:id)
+router.get('/vendor-gstins', auth, readPurchaseOrders, getVendorGstinReport);
+
+// Approval (before /:id): the caller's inbox and the approval chain configuration
+router.get('/approval-inbox', auth, getApprovalInbox);                                                    // Orders waiting for the caller's decision
+router.get('/approval-rules', auth, getApprovalRules);
+router.put('/approval-rules', auth, requirePermission('approvalRule:manage'), updateApprovalRules);       // Replace the general or a department's chain
 
 // GET /api/purchase-orders/:id (Read)
-router.get('/:id', auth, getPurchaseOrderById);
+router.get('/:id', auth, getPurchaseOrderById); // Read access (permission, department or share) checked in the controller
 
 // PUT /api/purchase-orders/:id (Update)
 router.put('/:id',
@@ -30,10 +53,33 @@ router.put('/:id',
     updatePurchaseOrder
 );
 
+// PATCH /api/purchase-orders/:id (Partial update: sent header fields, lines added/updated/removed by ID)
+router.patch('/:id', auth, setDocumentType('purchaseOrder'), canEdit, upload.single('purchaseOrderFile'), handleUploadError, patchPurchaseOrder);
+
+// Decide the pending approval level (who may decide checked in the controller)
+router.post('/:id/approve', auth, approvePurchaseOrder);
+router.post('/:id/reject', auth, rejectPurchaseOrder);  // Comment required
+
+// Sending and amendments (access checked in the controller): sent orders change only by amendment (Rev 1, Rev 2, ...)
+router.post('/:id/send', auth, sendPurchaseOrder);                    // Current revision, APPROVED orders only
+router.post('/:id/amendments', auth, amendPurchaseOrder);             // Reason required; applied once approved
+router.get('/:id/amendments/:amendmentId', auth, getPurchaseOrderAmendment);
+router.post('/:id/amendments/:amendmentId/approve', auth, approveAmendment);
+router.post('/:id/amendments/:amendmentId/reject', auth, rejectAmendment);  // Comment required
+router.get('/:id/revisions', auth, getPurchaseOrderRevisions);
+router.get('/:id/revisions/diff', auth, getRevisionDiff);             // ?from=&to= (revision numbers)
+
+// Goods receipts and fulfilment (read access or purchaseOrder:receive:any checked in the controller)
+router.get('/:id/receipts', auth, getPurchaseOrderReceipts);                                                   // Received/outstanding per item
+router.post('/:id/receipts', auth, requirePermission('purchaseOrder:receive'), recordGoodsReceipt);             // APPROVED, open orders only
+router.delete('/:id/receipts/:receiptId', auth, requirePermission('purchaseOrder:receive'), deleteGoodsReceipt);
+router.post('/:id/close', auth, closePurchaseOrder);   // Nothing more expected (reason required)
+router.post('/:id/reopen', auth, reopenPurchaseOrder);
+
 // DELETE /api/purchase-orders/:id (Delete)
-router.delete('/:id', auth, deletePurchaseOrder);
+router.delete('/:id', auth, requirePermission('purchaseOrder:delete:own', 'purchaseOrder:delete:any'), deletePurchaseOrder);
 
 // POST /api/purchase-orders/:id/request-edit (Request Edit)
-router.post('/:id/request-edit', auth, requestEditPermission);
+router.post('/:id/request-edit', auth, requirePermission('editRequest:create'), requestEditPermission);
 
 export default router;
\ No newline at end of file
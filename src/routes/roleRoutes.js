@@ -0,0 +1,13 @@
+// src/routes/roleRoutes.js
+import express from 'express';
+import { getRoles, updateRolePermissions, resetRolePermissions } from '../controller/roleController.js';
+import { auth, requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// --- Role & Permission Management (role:manage) ---
+router.get('/', auth, requirePermission('role:manage'), getRoles);                              // Roles, effective permissions, catalogue
+router.put('/:role', auth, requirePermission('role:manage'), updateRolePermissions);            // Replace a role's permission set
+router.delete('/:role/overrides', auth, requirePermission('role:manage'), resetRolePermissions); // Restore built-in defaults
+
+export default router;
@@ -1,10 +1,10 @@
 // src/routes/searchRoutes.js
 import express from 'express';
 // Import search-specific functions
-import { searchDocuments, advancedInvoiceSearch, advancedPurchaseOrderSearch, advancedStockRegisterSearch, validateUniqueId, exportSearchResults } from '../controller/searchController.js';
+import { searchDocuments, advancedInvoiceSearch, advancedPurchaseOrderSearch, advancedStockRegisterSearch, advancedCreditNoteSearch, validateUniqueId, exportSearchResults } from '../controller/searchController.js';
 // Import saved-search specific functions
 import { saveSearch, getUserSavedSearches, getSavedSearchById, updateSavedSearch, deleteSavedSearch } from '../controller/savedSearchController.js';
-import { auth } from '../middleware/auth.js';
+import { auth, requirePermission } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -14,9 +14,10 @@ router.get('/export', auth, exportSearchResults);      // GET /api/search/export
 router.post('/validate-id', auth, validateUniqueId);   // POST /api/search/validate-id
 
 // --- Advanced Search Routes ---
-router.get('/advanced/invoices', auth, advancedInvoiceSearch);         // GET /api/search/advanced/invoices?...
-router.get('/advanced/purchase-orders', auth, advancedPurchaseOrderSearch); // GET /api/search/advanced/purchase-orders?...
-router.get('/advanced/stock-register', auth, advancedStockRegisterSearch); // GET /api/search/advanced/stock-register?...
+router.get('/advanced/invoices', auth, requirePermission('invoice:read:own', 'invoice:read:department', 'invoice:read:any'), advancedInvoiceSearch);         // GET /api/search/advanced/invoices?...
+router.get('/advanced/purchase-orders', auth, requirePermission('purchaseOrder:read:own', 'purchaseOrder:read:department', 'purchaseOrder:read:any'), advancedPurchaseOrderSearch); // GET /api/search/advanced/purchase-orders?...
+router.get('/advanced/stock-register', auth, requirePermission('stockRegister:read:own', 'stockRegister:read:department', 'stockRegister:read:any'), advancedStockRegisterSearch); // GET /api/search/advanced/stock-register?...
+router.get('/advanced/credit-notes', auth, requirePermission('creditNote:read:own', 'creditNote:read:department', 'creditNote:read:any'), advancedCreditNoteSearch); // GET /api/search/advanced/credit-notes?...
 
 // --- Saved Searches Routes ---
 router.post('/saved', auth, saveSearch);                // POST /api/search/saved
@@ -0,0 +1,15 @@
+// src/routes/serviceAccountRoutes.js
+import express from 'express';
+import { createServiceAccount, getServiceAccounts, createApiKey, revokeApiKey } from '../controller/serviceAccountController.js';
+import { auth, requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// --- Service Accounts & API Keys (user:manage) ---
+// Deactivate or delete a service account with the regular /api/users/:userId endpoints.
+router.post('/', auth, requirePermission('user:manage'), createServiceAccount);                    // Create a service account
+router.get('/', auth, requirePermission('user:manage'), getServiceAccounts);                       // List accounts with their keys
+router.post('/:userId/keys', auth, requirePermission('user:manage'), createApiKey);                // Issue a key (returned once)
+router.delete('/:userId/keys/:keyId', auth, requirePermission('user:manage'), revokeApiKey);       // Revoke a key
+
+export default router;
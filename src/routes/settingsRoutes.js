@@ -0,0 +1,12 @@
+// src/routes/settingsRoutes.js
+import express from 'express';
+import { getNumberSeries, updateNumberSeries } from '../controller/numberSeriesController.js';
+import { auth, requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// --- System settings (settings:manage) ---
+router.get('/number-series', auth, requirePermission('settings:manage'), getNumberSeries);                 // Patterns and next numbers per document type
+router.put('/number-series/:documentType', auth, requirePermission('settings:manage'), updateNumberSeries); // Set a pattern, switch numbering on or off
+
+export default router;
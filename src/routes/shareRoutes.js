@@ -0,0 +1,14 @@
+// src/routes/shareRoutes.js
+import express from 'express';
+import { shareDocument, getDocumentShares, revokeShare, getSharedWithMe } from '../controller/shareController.js';
+import { auth } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// --- Per-document sharing (owner with ${type}:update:own, or ${type}:update:any, manage shares; checked in the controller) ---
+router.get('/with-me', auth, getSharedWithMe);                           // Documents shared with the caller (?type=invoice|purchaseOrder|stockRegister|creditNote)
+router.post('/:documentType/:documentId', auth, shareDocument);          // Grant or update VIEW/EDIT access with optional expiry
+router.get('/:documentType/:documentId', auth, getDocumentShares);       // Who has access to a document
+router.delete('/:shareId', auth, revokeShare);
+
+export default router;
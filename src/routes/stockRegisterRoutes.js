@@ -1,7 +1,7 @@
 // src/routes/stockRegisterRoutes.js
 import express from 'express';
 import { createStockRegister, getAllStockRegisters, getStockRegisterById, updateStockRegister, deleteStockRegister, requestEditPermission } from '../controller/stockRegisterController.js';
-import { auth, canEdit, adminOnly } from '../middleware/auth.js';
+import { auth, canEdit, requirePermission } from '../middleware/auth.js';
 import upload, { handleUploadError } from '../middleware/fileUpload.js';
 
 const router = express.Router();
@@ -12,13 +12,13 @@ const setDocumentType = (docType) => (req, res, next) => {
 };
 
 // POST /api/stock-register (Create)
-router.post('/', auth, upload.single('photo'), handleUploadError, createStockRegister);
+router.post('/', auth, requirePermission('stockRegister:create'), upload.single('photo'), handleUploadError, createStockRegister);
 
 // GET /api/stock-register (List)
-router.get('/', auth, getAllStockRegisters);
+router.get('/', auth, requirePermission('stockRegister:read:own', 'stockRegister:read:department', 'stockRegister:read:any'), getAllStockRegisters);
 
 // GET /api/stock-register/:id (Read)
-router.get('/:id', auth, getStockRegisterById);
+router.get('/:id', auth, getStockRegisterById); // Read access (permission, department or share) checked in the controller
 
 // PUT /api/stock-register/:id (Update)
 router.put('/:id',
@@ -31,9 +31,9 @@ router.put('/:id',
 );
 
 // DELETE /api/stock-register/:id (Delete)
-router.delete('/:id', auth, deleteStockRegister);
+router.delete('/:id', auth, requirePermission('stockRegister:delete:own', 'stockRegister:delete:any'), deleteStockRegister);
 
 // POST /api/stock-register/:id/request-edit (Request Edit)
-router.post('/:id/request-edit', auth, requestEditPermission);
+router.post('/:id/request-edit', auth, requirePermission('editRequest:create'), requestEditPermission);
 
 export default router;
\ No newline at end of file
@@ -2,19 +2,68 @@ import express from 'express';
 import {
   registerUser,
   loginUser,
+  refreshSession,
+  logoutUser,
+  revokeUserSessions,
+  changePassword,
+  issuePasswordReset,
+  getLoginLockouts,
+  clearLoginLockout,
   getUserProfile,
   promoteUser,
+  assignUserRole,
+  demoteUser,
+  deactivateUser,
+  reactivateUser,
+  renameUser,
+  transferUserDocuments,
+  archiveUser,
   getAllUsers
 } from '../controller/userController.js';
-import { auth, adminOnly } from '../middleware/auth.js';
+import {
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateTwoFactorRecoveryCodes,
+  getTwoFactorStatus,
+  verifyTwoFactorLogin,
+  resetUserTwoFactor
+} from '../controller/twoFactorController.js';
+import { setUserDepartment } from '../controller/departmentController.js';
+import { auth, requirePermission, allowPendingPasswordChange, sessionOnly } from '../middleware/auth.js';
 
 const router = express.Router();
 
 // User routes
-router.post('/register', auth, adminOnly, registerUser); // Only admin can register new users
+router.post('/register', auth, requirePermission('user:manage'), registerUser); // Requires user:manage (admins)
 router.post('/login', loginUser);                     // Public route for login
-router.get('/profile', auth, getUserProfile);         // Authenticated users can get their own profile
-router.put('/promote/:userId', auth, adminOnly, promoteUser); // Only admin can promote users
-router.get('/', auth, adminOnly, getAllUsers);        // Only admin can list all users (consider adding pagination)
+router.post('/login/2fa', verifyTwoFactorLogin);      // Public route: second login step (TOTP or recovery code)
+router.post('/refresh', refreshSession);              // Public route: exchange refresh token for a new token pair
+router.post('/logout', allowPendingPasswordChange, auth, sessionOnly, logoutUser); // Revoke the caller's session
+router.get('/profile', allowPendingPasswordChange, auth, getUserProfile);  // Authenticated users can get their own profile
+router.put('/me/password', allowPendingPasswordChange, auth, sessionOnly, changePassword); // Change own password (also clears a forced change)
+router.put('/promote/:userId', auth, requirePermission('user:manage'), promoteUser); // Only admin can promote users
+router.put('/demote/:userId', auth, requirePermission('user:manage'), demoteUser);   // Only admin can demote admins (never the last one)
+router.put('/:userId/role', auth, requirePermission('role:manage'), assignUserRole); // Assign any role
+
+// Two-factor authentication (own account)
+router.get('/me/2fa', auth, sessionOnly, getTwoFactorStatus);
+router.post('/me/2fa/setup', auth, sessionOnly, setupTwoFactor);                          // Returns secret + otpauth:// URI for the QR code
+router.post('/me/2fa/enable', auth, sessionOnly, enableTwoFactor);                        // Confirms first code, returns recovery codes
+router.post('/me/2fa/disable', auth, sessionOnly, disableTwoFactor);
+router.post('/me/2fa/recovery-codes', auth, sessionOnly, regenerateTwoFactorRecoveryCodes);
+
+router.post('/:userId/2fa/reset', auth, requirePermission('user:manage'), resetUserTwoFactor); // Only admin can reset another user's 2FA
+router.post('/:userId/reset-password', auth, requirePermission('user:manage'), issuePasswordReset); // Only admin can issue a one-time reset code
+router.post('/:userId/revoke-sessions', auth, requirePermission('user:manage'), revokeUserSessions); // Only admin can force-logout a user
+router.get('/lockouts', auth, requirePermission('user:manage'), getLoginLockouts);               // Only admin can view login lockouts
+router.delete('/lockouts/:lockoutId', auth, requirePermission('user:manage'), clearLoginLockout); // Only admin can clear a lockout
+router.put('/:userId/deactivate', auth, requirePermission('user:manage'), deactivateUser);  // Blocks login, ends sessions
+router.put('/:userId/reactivate', auth, requirePermission('user:manage'), reactivateUser);
+router.put('/:userId/username', auth, requirePermission('user:manage'), renameUser);
+router.put('/:userId/department', auth, requirePermission('user:manage', 'department:manage'), setUserDepartment); // Move to a department
+router.post('/:userId/transfer-ownership', auth, requirePermission('user:manage'), transferUserDocuments); // Move documents to another user
+router.delete('/:userId', auth, requirePermission('user:manage'), archiveUser);            // Archive; requires no owned documents
+router.get('/', auth, requirePermission('user:manage'), getAllUsers);        // Only admin can list all users (consider adding pagination)
 
 export default router;
\ No newline at end of file
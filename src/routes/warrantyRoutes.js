@@ -0,0 +1,14 @@
+// src/routes/warrantyRoutes.js
+import express from 'express';
+import { getExpiringWarranties, searchWarranties } from '../controller/warrantyController.js';
+import { auth, requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+const readInvoices = requirePermission('invoice:read:own', 'invoice:read:department', 'invoice:read:any');
+
+// --- Warranties of invoiced products (limited to invoices visible to the caller) ---
+router.get('/expiring', auth, readInvoices, getExpiringWarranties); // ?days=30 (default 90), includeExpired=true, page, limit
+router.get('/', auth, readInvoices, searchWarranties);              // ?serialNumber=...&status=NONE|ACTIVE|EXPIRING|EXPIRED
+
+export default router;
@@ -11,7 +11,7 @@ const prisma = new PrismaClient();
 
 // Default credentials - WARNING: Extremely insecure for production
 const DEFAULT_ADMIN_USERNAME = 'admin';
-const DEFAULT_ADMIN_PASSWORD = 'admin123'; // CHANGE THIS IMMEDIATELY AFTER FIRST USE
+const DEFAULT_ADMIN_PASSWORD = 'admin123'; // Forced to change at first login (mustChangePassword)
 
 // Function to create an admin user if one doesn't exist
 const createAdminUser = async () => {
@@ -33,14 +33,16 @@ const createAdminUser = async () => {
         data: {
           username: DEFAULT_ADMIN_USERNAME,
           password: hashedPassword,
-          role: 'ADMIN'
+          role: 'ADMIN',
+          mustChangePassword: true // First login must replace the default password
         }
       });
 
       console.log(`Admin user created successfully! Username: ${newUser.username}`);
-      console.log(`Password: ${DEFAULT_ADMIN_PASSWORD} - !!! SECURITY WARNING: PLEASE CHANGE THIS PASSWORD IMMEDIATELY !!!`);
+      console.log(`Password: ${DEFAULT_ADMIN_PASSWORD} - a new password must be set at first login.`);
     } else {
       console.log('Admin user already exists. Seed script skipped admin creation.');
+      await flagDefaultAdminPassword();
     }
   } catch (error) {
     console.error('Error during admin user seed:', error);
@@ -56,6 +58,22 @@ const createAdminUser = async () => {
   }
 };
 
+// Admins seeded before forced password changes existed may still use the default password.
+// Flag such an account so its next login has to set a new one.
+const flagDefaultAdminPassword = async () => {
+  const defaultAdmin = await prisma.user.findUnique({
+    where: { username: DEFAULT_ADMIN_USERNAME },
+    select: { id: true, password: true, passwordChangedAt: true, mustChangePassword: true }
+  });
+  if (!defaultAdmin || defaultAdmin.mustChangePassword || defaultAdmin.passwordChangedAt) return;
+
+  const stillDefault = await bcrypt.compare(DEFAULT_ADMIN_PASSWORD, defaultAdmin.password);
+  if (stillDefault) {
+    await prisma.user.update({ where: { id: defaultAdmin.id }, data: { mustChangePassword: true } });
+    console.warn(`Default admin '${DEFAULT_ADMIN_USERNAME}' still uses the default password. A password change will be required at next login.`);
+  }
+};
+
 // Helper function to check if the script is run directly
 const isMainModuleExecution = () => {
   const currentFilePath = fileURLToPath(import.meta.url);
@@ -0,0 +1,29 @@
+// src/seeds/syncPurchaseOrderSupplyTypes.js
+// Brings the stored supply type (isInterState) of purchase orders in line with GST_HOME_STATE_CODE on startup:
+// orders saved before it was set (NULL) or before it changed. Orders without a GSTIN state stay unknown.
+import { PrismaClient } from '@prisma/client';
+import { HOME_STATE_CODE } from '../utils/gstin.js';
+
+const prisma = new PrismaClient();
+
+const syncPurchaseOrderSupplyTypes = async () => {
+  if (!HOME_STATE_CODE) return;
+  try {
+    const [intraState, interState] = await Promise.all([
+      prisma.purchaseOrder.updateMany({
+        where: { gstStateCode: HOME_STATE_CODE, OR: [{ isInterState: null }, { isInterState: true }] },
+        data: { isInterState: false }
+      }),
+      prisma.purchaseOrder.updateMany({
+        where: { gstStateCode: { not: null }, NOT: { gstStateCode: HOME_STATE_CODE }, OR: [{ isInterState: null }, { isInterState: false }] },
+        data: { isInterState: true }
+      })
+    ]);
+    const updated = intraState.count + interState.count;
+    if (updated > 0) console.log(`Supply type of ${updated} purchase orders updated for GST state ${HOME_STATE_CODE}`);
+  } catch (error) {
+    console.error('Error syncing purchase order supply types:', error);
+  }
+};
+
+export default syncPurchaseOrderSupplyTypes;
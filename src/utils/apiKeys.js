@@ -0,0 +1,56 @@
+// src/utils/apiKeys.js
+import crypto from 'crypto';
+import { PrismaClient } from '@prisma/client';
+import { hashToken } from './sessionTokens.js';
+import { REQUEST_USER_SELECT } from './permissions.js';
+
+const prisma = new PrismaClient();
+
+// Keys look like "cncc_<random>" so they are easy to spot in logs and secret scanners
+const API_KEY_PREFIX = 'cncc_';
+// Validity of a new key when the request does not specify one, and the longest allowed, in days
+export const API_KEY_DEFAULT_TTL_DAYS = parseInt(process.env.API_KEY_DEFAULT_TTL_DAYS || '90', 10);
+export const API_KEY_MAX_TTL_DAYS = parseInt(process.env.API_KEY_MAX_TTL_DAYS || '365', 10);
+// lastUsedAt is written at most this often per key, to avoid a database write on every request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/** Generates a new API key. Only `keyHash` and `keyPrefix` are stored; `key` is shown to the admin once. */
+export const generateApiKey = () => {
+  const key = API_KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+  return { key, keyPrefix: key.slice(0, API_KEY_PREFIX.length + 6), keyHash: hashToken(key) };
+};
+
+/**
+ * Resolves an `X-API-Key` header value to its key and service account and records its use.
+ * Throws an Error with `status` 401 when the key cannot be used.
+ */
+export const authenticateApiKey = async (key, ipAddress) => {
+  const invalid = (message) => Object.assign(new Error(message), { status: 401 });
+
+  if (typeof key !== 'string' || !key.startsWith(API_KEY_PREFIX)) throw invalid('Invalid API key');
+
+  const apiKey = await prisma.apiKey.findUnique({
+    where: { keyHash: hashToken(key) },
+    include: {
+      serviceAccount: {
+        select: REQUEST_USER_SELECT
+      }
+    }
+  });
+
+  if (!apiKey || !apiKey.serviceAccount.isServiceAccount) throw invalid('Invalid API key');
+  if (apiKey.revokedAt) throw invalid('API key has been revoked');
+  if (apiKey.expiresAt <= new Date()) throw invalid('API key expired');
+  if (!apiKey.serviceAccount.isActive) throw invalid('Account is deactivated');
+
+  const now = new Date();
+  await prisma.apiKey.updateMany({
+    where: {
+      id: apiKey.id,
+      OR: [{ lastUsedAt: null }, { lastUsedAt: { lt: new Date(now.getTime() - LAST_USED_RESOLUTION_MS) } }]
+    },
+    data: { lastUsedAt: now, lastUsedIp: ipAddress || null }
+  });
+
+  return apiKey;
+};
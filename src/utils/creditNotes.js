@@ -0,0 +1,90 @@
+// src/utils/creditNotes.js
+// Credit notes for goods returned against an invoice: line amounts (numbers come from src/utils/numberSeries.js).
+import { Decimal, roundMoney, sumMoney } from './money.js';
+
+// Invoice statuses credit notes can be issued against (drafts are not submitted yet, cancelled invoices owe nothing)
+export const CREDITABLE_INVOICE_STATUSES = ['SUBMITTED', 'VERIFIED', 'DISPUTED', 'PAID'];
+
+/**
+ * Computes credit note lines from `lines[]` ({ productId, quantity }) against the invoice's product lines.
+ * A returned quantity credits its share of the invoiced line after discount, with the line's GST rate and the
+ * invoice's CGST+SGST / IGST split. `creditedQuantities` maps product IDs to quantities already credited by other
+ * credit notes; an invoice line can never be credited beyond its invoiced quantity.
+ *
+ * Returns { errors, lines, totals } like `calculateInvoiceGst`: `lines` are ready for `lines.create`,
+ * `totals` match the CreditNote amount columns.
+ */
+export const calculateCreditNoteLines = (invoice, lines, creditedQuantities = {}) => {
+  const errors = [];
+  const zero = new Decimal(0);
+
+  if (!Array.isArray(lines) || lines.length === 0) {
+    return { errors: [{ field: 'lines', message: 'Lines must be a non-empty array of { productId, quantity }' }], lines: [], totals: {} };
+  }
+
+  const requested = {};
+  const creditLines = lines.map((line, index) => {
+    const field = (name) => `lines[${index}].${name}`;
+    const product = invoice.products.find(candidate => candidate.id === line?.productId);
+    const quantity = Number(line?.quantity);
+
+    if (!product) {
+      errors.push({ field: field('productId'), message: `Product line ${line?.productId} is not on invoice ${invoice.id}` });
+      return null;
+    }
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      errors.push({ field: field('quantity'), message: 'Quantity must be a positive whole number' });
+      return null;
+    }
+
+    requested[product.id] = (requested[product.id] || 0) + quantity;
+    const available = product.quantity - (creditedQuantities[product.id] || 0);
+    if (requested[product.id] > available) {
+      errors.push({
+        field: field('quantity'),
+        message: `Only ${Math.max(available, 0)} of ${product.quantity} x ${product.productName} can still be credited`
+      });
+      return null;
+    }
+
+    const gstRate = new Decimal(product.gstRate);
+    const taxableAmount = roundMoney(new Decimal(product.taxableAmount).times(quantity).dividedBy(product.quantity));
+    const cgstAmount = invoice.isInterState ? zero : roundMoney(taxableAmount.times(gstRate).dividedBy(200));
+    const sgstAmount = cgstAmount;
+    const igstAmount = invoice.isInterState ? roundMoney(taxableAmount.times(gstRate).dividedBy(100)) : zero;
+
+    return {
+      productId: product.id,
+      productName: product.productName,
+      serialNumber: product.serialNumber,
+      quantity,
+      price: product.price,
+      gstRate,
+      taxableAmount,
+      cgstAmount,
+      sgstAmount,
+      igstAmount,
+      lineTotal: sumMoney([taxableAmount, cgstAmount, sgstAmount, igstAmount])
+    };
+  });
+
+  if (errors.length > 0) return { errors, lines: [], totals: {} };
+
+  const sumOf = (key) => sumMoney(creditLines.map(line => line[key]));
+  const totals = {
+    taxableAmount: sumOf('taxableAmount'),
+    cgstAmount: sumOf('cgstAmount'),
+    sgstAmount: sumOf('sgstAmount'),
+    igstAmount: sumOf('igstAmount')
+  };
+  totals.totalAmount = sumMoney([totals.taxableAmount, totals.cgstAmount, totals.sgstAmount, totals.igstAmount]);
+
+  return { errors, lines: creditLines, totals };
+};
+
+/** Quantities already credited per invoice line, from credit note lines ({ productId, quantity }). */
+export const creditedQuantitiesOf = (creditNoteLines) =>
+  creditNoteLines.reduce((quantities, line) => {
+    if (line.productId) quantities[line.productId] = (quantities[line.productId] || 0) + line.quantity;
+    return quantities;
+  }, {});
@@ -0,0 +1,48 @@
+// src/utils/documentLinks.js
+// Links between documents set by clients (invoice -> purchase order, stock entry -> invoice and invoice line).
+import { PrismaClient } from '@prisma/client';
+import { canAccessDocument, userSharesSelect } from './permissions.js';
+
+const prisma = new PrismaClient();
+
+const LINK_TARGETS = {
+  invoice: { model: prisma.invoice, label: 'Invoice' },
+  purchaseOrder: { model: prisma.purchaseOrder, label: 'Purchase order' }
+};
+
+/**
+ * Resolves a link field sent by a client: undefined keeps the current link, null or '' removes it,
+ * otherwise the document must exist and be readable by the user. Throws a 400 error carrying `field` otherwise.
+ */
+export const resolveDocumentLink = async (user, resource, value, field) => {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+
+  const { model, label } = LINK_TARGETS[resource];
+  const document = await model.findUnique({
+    where: { id: String(value) },
+    select: { id: true, userId: true, departmentId: true, ...userSharesSelect(user) }
+  });
+  if (!document || !canAccessDocument(user, resource, 'read', document)) {
+    throw Object.assign(new Error(`${label} ${value} not found`), { status: 400, field });
+  }
+  return document.id;
+};
+
+/**
+ * Resolves an invoice line (Product) link like `resolveDocumentLink`; the line's invoice must be readable.
+ * Returns { id, invoiceId }, null to unlink or undefined to keep the current link.
+ */
+export const resolveInvoiceLine = async (user, value, field) => {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+
+  const line = await prisma.product.findUnique({
+    where: { id: String(value) },
+    select: { id: true, invoiceId: true, invoice: { select: { userId: true, departmentId: true, ...userSharesSelect(user) } } }
+  });
+  if (!line || !canAccessDocument(user, 'invoice', 'read', line.invoice)) {
+    throw Object.assign(new Error(`Invoice line ${value} not found`), { status: 400, field });
+  }
+  return { id: line.id, invoiceId: line.invoiceId };
+};
@@ -0,0 +1,178 @@
+// src/utils/duplicateInvoices.js
+// Probable duplicate invoices: the same vendor bill entered twice, possibly by different users under different IDs.
+import { PrismaClient } from '@prisma/client';
+import { Decimal, formatMoney } from './money.js';
+import { parseFormBoolean } from './gst.js';
+import { documentScopeFilter } from './permissions.js';
+
+const prisma = new PrismaClient();
+
+// Totals this close count as the same amount (rounding differences, a missed paisa)
+export const DUPLICATE_AMOUNT_TOLERANCE = new Decimal(process.env.DUPLICATE_INVOICE_AMOUNT_TOLERANCE || '1.00');
+// Purchase dates this many days apart count as the same date (bill date vs. receipt date)
+export const DUPLICATE_DATE_WINDOW_DAYS = parseInt(process.env.DUPLICATE_INVOICE_DATE_WINDOW_DAYS || '3', 10);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fields shown for a suspected duplicate the caller may read; enough to recognise the bill
+export const DUPLICATE_SUMMARY_SELECT = {
+  id: true,
+  vendorName: true,
+  orderOrSerialNumber: true,
+  purchaseDate: true,
+  totalAmount: true,
+  status: true,
+  createdAt: true,
+  user: { select: { id: true, username: true } }
+};
+
+// Vendor names and bill numbers compare trimmed and case-insensitively (like the MySQL collation)
+const normalize = (value) => (value || '').trim().toLowerCase();
+
+/**
+ * Fields on which two invoices look like the same bill, or null when they do not: the same vendor and
+ * either the same bill number (orderOrSerialNumber) or purchase dates and totals within the tolerances.
+ */
+export const duplicateMatch = (invoice, other) => {
+  if (normalize(invoice.vendorName) !== normalize(other.vendorName)) return null;
+
+  const sameNumber = Boolean(normalize(invoice.orderOrSerialNumber)) && normalize(invoice.orderOrSerialNumber) === normalize(other.orderOrSerialNumber);
+  const daysApart = Math.abs(new Date(invoice.purchaseDate) - new Date(other.purchaseDate)) / DAY_MS;
+  const sameDateAndAmount = daysApart <= DUPLICATE_DATE_WINDOW_DAYS &&
+    new Decimal(invoice.totalAmount).minus(other.totalAmount).abs().lessThanOrEqualTo(DUPLICATE_AMOUNT_TOLERANCE);
+
+  if (!sameNumber && !sameDateAndAmount) return null;
+  return ['vendorName', ...(sameNumber ? ['orderOrSerialNumber'] : []), ...(sameDateAndAmount ? ['purchaseDate', 'totalAmount'] : [])];
+};
+
+/** Existing invoices (not cancelled, other than `excludeId`) that look like the same bill as `invoice`. */
+export const findSuspectedDuplicates = async (invoice, excludeId) => {
+  const purchaseDate = new Date(invoice.purchaseDate);
+  const totalAmount = new Decimal(invoice.totalAmount);
+  const orderOrSerialNumber = (invoice.orderOrSerialNumber || '').trim();
+
+  const candidates = await prisma.invoice.findMany({
+    where: {
+      ...(excludeId ? { id: { not: excludeId } } : {}),
+      status: { not: 'CANCELLED' },
+      vendorName: invoice.vendorName.trim(),
+      OR: [
+        ...(orderOrSerialNumber ? [{ orderOrSerialNumber }] : []),
+        {
+          purchaseDate: {
+            gte: new Date(purchaseDate.getTime() - DUPLICATE_DATE_WINDOW_DAYS * DAY_MS),
+            lte: new Date(purchaseDate.getTime() + DUPLICATE_DATE_WINDOW_DAYS * DAY_MS)
+          },
+          totalAmount: { gte: totalAmount.minus(DUPLICATE_AMOUNT_TOLERANCE), lte: totalAmount.plus(DUPLICATE_AMOUNT_TOLERANCE) }
+        }
+      ]
+    },
+    select: DUPLICATE_SUMMARY_SELECT,
+    orderBy: { createdAt: 'asc' }
+  });
+
+  return candidates
+    .map(candidate => ({ ...candidate, matchedOn: duplicateMatch(invoice, candidate) }))
+    .filter(candidate => candidate.matchedOn);
+};
+
+// IDs of the suspected duplicates `user` may read (see documentScopeFilter)
+const readableIds = async (user, duplicates) => {
+  const scope = documentScopeFilter(user, 'invoice');
+  if (!scope) return new Set();
+  const readable = await prisma.invoice.findMany({
+    where: { AND: [scope, { id: { in: duplicates.map(duplicate => duplicate.id) } }] },
+    select: { id: true }
+  });
+  return new Set(readable.map(duplicate => duplicate.id));
+};
+
+/**
+ * Duplicate check of a create or update by `user`. Returns the 409 response body, or null when there are no suspected
+ * duplicates or the client confirmed (`confirmDuplicate`). The body lists the duplicates the user may read; others
+ * only set `possibleDuplicateHidden`. Updates (`current` = stored invoice) are only checked when vendor, bill number,
+ * purchase date or total changed, so a confirmed duplicate is not flagged on every edit.
+ */
+export const duplicateInvoiceConflict = async (invoice, { user, id, current = null, confirmDuplicate } = {}) => {
+  if (parseFormBoolean(confirmDuplicate)) return null;
+  if (current &&
+      normalize(current.vendorName) === normalize(invoice.vendorName) &&
+      normalize(current.orderOrSerialNumber) === normalize(invoice.orderOrSerialNumber) &&
+      new Date(current.purchaseDate).getTime() === new Date(invoice.purchaseDate).getTime() &&
+      new Decimal(current.totalAmount).equals(invoice.totalAmount)) {
+    return null;
+  }
+
+  const suspected = await findSuspectedDuplicates(invoice, id);
+  if (suspected.length === 0) return null;
+  const readable = await readableIds(user, suspected);
+  const duplicates = suspected.filter(duplicate => readable.has(duplicate.id));
+  return {
+    message: `This looks like ${duplicates.length > 1 ? `${duplicates.length} invoices that were` : 'an invoice that was'} already entered ` +
+      `(${invoice.vendorName}, ${formatMoney(invoice.totalAmount)}). Send confirmDuplicate=true to save it anyway.`,
+    duplicates,
+    possibleDuplicateHidden: duplicates.length < suspected.length
+  };
+};
+
+/**
+ * Groups invoices that look like the same bill (see `duplicateMatch`); invoices matching one member join its group.
+ * Returns [{ vendorName, matchedOn, invoices }] for groups of two or more, invoices oldest first.
+ */
+export const groupDuplicates = (invoices) => {
+  // Union-find over invoice indexes
+  const parent = invoices.map((invoice, index) => index);
+  const root = (index) => (parent[index] === index ? index : (parent[index] = root(parent[index])));
+  const matchedOn = new Map();
+  const join = (a, b, fields) => {
+    const [rootA, rootB] = [root(a), root(b)];
+    const fieldsOfGroup = new Set([...(matchedOn.get(rootA) || []), ...(matchedOn.get(rootB) || []), ...fields]);
+    parent[rootB] = rootA;
+    matchedOn.delete(rootB);
+    matchedOn.set(rootA, fieldsOfGroup);
+  };
+
+  const byVendor = new Map();
+  invoices.forEach((invoice, index) => {
+    const vendor = normalize(invoice.vendorName);
+    if (!byVendor.has(vendor)) byVendor.set(vendor, []);
+    byVendor.get(vendor).push(index);
+  });
+
+  for (const indexes of byVendor.values()) {
+    // Same bill number: compare with the first invoice carrying it
+    const firstWithNumber = new Map();
+    for (const index of indexes) {
+      const number = normalize(invoices[index].orderOrSerialNumber);
+      if (!number) continue;
+      if (firstWithNumber.has(number)) join(firstWithNumber.get(number), index, duplicateMatch(invoices[index], invoices[firstWithNumber.get(number)]));
+      else firstWithNumber.set(number, index);
+    }
+
+    // Date and amount: only invoices within the date window of each other can match
+    const byDate = [...indexes].sort((a, b) => new Date(invoices[a].purchaseDate) - new Date(invoices[b].purchaseDate));
+    byDate.forEach((index, position) => {
+      for (let next = position + 1; next < byDate.length; next++) {
+        const other = byDate[next];
+        if ((new Date(invoices[other].purchaseDate) - new Date(invoices[index].purchaseDate)) / DAY_MS > DUPLICATE_DATE_WINDOW_DAYS) break;
+        const fields = duplicateMatch(invoices[index], invoices[other]);
+        if (fields) join(index, other, fields);
+      }
+    });
+  }
+
+  const groups = new Map();
+  invoices.forEach((invoice, index) => {
+    const groupRoot = root(index);
+    if (!groups.has(groupRoot)) groups.set(groupRoot, []);
+    groups.get(groupRoot).push(invoice);
+  });
+
+  return [...groups.entries()]
+    .filter(([, members]) => members.length > 1)
+    .map(([groupRoot, members]) => ({
+      vendorName: members[0].vendorName,
+      matchedOn: [...matchedOn.get(groupRoot)],
+      invoices: members.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+    }));
+};
@@ -0,0 +1,63 @@
+// src/utils/goodsReceipts.js
+// Goods receipts against purchase order items and the fulfilment status derived from them:
+//   OPEN -> PARTIALLY_RECEIVED -> FULLY_RECEIVED, or CLOSED once a user closes the order (nothing more expected).
+// Each item keeps the sum of its receipts in `receivedQuantity`.
+import { FulfilmentStatus } from '@prisma/client';
+import { roundMoney, sumMoney } from './money.js';
+
+export const FULFILMENT_STATUSES = Object.values(FulfilmentStatus);
+
+// Statuses in which deliveries are still expected
+export const RECEIVABLE_FULFILMENT_STATUSES = ['OPEN', 'PARTIALLY_RECEIVED'];
+
+/** Ordered, received and outstanding quantity (and value at the PO rate) of an item. */
+export const itemFulfilment = (item) => {
+  const outstandingQuantity = Math.max(item.quantity - item.receivedQuantity, 0);
+  return {
+    itemId: item.id,
+    description: item.description,
+    rate: item.rate,
+    orderedQuantity: item.quantity,
+    receivedQuantity: item.receivedQuantity,
+    outstandingQuantity,
+    outstandingValue: roundMoney(item.rate).times(outstandingQuantity)
+  };
+};
+
+/** Fulfilment status of an order from its items (quantity, receivedQuantity) and closedAt. */
+export const deriveFulfilmentStatus = (items, closedAt) => {
+  if (closedAt) return 'CLOSED';
+  if (items.every(item => item.receivedQuantity === 0)) return 'OPEN';
+  return items.every(item => item.receivedQuantity >= item.quantity) ? 'FULLY_RECEIVED' : 'PARTIALLY_RECEIVED';
+};
+
+/**
+ * Locks a purchase order row for the rest of transaction `tx`, so receipts and item changes of one order run
+ * one after the other (their quantity checks then see each other's results). Returns false when the order
+ * does not exist or does not match `where` (e.g. a status condition).
+ */
+export const lockPurchaseOrder = async (tx, id, where = {}) => {
+  const { count } = await tx.purchaseOrder.updateMany({ where: { ...where, id }, data: { updatedAt: new Date() } });
+  return count > 0;
+};
+
+/** Recomputes and stores the fulfilment status of an order inside transaction `tx`; returns the status. */
+export const refreshFulfilmentStatus = async (tx, purchaseOrderId) => {
+  const purchaseOrder = await tx.purchaseOrder.findUnique({
+    where: { id: purchaseOrderId },
+    select: { closedAt: true, items: { select: { quantity: true, receivedQuantity: true } } }
+  });
+  const fulfilmentStatus = deriveFulfilmentStatus(purchaseOrder.items, purchaseOrder.closedAt);
+  await tx.purchaseOrder.update({ where: { id: purchaseOrderId }, data: { fulfilmentStatus } });
+  return fulfilmentStatus;
+};
+
+/** Outstanding quantity and value of an order's items (itemFulfilment of each item still owed). */
+export const outstandingItems = (items) =>
+  items.map(itemFulfilment).filter(item => item.outstandingQuantity > 0);
+
+/** Totals of a list of outstanding items. */
+export const outstandingTotals = (items) => ({
+  outstandingQuantity: items.reduce((total, item) => total + item.outstandingQuantity, 0),
+  outstandingValue: sumMoney(items.map(item => item.outstandingValue))
+});
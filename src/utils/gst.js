@@ -0,0 +1,99 @@
+// src/utils/gst.js
+import { Decimal, roundMoney, parseMoney, sumMoney, formatMoney } from './money.js';
+
+// GST slabs accepted on product lines (percent)
+export const GST_RATES = [0, 0.1, 0.25, 1.5, 3, 5, 12, 18, 28];
+
+// Largest accepted difference between a client-sent total and the computed one (rounding of the client's own maths)
+export const TOTAL_TOLERANCE = new Decimal(process.env.INVOICE_TOTAL_TOLERANCE || '0.01');
+
+// HSN codes (goods) have 4, 6 or 8 digits, SAC codes (services) 6
+const HSN_SAC_PATTERN = /^(\d{4}|\d{6}|\d{8})$/;
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+/** Reads a boolean sent as JSON or as a multipart form field ("true"/"1"). */
+export const parseFormBoolean = (value) => value === true || value === 'true' || value === '1';
+
+/**
+ * Computes line amounts and invoice totals from `products[]` (quantity, price, optional discount amount,
+ * gstRate and hsnSacCode). Intra-state supplies split the tax into CGST + SGST (half each), inter-state
+ * supplies carry IGST. When `totalAmount` is given it must match the computed grand total.
+ *
+ * Returns { errors, products, totals }; `errors` lists { field, message } (e.g. field "products[1].gstRate")
+ * and is empty when the input is acceptable. `products` are ready for `products.create`, `totals` match the
+ * Invoice amount columns.
+ */
+export const calculateInvoiceGst = (products, { isInterState = false, totalAmount } = {}) => {
+  const errors = [];
+  const zero = new Decimal(0);
+
+  const lines = products.map((product, index) => {
+    const field = (name) => `products[${index}].${name}`;
+    const quantity = Number(product.quantity);
+    const price = parseMoney(product.price);
+    const discount = isBlank(product.discount) ? zero : parseMoney(product.discount);
+    const gstRate = isBlank(product.gstRate) ? 0 : Number(product.gstRate);
+    const hsnSacCode = isBlank(product.hsnSacCode) ? null : String(product.hsnSacCode).trim();
+
+    if (!Number.isInteger(quantity) || quantity < 1) errors.push({ field: field('quantity'), message: 'Quantity must be a positive whole number' });
+    if (!price || price.isNegative()) errors.push({ field: field('price'), message: 'Price must be a non-negative amount' });
+    if (!GST_RATES.includes(gstRate)) errors.push({ field: field('gstRate'), message: `GST rate must be one of: ${GST_RATES.join(', ')}` });
+    if (hsnSacCode && !HSN_SAC_PATTERN.test(hsnSacCode)) errors.push({ field: field('hsnSacCode'), message: 'HSN/SAC code must have 4, 6 or 8 digits' });
+
+    const gross = price && Number.isInteger(quantity) ? roundMoney(price.times(quantity)) : zero;
+    if (!discount || discount.isNegative() || discount.greaterThan(gross)) {
+      errors.push({ field: field('discount'), message: 'Discount must be an amount between 0 and quantity * price' });
+    }
+
+    // Invalid values are reported above; zeros keep the arithmetic below safe until the request is rejected
+    const lineDiscount = discount || zero;
+    const taxableAmount = gross.minus(lineDiscount);
+    const cgstAmount = isInterState ? zero : roundMoney(taxableAmount.times(gstRate || 0).dividedBy(200));
+    const sgstAmount = cgstAmount;
+    const igstAmount = isInterState ? roundMoney(taxableAmount.times(gstRate || 0).dividedBy(100)) : zero;
+
+    return {
+      productName: product.productName,
+      serialNumber: product.serialNumber,
+      warrantyYears: parseInt(product.warrantyYears || 0, 10),
+      quantity,
+      price,
+      hsnSacCode,
+      gstRate,
+      discount: lineDiscount,
+      taxableAmount,
+      cgstAmount,
+      sgstAmount,
+      igstAmount,
+      lineTotal: sumMoney([taxableAmount, cgstAmount, sgstAmount, igstAmount]),
+      gross // Not stored; summed into subTotal below
+    };
+  });
+
+  const sumOf = (key) => sumMoney(lines.map(line => line[key]));
+  const totals = {
+    subTotal: sumOf('gross'),
+    discountTotal: sumOf('discount'),
+    taxableAmount: sumOf('taxableAmount'),
+    cgstAmount: sumOf('cgstAmount'),
+    sgstAmount: sumOf('sgstAmount'),
+    igstAmount: sumOf('igstAmount')
+  };
+  totals.totalAmount = sumMoney([totals.taxableAmount, totals.cgstAmount, totals.sgstAmount, totals.igstAmount]); // Grand total
+
+  if (!isBlank(totalAmount) && errors.length === 0) {
+    const declared = parseMoney(totalAmount);
+    if (!declared) {
+      errors.push({ field: 'totalAmount', message: 'Total amount must be a number' });
+    } else if (declared.minus(totals.totalAmount).abs().greaterThan(TOTAL_TOLERANCE)) {
+      errors.push({
+        field: 'totalAmount',
+        message: `Total amount ${formatMoney(declared)} does not match the computed grand total ${formatMoney(totals.totalAmount)}`,
+        expected: formatMoney(totals.totalAmount)
+      });
+    }
+  }
+
+  return { errors, products: lines.map(({ gross, ...line }) => line), totals };
+};
@@ -0,0 +1,165 @@
+// src/utils/gstin.js
+// GSTIN (GST identification number) validation and place of supply.
+// A GSTIN has 15 characters: state code (2 digits), PAN of the holder (10), entity number (1), "Z", check character.
+// Supplies from a vendor registered in our own state carry CGST + SGST, from any other state IGST.
+
+const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+const CHECKSUM_CHARACTERS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+// GST state codes
+export const GST_STATE_CODES = {
+  '01': 'Jammu and Kashmir',
+  '02': 'Himachal Pradesh',
+  '03': 'Punjab',
+  '04': 'Chandigarh',
+  '05': 'Uttarakhand',
+  '06': 'Haryana',
+  '07': 'Delhi',
+  '08': 'Rajasthan',
+  '09': 'Uttar Pradesh',
+  '10': 'Bihar',
+  '11': 'Sikkim',
+  '12': 'Arunachal Pradesh',
+  '13': 'Nagaland',
+  '14': 'Manipur',
+  '15': 'Mizoram',
+  '16': 'Tripura',
+  '17': 'Meghalaya',
+  '18': 'Assam',
+  '19': 'West Bengal',
+  '20': 'Jharkhand',
+  '21': 'Odisha',
+  '22': 'Chhattisgarh',
+  '23': 'Madhya Pradesh',
+  '24': 'Gujarat',
+  '25': 'Daman and Diu',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu',
+  '27': 'Maharashtra',
+  '28': 'Andhra Pradesh (before 2014)',
+  '29': 'Karnataka',
+  '30': 'Goa',
+  '31': 'Lakshadweep',
+  '32': 'Kerala',
+  '33': 'Tamil Nadu',
+  '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands',
+  '36': 'Telangana',
+  '37': 'Andhra Pradesh',
+  '38': 'Ladakh',
+  '97': 'Other Territory',
+  '99': 'Centre Jurisdiction'
+};
+
+// Our own GST state (two-digit code, e.g. "29" for Karnataka). Without it the supply type cannot be decided.
+export const HOME_STATE_CODE = GST_STATE_CODES[process.env.GST_HOME_STATE_CODE] ? process.env.GST_HOME_STATE_CODE : null;
+if (process.env.GST_HOME_STATE_CODE && !HOME_STATE_CODE) {
+  console.warn(`GST_HOME_STATE_CODE "${process.env.GST_HOME_STATE_CODE}" is not a GST state code; inter-state supplies will not be detected.`);
+}
+
+/** Trimmed, upper-case GSTIN for storing and comparing ('' for blank input). */
+export const normalizeGstin = (value) => String(value ?? '').trim().toUpperCase();
+
+/** Check character of the first 14 characters of a GSTIN (Luhn mod 36). */
+export const gstinCheckCharacter = (first14) => {
+  let sum = 0;
+  [...first14].forEach((character, index) => {
+    const product = CHECKSUM_CHARACTERS.indexOf(character) * (index % 2 === 0 ? 1 : 2);
+    sum += Math.floor(product / 36) + (product % 36);
+  });
+  return CHECKSUM_CHARACTERS[(36 - (sum % 36)) % 36];
+};
+
+/**
+ * Validates a GSTIN. Returns { gstin, stateCode, stateName, pan } for a valid one (normalized),
+ * otherwise { error } with the reason.
+ */
+export const parseGstin = (value) => {
+  const gstin = normalizeGstin(value);
+  if (gstin.length !== 15) return { error: 'GSTIN must have 15 characters' };
+  if (!GSTIN_PATTERN.test(gstin)) {
+    return { error: 'GSTIN must be a state code, a PAN, an entity number, "Z" and a check character (e.g. 27AAPFU0939F1ZV)' };
+  }
+  const stateCode = gstin.slice(0, 2);
+  if (!GST_STATE_CODES[stateCode]) return { error: `GSTIN state code ${stateCode} is not a GST state code` };
+  if (gstinCheckCharacter(gstin.slice(0, 14)) !== gstin[14]) return { error: 'GSTIN check character does not match; check for typing errors' };
+  return { gstin, stateCode, stateName: GST_STATE_CODES[stateCode], pan: gstin.slice(2, 12) };
+};
+
+/** True when a supply from `stateCode` is inter-state (IGST), false for our own state (CGST + SGST), null when unknown. */
+export const isInterStateSupply = (stateCode) =>
+  stateCode && HOME_STATE_CODE ? stateCode !== HOME_STATE_CODE : null;
+
+/**
+ * Supply type of a purchase order from its vendor GSTIN ({ gstStateCode, gstNumber }) and the current
+ * GST_HOME_STATE_CODE: true inter-state, false intra-state, null when unknown. Prefer it to the stored
+ * isInterState, which is only as current as the last save or startup sync (syncPurchaseOrderSupplyTypes).
+ */
+export const supplyTypeOf = ({ gstStateCode, gstNumber }) => {
+  const stateCode = gstStateCode || (GSTIN_PATTERN.test(normalizeGstin(gstNumber)) ? normalizeGstin(gstNumber).slice(0, 2) : null);
+  return isInterStateSupply(stateCode);
+};
+
+/**
+ * Purchase order columns for a `gstNumber` sent by a client: { data: { gstNumber, gstStateCode, isInterState } }
+ * with the GSTIN normalized, or { error } when it is invalid. Blank clears all three.
+ */
+export const gstinColumns = (value) => {
+  if (normalizeGstin(value) === '') return { data: { gstNumber: null, gstStateCode: null, isInterState: null } };
+  const parsed = parseGstin(value);
+  if (parsed.error) return { error: parsed.error };
+  return { data: { gstNumber: parsed.gstin, gstStateCode: parsed.stateCode, isInterState: isInterStateSupply(parsed.stateCode) } };
+};
+
+// Vendor names compared case- and spacing-insensitively
+const vendorKey = (vendorName) => String(vendorName || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * Vendors seen with more than one GSTIN, from purchase order counts per (vendorName, gstNumber):
+ * rows of { vendorName, gstNumber, purchaseOrders, firstOrderDate, lastOrderDate }.
+ * `samePan` tells registrations of one business in several states (usually fine) from different businesses
+ * or typing errors; invalid GSTINs (stored before validation) carry their error.
+ */
+export const inconsistentVendorGstins = (rows) => {
+  const vendors = new Map();
+  rows.forEach(row => {
+    const key = vendorKey(row.vendorName);
+    if (!vendors.has(key)) vendors.set(key, { names: new Map(), gstins: new Map() });
+    const vendor = vendors.get(key);
+    vendor.names.set(row.vendorName, (vendor.names.get(row.vendorName) || 0) + row.purchaseOrders);
+
+    const gstin = normalizeGstin(row.gstNumber);
+    const entry = vendor.gstins.get(gstin);
+    if (entry) { // Same GSTIN stored with different case or spelling of the vendor name
+      entry.purchaseOrders += row.purchaseOrders;
+      if (row.firstOrderDate < entry.firstOrderDate) entry.firstOrderDate = row.firstOrderDate;
+      if (row.lastOrderDate > entry.lastOrderDate) entry.lastOrderDate = row.lastOrderDate;
+      return;
+    }
+    const parsed = parseGstin(gstin);
+    vendor.gstins.set(gstin, {
+      gstNumber: gstin,
+      valid: !parsed.error,
+      error: parsed.error || null,
+      stateCode: parsed.stateCode || null,
+      stateName: parsed.stateName || null,
+      pan: parsed.pan || null,
+      purchaseOrders: row.purchaseOrders,
+      firstOrderDate: row.firstOrderDate,
+      lastOrderDate: row.lastOrderDate
+    });
+  });
+
+  return [...vendors.values()]
+    .filter(vendor => vendor.gstins.size > 1)
+    .map(vendor => {
+      const gstins = [...vendor.gstins.values()].sort((a, b) => b.purchaseOrders - a.purchaseOrders);
+      const pans = new Set(gstins.map(gstin => gstin.pan));
+      return {
+        vendorName: [...vendor.names.entries()].sort((a, b) => b[1] - a[1])[0][0], // Most used spelling
+        vendorNames: [...vendor.names.keys()],
+        samePan: pans.size === 1 && !pans.has(null),
+        purchaseOrders: gstins.reduce((total, gstin) => total + gstin.purchaseOrders, 0),
+        gstins
+      };
+    });
+};
@@ -0,0 +1,110 @@
+// src/utils/invoiceLifecycle.js
+// Invoice status lifecycle, payment terms and overdue detection.
+//   DRAFT -> SUBMITTED -> VERIFIED -> PAID, with DISPUTED (on hold) and CANCELLED on the side.
+//   Editing the content of a VERIFIED invoice sends it back to SUBMITTED.
+import { InvoiceStatus, PaymentMode } from '@prisma/client';
+import { Decimal } from './money.js';
+
+export const INVOICE_STATUSES = Object.values(InvoiceStatus);
+export const PAYMENT_MODES = Object.values(PaymentMode);
+
+// Payment terms used when an invoice does not specify its own (net days after the purchase date)
+export const DEFAULT_PAYMENT_TERMS_DAYS = parseInt(process.env.INVOICE_PAYMENT_TERMS_DAYS || '30', 10);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Allowed transitions and who may perform them: 'owner' means anyone who may edit the invoice
+// (owner, invoice:update:any or an EDIT share), otherwise the named permission.
+export const INVOICE_STATUS_TRANSITIONS = {
+  DRAFT: { SUBMITTED: 'owner', CANCELLED: 'owner' },
+  SUBMITTED: { DRAFT: 'owner', VERIFIED: 'invoice:verify', DISPUTED: 'invoice:verify', CANCELLED: 'invoice:verify' },
+  VERIFIED: { PAID: 'invoice:payment', DISPUTED: 'invoice:verify', CANCELLED: 'invoice:verify' },
+  DISPUTED: { SUBMITTED: 'owner', VERIFIED: 'invoice:verify', CANCELLED: 'invoice:verify' },
+  PAID: {},
+  CANCELLED: {}
+};
+
+// Statuses in which the invoice content (header, products, totals) can no longer change
+export const LOCKED_INVOICE_STATUSES = ['PAID', 'CANCELLED'];
+
+// Statuses in which an unpaid balance is actually owed
+const PAYABLE_STATUSES = ['SUBMITTED', 'VERIFIED', 'DISPUTED'];
+
+/**
+ * Checks a status change. Returns null when allowed, otherwise an error message;
+ * `hasPermission(name)` checks the caller's permissions and `canEditInvoice` tells whether the caller counts
+ * as 'owner' for this invoice.
+ */
+export const checkStatusTransition = (invoice, nextStatus, hasPermission, canEditInvoice) => {
+  if (!INVOICE_STATUSES.includes(nextStatus)) {
+    return `Status must be one of: ${INVOICE_STATUSES.join(', ')}`;
+  }
+  const required = INVOICE_STATUS_TRANSITIONS[invoice.status][nextStatus];
+  if (!required) {
+    const allowed = Object.keys(INVOICE_STATUS_TRANSITIONS[invoice.status]);
+    return `Cannot change status from ${invoice.status} to ${nextStatus}` +
+      (allowed.length > 0 ? ` (allowed: ${allowed.join(', ')})` : ` (${invoice.status} is final)`);
+  }
+  if (required === 'owner' ? !canEditInvoice : !hasPermission(required)) {
+    return `Not authorized to change status from ${invoice.status} to ${nextStatus}`;
+  }
+  if (nextStatus === 'PAID' && new Decimal(invoice.outstandingAmount).greaterThan(0)) {
+    return 'Invoice still has an outstanding balance; record the remaining payments first';
+  }
+  if (nextStatus === 'CANCELLED' && new Decimal(invoice.amountPaid).greaterThan(0)) {
+    return 'Invoice has recorded payments; delete them before cancelling';
+  }
+  if (nextStatus === 'CANCELLED' && new Decimal(invoice.creditedAmount).greaterThan(0)) {
+    return 'Invoice has credit notes; delete them before cancelling';
+  }
+  return null;
+};
+
+/**
+ * Status fields to save with a content edit (header, products, totals): the verification of a VERIFIED invoice
+ * no longer holds, so it goes back to SUBMITTED to be verified again. Other statuses are kept.
+ */
+export const statusAfterContentEdit = (invoice, now = new Date()) =>
+  invoice.status === 'VERIFIED'
+    ? { status: 'SUBMITTED', statusChangedAt: now, statusNote: 'Edited after verification' }
+    : {};
+
+/** Parses payment terms in days (0-365). Returns null when invalid. */
+export const parsePaymentTerms = (value) => {
+  const days = Number(value);
+  return Number.isInteger(days) && days >= 0 && days <= 365 ? days : null;
+};
+
+/** Due date of an invoice: purchase date plus payment terms. */
+export const calculateDueDate = (purchaseDate, paymentTermsDays) =>
+  new Date(new Date(purchaseDate).getTime() + paymentTermsDays * DAY_MS);
+
+/** Prisma filter for overdue invoices: past due, unpaid balance, still payable. */
+export const overdueInvoiceWhere = (now = new Date()) => ({
+  dueDate: { lt: now },
+  outstandingAmount: { gt: 0 },
+  status: { in: PAYABLE_STATUSES }
+});
+
+/** Prisma filter for invoices that are not overdue (the complement of overdueInvoiceWhere). */
+export const notOverdueInvoiceWhere = (now = new Date()) => ({
+  OR: [
+    { dueDate: null },
+    { dueDate: { gte: now } },
+    { outstandingAmount: { lte: 0 } },
+    { status: { notIn: PAYABLE_STATUSES } }
+  ]
+});
+
+/** Adds `isOverdue` and `daysOverdue` to an invoice loaded from the database. */
+export const withOverdueInfo = (invoice, now = new Date()) => {
+  const isOverdue = Boolean(invoice.dueDate) &&
+    new Date(invoice.dueDate) < now &&
+    new Decimal(invoice.outstandingAmount).greaterThan(0) &&
+    PAYABLE_STATUSES.includes(invoice.status);
+  return {
+    ...invoice,
+    isOverdue,
+    daysOverdue: isOverdue ? Math.floor((now.getTime() - new Date(invoice.dueDate).getTime()) / DAY_MS) : 0
+  };
+};
@@ -0,0 +1,85 @@
+// src/utils/lineChanges.js
+// Line item changes sent to the PATCH endpoints of invoices (products) and purchase orders (items):
+//   { "add": [{ ...line }], "update": [{ "id": "...", ...changedFields }], "remove": ["lineId", ...] }
+// Lines that are not mentioned keep their ID and values.
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Parses a line changes object (JSON or a multipart string). Returns { changes, errors };
+ * `errors` lists { field, message } like the GST validation and is empty when the input is usable.
+ */
+export const parseLineChanges = (value, field) => {
+  let changes;
+  try {
+    changes = typeof value === 'string' ? JSON.parse(value) : value;
+  } catch {
+    return { changes: null, errors: [{ field, message: 'Must be valid JSON' }] };
+  }
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+    return { changes: null, errors: [{ field, message: 'Must be an object with add, update and/or remove lists' }] };
+  }
+
+  const errors = [];
+  const { add = [], update = [], remove = [] } = changes;
+  for (const [key, list] of Object.entries({ add, update, remove })) {
+    if (!Array.isArray(list)) errors.push({ field: `${field}.${key}`, message: 'Must be an array' });
+  }
+  if (errors.length > 0) return { changes: null, errors };
+
+  update.forEach((line, index) => {
+    if (!line || isBlank(line.id)) errors.push({ field: `${field}.update[${index}].id`, message: 'Line ID is required' });
+  });
+  const updatedIds = update.map(line => line?.id);
+  remove.forEach((id, index) => {
+    if (updatedIds.includes(id)) errors.push({ field: `${field}.remove[${index}]`, message: 'A line cannot be updated and removed at once' });
+  });
+
+  return { changes: { add, update, remove }, errors };
+};
+
+/**
+ * Applies parsed changes to the current lines of a document. Only `allowedFields` are taken from the request;
+ * `requiredFields` must be non-blank on every resulting line. Returns { lines, lineFields, removedIds, errors }:
+ * `lines` are the kept lines (with `id`, changes merged in) followed by the added ones (without `id`);
+ * `lineFields` holds the request path of each line for error messages.
+ */
+export const mergeLineChanges = (currentLines, changes, { field, allowedFields, requiredFields }) => {
+  const errors = [];
+  const pick = (line) => Object.fromEntries(allowedFields.filter(key => line[key] !== undefined).map(key => [key, line[key]]));
+  const currentIds = currentLines.map(line => line.id);
+
+  changes.remove.forEach((id, index) => {
+    if (!currentIds.includes(id)) errors.push({ field: `${field}.remove[${index}]`, message: `Line ${id} does not belong to this document` });
+  });
+  changes.update.forEach((line, index) => {
+    if (!currentIds.includes(line.id)) errors.push({ field: `${field}.update[${index}].id`, message: `Line ${line.id} does not belong to this document` });
+  });
+
+  const updatesById = new Map(changes.update.map(line => [line.id, pick(line)]));
+  const lines = [
+    ...currentLines
+      .filter(line => !changes.remove.includes(line.id))
+      .map(line => ({ ...line, ...updatesById.get(line.id) })),
+    ...changes.add.map(line => pick(line || {}))
+  ];
+
+  if (lines.length === 0) {
+    errors.push({ field, message: 'A document must keep at least one line' });
+  }
+
+  // Request path of each resulting line, for error messages ("products.add[0]", "products.update[2]", "products[id=...]")
+  const keptCount = lines.length - changes.add.length;
+  const lineFields = lines.map((line, index) => {
+    if (index >= keptCount) return `${field}.add[${index - keptCount}]`;
+    const updateIndex = changes.update.findIndex(update => update.id === line.id);
+    return updateIndex >= 0 ? `${field}.update[${updateIndex}]` : `${field}[id=${line.id}]`;
+  });
+  lines.forEach((line, index) => {
+    for (const key of requiredFields) {
+      if (isBlank(line[key])) errors.push({ field: `${lineFields[index]}.${key}`, message: `${key} is required` });
+    }
+  });
+
+  return { lines, lineFields, removedIds: changes.remove, errors };
+};
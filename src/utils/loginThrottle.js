@@ -0,0 +1,105 @@
+// src/utils/loginThrottle.js
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+// Thresholds are configurable via env; defaults suit a small internal user base
+const MAX_ATTEMPTS_PER_USERNAME = parseInt(process.env.LOGIN_MAX_ATTEMPTS || '5', 10);
+const MAX_ATTEMPTS_PER_IP = parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS || '20', 10);
+const ATTEMPT_WINDOW_MS = parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES || '15', 10) * 60 * 1000;
+const LOCKOUT_BASE_MS = parseInt(process.env.LOGIN_LOCKOUT_BASE_MINUTES || '5', 10) * 60 * 1000;
+const LOCKOUT_MAX_MS = parseInt(process.env.LOGIN_LOCKOUT_MAX_MINUTES || '1440', 10) * 60 * 1000;
+
+const normalizeUsername = (username) => String(username).trim().toLowerCase();
+
+const thresholdFor = (scope) => (scope === 'IP' ? MAX_ATTEMPTS_PER_IP : MAX_ATTEMPTS_PER_USERNAME);
+
+// Progressive lockout: base, 2x base, 4x base, ... capped at the configured maximum
+const lockDurationMs = (lockCount) => Math.min(LOCKOUT_BASE_MS * 2 ** lockCount, LOCKOUT_MAX_MS);
+
+const throttleKeys = ({ username, ipAddress }) => {
+  const keys = [];
+  if (username) keys.push({ scope: 'USERNAME', key: normalizeUsername(username) });
+  if (ipAddress) keys.push({ scope: 'IP', key: ipAddress });
+  return keys;
+};
+
+/**
+ * Returns the active locks for this login attempt, e.g. { IP: Date, USERNAME: Date }.
+ * A scope is absent when it is not locked.
+ */
+export const getActiveLocks = async ({ username, ipAddress }) => {
+  const now = new Date();
+  const rows = await prisma.loginThrottle.findMany({
+    where: {
+      OR: throttleKeys({ username, ipAddress }),
+      lockedUntil: { gt: now }
+    },
+    select: { scope: true, lockedUntil: true }
+  });
+  return Object.fromEntries(rows.map(row => [row.scope, row.lockedUntil]));
+};
+
+// Adds one failure to a counter (created with the first failure); returns the counter
+const incrementFailures = async (scope, key, now) => {
+  const upsert = () => prisma.loginThrottle.upsert({
+    where: { unique_scope_key: { scope, key } },
+    create: { scope, key, failedCount: 1, windowStartedAt: now, lastFailedAt: now },
+    update: { failedCount: { increment: 1 }, lastFailedAt: now }
+  });
+  try {
+    return await upsert();
+  } catch (error) {
+    if (error.code !== 'P2002') throw error;
+    return upsert(); // Created by a concurrent failure
+  }
+};
+
+/**
+ * Counts a failed login against both the username and the client IP,
+ * locking whichever crosses its threshold. Counters change in single conditional
+ * updates, so concurrent failures are all counted and lock only once.
+ */
+export const recordFailedLogin = async ({ username, ipAddress }) => {
+  const now = new Date();
+
+  for (const { scope, key } of throttleKeys({ username, ipAddress })) {
+    // Start a new counting window if there is none or the previous one has lapsed
+    await prisma.loginThrottle.updateMany({
+      where: { scope, key, OR: [{ windowStartedAt: null }, { windowStartedAt: { lt: new Date(now.getTime() - ATTEMPT_WINDOW_MS) } }] },
+      data: { failedCount: 0, windowStartedAt: now }
+    });
+    const counter = await incrementFailures(scope, key, now);
+
+    if (counter.failedCount >= thresholdFor(scope)) {
+      // Threshold reached: lock and start counting afresh once the lock ends (once, if failures race here)
+      await prisma.loginThrottle.updateMany({
+        where: { scope, key, failedCount: { gte: thresholdFor(scope) } },
+        data: {
+          failedCount: 0,
+          windowStartedAt: null,
+          lockCount: { increment: 1 },
+          lockedUntil: new Date(now.getTime() + lockDurationMs(counter.lockCount))
+        }
+      });
+    }
+  }
+};
+
+/**
+ * Clears the failure counters after a successful login.
+ * The username's lock history is reset too; the IP keeps its history so a
+ * shared address that keeps failing is still locked progressively longer.
+ */
+export const recordSuccessfulLogin = async ({ username, ipAddress }) => {
+  await prisma.loginThrottle.updateMany({
+    where: { scope: 'USERNAME', key: normalizeUsername(username) },
+    data: { failedCount: 0, windowStartedAt: null, lockCount: 0, lockedUntil: null }
+  });
+  if (ipAddress) {
+    await prisma.loginThrottle.updateMany({
+      where: { scope: 'IP', key: ipAddress },
+      data: { failedCount: 0, windowStartedAt: null }
+    });
+  }
+};
@@ -0,0 +1,47 @@
+// src/utils/money.js
+// All monetary amounts are Prisma Decimals (decimal.js), stored as DECIMAL(12, 2). Never use
+// parseFloat or floating point arithmetic on amounts; parse, round and format them here.
+import { Prisma } from '@prisma/client';
+
+export const Decimal = Prisma.Decimal;
+
+// Decimal places of stored amounts (matches @db.Decimal(12, 2) in schema.prisma)
+export const MONEY_SCALE = 2;
+
+const ROUNDING_MODES = {
+  HALF_UP: Decimal.ROUND_HALF_UP,
+  HALF_EVEN: Decimal.ROUND_HALF_EVEN, // Banker's rounding
+  HALF_DOWN: Decimal.ROUND_HALF_DOWN,
+  UP: Decimal.ROUND_UP,
+  DOWN: Decimal.ROUND_DOWN
+};
+
+// Rounding applied whenever an amount is parsed or computed, configurable via env (default half-up)
+export const MONEY_ROUNDING = (process.env.MONEY_ROUNDING || 'HALF_UP').toUpperCase();
+if (!ROUNDING_MODES[MONEY_ROUNDING]) {
+  throw new Error(`Invalid MONEY_ROUNDING "${process.env.MONEY_ROUNDING}". Use one of: ${Object.keys(ROUNDING_MODES).join(', ')}`);
+}
+
+/** Rounds a number, string or Decimal to MONEY_SCALE places with the configured rounding mode. */
+export const roundMoney = (value) => new Decimal(value).toDecimalPlaces(MONEY_SCALE, ROUNDING_MODES[MONEY_ROUNDING]);
+
+/**
+ * Parses an amount sent by a client (number or numeric string) into a rounded Decimal.
+ * Returns null when the value is blank or not a finite number.
+ */
+export const parseMoney = (value) => {
+  if (value === undefined || value === null || (typeof value === 'string' && value.trim() === '')) return null;
+  try {
+    const amount = new Decimal(typeof value === 'string' ? value.trim() : value);
+    return amount.isFinite() ? roundMoney(amount) : null;
+  } catch {
+    return null; // decimal.js throws on non-numeric input
+  }
+};
+
+/** Sum of amounts, rounded. */
+export const sumMoney = (values) => roundMoney(values.reduce((sum, value) => sum.plus(value), new Decimal(0)));
+
+/** Fixed-point string with MONEY_SCALE places (e.g. "1200.50") for CSV exports and messages; '' for null. */
+export const formatMoney = (value) =>
+  value === null || value === undefined ? '' : roundMoney(value).toFixed(MONEY_SCALE);
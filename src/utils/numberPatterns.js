@@ -0,0 +1,70 @@
+// src/utils/numberPatterns.js
+// Number patterns of document series (see numberSeries.js), e.g. PO/{FY}/{DEPT}/{SEQ:0000} -> PO/2026-27/CHEM/0042.
+// Tokens, filled in from the document date and its creator's department:
+//   {FY} financial year April-March ("2026-27"), {YYYY} {YY} {MM} calendar year and month,
+//   {DEPT} department code ("GEN" without one), {SEQ} or {SEQ:0000} the sequence, zero-padded to the given width.
+// Patterns must contain {FY}. Dates are read in the business time zone (BUSINESS_TIME_ZONE), so a document dated just
+// after midnight on April 1st there belongs to the new year.
+
+// {DEPT} for documents of users without a department (or a department without a code)
+export const NO_DEPARTMENT_CODE = 'GEN';
+
+const TOKEN = /\{([A-Z]+)(?::(0+))?\}/g;
+const KNOWN_TOKENS = ['FY', 'YYYY', 'YY', 'MM', 'DEPT', 'SEQ'];
+const PATTERN_CHARACTERS = /^[A-Za-z0-9/_.-]*$/;
+
+// IANA time zone in which document dates fall on a calendar day, month and financial year
+export const BUSINESS_TIME_ZONE = process.env.BUSINESS_TIME_ZONE || 'Asia/Kolkata';
+let calendarFormat;
+try {
+  calendarFormat = new Intl.DateTimeFormat('en-US', { timeZone: BUSINESS_TIME_ZONE, year: 'numeric', month: 'numeric' });
+} catch {
+  throw new Error(`Invalid BUSINESS_TIME_ZONE "${BUSINESS_TIME_ZONE}". Use an IANA time zone such as Asia/Kolkata`);
+}
+
+/** Calendar year and month (1-12) of a date in the business time zone. */
+export const calendarMonth = (date) => {
+  const parts = Object.fromEntries(calendarFormat.formatToParts(date).map(part => [part.type, part.value]));
+  return { year: Number(parts.year), month: Number(parts.month) };
+};
+
+/**
+ * Financial year (April-March) of a date in the business time zone, e.g. "2026-27" for any date from 1 April 2026
+ * to 31 March 2027.
+ */
+export const financialYear = (date) => {
+  const { year, month } = calendarMonth(date);
+  const startYear = month >= 4 ? year : year - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+/** Problem with a pattern, or null when it can be used. */
+export const validatePattern = (pattern) => {
+  if (typeof pattern !== 'string' || !pattern.trim()) return 'pattern is required (e.g. "PO/{FY}/{DEPT}/{SEQ:0000}")';
+  const tokens = [...pattern.matchAll(TOKEN)];
+  const unknown = tokens.map(([, name]) => name).filter(name => !KNOWN_TOKENS.includes(name));
+  if (unknown.length > 0) return `Unknown token {${unknown[0]}}; use ${KNOWN_TOKENS.map(name => `{${name}}`).join(', ')}`;
+  if (tokens.filter(([, name]) => name === 'SEQ').length !== 1) return 'pattern must contain {SEQ} (or {SEQ:0000}) exactly once';
+  if (!tokens.some(([, name]) => name === 'FY')) return 'pattern must contain {FY} so that numbers restart each financial year';
+  if (!PATTERN_CHARACTERS.test(pattern.replace(TOKEN, ''))) return 'Outside its tokens a pattern may only contain letters, digits and / _ . -';
+  if (pattern.length > 60) return 'pattern must be at most 60 characters';
+  return null;
+};
+
+/**
+ * Fills in a pattern for a document: { prefix, format(sequence) } where `prefix` identifies the counter
+ * (the pattern with {SEQ} left in) and `format` renders the number.
+ */
+export const fillPattern = (pattern, { date, departmentCode }) => {
+  const { year, month } = calendarMonth(date);
+  const values = {
+    FY: financialYear(date),
+    YYYY: String(year),
+    YY: String(year % 100).padStart(2, '0'),
+    MM: String(month).padStart(2, '0'),
+    DEPT: departmentCode || NO_DEPARTMENT_CODE
+  };
+  const prefix = pattern.replace(TOKEN, (token, name) => (name === 'SEQ' ? token : values[name]));
+  const format = (sequence) => prefix.replace(TOKEN, (token, name, zeros) => String(sequence).padStart(zeros?.length || 1, '0'));
+  return { prefix, format };
+};
@@ -0,0 +1,106 @@
+// src/utils/numberSeries.js
+// Server-generated document numbers from configurable patterns (NumberSeries), e.g. PO/{FY}/{DEPT}/{SEQ:0000} -> PO/2026-27/CHEM/0042.
+// Every filled-in prefix (the pattern without {SEQ}) has its own counter, so sequences restart on April 1st (and per
+// department with {DEPT}). Patterns and their tokens are in numberPatterns.js.
+import { PrismaClient } from '@prisma/client';
+import { fillPattern } from './numberPatterns.js';
+
+const prisma = new PrismaClient();
+
+// Documents that can be numbered: the date deciding the financial year, and a number field besides `id`
+// (filled with the same number when left blank). Credit notes are always numbered.
+export const NUMBERED_DOCUMENTS = {
+  INVOICE: { resource: 'invoice', dateField: 'purchaseDate' },
+  PURCHASE_ORDER: { resource: 'purchaseOrder', dateField: 'orderDate', numberField: 'purchaseOrderNumber' },
+  STOCK_REGISTER: { resource: 'stockRegister', dateField: 'entryDate' },
+  CREDIT_NOTE: { resource: 'creditNote', dateField: 'creditNoteDate', numberField: 'creditNoteNumber', required: true }
+};
+
+// Used for credit notes while no series is configured
+export const DEFAULT_CREDIT_NOTE_PATTERN = 'CN-{FY}-{SEQ:0000}';
+
+// Allocation retries when another request creates the same period's first number concurrently
+export const MAX_NUMBER_ATTEMPTS = 3;
+
+const MAX_NUMBER_LENGTH = 191; // Document ID columns
+
+/** Active pattern of a document type, or null when its documents take manual IDs. */
+export const activePattern = async (client, documentType) => {
+  const series = await client.numberSeries.findUnique({ where: { documentType } });
+  if (series?.isActive) return series.pattern;
+  return NUMBERED_DOCUMENTS[documentType].required ? DEFAULT_CREDIT_NOTE_PATTERN : null;
+};
+
+/** True when documents of the type get a generated number when their ID is left blank. */
+export const isNumbered = async (documentType) => Boolean(await activePattern(prisma, documentType));
+
+const departmentCodeOf = async (client, departmentId) => {
+  if (!departmentId) return null;
+  const department = await client.department.findUnique({ where: { id: departmentId }, select: { code: true } });
+  return department?.code || null;
+};
+
+/**
+ * Allocates the next number of a document type inside transaction `tx`. The counter row stays locked until the
+ * transaction ends, so concurrent documents get consecutive numbers, and a rolled-back document frees its number.
+ * Numbers already used (manual IDs) are skipped. The first number of a new prefix may fail with P2002 when another
+ * request creates it at the same time; run the transaction through retryNumbering.
+ */
+export const nextDocumentNumber = async (tx, documentType, { date = new Date(), departmentId } = {}) => {
+  const pattern = await activePattern(tx, documentType);
+  if (!pattern) return null;
+  const { resource, numberField } = NUMBERED_DOCUMENTS[documentType];
+  const { prefix, format } = fillPattern(pattern, { date, departmentCode: pattern.includes('{DEPT}') ? await departmentCodeOf(tx, departmentId) : null });
+
+  for (;;) {
+    const { count } = await tx.numberSeriesCounter.updateMany({ where: { documentType, prefix }, data: { lastValue: { increment: 1 } } });
+    if (count === 0) {
+      await tx.numberSeriesCounter.create({ data: { documentType, prefix, lastValue: 1 } });
+    }
+    const { lastValue } = await tx.numberSeriesCounter.findUnique({ where: { documentType_prefix: { documentType, prefix } } });
+    const number = format(lastValue);
+    if (number.length > MAX_NUMBER_LENGTH) {
+      throw Object.assign(new Error(`Generated number ${number.slice(0, 40)}... is too long; shorten the ${documentType} number pattern`), { status: 409, field: 'id' });
+    }
+    const taken = await tx[resource].count({ where: { OR: [{ id: number }, ...(numberField ? [{ [numberField]: number }] : [])] } });
+    if (taken === 0) return number;
+  }
+};
+
+/**
+ * Create data with the generated number as `id` and number field when they were left blank (see NUMBERED_DOCUMENTS),
+ * inside transaction `tx`. Unchanged when nothing is blank. Throws a 400 when something is blank and the type is not
+ * numbered (any more: the series may be switched off after the request was validated).
+ */
+export const withDocumentNumber = async (tx, documentType, data) => {
+  const { dateField, numberField } = NUMBERED_DOCUMENTS[documentType];
+  if (data.id && (!numberField || data[numberField])) return data;
+  const number = await nextDocumentNumber(tx, documentType, { date: data[dateField], departmentId: data.departmentId });
+  if (!number) {
+    const field = data.id ? numberField : 'id';
+    throw Object.assign(new Error(`${field} is required: no number series is active for ${documentType}`), { status: 400, field });
+  }
+  return { ...data, id: data.id || number, ...(numberField ? { [numberField]: data[numberField] || number } : {}) };
+};
+
+/** Next number of a pattern without allocating it (for previews; documents may take it first). */
+export const previewNumber = async (documentType, pattern, { date = new Date(), departmentId } = {}) => {
+  const { prefix, format } = fillPattern(pattern, { date, departmentCode: pattern.includes('{DEPT}') ? await departmentCodeOf(prisma, departmentId) : null });
+  const counter = await prisma.numberSeriesCounter.findUnique({ where: { documentType_prefix: { documentType, prefix } } });
+  return format((counter?.lastValue || 0) + 1);
+};
+
+// A concurrent request created the same new counter, or a document under the generated number (a manual ID is
+// not locked by the counter). Clashing manual IDs fail the same way on every attempt and end as the P2002.
+const isNumberConflict = (error) => error.code === 'P2002';
+
+/** Runs `run` (a transaction allocating numbers) again when a concurrent request took the same counter or number. */
+export const retryNumbering = async (run) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await run();
+    } catch (error) {
+      if (!isNumberConflict(error) || attempt >= MAX_NUMBER_ATTEMPTS) throw error;
+    }
+  }
+};
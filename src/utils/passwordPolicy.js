@@ -0,0 +1,49 @@
+// src/utils/passwordPolicy.js
+
+const envFlag = (name, defaultValue) => {
+  const value = process.env[name];
+  if (value === undefined || value === '') return defaultValue;
+  return value.toLowerCase() === 'true';
+};
+
+// Password rules, configurable via env
+export const PASSWORD_POLICY = {
+  minLength: parseInt(process.env.PASSWORD_MIN_LENGTH || '8', 10),
+  requireUppercase: envFlag('PASSWORD_REQUIRE_UPPERCASE', false),
+  requireLowercase: envFlag('PASSWORD_REQUIRE_LOWERCASE', false),
+  requireDigit: envFlag('PASSWORD_REQUIRE_DIGIT', true),
+  requireSymbol: envFlag('PASSWORD_REQUIRE_SYMBOL', false),
+  disallowUsername: envFlag('PASSWORD_DISALLOW_USERNAME', true)
+};
+
+/**
+ * Checks a candidate password against the configured policy.
+ * Returns a list of human-readable violations (empty when the password is acceptable).
+ */
+export const validatePassword = (password, { username } = {}) => {
+  const errors = [];
+
+  if (typeof password !== 'string' || password.length === 0) {
+    return ['Password is required'];
+  }
+  if (password.length < PASSWORD_POLICY.minLength) {
+    errors.push(`Password must be at least ${PASSWORD_POLICY.minLength} characters long`);
+  }
+  if (PASSWORD_POLICY.requireUppercase && !/[A-Z]/.test(password)) {
+    errors.push('Password must contain an uppercase letter');
+  }
+  if (PASSWORD_POLICY.requireLowercase && !/[a-z]/.test(password)) {
+    errors.push('Password must contain a lowercase letter');
+  }
+  if (PASSWORD_POLICY.requireDigit && !/\d/.test(password)) {
+    errors.push('Password must contain a digit');
+  }
+  if (PASSWORD_POLICY.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    errors.push('Password must contain a symbol');
+  }
+  if (PASSWORD_POLICY.disallowUsername && username && password.toLowerCase().includes(String(username).toLowerCase())) {
+    errors.push('Password must not contain the username');
+  }
+
+  return errors;
+};
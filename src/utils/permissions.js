@@ -0,0 +1,257 @@
+// src/utils/permissions.js
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+// Document resources as used in permission names and in `canEdit` (req.params.documentType)
+export const DOCUMENT_RESOURCES = ['invoice', 'purchaseOrder', 'stockRegister', 'creditNote'];
+
+const documentPermissions = (resource, label) => ({
+  [`${resource}:create`]: `Create ${label}s`,
+  [`${resource}:read:own`]: `View own ${label}s`,
+  [`${resource}:read:department`]: `View ${label}s of own department`,
+  [`${resource}:read:any`]: `View every ${label}`,
+  [`${resource}:update:own`]: `Edit own ${label}s (within the edit window or with an approved edit request)`,
+  [`${resource}:update:any`]: `Edit any ${label} at any time`,
+  [`${resource}:delete:own`]: `Delete own ${label}s`,
+  [`${resource}:delete:any`]: `Delete any ${label}`
+});
+
+/** Every permission the API checks, with a description for the role management UI. */
+export const PERMISSION_CATALOGUE = {
+  ...documentPermissions('invoice', 'invoice'),
+  ...documentPermissions('purchaseOrder', 'purchase order'),
+  ...documentPermissions('stockRegister', 'stock register entry'),
+  ...documentPermissions('creditNote', 'credit note'),
+  'invoice:verify': 'Verify, dispute or cancel submitted invoices',
+  'invoice:payment': 'Record and delete payments against invoices',
+  'purchaseOrder:receive': 'Record goods receipts against purchase orders',
+  'purchaseOrder:receive:any': 'View the receipts and pending deliveries of every purchase order (without reading the orders themselves)',
+  'purchaseOrder:approve:any': 'Approve or reject purchase orders at any approval level (e.g. when a department has no head)',
+  'approvalRule:manage': 'Configure the purchase order approval chain',
+  'editRequest:create': 'Request edit permission for own documents',
+  'editRequest:read': 'View all edit requests',
+  'editRequest:manage': 'Approve or reject edit requests',
+  'savedSearch:read:any': "View other users' saved searches",
+  'import:read:any': "View other users' bulk import jobs",
+  'user:manage': 'Create, list and administer user accounts',
+  'department:manage': 'Create departments, set department heads and assign members',
+  'role:manage': 'Change role permission sets and assign roles',
+  'settings:manage': 'Configure system settings such as document number series'
+};
+
+// Permissions that count as administrative: an ADMIN must have a 2FA-verified session to use them (see requirePermission)
+export const PRIVILEGED_PERMISSIONS = ['editRequest:manage', 'user:manage', 'role:manage', 'department:manage', 'approvalRule:manage', 'settings:manage'];
+
+const ownDocumentAccess = (resource) => [
+  `${resource}:create`, `${resource}:read:own`, `${resource}:update:own`, `${resource}:delete:own`
+];
+const departmentDocumentAccess = (resource) => [...ownDocumentAccess(resource), `${resource}:read:department`];
+
+/** Built-in permission sets. Admins can override them per role (RolePermissionSet table). */
+export const DEFAULT_ROLE_PERMISSIONS = {
+  ADMIN: ['*'],
+  // Colleagues in the same department can see each other's records
+  USER: [
+    ...departmentDocumentAccess('invoice'),
+    ...departmentDocumentAccess('purchaseOrder'),
+    ...departmentDocumentAccess('stockRegister'),
+    ...departmentDocumentAccess('creditNote'),
+    'purchaseOrder:receive',
+    'editRequest:create'
+  ],
+  // Read-only access to everything, including the edit request log
+  AUDITOR: [
+    'invoice:read:any',
+    'purchaseOrder:read:any',
+    'stockRegister:read:any',
+    'creditNote:read:any',
+    'editRequest:read',
+    'import:read:any'
+  ],
+  // Sees every invoice, credit note and PO, manages own ones, no user administration
+  ACCOUNTANT: [
+    ...ownDocumentAccess('invoice'), 'invoice:read:any', 'invoice:verify', 'invoice:payment',
+    ...ownDocumentAccess('purchaseOrder'), 'purchaseOrder:read:any',
+    ...ownDocumentAccess('creditNote'), 'creditNote:read:any',
+    'editRequest:create'
+  ],
+  // Receives deliveries against every purchase order
+  STORE_KEEPER: [
+    ...departmentDocumentAccess('stockRegister'),
+    'purchaseOrder:receive', 'purchaseOrder:receive:any',
+    'editRequest:create'
+  ]
+};
+
+/**
+ * True when `granted` covers `required`. Supports "*" and trailing wildcards
+ * such as "invoice:*" (any invoice permission) or "invoice:read:*".
+ */
+const permissionMatches = (granted, required) => {
+  if (granted === '*' || granted === required) return true;
+  if (granted.endsWith(':*')) return required.startsWith(granted.slice(0, -1));
+  return false;
+};
+
+/** Validates a permission name (or wildcard) against the catalogue. */
+export const isKnownPermission = (permission) =>
+  typeof permission === 'string' &&
+  Object.keys(PERMISSION_CATALOGUE).some(known => permissionMatches(permission, known));
+
+// --- Effective permission sets (defaults + DB overrides), cached briefly ---
+const CACHE_TTL_MS = 60 * 1000;
+let cachedOverrides = null;
+let cacheLoadedAt = 0;
+
+const loadOverrides = async () => {
+  if (cachedOverrides && Date.now() - cacheLoadedAt < CACHE_TTL_MS) return cachedOverrides;
+  const rows = await prisma.rolePermissionSet.findMany();
+  cachedOverrides = Object.fromEntries(rows.map(row => [row.role, row.permissions]));
+  cacheLoadedAt = Date.now();
+  return cachedOverrides;
+};
+
+/** Drops the cached overrides; call after changing a role's permission set. */
+export const invalidateRolePermissionCache = () => {
+  cachedOverrides = null;
+};
+
+/** Effective permission list of a role. */
+export const getRolePermissions = async (role) => {
+  const overrides = await loadOverrides();
+  return overrides[role] || DEFAULT_ROLE_PERMISSIONS[role] || [];
+};
+
+/** Effective permission lists of all roles, flagged when customized. */
+export const getAllRolePermissions = async () => {
+  const overrides = await loadOverrides();
+  return Object.keys(DEFAULT_ROLE_PERMISSIONS).map(role => ({
+    role,
+    permissions: overrides[role] || DEFAULT_ROLE_PERMISSIONS[role],
+    isCustomized: Boolean(overrides[role])
+  }));
+};
+
+/**
+ * Permissions of an API key request: the catalogue entries granted by both the role and the key's scopes.
+ * Expanding to concrete names keeps a wildcard scope such as "stockRegister:*" within the role.
+ */
+export const intersectPermissions = (rolePermissions, scopes) =>
+  Object.keys(PERMISSION_CATALOGUE).filter(permission =>
+    rolePermissions.some(granted => permissionMatches(granted, permission)) &&
+    scopes.some(scope => permissionMatches(scope, permission)));
+
+/** User fields loaded for `req.user` (session, API key and socket authentication). */
+export const REQUEST_USER_SELECT = {
+  id: true,
+  username: true,
+  role: true,
+  isActive: true,
+  isServiceAccount: true,
+  mustChangePassword: true,
+  totpEnabled: true,
+  departmentId: true,
+  headedDepartments: { select: { id: true } }
+};
+
+/**
+ * Builds `req.user` from a user loaded with REQUEST_USER_SELECT: adds the effective permissions
+ * (narrowed to API key scopes when given) and the IDs of the departments the user heads.
+ */
+export const buildRequestUser = async ({ headedDepartments = [], ...user }, { scopes } = {}) => {
+  const rolePermissions = await getRolePermissions(user.role);
+  return {
+    ...user,
+    headOfDepartmentIds: headedDepartments.map(department => department.id),
+    permissions: scopes ? intersectPermissions(rolePermissions, scopes) : rolePermissions
+  };
+};
+
+// --- Checks against an authenticated user (req.user.permissions is set by `auth`) ---
+
+/** True when the user holds the permission. */
+export const can = (user, permission) =>
+  Boolean(user?.permissions?.some(granted => permissionMatches(granted, permission)));
+
+/** True when the user holds at least one of the permissions. */
+export const canAny = (user, permissions) => permissions.some(permission => can(user, permission));
+
+/** Prisma `where` for the shares a user currently holds (not expired). */
+export const activeShareWhere = (userId) => ({
+  sharedWithId: userId,
+  OR: [{ expiresAt: null }, { expiresAt: { gt: new Date() } }]
+});
+
+/** Include/select fragment loading the caller's active share on a document, for `canAccessDocument`. */
+export const userSharesSelect = (user) => ({
+  shares: { where: activeShareWhere(user.id), select: { accessLevel: true } }
+});
+
+/**
+ * Departments whose documents of a type the user may read: their own department with read:department,
+ * plus every department they head (heads review its edit requests).
+ */
+export const visibleDepartmentIds = (user, resource) => {
+  const departmentIds = new Set(user.headOfDepartmentIds || []);
+  if (user.departmentId && can(user, `${resource}:read:department`)) departmentIds.add(user.departmentId);
+  return [...departmentIds];
+};
+
+/**
+ * Prisma `where` fragment restricting a document list to what the user may read:
+ * {} for read:any, otherwise own documents (read:own), those of visible departments and those shared
+ * with the user, or null when the user may not read this type at all. Combine it with other conditions via AND.
+ * (Documents shared with users lacking any read permission for the type are reached via GET /:id and /api/shares.)
+ */
+export const documentScopeFilter = (user, resource) => {
+  if (can(user, `${resource}:read:any`)) return {};
+
+  const conditions = [];
+  if (can(user, `${resource}:read:own`)) conditions.push({ userId: user.id });
+  const departmentIds = visibleDepartmentIds(user, resource);
+  if (departmentIds.length > 0) conditions.push({ departmentId: { in: departmentIds } });
+
+  if (conditions.length === 0) return null;
+  return { OR: [...conditions, { shares: { some: activeShareWhere(user.id) } }] };
+};
+
+/**
+ * Checks a single document action ('read' | 'update' | 'delete') for a loaded document with `userId`,
+ * `departmentId` and the caller's shares (load them with `userSharesSelect`). Shares grant read, EDIT shares
+ * also update, regardless of role. Note: for 'update' the edit window rules in `canEdit` still apply to owners
+ * and EDIT shares.
+ */
+export const canAccessDocument = (user, resource, action, document) => {
+  if (can(user, `${resource}:${action}:any`)) return true;
+  if (document.userId === user.id && can(user, `${resource}:${action}:own`)) return true;
+
+  const shares = document.shares || [];
+  if (action === 'read' && shares.length > 0) return true;
+  if (action === 'update') return shares.some(share => share.accessLevel === 'EDIT');
+
+  return action === 'read' && Boolean(document.departmentId) &&
+    visibleDepartmentIds(user, resource).includes(document.departmentId);
+};
+
+/** Owners who may update their documents of the type, and users who may update any, can share it and revoke its shares. */
+export const canManageDocumentShares = (user, resource, document) =>
+  (document.userId === user.id && can(user, `${resource}:update:own`)) || can(user, `${resource}:update:any`);
+
+/**
+ * Prisma `where` fragment for the edit requests a user may see ('read') or decide on ('manage'):
+ * all of them with the matching permission, those of headed departments for department heads, else null.
+ */
+export const editRequestScopeFilter = (user, action) => {
+  const permissions = action === 'read' ? ['editRequest:read', 'editRequest:manage'] : ['editRequest:manage'];
+  if (canAny(user, permissions)) return {};
+  if (user.headOfDepartmentIds?.length > 0) return { departmentId: { in: user.headOfDepartmentIds } };
+  return null;
+};
+
+/** Checks access to a loaded edit request. Department heads cannot decide on their own requests. */
+export const canReviewEditRequest = (user, action, editRequest) => {
+  if (canAny(user, action === 'read' ? ['editRequest:read', 'editRequest:manage'] : ['editRequest:manage'])) return true;
+  if (action === 'manage' && editRequest.requestedById === user.id) return false;
+  return Boolean(editRequest.departmentId) && (user.headOfDepartmentIds || []).includes(editRequest.departmentId);
+};
@@ -0,0 +1,234 @@
+// src/utils/purchaseOrderApproval.js
+// Multi-level purchase order approval keyed on the order total.
+//   Submission -> PENDING_APPROVAL (level 1 -> level 2 -> ...) -> APPROVED, or REJECTED by any level.
+// Orders below every rule's minAmount are APPROVED on submission. The total is computed from the items, and any
+// edit of an order submits it again (a new round with the chain of the current rules).
+import { PrismaClient } from '@prisma/client';
+import { Decimal, formatMoney } from './money.js';
+import { can } from './permissions.js';
+import { userRoom, departmentHeadsRoom, roleRoom, PURCHASE_ORDER_APPROVERS_ROOM } from './socketRooms.js';
+
+const prisma = new PrismaClient();
+
+export const APPROVAL_RULE_INCLUDE = {
+  approverUser: { select: { id: true, username: true } },
+  department: { select: { id: true, name: true } }
+};
+
+/** Rules for orders of a department: the department's own rules when it has any, otherwise the general ones. */
+export const rulesForDepartment = async (departmentId) => {
+  const rules = await prisma.purchaseOrderApprovalRule.findMany({
+    where: { departmentId: departmentId || null },
+    include: APPROVAL_RULE_INCLUDE,
+    orderBy: { level: 'asc' }
+  });
+  if (rules.length > 0 || !departmentId) return rules;
+  return rulesForDepartment(null);
+};
+
+/**
+ * Approval chain of an order: the rules whose minAmount its total exceeds, lowest level first.
+ * Stored on the order (approvalChain) so later rule changes do not affect orders already submitted.
+ */
+export const approvalChainFor = (rules, totalAmount) =>
+  rules
+    .filter(rule => new Decimal(totalAmount).greaterThan(rule.minAmount))
+    .sort((a, b) => a.level - b.level)
+    .map(chainStep);
+
+// A rule as a level of a stored chain
+const chainStep = (rule) => ({
+  level: rule.level,
+  name: rule.name,
+  minAmount: new Decimal(rule.minAmount).toFixed(2),
+  approverType: rule.approverType,
+  approverRole: rule.approverRole || null,
+  approverUserId: rule.approverUserId || null,
+  approverUsername: rule.approverUser?.username || null
+});
+
+// Decides amendments when no approval rule is configured
+const DEFAULT_AMENDMENT_RULE = { level: 1, name: 'Head of department', minAmount: 0, approverType: 'DEPARTMENT_HEAD' };
+
+/**
+ * Approval chain of an amendment to an order sent to the vendor: the chain of the amended total, but never empty,
+ * so every amendment has an approver on record. Below every threshold the first level decides (the head of
+ * the order's department while no rules are configured).
+ */
+export const amendmentChainFor = (rules, totalAmount) => {
+  const chain = approvalChainFor(rules, totalAmount);
+  if (chain.length > 0) return chain;
+  const [firstRule] = [...rules].sort((a, b) => a.level - b.level);
+  return [chainStep(firstRule || DEFAULT_AMENDMENT_RULE)];
+};
+
+/** Columns naming the approver of a chain level (all null when no level is pending). */
+export const pendingLevelData = (step) => ({
+  approvalLevel: step?.level ?? null,
+  pendingApproverType: step?.approverType ?? null,
+  pendingApproverRole: step?.approverRole ?? null,
+  pendingApproverId: step?.approverUserId ?? null
+});
+
+/**
+ * Create/update data submitting an order for approval: status, chain and first level of round `round`,
+ * plus the SUBMITTED trail entry by `actorId`.
+ */
+export const submissionData = async ({ totalAmount, departmentId }, { actorId, round }) => {
+  const chain = approvalChainFor(await rulesForDepartment(departmentId), totalAmount);
+  return {
+    status: chain.length > 0 ? 'PENDING_APPROVAL' : 'APPROVED',
+    approvalRound: round,
+    approvalChain: chain,
+    approvedAt: chain.length > 0 ? null : new Date(),
+    ...pendingLevelData(chain[0]),
+    approvals: { create: { round, action: 'SUBMITTED', totalAmount, actorId } }
+  };
+};
+
+/**
+ * Update data resubmitting an edited order (see submissionData) in the next round. Every edit is approved again,
+ * whatever its total: changed items, rates or vendor matter as much. `existing` needs departmentId and approvalRound.
+ */
+export const resubmissionData = async (existing, totalAmount, actorId) =>
+  submissionData({ totalAmount, departmentId: existing.departmentId }, { actorId, round: existing.approvalRound + 1 });
+
+/** The chain level after the pending one, or undefined when the pending level is the last. */
+export const nextApprovalLevel = (purchaseOrder) =>
+  (purchaseOrder.approvalChain || []).find(step => step.level > purchaseOrder.approvalLevel);
+
+/**
+ * True when the user may decide the pending level of an order (loaded with status, userId, departmentId and
+ * the pending approver columns). Nobody decides on their own order, not even with purchaseOrder:approve:any.
+ */
+export const canDecideApproval = (user, purchaseOrder) => {
+  if (purchaseOrder.status !== 'PENDING_APPROVAL' || purchaseOrder.userId === user.id) return false;
+  if (can(user, 'purchaseOrder:approve:any')) return true;
+
+  switch (purchaseOrder.pendingApproverType) {
+    case 'DEPARTMENT_HEAD':
+      return Boolean(purchaseOrder.departmentId) && (user.headOfDepartmentIds || []).includes(purchaseOrder.departmentId);
+    case 'ROLE':
+      return user.role === purchaseOrder.pendingApproverRole;
+    case 'USER':
+      return user.id === purchaseOrder.pendingApproverId;
+    default:
+      return false;
+  }
+};
+
+// `where` of the records pending a decision the user may take: `ownerField` names their author (who cannot decide
+// them), `inDepartments` filters by the department of the order
+const pendingDecisionWhere = (user, ownerField, inDepartments) => {
+  const where = { status: 'PENDING_APPROVAL', [ownerField]: { not: user.id } };
+  if (can(user, 'purchaseOrder:approve:any')) return where;
+
+  const conditions = [
+    { pendingApproverType: 'USER', pendingApproverId: user.id },
+    { pendingApproverType: 'ROLE', pendingApproverRole: user.role }
+  ];
+  if (user.headOfDepartmentIds?.length > 0) {
+    conditions.push({ pendingApproverType: 'DEPARTMENT_HEAD', ...inDepartments(user.headOfDepartmentIds) });
+  }
+  return { ...where, OR: conditions };
+};
+
+/** Prisma `where` for the orders waiting for the user's decision (the approval inbox); mirrors canDecideApproval. */
+export const approvalInboxWhere = (user) =>
+  pendingDecisionWhere(user, 'userId', departmentIds => ({ departmentId: { in: departmentIds } }));
+
+/** Prisma `where` for the amendments waiting for the user's decision (see amendmentApproval). */
+export const amendmentInboxWhere = (user) =>
+  pendingDecisionWhere(user, 'amendedById', departmentIds => ({ purchaseOrder: { departmentId: { in: departmentIds } } }));
+
+/**
+ * An amendment in the shape canDecideApproval and the notifications expect: decided like an order of the same
+ * department, except by its author.
+ */
+export const amendmentApproval = (amendment, purchaseOrder) => ({
+  ...amendment,
+  userId: amendment.amendedById,
+  departmentId: purchaseOrder.departmentId
+});
+
+// Rooms of the users who may decide the pending level of an order
+const approverRooms = (purchaseOrder) => {
+  const rooms = [PURCHASE_ORDER_APPROVERS_ROOM];
+  if (purchaseOrder.pendingApproverType === 'USER' && purchaseOrder.pendingApproverId) rooms.push(userRoom(purchaseOrder.pendingApproverId));
+  if (purchaseOrder.pendingApproverType === 'ROLE' && purchaseOrder.pendingApproverRole) rooms.push(roleRoom(purchaseOrder.pendingApproverRole));
+  if (purchaseOrder.pendingApproverType === 'DEPARTMENT_HEAD' && purchaseOrder.departmentId) rooms.push(departmentHeadsRoom(purchaseOrder.departmentId));
+  return rooms;
+};
+
+const orderSummary = (purchaseOrder) => ({
+  id: purchaseOrder.id,
+  purchaseOrderNumber: purchaseOrder.purchaseOrderNumber,
+  vendorName: purchaseOrder.vendorName,
+  totalAmount: purchaseOrder.totalAmount,
+  status: purchaseOrder.status,
+  approvalRound: purchaseOrder.approvalRound,
+  approvalLevel: purchaseOrder.approvalLevel
+});
+
+/** Tells the approvers of the pending level that an order waits for them. No-op unless PENDING_APPROVAL. */
+export const notifyApprovalRequested = (purchaseOrder) => {
+  if (!global.io || purchaseOrder.status !== 'PENDING_APPROVAL') return;
+  const step = (purchaseOrder.approvalChain || []).find(level => level.level === purchaseOrder.approvalLevel);
+  global.io.to(approverRooms(purchaseOrder)).except(userRoom(purchaseOrder.userId)).emit('purchase-order-approval-requested', {
+    message: `Purchase order ${purchaseOrder.purchaseOrderNumber} (${purchaseOrder.vendorName}, ${formatMoney(purchaseOrder.totalAmount)}) ` +
+      `awaits approval${step ? ` by ${step.name}` : ''}`,
+    purchaseOrder: orderSummary(purchaseOrder)
+  });
+};
+
+/** Tells the order's creator about a decision (`action` APPROVED or REJECTED) on one level. */
+export const notifyApprovalDecided = (purchaseOrder, { action, level, actor, comment }) => {
+  if (!global.io) return;
+  const outcome = action === 'REJECTED'
+    ? 'was rejected'
+    : (purchaseOrder.status === 'APPROVED' ? 'is approved' : `passed approval level ${level}`);
+  global.io.to(userRoom(purchaseOrder.userId)).emit('purchase-order-approval-decided', {
+    message: `Your purchase order ${purchaseOrder.purchaseOrderNumber} ${outcome} (${actor.username}${comment ? `: ${comment}` : ''})`,
+    action,
+    level,
+    comment: comment || null,
+    purchaseOrder: orderSummary(purchaseOrder)
+  });
+};
+
+const amendmentSummary = (amendment) => ({
+  id: amendment.id,
+  status: amendment.status,
+  baseRevision: amendment.baseRevision,
+  revision: amendment.revision,
+  totalAmount: amendment.totalAmount,
+  approvalLevel: amendment.approvalLevel
+});
+
+/** Tells the approvers of the pending level that an amendment of `purchaseOrder` waits for them. No-op unless PENDING_APPROVAL. */
+export const notifyAmendmentRequested = (purchaseOrder, amendment) => {
+  if (!global.io || amendment.status !== 'PENDING_APPROVAL') return;
+  const step = (amendment.approvalChain || []).find(level => level.level === amendment.approvalLevel);
+  global.io.to(approverRooms(amendmentApproval(amendment, purchaseOrder))).except(userRoom(amendment.amendedById)).emit('purchase-order-amendment-requested', {
+    message: `Amendment of purchase order ${purchaseOrder.purchaseOrderNumber} Rev ${amendment.baseRevision} (${purchaseOrder.vendorName}, ` +
+      `${formatMoney(amendment.totalAmount)}) awaits approval${step ? ` by ${step.name}` : ''}: ${amendment.reason}`,
+    purchaseOrder: orderSummary(purchaseOrder),
+    amendment: amendmentSummary(amendment)
+  });
+};
+
+/** Tells the author of an amendment about a decision (`action` APPROVED or REJECTED) on one level. */
+export const notifyAmendmentDecided = (purchaseOrder, amendment, { action, level, actor, comment }) => {
+  if (!global.io) return;
+  const outcome = action === 'REJECTED'
+    ? 'was rejected'
+    : (amendment.status === 'APPROVED' ? `is approved: the order is now Rev ${amendment.revision}` : `passed approval level ${level}`);
+  global.io.to(userRoom(amendment.amendedById)).emit('purchase-order-amendment-decided', {
+    message: `Your amendment of purchase order ${purchaseOrder.purchaseOrderNumber} ${outcome} (${actor.username}${comment ? `: ${comment}` : ''})`,
+    action,
+    level,
+    comment: comment || null,
+    purchaseOrder: orderSummary(purchaseOrder),
+    amendment: amendmentSummary(amendment)
+  });
+};
@@ -0,0 +1,52 @@
+// src/utils/purchaseOrderRevisions.js
+// Revisions of purchase orders sent to the vendor. Rev 0 is the order as first sent; every applied amendment stores
+// a snapshot of the revision it replaces, so revision N is the snapshot of the amendment creating N + 1 (or the live
+// order for the current revision). Pending amendments store the proposed order the same way, new items without an ID.
+// Snapshots keep amounts as fixed-point strings and dates as ISO strings.
+import { formatMoney } from './money.js';
+
+// Header fields kept in a snapshot and compared by diffRevisions, in display order
+export const REVISION_FIELDS = [
+  'purchaseOrderNumber', 'orderDate', 'vendorName', 'fromAddress', 'contactNumber',
+  'gstNumber', 'gstStateCode', 'isInterState', 'totalAmount'
+];
+
+// Item fields compared by diffRevisions
+const ITEM_FIELDS = ['description', 'quantity', 'rate'];
+
+/** Snapshot of an order loaded with its items (oldest first): the header fields and { id, description, quantity, rate } per item. */
+export const revisionSnapshot = (purchaseOrder) => ({
+  ...Object.fromEntries(REVISION_FIELDS.map(field => [field, purchaseOrder[field] ?? null])),
+  orderDate: new Date(purchaseOrder.orderDate).toISOString(),
+  totalAmount: formatMoney(purchaseOrder.totalAmount),
+  items: purchaseOrder.items.map(item => ({
+    id: item.id,
+    description: item.description,
+    quantity: item.quantity,
+    rate: formatMoney(item.rate)
+  }))
+});
+
+const changedFields = (from, to, fields) => fields
+  .filter(field => from[field] !== to[field])
+  .map(field => ({ field, from: from[field], to: to[field] }));
+
+/**
+ * Field-by-field differences between two snapshots: { fields: [{ field, from, to }], items: { added, removed, changed } }.
+ * Items are matched by ID (amendments keep the IDs of kept items); `changed` lists { itemId, description, changes }.
+ */
+export const diffRevisions = (from, to) => {
+  const fromItems = new Map(from.items.map(item => [item.id, item]));
+  const toIds = new Set(to.items.map(item => item.id));
+  return {
+    fields: changedFields(from, to, REVISION_FIELDS),
+    items: {
+      added: to.items.filter(item => !fromItems.has(item.id)),
+      removed: from.items.filter(item => !toIds.has(item.id)),
+      changed: to.items
+        .filter(item => fromItems.has(item.id))
+        .map(item => ({ itemId: item.id, description: item.description, changes: changedFields(fromItems.get(item.id), item, ITEM_FIELDS) }))
+        .filter(item => item.changes.length > 0)
+    }
+  };
+};
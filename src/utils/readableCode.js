@@ -0,0 +1,22 @@
+// src/utils/readableCode.js
+import crypto from 'crypto';
+
+// No 0/O/1/I so codes can be read out or typed without confusion
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+/**
+ * Generates a random code in dash-separated groups, e.g. "K7QD-M2XP-9RTA" for groups = 3.
+ * Used for one-time password reset codes and 2FA recovery codes.
+ */
+export const generateReadableCode = (groups = 3, groupLength = 4) => {
+  const bytes = crypto.randomBytes(groups * groupLength);
+  const chars = Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]);
+  const parts = [];
+  for (let i = 0; i < groups; i++) {
+    parts.push(chars.slice(i * groupLength, (i + 1) * groupLength).join(''));
+  }
+  return parts.join('-');
+};
+
+/** Normalizes user input of a readable code (case, surrounding whitespace). */
+export const normalizeReadableCode = (code) => String(code || '').trim().toUpperCase();
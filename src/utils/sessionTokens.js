@@ -0,0 +1,196 @@
+// src/utils/sessionTokens.js
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { PrismaClient } from '@prisma/client';
+import { disconnectSessionSockets, disconnectUserSockets } from './socketRooms.js';
+
+const prisma = new PrismaClient();
+
+const JWT_SECRET = process.env.JWT_SECRET;
+if (!JWT_SECRET) {
+  throw new Error("FATAL ERROR: JWT_SECRET environment variable is not set.");
+}
+
+// Short-lived access token; clients renew it with the refresh token
+export const ACCESS_TOKEN_EXPIRY = process.env.ACCESS_TOKEN_EXPIRY || '15m';
+// Absolute lifetime of a login session (refresh token), in days
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '7', 10);
+// Time allowed between the password step and the 2FA step of a login
+const MFA_CHALLENGE_EXPIRY = process.env.MFA_CHALLENGE_EXPIRY || '5m';
+
+/** SHA-256 hex digest. Refresh tokens are random, so a fast hash is sufficient. */
+export const hashToken = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// Refresh tokens have the form "<sessionId>.<secret>" so a reused (already rotated) token
+// can still be traced back to its session and the whole session revoked.
+const generateRefreshSecret = () => crypto.randomBytes(48).toString('hex');
+
+const parseRefreshToken = (refreshToken) => {
+  if (!refreshToken || typeof refreshToken !== 'string') return null;
+  const separatorIndex = refreshToken.indexOf('.');
+  if (separatorIndex < 1) return null;
+  return {
+    sessionId: refreshToken.slice(0, separatorIndex),
+    secret: refreshToken.slice(separatorIndex + 1)
+  };
+};
+
+/**
+ * Signs an access token for the given user and session.
+ * `sid` ties the token to a UserSession row so that `auth` can reject it once the session is revoked.
+ * `mfa` / `amr` record whether a second factor was presented when the session was opened.
+ */
+export const signAccessToken = (user, sessionId, { mfa = false } = {}) => {
+  const payload = {
+    id: user.id,
+    username: user.username,
+    role: user.role,
+    sid: sessionId,
+    mfa,
+    amr: mfa ? ['pwd', 'otp'] : ['pwd']
+  };
+  return jwt.sign(payload, JWT_SECRET, { expiresIn: ACCESS_TOKEN_EXPIRY });
+};
+
+/**
+ * Short-lived token proving the password step of a two-step login succeeded.
+ * It has no `sid`, so `auth` never accepts it as an access token.
+ */
+export const signMfaChallengeToken = (user, { viaResetCode = false } = {}) =>
+  jwt.sign({ id: user.id, username: user.username, purpose: 'mfa', viaResetCode }, JWT_SECRET, { expiresIn: MFA_CHALLENGE_EXPIRY });
+
+/** Verifies a 2FA challenge token. Throws jsonwebtoken errors, or an Error if the token is not a challenge token. */
+export const verifyMfaChallengeToken = (token) => {
+  const decoded = jwt.verify(token, JWT_SECRET);
+  if (decoded.purpose !== 'mfa') {
+    throw Object.assign(new Error('Invalid two-factor challenge token'), { name: 'JsonWebTokenError' });
+  }
+  return decoded;
+};
+
+/** Response body shared by login, 2FA login and refresh. */
+export const toLoginResponse = (user, session, extra = {}) => ({
+  id: user.id,
+  username: user.username,
+  role: user.role,
+  token: session.token,
+  expiresIn: ACCESS_TOKEN_EXPIRY,
+  refreshToken: session.refreshToken,
+  refreshTokenExpiresAt: session.refreshTokenExpiresAt,
+  ...extra
+});
+
+/** Verifies signature and expiry of an access token. Throws jsonwebtoken errors on failure. */
+export const verifyAccessToken = (token) => jwt.verify(token, JWT_SECRET);
+
+/**
+ * Creates a new login session and returns the token pair for it.
+ * `viaResetCode` marks sessions opened with an admin-issued reset code; they may set
+ * a new password without knowing the old one. `mfaVerified` marks sessions opened with a second factor.
+ */
+export const createSession = async (user, { userAgent, ipAddress, viaResetCode = false, mfaVerified = false } = {}) => {
+  const secret = generateRefreshSecret();
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  const session = await prisma.userSession.create({
+    data: {
+      userId: user.id,
+      refreshTokenHash: hashToken(secret),
+      expiresAt,
+      viaResetCode,
+      mfaVerified,
+      userAgent: userAgent || null,
+      ipAddress: ipAddress || null
+    }
+  });
+
+  return {
+    token: signAccessToken(user, session.id, { mfa: mfaVerified }),
+    refreshToken: `${session.id}.${secret}`,
+    refreshTokenExpiresAt: expiresAt,
+    sessionId: session.id
+  };
+};
+
+/**
+ * Exchanges a refresh token for a new token pair (rotation).
+ * Presenting a refresh token that has already been rotated revokes the session,
+ * since it means the token was copied.
+ * Throws an Error with `status` 401 when the token cannot be used.
+ */
+export const rotateSession = async (refreshToken) => {
+  const parsed = parseRefreshToken(refreshToken);
+  const invalid = (message) => Object.assign(new Error(message), { status: 401 });
+
+  if (!parsed) throw invalid('Invalid refresh token');
+
+  const session = await prisma.userSession.findUnique({
+    where: { id: parsed.sessionId },
+    include: { user: { select: { id: true, username: true, role: true, isActive: true } } }
+  });
+
+  if (!session) throw invalid('Invalid refresh token');
+  if (session.revokedAt) throw invalid('Session has been revoked');
+  if (session.expiresAt <= new Date()) throw invalid('Session expired. Please log in again.');
+  if (!session.user.isActive) throw invalid('Account is deactivated');
+
+  const presentedHash = hashToken(parsed.secret);
+  if (presentedHash !== session.refreshTokenHash) {
+    await revokeSession(session.id, 'REFRESH_TOKEN_REUSE');
+    throw invalid('Refresh token reuse detected. Session revoked.');
+  }
+
+  // Conditional update so two concurrent refreshes with the same token cannot both succeed
+  const newSecret = generateRefreshSecret();
+  const { count } = await prisma.userSession.updateMany({
+    where: { id: session.id, refreshTokenHash: presentedHash, revokedAt: null },
+    data: { refreshTokenHash: hashToken(newSecret), lastUsedAt: new Date() }
+  });
+  if (count === 0) {
+    await revokeSession(session.id, 'REFRESH_TOKEN_REUSE');
+    throw invalid('Refresh token reuse detected. Session revoked.');
+  }
+
+  return {
+    user: session.user,
+    token: signAccessToken(session.user, session.id, { mfa: session.mfaVerified }),
+    refreshToken: `${session.id}.${newSecret}`,
+    refreshTokenExpiresAt: session.expiresAt,
+    sessionId: session.id
+  };
+};
+
+/**
+ * Marks an existing session as 2FA-verified (after enrolment in that session) and
+ * returns a fresh access token carrying the claim.
+ */
+export const markSessionMfaVerified = async (user, sessionId) => {
+  await prisma.userSession.update({ where: { id: sessionId }, data: { mfaVerified: true } });
+  return signAccessToken(user, sessionId, { mfa: true });
+};
+
+/** Resolves the session id from a refresh token without validating it (used by logout). */
+export const sessionIdFromRefreshToken = (refreshToken) => parseRefreshToken(refreshToken)?.sessionId || null;
+
+/** Revokes a single session and closes its sockets. Already revoked sessions are left untouched. */
+export const revokeSession = async (sessionId, reason = 'LOGOUT') => {
+  const { count } = await prisma.userSession.updateMany({
+    where: { id: sessionId, revokedAt: null },
+    data: { revokedAt: new Date(), revokedReason: reason }
+  });
+  disconnectSessionSockets(sessionId);
+  return count;
+};
+
+/**
+ * Revokes every active session of a user and closes their sockets, optionally keeping one (e.g. the caller's own session).
+ * Returns the number of sessions revoked.
+ */
+export const revokeAllUserSessions = async (userId, reason = 'ADMIN_REVOKED', { exceptSessionId } = {}) => {
+  const { count } = await prisma.userSession.updateMany({
+    where: { userId, revokedAt: null, ...(exceptSessionId && { id: { not: exceptSessionId } }) },
+    data: { revokedAt: new Date(), revokedReason: reason }
+  });
+  disconnectUserSockets(userId, { exceptSessionId });
+  return count;
+};
@@ -0,0 +1,33 @@
+// src/utils/socketRooms.js
+// Socket.IO room names and helpers. Sockets are placed in rooms by the server after the
+// handshake is authenticated (see src/middleware/socketAuth.js); clients cannot choose them.
+
+/** Personal notifications of a user (e.g. decisions on their edit requests). */
+export const userRoom = (userId) => `user-${userId}`;
+
+/** All sockets opened with access tokens of one login session; closed when the session is revoked. */
+export const sessionRoom = (sessionId) => `session-${sessionId}`;
+
+/** Users who may see every edit request (editRequest:read or editRequest:manage). Name kept for existing clients. */
+export const EDIT_REQUEST_REVIEWERS_ROOM = 'admin-room';
+
+/** Heads of a department; receive new edit requests for documents of that department. */
+export const departmentHeadsRoom = (departmentId) => `department-heads-${departmentId}`;
+
+/** Users of a role; receive purchase orders waiting for approval by that role. */
+export const roleRoom = (role) => `role-${role}`;
+
+/** Users who may decide any purchase order approval level (purchaseOrder:approve:any). */
+export const PURCHASE_ORDER_APPROVERS_ROOM = 'purchase-order-approvers';
+
+/** Disconnects every socket of a session. No-op when Socket.IO is not running. */
+export const disconnectSessionSockets = (sessionId) => {
+  global.io?.in(sessionRoom(sessionId)).disconnectSockets(true);
+};
+
+/** Disconnects every socket of a user, optionally keeping those of one session. */
+export const disconnectUserSockets = (userId, { exceptSessionId } = {}) => {
+  if (!global.io) return;
+  const target = global.io.in(userRoom(userId));
+  (exceptSessionId ? target.except(sessionRoom(exceptSessionId)) : target).disconnectSockets(true);
+};
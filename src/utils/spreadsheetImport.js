@@ -0,0 +1,162 @@
+// src/utils/spreadsheetImport.js
+// Reading CSV/XLSX imports: column mapping and turning sheet rows into create request bodies.
+import ExcelJS from 'exceljs';
+import path from 'path';
+
+export const IMPORT_FORMATS = ['.csv', '.xlsx'];
+
+// Largest number of data rows accepted in one file
+export const IMPORT_MAX_ROWS = parseInt(process.env.IMPORT_MAX_ROWS || '5000', 10);
+
+/**
+ * Importable document types: the create fields read from the sheet and, for documents with lines, the line
+ * fields. Rows sharing an `id` form one document with one line per row; its other fields come from its first row.
+ */
+export const IMPORT_DOCUMENTS = {
+  stockRegister: {
+    documentType: 'STOCK_REGISTER',
+    fields: [
+      'id', 'articleName', 'entryDate', 'companyName', 'address', 'productDetails', 'voucherOrBillNumber', 'costRate', 'cgst', 'sgst',
+      'receiptNumber', 'pageNumber', 'billingDate', 'serialNumber', 'invoiceId', 'productId', 'quantity'
+    ]
+  },
+  invoice: {
+    documentType: 'INVOICE',
+    fields: [
+      'id', 'purchaseDate', 'companyName', 'orderOrSerialNumber', 'vendorName', 'contactNumber', 'address', 'additionalDetails',
+      'totalAmount', 'isInterState', 'paymentTermsDays', 'status', 'purchaseOrderId'
+    ],
+    lines: 'products',
+    lineFields: ['productName', 'serialNumber', 'warrantyYears', 'quantity', 'price', 'hsnSacCode', 'gstRate', 'discount', 'purchaseOrderItemId']
+  },
+  purchaseOrder: {
+    documentType: 'PURCHASE_ORDER',
+    fields: ['id', 'orderDate', 'fromAddress', 'vendorName', 'contactNumber', 'gstNumber', 'purchaseOrderNumber', 'totalAmount'],
+    lines: 'items',
+    lineFields: ['description', 'quantity', 'rate']
+  }
+};
+
+const fieldsOf = (spec) => [...spec.fields, ...(spec.lineFields || [])];
+
+/**
+ * Parses the `mapping` sent with an import ({ field: "Column header" }, JSON string or object).
+ * Fields left out are read from a column named like the field. Throws an Error with `status` 400 when invalid.
+ */
+export const parseMapping = (spec, mapping) => {
+  let parsed;
+  try {
+    parsed = typeof mapping === 'string' ? JSON.parse(mapping || '{}') : (mapping || {});
+  } catch {
+    throw Object.assign(new Error('Invalid mapping format; expected JSON like { "field": "Column header" }'), { status: 400, field: 'mapping' });
+  }
+  if (typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw Object.assign(new Error('mapping must be an object of { "field": "Column header" }'), { status: 400, field: 'mapping' });
+  }
+  const unknown = Object.keys(parsed).filter(field => !fieldsOf(spec).includes(field));
+  if (unknown.length > 0) {
+    throw Object.assign(new Error(`Unknown fields in mapping: ${unknown.join(', ')}. Importable fields: ${fieldsOf(spec).join(', ')}`), { status: 400, field: 'mapping' });
+  }
+  return Object.fromEntries(fieldsOf(spec).map(field => [field, String(parsed[field] ?? field).trim()]));
+};
+
+// Cell value as sent in a request body: text, ISO date, or undefined when empty
+const cellText = (value) => {
+  if (value === null || value === undefined) return undefined;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') {
+    if (value.richText) return cellText(value.richText.map(part => part.text).join(''));
+    if ('result' in value) return cellText(value.result); // Formula
+    if ('text' in value) return cellText(value.text); // Hyperlink
+    return undefined; // Error values
+  }
+  const text = String(value).trim();
+  return text === '' ? undefined : text;
+};
+
+/**
+ * Reads the first sheet of a CSV or XLSX file into rows of { row, fields } keyed by field name (`mapping`).
+ * CSV values are kept as text (no number or date guessing, so IDs keep their leading zeros).
+ * Throws an Error with `status` 400 for unsupported files, missing mapped columns or too many rows.
+ */
+export const readImportFile = async (filePath, fileName, mapping) => {
+  const format = path.extname(fileName || filePath).toLowerCase();
+  if (!IMPORT_FORMATS.includes(format)) {
+    throw Object.assign(new Error(`Unsupported import file type. Use ${IMPORT_FORMATS.join(' or ')}`), { status: 400, field: 'file' });
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  try {
+    if (format === '.csv') await workbook.csv.readFile(filePath, { map: value => value });
+    else await workbook.xlsx.readFile(filePath);
+  } catch (error) {
+    throw Object.assign(new Error(`Could not read the ${format} file: ${error.message}`), { status: 400, field: 'file' });
+  }
+  const sheet = workbook.worksheets[0];
+  if (!sheet || sheet.rowCount < 2) {
+    throw Object.assign(new Error('The file has no data rows below the header row'), { status: 400, field: 'file' });
+  }
+
+  const headers = (sheet.getRow(1).values || []).map(header => (cellText(header) || '').toLowerCase());
+  const columns = {};
+  const missingColumns = [];
+  for (const [field, header] of Object.entries(mapping)) {
+    const column = headers.indexOf(header.toLowerCase());
+    if (column > 0) columns[field] = column;
+    else if (header !== field) missingColumns.push(`${header} (${field})`); // Unmapped fields are optional columns
+  }
+  if (missingColumns.length > 0) {
+    throw Object.assign(new Error(`Mapped columns not found in the header row: ${missingColumns.join(', ')}`), { status: 400, field: 'mapping' });
+  }
+
+  const rows = [];
+  sheet.eachRow((sheetRow, rowNumber) => {
+    if (rowNumber === 1) return;
+    const fields = {};
+    for (const [field, column] of Object.entries(columns)) {
+      const value = cellText(sheetRow.getCell(column).value);
+      if (value !== undefined) fields[field] = value;
+    }
+    if (Object.keys(fields).length > 0) rows.push({ row: rowNumber, fields }); // Blank rows are skipped
+  });
+  if (rows.length > IMPORT_MAX_ROWS) {
+    throw Object.assign(new Error(`The file has ${rows.length} rows; at most ${IMPORT_MAX_ROWS} can be imported at once`), { status: 400, field: 'file' });
+  }
+  return rows;
+};
+
+/**
+ * Turns rows into documents: [{ rows: [row numbers], fields }] where `fields` is a create request body.
+ * Documents with lines collect the rows sharing an `id`. Rows without one stay separate one-line documents (numbered
+ * from the series when one is active, otherwise they fail validation).
+ */
+export const rowsToDocuments = (spec, rows) => {
+  if (!spec.lines) return rows.map(({ row, fields }) => ({ rows: [row], fields }));
+
+  const documents = [];
+  const byId = new Map();
+  for (const { row, fields } of rows) {
+    const line = Object.fromEntries(spec.lineFields.filter(field => fields[field] !== undefined).map(field => [field, fields[field]]));
+    const document = fields.id && byId.get(fields.id);
+    if (document) {
+      document.rows.push(row);
+      document.fields[spec.lines].push(line);
+      continue;
+    }
+    const header = Object.fromEntries(spec.fields.filter(field => fields[field] !== undefined).map(field => [field, fields[field]]));
+    const created = { rows: [row], fields: { ...header, [spec.lines]: [line] } };
+    if (fields.id) byId.set(fields.id, created);
+    documents.push(created);
+  }
+  return documents;
+};
+
+/**
+ * Adds the sheet row to errors of a document's lines ("products[2].price" is the document's third row),
+ * so the report points at the row to fix.
+ */
+export const withRowNumbers = (spec, document, errors) =>
+  errors.map(error => {
+    const line = spec.lines && String(error.field || '').match(new RegExp(`^${spec.lines}\\[(\\d+)\\]`));
+    return line && document.rows[Number(line[1])] ? { ...error, row: document.rows[Number(line[1])] } : error;
+  });
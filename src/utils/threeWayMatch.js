@@ -0,0 +1,118 @@
+// src/utils/threeWayMatch.js
+// Three-way match of a purchase order (ordered), the invoices billing it and its goods receipts (received, as
+// kept in Item.receivedQuantity, the quantities fulfilment uses). Invoice lines match PO items by
+// `purchaseOrderItemId`, else by identical description / product name.
+import { Decimal, formatMoney } from './money.js';
+
+// Largest accepted difference between an invoiced unit price and the PO rate
+export const PRICE_TOLERANCE = new Decimal(process.env.MATCH_PRICE_TOLERANCE || '0');
+
+export const MATCH_STATUSES = ['MATCHED', 'MISMATCH', 'NOT_INVOICED', 'NOT_RECEIVED'];
+
+const normalize = (text) => String(text || '').trim().toLowerCase();
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+/**
+ * Matches one purchase order loaded with `items` (with receivedQuantity) and `invoices` (without cancelled ones),
+ * each invoice with `products`. Returns { status, items, unmatchedLines, exceptions }:
+ *   MATCHED      every ordered quantity is invoiced at the PO rate and received
+ *   MISMATCH     quantity, price, vendor or receipt differences, or invoice lines not on the PO
+ *   NOT_INVOICED no invoice bills the PO yet
+ *   NOT_RECEIVED invoiced, but no goods receipt recorded yet
+ */
+export const matchPurchaseOrder = (purchaseOrder) => {
+  const exceptions = [];
+  const lines = purchaseOrder.invoices.flatMap(invoice =>
+    invoice.products.map(line => ({ ...line, invoiceId: invoice.id })));
+  const itemOf = (line) => line.purchaseOrderItemId
+    ? purchaseOrder.items.find(item => item.id === line.purchaseOrderItemId)
+    : purchaseOrder.items.find(item => normalize(item.description) === normalize(line.productName));
+  const lineSummary = (line) => ({
+    productId: line.id,
+    invoiceId: line.invoiceId,
+    productName: line.productName,
+    quantity: line.quantity,
+    price: line.price,
+    matchedBy: line.purchaseOrderItemId ? 'link' : 'description'
+  });
+
+  if (purchaseOrder.invoices.length === 0) {
+    exceptions.push({ type: 'NOT_INVOICED', message: `Purchase order ${purchaseOrder.purchaseOrderNumber} has not been invoiced` });
+  }
+
+  for (const invoice of purchaseOrder.invoices) {
+    if (normalize(invoice.vendorName) !== normalize(purchaseOrder.vendorName)) {
+      exceptions.push({
+        type: 'VENDOR_MISMATCH',
+        invoiceId: invoice.id,
+        message: `Invoice ${invoice.id} is from "${invoice.vendorName}", the purchase order from "${purchaseOrder.vendorName}"`
+      });
+    }
+  }
+
+  const items = purchaseOrder.items.map(item => {
+    const itemLines = lines.filter(line => itemOf(line)?.id === item.id);
+    const invoicedQuantity = sum(itemLines.map(line => line.quantity));
+
+    if (purchaseOrder.invoices.length > 0 && invoicedQuantity !== item.quantity) {
+      exceptions.push({
+        type: 'QUANTITY_MISMATCH',
+        itemId: item.id,
+        message: `${item.description}: ordered ${item.quantity}, invoiced ${invoicedQuantity}`
+      });
+    }
+    for (const line of itemLines) {
+      if (new Decimal(line.price).minus(item.rate).abs().greaterThan(PRICE_TOLERANCE)) {
+        exceptions.push({
+          type: 'PRICE_MISMATCH',
+          itemId: item.id,
+          invoiceId: line.invoiceId,
+          productId: line.id,
+          message: `${item.description}: ordered at ${formatMoney(item.rate)}, invoiced at ${formatMoney(line.price)} on invoice ${line.invoiceId}`
+        });
+      }
+    }
+
+    return {
+      itemId: item.id,
+      description: item.description,
+      orderedQuantity: item.quantity,
+      rate: item.rate,
+      invoicedQuantity,
+      receivedQuantity: item.receivedQuantity,
+      lines: itemLines.map(lineSummary)
+    };
+  });
+
+  const unmatchedLines = lines.filter(line => !itemOf(line));
+  for (const line of unmatchedLines) {
+    exceptions.push({
+      type: 'LINE_NOT_ON_PO',
+      invoiceId: line.invoiceId,
+      productId: line.id,
+      message: `${line.productName} on invoice ${line.invoiceId} is not an item of the purchase order`
+    });
+  }
+
+  // Receipts are compared per item once anything has been received
+  const totalReceived = sum(purchaseOrder.items.map(item => item.receivedQuantity));
+  if (lines.length > 0 && totalReceived === 0) {
+    exceptions.push({ type: 'NOT_RECEIVED', message: `Nothing invoiced on purchase order ${purchaseOrder.purchaseOrderNumber} has been received` });
+  } else if (lines.length > 0) {
+    for (const item of items.filter(item => item.receivedQuantity !== item.invoicedQuantity)) {
+      exceptions.push({
+        type: 'RECEIPT_MISMATCH',
+        itemId: item.itemId,
+        message: `${item.description}: invoiced ${item.invoicedQuantity}, received ${item.receivedQuantity}`
+      });
+    }
+  }
+
+  const mismatched = exceptions.some(exception => !['NOT_INVOICED', 'NOT_RECEIVED'].includes(exception.type));
+  const status = purchaseOrder.invoices.length === 0 ? 'NOT_INVOICED'
+    : mismatched ? 'MISMATCH'
+    : totalReceived === 0 ? 'NOT_RECEIVED'
+    : 'MATCHED';
+
+  return { status, items, unmatchedLines: unmatchedLines.map(lineSummary), exceptions };
+};
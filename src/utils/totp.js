@@ -0,0 +1,113 @@
+// src/utils/totp.js
+// Time-based one-time passwords (RFC 6238, HMAC-SHA1, 6 digits, 30 s steps) as used by
+// Google Authenticator, Microsoft Authenticator, Authy etc.
+import crypto from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Accept codes from one step before/after the current one to allow for clock drift
+const DRIFT_STEPS = parseInt(process.env.TOTP_DRIFT_STEPS || '1', 10);
+export const TOTP_ISSUER = process.env.TOTP_ISSUER || 'CNCC';
+
+// Secrets are stored encrypted. Without a dedicated key one is derived from JWT_SECRET,
+// in which case rotating JWT_SECRET requires users to enrol again.
+const ENCRYPTION_KEY = crypto.createHash('sha256')
+  .update(process.env.TOTP_ENCRYPTION_KEY || `totp:${process.env.JWT_SECRET}`)
+  .digest();
+
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+};
+
+export const base32Decode = (input) => {
+  const cleaned = input.replace(/=+$/, '').replace(/\s+/g, '').toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character in secret');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+/** Generates a new random 160-bit secret, base32 encoded. */
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+/** HOTP value (RFC 4226) for a base32 secret and counter. */
+export const generateHotp = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+export const currentTimeStep = (timestampMs = Date.now()) => Math.floor(timestampMs / 1000 / STEP_SECONDS);
+
+/**
+ * Verifies a TOTP code. Returns the matching time step, or null when the code is invalid.
+ * Steps at or below `lastUsedStep` are rejected so a code cannot be replayed.
+ */
+export const verifyTotp = (secret, code, { lastUsedStep = null, timestampMs = Date.now() } = {}) => {
+  const normalized = String(code || '').replace(/\s+/g, '');
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) return null;
+
+  const current = currentTimeStep(timestampMs);
+  for (let step = current - DRIFT_STEPS; step <= current + DRIFT_STEPS; step++) {
+    if (lastUsedStep !== null && step <= lastUsedStep) continue;
+    const expected = generateHotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+/** Provisioning URI for authenticator apps; render it as a QR code on the client. */
+export const buildOtpauthUrl = (secret, accountName) => {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_ISSUER,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/** AES-256-GCM encryption of a secret for storage: "<iv>.<authTag>.<ciphertext>" (base64). */
+export const encryptSecret = (plainText) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  const encrypted = Buffer.concat([cipher.update(plainText, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+};
+
+export const decryptSecret = (stored) => {
+  const [iv, authTag, encrypted] = stored.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  decipher.setAuthTag(authTag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
@@ -0,0 +1,65 @@
+// src/utils/warranty.js
+// Warranty expiry of invoiced products: purchase date of the invoice + Product.warrantyYears.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Lead times (days before expiry) at which reminders are sent, largest first. */
+export const WARRANTY_REMINDER_DAYS = (process.env.WARRANTY_REMINDER_DAYS || '90,30,7')
+  .split(',')
+  .map(value => parseInt(value.trim(), 10))
+  .filter(days => Number.isInteger(days) && days > 0)
+  .sort((a, b) => b - a);
+
+// Products expiring within this many days count as EXPIRING (the longest reminder lead time)
+export const WARRANTY_EXPIRING_DAYS = WARRANTY_REMINDER_DAYS[0] || 90;
+
+export const WARRANTY_STATUSES = ['NONE', 'ACTIVE', 'EXPIRING', 'EXPIRED'];
+
+/** Expiry date for a purchase date and warranty in years, or null without warranty. */
+export const calculateWarrantyExpiry = (purchaseDate, warrantyYears) => {
+  const years = parseInt(warrantyYears || 0, 10);
+  if (!purchaseDate || !(years > 0)) return null;
+  const expiry = new Date(purchaseDate);
+  const month = expiry.getUTCMonth();
+  expiry.setUTCFullYear(expiry.getUTCFullYear() + years);
+  if (expiry.getUTCMonth() !== month) expiry.setUTCDate(0); // 29 Feb -> 28 Feb, like DATE_ADD in the migration
+  return expiry;
+};
+
+/** Adds `warrantyExpiresAt` to product lines about to be written for an invoice purchased on `purchaseDate`. */
+export const withWarrantyExpiry = (products, purchaseDate) =>
+  products.map(product => ({ ...product, warrantyExpiresAt: calculateWarrantyExpiry(purchaseDate, product.warrantyYears) }));
+
+/** Whole days until the expiry (negative once expired). */
+export const daysUntil = (date, now = new Date()) => Math.ceil((new Date(date).getTime() - now.getTime()) / DAY_MS);
+
+/** Adds `warrantyStatus` and `warrantyDaysLeft` to a product loaded from the database. */
+export const withWarrantyStatus = (product, now = new Date()) => {
+  if (!product.warrantyExpiresAt) return { ...product, warrantyStatus: 'NONE', warrantyDaysLeft: null };
+  const daysLeft = daysUntil(product.warrantyExpiresAt, now);
+  const status = daysLeft < 0 ? 'EXPIRED' : daysLeft <= WARRANTY_EXPIRING_DAYS ? 'EXPIRING' : 'ACTIVE';
+  return { ...product, warrantyStatus: status, warrantyDaysLeft: daysLeft };
+};
+
+/** Prisma `where` on Product for a warranty status (see WARRANTY_STATUSES). */
+export const warrantyStatusWhere = (status, now = new Date()) => {
+  const expiringUntil = new Date(now.getTime() + WARRANTY_EXPIRING_DAYS * DAY_MS);
+  switch (status) {
+    case 'NONE': return { warrantyExpiresAt: null };
+    case 'ACTIVE': return { warrantyExpiresAt: { gt: expiringUntil } };
+    case 'EXPIRING': return { warrantyExpiresAt: { gte: now, lte: expiringUntil } };
+    case 'EXPIRED': return { warrantyExpiresAt: { lt: now } };
+    default: return null;
+  }
+};
+
+/**
+ * Reminder lead time due for a product: the smallest lead time that has been reached
+ * (so a product added 5 days before expiry only gets the 7-day reminder), or null.
+ */
+export const dueReminderLeadDays = (warrantyExpiresAt, now = new Date()) => {
+  const daysLeft = daysUntil(warrantyExpiresAt, now);
+  if (daysLeft < 0) return null;
+  const reached = WARRANTY_REMINDER_DAYS.filter(days => daysLeft <= days);
+  return reached.length > 0 ? reached[reached.length - 1] : null;
+};
@@ -0,0 +1,78 @@
+// test/utils/gst.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateInvoiceGst, parseFormBoolean } from '../../src/utils/gst.js';
+
+const amounts = (totals) => Object.fromEntries(Object.entries(totals).map(([key, value]) => [key, value.toFixed(2)]));
+
+test('intra-state lines split the tax into CGST and SGST', () => {
+  const { errors, products, totals } = calculateInvoiceGst([
+    { productName: 'Pipette', quantity: 2, price: '500', discount: '100', gstRate: 18, hsnSacCode: '9027' },
+    { productName: 'Gloves', quantity: '3', price: '33.33', gstRate: '5' }
+  ]);
+
+  assert.deepEqual(errors, []);
+  assert.equal(products[0].taxableAmount.toFixed(2), '900.00');
+  assert.equal(products[0].cgstAmount.toFixed(2), '81.00');
+  assert.equal(products[0].sgstAmount.toFixed(2), '81.00');
+  assert.equal(products[0].igstAmount.toFixed(2), '0.00');
+  assert.equal(products[0].lineTotal.toFixed(2), '1062.00');
+  assert.equal(products[1].cgstAmount.toFixed(2), '2.50'); // 99.99 * 2.5% = 2.49975
+  assert.deepEqual(amounts(totals), {
+    subTotal: '1099.99',
+    discountTotal: '100.00',
+    taxableAmount: '999.99',
+    cgstAmount: '83.50',
+    sgstAmount: '83.50',
+    igstAmount: '0.00',
+    totalAmount: '1166.99'
+  });
+});
+
+test('inter-state lines carry IGST only', () => {
+  const { errors, products, totals } = calculateInvoiceGst(
+    [{ productName: 'Centrifuge', quantity: 1, price: '1000', gstRate: 28 }],
+    { isInterState: true }
+  );
+
+  assert.deepEqual(errors, []);
+  assert.equal(products[0].cgstAmount.toFixed(2), '0.00');
+  assert.equal(products[0].igstAmount.toFixed(2), '280.00');
+  assert.equal(totals.totalAmount.toFixed(2), '1280.00');
+});
+
+test('invalid lines are reported by field', () => {
+  const { errors } = calculateInvoiceGst([
+    { productName: 'Flask', quantity: 0, price: '-1', gstRate: 7, hsnSacCode: '12345' },
+    { productName: 'Beaker', quantity: 1, price: '10', discount: '11' }
+  ]);
+
+  assert.deepEqual(errors.map(error => error.field), [
+    'products[0].quantity',
+    'products[0].price',
+    'products[0].gstRate',
+    'products[0].hsnSacCode',
+    'products[1].discount'
+  ]);
+});
+
+test('a client total must match the computed grand total within the tolerance', () => {
+  const products = [{ productName: 'Reagent', quantity: 1, price: '100', gstRate: 12 }];
+
+  assert.deepEqual(calculateInvoiceGst(products, { totalAmount: '112.01' }).errors, []);
+
+  const { errors } = calculateInvoiceGst(products, { totalAmount: '110' });
+  assert.equal(errors.length, 1);
+  assert.equal(errors[0].field, 'totalAmount');
+  assert.equal(errors[0].expected, '112.00');
+
+  assert.equal(calculateInvoiceGst(products, { totalAmount: 'abc' }).errors[0].message, 'Total amount must be a number');
+});
+
+test('form booleans accept true, "true" and "1" only', () => {
+  assert.equal(parseFormBoolean(true), true);
+  assert.equal(parseFormBoolean('true'), true);
+  assert.equal(parseFormBoolean('1'), true);
+  assert.equal(parseFormBoolean('false'), false);
+  assert.equal(parseFormBoolean(undefined), false);
+});
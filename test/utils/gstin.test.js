@@ -0,0 +1,68 @@
+// test/utils/gstin.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.GST_HOME_STATE_CODE = '29'; // Read when the module loads
+const { gstinCheckCharacter, parseGstin, gstinColumns, isInterStateSupply, supplyTypeOf, inconsistentVendorGstins } =
+  await import('../../src/utils/gstin.js');
+
+const VALID_GSTIN = '27AAPFU0939F1ZV'; // Example in parseGstin's error message
+const withCheckCharacter = (first14) => first14 + gstinCheckCharacter(first14);
+
+test('the check character is computed over the first 14 characters', () => {
+  assert.equal(gstinCheckCharacter(VALID_GSTIN.slice(0, 14)), 'V');
+});
+
+test('a valid GSTIN is normalized and split into state and PAN', () => {
+  assert.deepEqual(parseGstin(` ${VALID_GSTIN.toLowerCase()} `), {
+    gstin: VALID_GSTIN,
+    stateCode: '27',
+    stateName: 'Maharashtra',
+    pan: 'AAPFU0939F'
+  });
+});
+
+test('invalid GSTINs are rejected with the reason', () => {
+  assert.match(parseGstin('27AAPFU0939F1Z').error, /15 characters/);
+  assert.match(parseGstin('27AAPFU0939F1XV').error, /state code, a PAN/);
+  assert.match(parseGstin(withCheckCharacter('42AAPFU0939F1Z')).error, /not a GST state code/);
+  assert.match(parseGstin('27AAPFU0939F1ZW').error, /check character/);
+});
+
+test('the example of the format error is itself valid', () => {
+  const example = parseGstin('27AAPFU0939F1XV').error.match(/e\.g\. (\w+)/)[1];
+  assert.equal(parseGstin(example).error, undefined);
+});
+
+test('the supply type compares the vendor state with GST_HOME_STATE_CODE', () => {
+  assert.equal(isInterStateSupply('29'), false);
+  assert.equal(isInterStateSupply('27'), true);
+  assert.equal(isInterStateSupply(null), null);
+
+  assert.equal(supplyTypeOf({ gstStateCode: '29' }), false);
+  assert.equal(supplyTypeOf({ gstStateCode: null, gstNumber: VALID_GSTIN.toLowerCase() }), true);
+  assert.equal(supplyTypeOf({ gstStateCode: null, gstNumber: null }), null);
+});
+
+test('purchase order columns follow the GSTIN sent', () => {
+  assert.deepEqual(gstinColumns(VALID_GSTIN).data, { gstNumber: VALID_GSTIN, gstStateCode: '27', isInterState: true });
+  assert.deepEqual(gstinColumns(' ').data, { gstNumber: null, gstStateCode: null, isInterState: null });
+  assert.ok(gstinColumns('27AAPFU0939F1ZW').error);
+});
+
+test('vendors with more than one GSTIN are reported', () => {
+  const otherState = withCheckCharacter('29AAPFU0939F1Z');
+  const day = (date) => new Date(`${date}T00:00:00Z`);
+  const vendors = inconsistentVendorGstins([
+    { vendorName: 'Acme Labs', gstNumber: VALID_GSTIN, purchaseOrders: 3, firstOrderDate: day('2026-01-05'), lastOrderDate: day('2026-03-01') },
+    { vendorName: 'ACME  labs', gstNumber: otherState, purchaseOrders: 1, firstOrderDate: day('2026-02-01'), lastOrderDate: day('2026-02-01') },
+    { vendorName: 'Solo Traders', gstNumber: VALID_GSTIN, purchaseOrders: 2, firstOrderDate: day('2026-01-01'), lastOrderDate: day('2026-01-02') }
+  ]);
+
+  assert.equal(vendors.length, 1);
+  assert.equal(vendors[0].vendorName, 'Acme Labs');
+  assert.deepEqual(vendors[0].vendorNames, ['Acme Labs', 'ACME  labs']);
+  assert.equal(vendors[0].samePan, true);
+  assert.equal(vendors[0].purchaseOrders, 4);
+  assert.deepEqual(vendors[0].gstins.map(gstin => gstin.stateCode), ['27', '29']);
+});
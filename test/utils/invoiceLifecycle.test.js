@@ -0,0 +1,35 @@
+// test/utils/invoiceLifecycle.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkStatusTransition, statusAfterContentEdit } from '../../src/utils/invoiceLifecycle.js';
+
+const verifier = (permission) => permission === 'invoice:verify';
+const nobody = () => false;
+
+test('editing a VERIFIED invoice sends it back to SUBMITTED', () => {
+  const now = new Date('2026-10-19T10:00:00Z');
+
+  assert.deepEqual(statusAfterContentEdit({ status: 'VERIFIED' }, now), {
+    status: 'SUBMITTED',
+    statusChangedAt: now,
+    statusNote: 'Edited after verification'
+  });
+  for (const status of ['DRAFT', 'SUBMITTED', 'DISPUTED']) {
+    assert.deepEqual(statusAfterContentEdit({ status }, now), {});
+  }
+});
+
+test('an edited invoice has to be verified again by a verifier', () => {
+  const invoice = { status: statusAfterContentEdit({ status: 'VERIFIED' }).status, amountPaid: '0', creditedAmount: '0', outstandingAmount: '100' };
+
+  assert.equal(checkStatusTransition(invoice, 'VERIFIED', verifier, false), null);
+  assert.match(checkStatusTransition(invoice, 'VERIFIED', nobody, true), /Not authorized/);
+  assert.match(checkStatusTransition(invoice, 'PAID', verifier, true), /Cannot change status from SUBMITTED to PAID/);
+});
+
+test('owners move their own invoices between DRAFT and SUBMITTED', () => {
+  assert.equal(checkStatusTransition({ status: 'DRAFT' }, 'SUBMITTED', nobody, true), null);
+  assert.match(checkStatusTransition({ status: 'DRAFT' }, 'SUBMITTED', nobody, false), /Not authorized/);
+  assert.match(checkStatusTransition({ status: 'PAID' }, 'SUBMITTED', verifier, true), /PAID is final/);
+  assert.match(checkStatusTransition({ status: 'DRAFT' }, 'ARCHIVED', verifier, true), /Status must be one of/);
+});
@@ -0,0 +1,36 @@
+// test/utils/money.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Decimal, roundMoney, parseMoney, sumMoney, formatMoney } from '../../src/utils/money.js';
+
+test('amounts are rounded half-up to two places by default', () => {
+  assert.equal(roundMoney('2.345').toFixed(2), '2.35');
+  assert.equal(roundMoney('2.344').toFixed(2), '2.34');
+  assert.equal(roundMoney(-2.345).toFixed(2), '-2.35');
+});
+
+test('client amounts are parsed into rounded Decimals', () => {
+  assert.ok(parseMoney('1200.505') instanceof Decimal);
+  assert.equal(parseMoney(' 1200.505 ').toFixed(2), '1200.51');
+  assert.equal(parseMoney(0).toFixed(2), '0.00');
+  assert.equal(parseMoney(''), null);
+  assert.equal(parseMoney('   '), null);
+  assert.equal(parseMoney(null), null);
+  assert.equal(parseMoney(undefined), null);
+  assert.equal(parseMoney('12abc'), null);
+  assert.equal(parseMoney(Infinity), null);
+});
+
+test('sums avoid floating point errors', () => {
+  assert.equal(0.1 + 0.2 === 0.3, false);
+  assert.equal(sumMoney(['0.1', '0.2']).toFixed(2), '0.30');
+  assert.equal(sumMoney(['0.1', '0.2']).equals('0.3'), true);
+  assert.equal(sumMoney([]).toFixed(2), '0.00');
+});
+
+test('amounts are formatted with two places', () => {
+  assert.equal(formatMoney(new Decimal('1200.5')), '1200.50');
+  assert.equal(formatMoney('7'), '7.00');
+  assert.equal(formatMoney(null), '');
+  assert.equal(formatMoney(undefined), '');
+});
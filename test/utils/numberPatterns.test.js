@@ -0,0 +1,42 @@
+// test/utils/numberPatterns.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.BUSINESS_TIME_ZONE = 'Asia/Kolkata'; // Read when the module loads
+const { financialYear, calendarMonth, validatePattern, fillPattern, NO_DEPARTMENT_CODE } = await import('../../src/utils/numberPatterns.js');
+
+test('the financial year starts on April 1st in the business time zone', () => {
+  assert.equal(financialYear(new Date('2026-03-31T18:29:59Z')), '2025-26'); // 23:59:59 IST on 31 March
+  assert.equal(financialYear(new Date('2026-03-31T18:30:00Z')), '2026-27'); // Midnight IST on 1 April
+  assert.equal(financialYear(new Date('2027-03-31T12:00:00Z')), '2026-27');
+  assert.equal(financialYear(new Date('2099-06-01T00:00:00Z')), '2099-00');
+});
+
+test('calendar months are read in the business time zone', () => {
+  assert.deepEqual(calendarMonth(new Date('2026-12-31T19:00:00Z')), { year: 2027, month: 1 });
+  assert.deepEqual(calendarMonth(new Date('2026-12-31T18:00:00Z')), { year: 2026, month: 12 });
+});
+
+test('patterns need {FY} and exactly one {SEQ}', () => {
+  assert.equal(validatePattern('PO/{FY}/{DEPT}/{SEQ:0000}'), null);
+  assert.match(validatePattern(''), /required/);
+  assert.match(validatePattern('PO/{FY}/{NAME}/{SEQ}'), /Unknown token \{NAME\}/);
+  assert.match(validatePattern('PO/{FY}'), /\{SEQ\}/);
+  assert.match(validatePattern('PO/{FY}/{SEQ}/{SEQ}'), /exactly once/);
+  assert.match(validatePattern('PO/{YYYY}/{SEQ}'), /\{FY\}/);
+  assert.match(validatePattern('PO {FY}/{SEQ}'), /may only contain/);
+  assert.match(validatePattern(`${'A'.repeat(60)}{FY}{SEQ}`), /at most 60/);
+});
+
+test('a filled-in pattern keeps {SEQ} in its prefix and pads the sequence', () => {
+  const { prefix, format } = fillPattern('PO/{FY}/{DEPT}/{YY}{MM}/{SEQ:0000}', { date: new Date('2026-04-15T10:00:00Z'), departmentCode: 'CHEM' });
+
+  assert.equal(prefix, 'PO/2026-27/CHEM/2604/{SEQ:0000}');
+  assert.equal(format(42), 'PO/2026-27/CHEM/2604/0042');
+  assert.equal(format(123456), 'PO/2026-27/CHEM/2604/123456');
+});
+
+test('documents without a department code use the default code', () => {
+  const { format } = fillPattern('INV-{FY}-{DEPT}-{SEQ}', { date: new Date('2027-01-10T00:00:00Z') });
+  assert.equal(format(7), `INV-2026-27-${NO_DEPARTMENT_CODE}-7`);
+});
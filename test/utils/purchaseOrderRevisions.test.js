@@ -0,0 +1,78 @@
+// test/utils/purchaseOrderRevisions.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Decimal } from '../../src/utils/money.js';
+import { revisionSnapshot, diffRevisions } from '../../src/utils/purchaseOrderRevisions.js';
+
+const purchaseOrder = {
+  id: 'PO-1',
+  purchaseOrderNumber: 'PO/2026-27/GEN/0001',
+  orderDate: new Date('2026-05-04T00:00:00Z'),
+  vendorName: 'Acme Labs',
+  fromAddress: 'Central Store',
+  contactNumber: null,
+  gstNumber: '27AAPFU0939F1ZV',
+  gstStateCode: '27',
+  isInterState: true,
+  totalAmount: new Decimal('1500'),
+  status: 'APPROVED',
+  items: [
+    { id: 'item-1', description: 'Pipette', quantity: 10, rate: new Decimal('100'), receivedQuantity: 4 },
+    { id: 'item-2', description: 'Flask', quantity: 5, rate: new Decimal('100'), receivedQuantity: 0 }
+  ]
+};
+
+test('a snapshot keeps the header fields and items with amounts as strings', () => {
+  const snapshot = revisionSnapshot(purchaseOrder);
+
+  assert.deepEqual(snapshot, {
+    purchaseOrderNumber: 'PO/2026-27/GEN/0001',
+    orderDate: '2026-05-04T00:00:00.000Z',
+    vendorName: 'Acme Labs',
+    fromAddress: 'Central Store',
+    contactNumber: null,
+    gstNumber: '27AAPFU0939F1ZV',
+    gstStateCode: '27',
+    isInterState: true,
+    totalAmount: '1500.00',
+    items: [
+      { id: 'item-1', description: 'Pipette', quantity: 10, rate: '100.00' },
+      { id: 'item-2', description: 'Flask', quantity: 5, rate: '100.00' }
+    ]
+  });
+  assert.deepEqual(JSON.parse(JSON.stringify(snapshot)), snapshot); // Stored as JSON unchanged
+});
+
+test('identical snapshots have no differences', () => {
+  const snapshot = revisionSnapshot(purchaseOrder);
+  assert.deepEqual(diffRevisions(snapshot, revisionSnapshot(purchaseOrder)), { fields: [], items: { added: [], removed: [], changed: [] } });
+});
+
+test('the diff lists changed fields and added, removed and changed items', () => {
+  const from = revisionSnapshot(purchaseOrder);
+  const to = revisionSnapshot({
+    ...purchaseOrder,
+    vendorName: 'Acme Laboratories',
+    totalAmount: new Decimal('1750'),
+    items: [
+      { id: 'item-1', description: 'Pipette', quantity: 12, rate: new Decimal('112.50') },
+      { id: undefined, description: 'Burette', quantity: 1, rate: new Decimal('400') } // Proposed by a pending amendment
+    ]
+  });
+
+  assert.deepEqual(diffRevisions(from, to), {
+    fields: [
+      { field: 'vendorName', from: 'Acme Labs', to: 'Acme Laboratories' },
+      { field: 'totalAmount', from: '1500.00', to: '1750.00' }
+    ],
+    items: {
+      added: [{ id: undefined, description: 'Burette', quantity: 1, rate: '400.00' }],
+      removed: [{ id: 'item-2', description: 'Flask', quantity: 5, rate: '100.00' }],
+      changed: [{
+        itemId: 'item-1',
+        description: 'Pipette',
+        changes: [{ field: 'quantity', from: 10, to: 12 }, { field: 'rate', from: '100.00', to: '112.50' }]
+      }]
+    }
+  });
+});